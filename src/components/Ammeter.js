@@ -48,6 +48,23 @@ export class Ammeter extends Component {
         ];
     }
 
+    static get category() {
+        return 'instruments';
+    }
+
+    static get stamps() {
+        return {
+            // 0 V voltage source
+            dc: (solver, c, G, I) => solver.stampVoltageSource(c, G, I),
+            ac: (solver, c, Y, I) => solver.stampACVoltageSource(c, Y, I),
+            transient: (solver, c, G, I) => solver.stampAmmeter(c, G, I)
+        };
+    }
+
+    static get hasBranchCurrent() {
+        return true;
+    }
+
     renderBody() {
         return `
             <!-- Leads -->
@@ -0,0 +1,296 @@
+/**
+ * BJT.js - Bipolar junction transistor (NPN / PNP)
+ *
+ * Ebers-Moll transport model with Early effect:
+ *   I_F = Is * (exp(V_BE / Vt) - 1)        forward junction
+ *   I_R = Is * (exp(V_BC / Vt) - 1)        reverse junction
+ *   I_C = (I_F - I_R) * (1 - V_BC / VA) - I_R / βR
+ *   I_B = I_F / βF + I_R / βR
+ *   I_E = -(I_C + I_B)
+ *
+ * For a PNP device the same equations apply to the mirrored voltages
+ * (V_EB, V_CB) and every terminal current changes sign.
+ *
+ * Terminals:
+ *   collector ─┐
+ *   base ─────┤   (emitter arrow points out for NPN, in for PNP)
+ *   emitter ──┘
+ *
+ * Integration:
+ *   The solvers linearize the model at each Newton-Raphson iteration
+ *   (computeModel) and stamp the terminal conductances plus companion
+ *   current sources. Junction voltage steps are limited between iterations
+ *   as in Diode.limitVoltage(); AC analysis uses the conductances at the DC
+ *   operating point (hybrid-π gm, rπ, ro).
+ */
+
+import { Component, Terminal } from '../core/Component.js';
+
+// Conductance across each junction keeps an off transistor from leaving nodes floating
+const GMIN = 1e-12;
+
+// Above this exponent argument the junction current is continued linearly
+const MAX_EXP_ARG = 40;
+
+export class BJT extends Component {
+    constructor(x = 0, y = 0) {
+        super('bjt', x, y);
+
+        this.terminals = [
+            new Terminal(this, 'collector', 20, -30),
+            new Terminal(this, 'base', -30, 0),
+            new Terminal(this, 'emitter', 20, 30)
+        ];
+
+        this.properties = BJT.getDefaultProperties();
+    }
+
+    static get displayName() {
+        return 'BJT';
+    }
+
+    static get icon() {
+        return `
+            <line x1="2" y1="16" x2="12" y2="16" stroke="currentColor" stroke-width="2"/>
+            <line x1="12" y1="8" x2="12" y2="24" stroke="currentColor" stroke-width="2"/>
+            <line x1="12" y1="12" x2="24" y2="4" stroke="currentColor" stroke-width="2"/>
+            <line x1="12" y1="20" x2="24" y2="28" stroke="currentColor" stroke-width="2"/>
+            <polygon points="24,28 17,27 21,22" fill="currentColor"/>
+        `;
+    }
+
+    static get shortcut() {
+        return 'Q';
+    }
+
+    static getDefaultProperties() {
+        return {
+            polarity: 'npn',
+            saturationCurrent: 1e-14,   // Is (A)
+            betaF: 100,                 // forward current gain
+            betaR: 1,                   // reverse current gain
+            earlyVoltage: 100,          // VA (V), 0 = no Early effect
+            thermalVoltage: 0.02585     // Vt (V) at ~300K
+        };
+    }
+
+    static getPropertyDefinitions() {
+        return [
+            { name: 'polarity', label: 'Type', type: 'select', options: ['npn', 'pnp'] },
+            { name: 'saturationCurrent', label: 'Is (Sat. Current)', type: 'number', unit: 'A', min: 1e-18 },
+            { name: 'betaF', label: 'βF (Forward Gain)', type: 'number', unit: '', min: 1 },
+            { name: 'betaR', label: 'βR (Reverse Gain)', type: 'number', unit: '', min: 0.01 },
+            { name: 'earlyVoltage', label: 'VA (Early Voltage, 0 = off)', type: 'number', unit: 'V', min: 0 },
+            { name: 'thermalVoltage', label: 'Vt (Thermal Voltage)', type: 'number', unit: 'V', min: 0.01 }
+        ];
+    }
+
+    static get category() {
+        return 'active';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I, prevSolution) => solver.stampTransistor(c, G, I, prevSolution),
+            ac: (solver, c, Y) => solver.stampACTransistor(c, Y),
+            transient: (solver, c, G, I, prevSolution) => solver.stampTransistor(c, G, I, prevSolution)
+        };
+    }
+
+    static get nonlinear() {
+        return true;
+    }
+
+    renderBody() {
+        const pnp = this.properties.polarity === 'pnp';
+        // Emitter arrow: out of the base for NPN, into the base for PNP
+        const arrow = pnp
+            ? '<polygon points="1,10.6 6.7,17.3 9.9,11" fill="var(--component-stroke)"/>'
+            : '<polygon points="18.1,19.1 9.4,18.6 12.6,12.4" fill="var(--component-stroke)"/>';
+        return `
+            <!-- Base lead and bar -->
+            <line x1="-30" y1="0" x2="-6" y2="0" stroke="var(--component-stroke)" stroke-width="2"/>
+            <line class="component-body" x1="-6" y1="-14" x2="-6" y2="14" stroke-width="3"/>
+            <!-- Collector and emitter -->
+            <line x1="-6" y1="-7" x2="20" y2="-20" stroke="var(--component-stroke)" stroke-width="2"/>
+            <line x1="20" y1="-20" x2="20" y2="-30" stroke="var(--component-stroke)" stroke-width="2"/>
+            <line x1="-6" y1="7" x2="20" y2="20" stroke="var(--component-stroke)" stroke-width="2"/>
+            <line x1="20" y1="20" x2="20" y2="30" stroke="var(--component-stroke)" stroke-width="2"/>
+            ${arrow}
+            <circle cx="4" cy="0" r="22" fill="none" stroke="var(--component-stroke)" stroke-width="1.5"/>
+            <!-- Terminal labels -->
+            <text x="28" y="-24" font-size="9" fill="var(--component-text)" font-family="sans-serif">C</text>
+            <text x="-28" y="-5" font-size="9" fill="var(--component-text)" font-family="sans-serif">B</text>
+            <text x="28" y="30" font-size="9" fill="var(--component-text)" font-family="sans-serif">E</text>
+        `;
+    }
+
+    /**
+     * Re-render the whole symbol: the emitter arrow follows the polarity
+     */
+    updateElement() {
+        if (this.element && this.element.parentNode) {
+            const old = this.element;
+            old.parentNode.replaceChild(this.render(), old);
+        } else {
+            super.updateElement();
+        }
+    }
+
+    getValueString() {
+        return `${this.properties.polarity.toUpperCase()} β=${this.properties.betaF}`;
+    }
+
+    getLabel() {
+        return 'Q';
+    }
+
+    // ─── BJT model computation (used by solvers) ─────────────────────
+
+    /**
+     * Junction current and conductance, with GMIN in parallel
+     * @param {number} v - Junction voltage (NPN sense)
+     * @returns {{ i: number, g: number }}
+     */
+    junction(v) {
+        const Is = this.properties.saturationCurrent;
+        const Vt = this.properties.thermalVoltage;
+        const vMax = MAX_EXP_ARG * Vt;
+
+        const expVal = Math.exp(Math.min(v, vMax) / Vt);
+        let i = Is * (expVal - 1);
+        const g = (Is / Vt) * expVal;
+        if (v > vMax) i += g * (v - vMax);
+
+        return { i: i + GMIN * v, g: g + GMIN };
+    }
+
+    /**
+     * Limit the change of a junction voltage between NR iterations
+     * (same scheme as Diode.limitVoltage)
+     * @param {number} vNew - New junction voltage
+     * @param {number} vOld - Junction voltage used in the previous iteration
+     * @returns {number} Limited voltage
+     */
+    limitVoltage(vNew, vOld) {
+        const Vt = this.properties.thermalVoltage;
+        const Vcrit = Vt * Math.log(Vt / (Math.SQRT2 * this.properties.saturationCurrent));
+
+        if (vNew > Vcrit && Math.abs(vNew - vOld) > 2 * Vt) {
+            if (vOld > 0) {
+                const arg = 1 + (vNew - vOld) / Vt;
+                return arg > 0 ? vOld + Vt * Math.log(arg) : Vcrit;
+            }
+            return Vt * Math.log(vNew / Vt);
+        }
+        return vNew;
+    }
+
+    /**
+     * Linearized model at the given terminal voltages.
+     *
+     * @param {number[]} v - Terminal voltages [V_C, V_B, V_E]
+     * @param {{vbe: number, vbc: number}|null} previous - Junction voltages of the
+     *        previous NR iteration (enables step limiting), or null
+     * @returns {{ currents: number[], conductances: number[][], voltages: number[],
+     *             limited: {vbe: number, vbc: number} }}
+     *   currents[k]: current into terminal k; conductances[k][j]: ∂currents[k]/∂v[j];
+     *   voltages: terminal voltages the model was linearized at (differs from v
+     *   when a junction step was limited)
+     */
+    computeModel(v, previous = null) {
+        const p = this.properties.polarity === 'pnp' ? -1 : 1;
+        const [vc, vb, ve] = v;
+
+        let vbe = p * (vb - ve);
+        let vbc = p * (vb - vc);
+        if (previous) {
+            vbe = this.limitVoltage(vbe, previous.vbe);
+            vbc = this.limitVoltage(vbc, previous.vbc);
+        }
+
+        const { betaF, betaR, earlyVoltage } = this.properties;
+        const f = this.junction(vbe);
+        const r = this.junction(vbc);
+
+        // Early effect on the transport current
+        const q = earlyVoltage > 0 ? 1 - vbc / earlyVoltage : 1;
+        const dqdvbc = earlyVoltage > 0 ? -1 / earlyVoltage : 0;
+
+        const ic = (f.i - r.i) * q - r.i / betaR;
+        const ib = f.i / betaF + r.i / betaR;
+
+        // Partial derivatives with respect to V_BE and V_BC
+        const dic = { be: f.g * q, bc: -r.g * q + (f.i - r.i) * dqdvbc - r.g / betaR };
+        const dib = { be: f.g / betaF, bc: r.g / betaR };
+
+        // Chain rule to terminal voltages (the polarity sign cancels):
+        //   ∂/∂V_C = -∂/∂V_BC,  ∂/∂V_B = ∂/∂V_BE + ∂/∂V_BC,  ∂/∂V_E = -∂/∂V_BE
+        const row = (d) => [-d.bc, d.be + d.bc, -d.be];
+        const rowC = row(dic);
+        const rowB = row(dib);
+        const rowE = rowC.map((g, j) => -(g + rowB[j]));
+
+        return {
+            currents: [p * ic, p * ib, -p * (ic + ib)],
+            conductances: [rowC, rowB, rowE],
+            voltages: [ve + p * (vbe - vbc), ve + p * vbe, ve],
+            limited: { vbe, vbc }
+        };
+    }
+
+    /**
+     * Operating point summary for the DC results
+     * @param {number[]} v - Terminal voltages [V_C, V_B, V_E]
+     * @returns {{ region: string, ic: number, ib: number, vbe: number, vce: number }}
+     */
+    getOperatingPoint(v) {
+        const p = this.properties.polarity === 'pnp' ? -1 : 1;
+        const [vc, vb, ve] = v;
+        const { currents } = this.computeModel(v);
+
+        // A junction counts as on once it conducts 1 µA
+        const Vt = this.properties.thermalVoltage;
+        const vOn = Vt * Math.log(1 + 1e-6 / this.properties.saturationCurrent);
+        const beOn = p * (vb - ve) > vOn;
+        const bcOn = p * (vb - vc) > vOn;
+        const region = beOn ? (bcOn ? 'saturation' : 'active') : (bcOn ? 'reverse active' : 'cutoff');
+
+        return { region, ic: currents[0], ib: currents[1], vbe: vb - ve, vce: vc - ve };
+    }
+
+    /**
+     * MNA stamp — not used directly (solver does NR stamping).
+     */
+    getStamp(nodeMap, frequency = 0) {
+        return { G: [], z: [] };
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            rotation: this.rotation,
+            properties: { ...this.properties }
+        };
+    }
+
+    deserialize(data) {
+        this.id = data.id;
+        this.x = data.x;
+        this.y = data.y;
+        this.rotation = data.rotation;
+        this.properties = { ...BJT.getDefaultProperties(), ...data.properties };
+    }
+
+    getBounds() {
+        return {
+            x: this.x - 35,
+            y: this.y - 35,
+            width: 70,
+            height: 70
+        };
+    }
+}
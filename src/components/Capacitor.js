@@ -6,7 +6,9 @@
  * Impedance: Z = 1/(jωC)
  */
 
-import { Component, Terminal, formatValue } from '../core/Component.js';
+import {
+    Component, Terminal, formatValue, withTolerance, TOLERANCE_DEFAULTS, TOLERANCE_PROPERTY_DEFINITIONS
+} from '../core/Component.js';
 
 export class Capacitor extends Component {
     constructor(x = 0, y = 0) {
@@ -20,7 +22,8 @@ export class Capacitor extends Component {
 
         // Default capacitance: 1µF
         this.properties = {
-            capacitance: 1e-6
+            capacitance: 1e-6,
+            ...TOLERANCE_DEFAULTS
         };
 
         // State for transient analysis
@@ -48,15 +51,30 @@ export class Capacitor extends Component {
     }
 
     static getDefaultProperties() {
-        return { capacitance: 1e-6 };
+        return { capacitance: 1e-6, ...TOLERANCE_DEFAULTS };
     }
 
     static getPropertyDefinitions() {
         return [
-            { name: 'capacitance', label: 'Capacitance', type: 'number', unit: 'F', min: 1e-15 }
+            { name: 'capacitance', label: 'Capacitance', type: 'number', unit: 'F', min: 1e-15 },
+            ...TOLERANCE_PROPERTY_DEFINITIONS
         ];
     }
 
+    static get category() {
+        return 'passive';
+    }
+
+    static get stamps() {
+        return {
+            // DC: open circuit, no stamp
+            ac: (solver, c, Y, I, omega) => solver.stampACCapacitor(c, Y, omega),
+            transient: (solver, c, G, I) => solver.stampCapacitor(c, G, I),
+            initState: (solver, c) => solver.initCapacitorState(c),
+            updateState: (solver, c, solution) => solver.updateCapacitorState(c, solution)
+        };
+    }
+
     renderBody() {
         return `
             <!-- Leads -->
@@ -69,7 +87,7 @@ export class Capacitor extends Component {
     }
 
     getValueString() {
-        return formatValue(this.properties.capacitance, 'F');
+        return withTolerance(formatValue(this.properties.capacitance, 'F'), this.properties);
     }
 
     /**
@@ -0,0 +1,145 @@
+/**
+ * CurrentSource.js - Current source component
+ *
+ * An ideal current source that forces a constant current (DC)
+ * or sinusoidal current (AC) through its branch, regardless of
+ * the voltage across it.
+ *
+ * Current flows from the `in` terminal through the source and
+ * leaves at the `out` terminal (the arrow head):
+ *   MNA: I[out] += I, I[in] -= I
+ */
+
+import { Component, Terminal, formatValue } from '../core/Component.js';
+
+export class CurrentSource extends Component {
+    constructor(x = 0, y = 0) {
+        super('current_source', x, y);
+
+        // Two terminals: out (top, arrow head) and in (bottom)
+        this.terminals = [
+            new Terminal(this, 'out', 0, -30),
+            new Terminal(this, 'in', 0, 30)
+        ];
+
+        // Default: 1mA DC
+        this.properties = {
+            current: 0.001,
+            type: 'dc',        // 'dc' or 'ac'
+            frequency: 50,     // Hz (for AC)
+            phase: 0           // degrees (for AC)
+        };
+    }
+
+    static get displayName() {
+        return 'Current Source';
+    }
+
+    static get icon() {
+        return `
+            <circle cx="16" cy="12" r="8" fill="none" stroke="currentColor" stroke-width="2"/>
+            <line x1="16" y1="17" x2="16" y2="8" stroke="currentColor" stroke-width="2"/>
+            <polyline points="13,10 16,7 19,10" fill="none" stroke="currentColor" stroke-width="2"/>
+        `;
+    }
+
+    static get shortcut() {
+        return 'I';
+    }
+
+    static getDefaultProperties() {
+        return { current: 0.001, type: 'dc', frequency: 50, phase: 0 };
+    }
+
+    static getPropertyDefinitions() {
+        return [
+            { name: 'current', label: 'Current', type: 'number', unit: 'A' },
+            { name: 'type', label: 'Type', type: 'select', options: ['dc', 'ac'] },
+            { name: 'frequency', label: 'Frequency', type: 'number', unit: 'Hz', condition: 'type === "ac"' },
+            { name: 'phase', label: 'Phase', type: 'number', unit: '°', condition: 'type === "ac"' }
+        ];
+    }
+
+    static get category() {
+        return 'sources';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampCurrentSource(c, I),
+            ac: (solver, c, Y, I) => solver.stampACCurrentSource(c, I),
+            transient: (solver, c, G, I) => solver.stampCurrentSource(c, I)
+        };
+    }
+
+    renderBody() {
+        const isAC = this.properties.type === 'ac';
+
+        return `
+            <!-- Leads -->
+            <line x1="0" y1="-30" x2="0" y2="-15" stroke="var(--component-stroke)" stroke-width="2"/>
+            <line x1="0" y1="15" x2="0" y2="30" stroke="var(--component-stroke)" stroke-width="2"/>
+            <!-- Circle -->
+            <circle class="component-body" cx="0" cy="0" r="15"/>
+            <!-- Arrow (direction of current) -->
+            <line x1="0" y1="9" x2="0" y2="-8" stroke="var(--component-stroke)" stroke-width="2"/>
+            <polyline points="-4,-4 0,-9 4,-4" fill="none" stroke="var(--component-stroke)" stroke-width="2"/>
+            ${isAC ? `
+                <!-- AC marker -->
+                <path d="M5 6 Q7 3, 9 6 Q11 9, 13 6" fill="none" stroke="var(--component-stroke)" stroke-width="1.2"/>
+            ` : ''}
+        `;
+    }
+
+    getValueString() {
+        const i = formatValue(this.properties.current, 'A');
+        return this.properties.type === 'ac'
+            ? `${i} ${this.properties.frequency}Hz`
+            : i;
+    }
+
+    getLabel() {
+        return this.properties.type === 'ac' ? 'IAC' : 'IDC';
+    }
+
+    /**
+     * Get MNA stamp for current source
+     * A current source only contributes to the right-hand side vector
+     */
+    getStamp(nodeMap, frequency = 0) {
+        const nOut = nodeMap.get(this.terminals[0].id);
+        const nIn = nodeMap.get(this.terminals[1].id);
+        const I = this.properties.current;
+
+        const zStamps = [];
+        if (nOut !== 0) zStamps.push({ row: nOut, value: I });
+        if (nIn !== 0) zStamps.push({ row: nIn, value: -I });
+
+        return { G: [], z: zStamps };
+    }
+
+    /**
+     * Get instantaneous current at time t (for transient analysis)
+     * @param {number} t - Time in seconds
+     * @returns {number} Current
+     */
+    getCurrentAt(t) {
+        if (this.properties.type === 'dc') {
+            return this.properties.current;
+        } else {
+            // AC: I(t) = Im * sin(2πft + φ)
+            const omega = 2 * Math.PI * this.properties.frequency;
+            const phi = (this.properties.phase || 0) * Math.PI / 180;
+            return this.properties.current * Math.sin(omega * t + phi);
+        }
+    }
+
+    getBounds() {
+        return {
+            x: this.x - 20,
+            y: this.y - 35,
+            width: 40,
+            height: 70
+        };
+    }
+}
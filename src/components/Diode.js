@@ -9,6 +9,20 @@
  *   n  = emission coefficient (default 1.0)
  *   Vt = thermal voltage ≈ kT/q ≈ 25.85 mV at 300K
  * 
+ * Variants:
+ *   zener — adds reverse breakdown (SPICE BV, IBV):
+ *             I_D -= IBV * exp(-(V_D + BV) / Vt)
+ *           so the diode conducts IBV in reverse at V_D = -BV
+ *   led   — Is is set by the colour so the forward voltage is the colour's
+ *           Vf at 20 mA; the symbol glows in proportion to the current
+ * 
+ * Stored charge (optional, transient and small-signal AC):
+ *   Q = TT * I_D + Q_j(V_D)
+ *   C_j = CJ0 / (1 - V_D/VJ)^M   (depletion capacitance, linearly continued
+ *                                 above FC*VJ as in SPICE)
+ *   TT (transit time) stores charge in proportion to the forward current;
+ *   removing it at turn-off causes the reverse recovery current.
+ * 
  * Terminals:
  *   anode (+) ──▷|── cathode (-)
  * 
@@ -18,11 +32,49 @@
  *   During Newton-Raphson iteration the diode is linearized as:
  *     G_D = (Is / (n*Vt)) * exp(V_D / (n*Vt))   (companion conductance)
  *     I_eq = I_D - G_D * V_D                      (companion current source)
- *   Stamp G_D into conductance matrix, I_eq into RHS.
+ *   Stamp G_D into conductance matrix, I_eq into RHS. The step of V_D
+ *   between iterations is limited (limitVoltage) on the forward and, for a
+ *   Zener, the breakdown side.
  */
 
 import { Component, Terminal, formatValue } from '../core/Component.js';
 
+// LED forward voltage at LED_REFERENCE_CURRENT and glow colour
+export const LED_COLORS = {
+    red: { forwardVoltage: 1.8, glow: '#ff3b30' },
+    orange: { forwardVoltage: 2.0, glow: '#ff9500' },
+    yellow: { forwardVoltage: 2.1, glow: '#ffd60a' },
+    green: { forwardVoltage: 2.2, glow: '#30d158' },
+    blue: { forwardVoltage: 3.1, glow: '#0a84ff' },
+    white: { forwardVoltage: 3.2, glow: '#f5f5f7' },
+    infrared: { forwardVoltage: 1.2, glow: '#8e1b1b' }
+};
+
+// Rated LED current: Vf is specified here, and the glow is full at this current
+const LED_REFERENCE_CURRENT = 20e-3;
+
+// Forward-bias depletion capacitance coefficient (SPICE FC)
+const FC = 0.5;
+
+/**
+ * SPICE pnjlim: limit the step of a junction voltage in the exponential region
+ * @param {number} vNew - New junction voltage
+ * @param {number} vOld - Junction voltage of the previous iteration
+ * @param {number} vt - n·Vt of the junction
+ * @param {number} vcrit - Voltage above which the step is limited
+ * @returns {number} Limited voltage
+ */
+function limitJunction(vNew, vOld, vt, vcrit) {
+    if (vNew > vcrit && Math.abs(vNew - vOld) > 2 * vt) {
+        if (vOld > 0) {
+            const arg = 1 + (vNew - vOld) / vt;
+            return arg > 0 ? vOld + vt * Math.log(arg) : vcrit;
+        }
+        return vt * Math.log(vNew / vt);
+    }
+    return vNew;
+}
+
 export class Diode extends Component {
     constructor(x = 0, y = 0) {
         super('diode', x, y);
@@ -33,11 +85,10 @@ export class Diode extends Component {
             new Terminal(this, 'cathode', 30, 0)
         ];
 
-        this.properties = {
-            saturationCurrent: 1e-14,   // Is (A)
-            emissionCoefficient: 1.0,   // n
-            thermalVoltage: 0.02585     // Vt (V) at ~300K
-        };
+        this.properties = Diode.getDefaultProperties();
+
+        // Last simulated forward current (LED glow), not saved with the circuit
+        this.current = 0;
     }
 
     static get displayName() {
@@ -59,22 +110,70 @@ export class Diode extends Component {
 
     static getDefaultProperties() {
         return {
-            saturationCurrent: 1e-14,
-            emissionCoefficient: 1.0,
-            thermalVoltage: 0.02585
+            variant: 'standard',        // standard | zener | led
+            saturationCurrent: 1e-14,   // Is (A)
+            emissionCoefficient: 1.0,   // n
+            thermalVoltage: 0.02585,    // Vt (V) at ~300K
+            breakdownVoltage: 5.1,      // BV (V), zener
+            breakdownCurrent: 1e-3,     // IBV (A) at V_D = -BV, zener
+            color: 'red',               // LED colour (sets Vf)
+            junctionCapacitance: 0,     // CJ0 (F), 0 = none
+            junctionPotential: 1.0,     // VJ (V)
+            gradingCoefficient: 0.5,    // M
+            transitTime: 0              // TT (s), 0 = no stored charge
         };
     }
 
     static getPropertyDefinitions() {
         return [
-            { name: 'saturationCurrent', label: 'Is (Sat. Current)', type: 'number', unit: 'A', min: 1e-18 },
+            { name: 'variant', label: 'Type', type: 'select', options: ['standard', 'zener', 'led'] },
+            { name: 'color', label: 'Colour', type: 'select', options: Object.keys(LED_COLORS), condition: 'variant === "led"' },
+            { name: 'saturationCurrent', label: 'Is (Sat. Current)', type: 'number', unit: 'A', min: 1e-18, condition: 'variant !== "led"' },
             { name: 'emissionCoefficient', label: 'n (Emission Coeff)', type: 'number', unit: '', min: 0.5, max: 3.0 },
-            { name: 'thermalVoltage', label: 'Vt (Thermal Voltage)', type: 'number', unit: 'V', min: 0.01 }
+            { name: 'thermalVoltage', label: 'Vt (Thermal Voltage)', type: 'number', unit: 'V', min: 0.01 },
+            { name: 'breakdownVoltage', label: 'BV (Breakdown Voltage)', type: 'number', unit: 'V', min: 0.1, condition: 'variant === "zener"' },
+            { name: 'breakdownCurrent', label: 'IBV (Current at BV)', type: 'number', unit: 'A', min: 1e-12, condition: 'variant === "zener"' },
+            { name: 'junctionCapacitance', label: 'CJ0 (Junction Cap.)', type: 'number', unit: 'F', min: 0 },
+            { name: 'junctionPotential', label: 'VJ (Junction Potential)', type: 'number', unit: 'V', min: 0.1, condition: 'junctionCapacitance > 0' },
+            { name: 'gradingCoefficient', label: 'M (Grading Coeff)', type: 'number', unit: '', min: 0.1, max: 0.9, condition: 'junctionCapacitance > 0' },
+            { name: 'transitTime', label: 'TT (Transit Time)', type: 'number', unit: 's', min: 0 }
         ];
     }
 
+    static get category() {
+        return 'active';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I, prevSolution) => solver.stampDiode(c, G, I, prevSolution),
+            ac: (solver, c, Y, I, omega) => solver.stampACDiode(c, Y, omega),
+            transient: (solver, c, G, I, prevSolution) => solver.stampDiode(c, G, I, prevSolution),
+            initState: (solver, c) => solver.initDiodeState(c),
+            updateState: (solver, c, solution) => solver.updateDiodeState(c, solution)
+        };
+    }
+
+    static get nonlinear() {
+        return true;
+    }
+
     renderBody() {
+        const { variant } = this.properties;
+        // Zener: bent cathode bar; LED: glow behind the body and emission arrows
+        const bar = variant === 'zener'
+            ? '<polyline points="6,-13 10,-10 10,10 14,13" fill="none" stroke="var(--component-stroke)" stroke-width="2.5"/>'
+            : '<line x1="10" y1="-10" x2="10" y2="10" stroke="var(--component-stroke)" stroke-width="2.5"/>';
+        const glow = variant === 'led'
+            ? `<circle class="led-glow" cx="0" cy="0" r="18" fill="${this.getLedColor().glow}" opacity="${this.getGlowOpacity()}"/>`
+            : '';
+        const arrows = variant === 'led' ? `
+            <line x1="2" y1="-12" x2="10" y2="-20" stroke="var(--component-stroke)" stroke-width="1.5"/>
+            <polygon points="10,-20 5,-18 8,-15" fill="var(--component-stroke)"/>
+            <line x1="8" y1="-8" x2="16" y2="-16" stroke="var(--component-stroke)" stroke-width="1.5"/>
+            <polygon points="16,-16 11,-14 14,-11" fill="var(--component-stroke)"/>` : '';
         return `
+            ${glow}
             <!-- Leads -->
             <line x1="-30" y1="0" x2="-10" y2="0" stroke="var(--component-stroke)" stroke-width="2"/>
             <line x1="10" y1="0" x2="30" y2="0" stroke="var(--component-stroke)" stroke-width="2"/>
@@ -83,23 +182,77 @@ export class Diode extends Component {
                      points="-10,-10 -10,10 10,0" 
                      stroke-width="2"/>
             <!-- Bar (cathode side) -->
-            <line x1="10" y1="-10" x2="10" y2="10" stroke="var(--component-stroke)" stroke-width="2.5"/>
+            ${bar}${arrows}
             <!-- Polarity labels -->
             <text x="-22" y="-10" text-anchor="middle" font-size="9" fill="var(--component-text)" font-family="sans-serif">+</text>
             <text x="22" y="-10" text-anchor="middle" font-size="9" fill="var(--component-text)" font-family="sans-serif">−</text>
         `;
     }
 
+    /**
+     * Re-render the whole symbol: the variant changes the bar, arrows and glow
+     */
+    updateElement() {
+        if (this.element && this.element.parentNode) {
+            const old = this.element;
+            old.parentNode.replaceChild(this.render(), old);
+        } else {
+            super.updateElement();
+        }
+    }
+
     getValueString() {
-        return 'Diode';
+        switch (this.properties.variant) {
+            case 'zener':
+                return `Zener ${formatValue(this.properties.breakdownVoltage, 'V')}`;
+            case 'led':
+                return `LED ${this.properties.color} ${formatValue(this.getLedColor().forwardVoltage, 'V')}`;
+            default:
+                return 'Diode';
+        }
     }
 
     getLabel() {
         return 'D';
     }
 
+    // ─── LED glow ────────────────────────────────────────────────────
+
+    getLedColor() {
+        return LED_COLORS[this.properties.color] || LED_COLORS.red;
+    }
+
+    /**
+     * Glow opacity: proportional to the forward current, full at the rated 20 mA
+     */
+    getGlowOpacity() {
+        return 0.85 * Math.min(1, Math.max(0, this.current) / LED_REFERENCE_CURRENT);
+    }
+
+    /**
+     * Set the simulated forward current (DC result or transient average) and
+     * update the LED glow without re-rendering
+     * @param {number} current - Anode → cathode current (A)
+     */
+    setCurrent(current) {
+        this.current = current;
+        const glow = this.element?.querySelector('.led-glow');
+        if (glow) glow.setAttribute('opacity', this.getGlowOpacity());
+    }
+
     // ─── Diode model computation (used by solvers) ───────────────────
 
+    /**
+     * Effective saturation current: an LED's is set by its colour so that
+     * I_D(Vf) = 20 mA
+     * @returns {number}
+     */
+    getSaturationCurrent() {
+        if (this.properties.variant !== 'led') return this.properties.saturationCurrent;
+        const nVt = this.properties.emissionCoefficient * this.properties.thermalVoltage;
+        return LED_REFERENCE_CURRENT / Math.expm1(this.getLedColor().forwardVoltage / nVt);
+    }
+
     /**
      * Compute the linearized diode model at operating point Vd.
      * Returns { Id, Gd, Ieq } for Newton-Raphson stamping.
@@ -108,29 +261,35 @@ export class Diode extends Component {
      * @returns {{ Id: number, Gd: number, Ieq: number }}
      */
     computeDiodeModel(Vd) {
-        const Is = this.properties.saturationCurrent;
+        const Is = this.getSaturationCurrent();
         const n = this.properties.emissionCoefficient;
         const Vt = this.properties.thermalVoltage;
         const nVt = n * Vt;
 
-        // --- Voltage limiting (prevent exponential overflow) ---
-        // Critical voltage for limiting
-        const Vcrit = nVt * Math.log(nVt / (Math.SQRT2 * Is));
-
-        // Limit Vd to prevent overflow (cap exponent argument at ~40)
-        const maxArg = 40;
+        // Limit Vd to prevent overflow (cap exponent argument at ~40, or where
+        // the current reaches 1 A for the tiny saturation current of an LED)
+        const maxArg = Math.max(40, Math.log(1 / Is));
         const VdLimited = Math.min(Vd, maxArg * nVt);
 
         // --- Safe exponential ---
         const expVal = Math.exp(VdLimited / nVt);
 
         // Diode current: I_D = Is * (exp(Vd / nVt) - 1)
-        const Id = Is * (expVal - 1);
+        let Id = Is * (expVal - 1);
 
         // Companion conductance: G_D = dI/dV = (Is / nVt) * exp(Vd / nVt)
         // Enforce minimum conductance for numerical stability
         const Gmin = Is / nVt;  // conductance at Vd=0
-        const Gd = Math.max((Is / nVt) * expVal, Gmin);
+        let Gd = Math.max((Is / nVt) * expVal, Gmin);
+
+        // Reverse breakdown: I_BV = IBV * exp(-(Vd + BV) / Vt), same exponent cap
+        if (this.properties.variant === 'zener') {
+            const { breakdownVoltage: BV, breakdownCurrent: IBV } = this.properties;
+            const bvArg = Math.min(-(Vd + BV) / Vt, Math.max(40, Math.log(1 / IBV)));
+            const expBv = Math.exp(bvArg);
+            Id -= IBV * expBv;
+            Gd += (IBV / Vt) * expBv;
+        }
 
         // Equivalent current source: I_eq = I_D - G_D * Vd
         const Ieq = Id - Gd * Vd;
@@ -138,9 +297,58 @@ export class Diode extends Component {
         return { Id, Gd, Ieq };
     }
 
+    /**
+     * Whether the diode stores charge (junction capacitance or transit time)
+     * @returns {boolean}
+     */
+    hasCharge() {
+        return (this.properties.junctionCapacitance || 0) > 0 || (this.properties.transitTime || 0) > 0;
+    }
+
+    /**
+     * Stored charge and its capacitance at operating point Vd:
+     *   Q = TT·I_D + Q_j,   C = dQ/dV_D = TT·G_D + C_j
+     * 
+     * @param {number} Vd - Voltage across diode (anode - cathode)
+     * @returns {{ Q: number, C: number }}
+     */
+    computeDiodeCharge(Vd) {
+        const {
+            junctionCapacitance: CJ0 = 0,
+            junctionPotential: VJ = 1.0,
+            gradingCoefficient: M = 0.5,
+            transitTime: TT = 0
+        } = this.properties;
+
+        // Diffusion charge of the forward current
+        const { Id, Gd } = this.computeDiodeModel(Vd);
+        let Q = TT * Id;
+        let C = TT * Gd;
+
+        // Depletion charge; above FC·VJ the capacitance continues linearly
+        if (CJ0 > 0) {
+            const Vfc = FC * VJ;
+            if (Vd < Vfc) {
+                const arg = 1 - Vd / VJ;
+                Q += CJ0 * VJ / (1 - M) * (1 - Math.pow(arg, 1 - M));
+                C += CJ0 / Math.pow(arg, M);
+            } else {
+                const F1 = VJ / (1 - M) * (1 - Math.pow(1 - FC, 1 - M));
+                const F2 = Math.pow(1 - FC, 1 + M);
+                const F3 = 1 - FC * (1 + M);
+                Q += CJ0 * (F1 + (F3 * (Vd - Vfc) + M / (2 * VJ) * (Vd * Vd - Vfc * Vfc)) / F2);
+                C += CJ0 / F2 * (F3 + M * Vd / VJ);
+            }
+        }
+
+        return { Q, C };
+    }
+
     /**
      * Apply voltage limiting between iterations to improve NR convergence.
-     * Limits the change in Vd between iterations.
+     * Limits the change in Vd between iterations in the exponential region of
+     * the forward junction and, for a Zener, of the breakdown (mirrored
+     * about -BV).
      * 
      * @param {number} VdNew - New voltage estimate
      * @param {number} VdOld - Previous iteration voltage
@@ -150,23 +358,20 @@ export class Diode extends Component {
         const n = this.properties.emissionCoefficient;
         const Vt = this.properties.thermalVoltage;
         const nVt = n * Vt;
-        const Vcrit = nVt * Math.log(nVt / (Math.SQRT2 * this.properties.saturationCurrent));
-
-        if (VdNew > Vcrit && Math.abs(VdNew - VdOld) > 2 * nVt) {
-            // In the exponential region, limit step size
-            if (VdOld > 0) {
-                const arg = (VdNew - VdOld) / nVt;
-                if (arg > 0) {
-                    // Limit positive changes
-                    return VdOld + nVt * (2 + Math.log(arg) - 1);
-                }
-                return VdOld + nVt * 2;
-            }
-            return nVt * Math.log(VdNew / nVt);
+        const Vcrit = nVt * Math.log(nVt / (Math.SQRT2 * this.getSaturationCurrent()));
+
+        let Vd = limitJunction(VdNew, VdOld, nVt, Vcrit);
+
+        if (this.properties.variant === 'zener') {
+            const { breakdownVoltage: BV, breakdownCurrent: IBV } = this.properties;
+            const VcritBv = Vt * Math.log(Vt / (Math.SQRT2 * IBV));
+            const Vr = -(Vd + BV);
+            const VrLimited = limitJunction(Vr, -(VdOld + BV), Vt, VcritBv);
+            if (VrLimited !== Vr) Vd = -BV - VrLimited;
         }
 
         // For reverse bias or small-signal region, allow full update
-        return VdNew;
+        return Vd;
     }
 
     /**
@@ -44,6 +44,10 @@ export class Ground extends Component {
         return [];
     }
 
+    static get category() {
+        return 'sources';
+    }
+
     renderBody() {
         return `
             <!-- Vertical line -->
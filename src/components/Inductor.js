@@ -6,7 +6,9 @@
  * Impedance: Z = jωL
  */
 
-import { Component, Terminal, formatValue } from '../core/Component.js';
+import {
+    Component, Terminal, formatValue, withTolerance, TOLERANCE_DEFAULTS, TOLERANCE_PROPERTY_DEFINITIONS
+} from '../core/Component.js';
 
 export class Inductor extends Component {
     constructor(x = 0, y = 0) {
@@ -20,7 +22,8 @@ export class Inductor extends Component {
 
         // Default inductance: 1mH
         this.properties = {
-            inductance: 1e-3
+            inductance: 1e-3,
+            ...TOLERANCE_DEFAULTS
         };
 
         // State for transient analysis
@@ -47,15 +50,31 @@ export class Inductor extends Component {
     }
 
     static getDefaultProperties() {
-        return { inductance: 1e-3 };
+        return { inductance: 1e-3, ...TOLERANCE_DEFAULTS };
     }
 
     static getPropertyDefinitions() {
         return [
-            { name: 'inductance', label: 'Inductance', type: 'number', unit: 'H', min: 1e-12 }
+            { name: 'inductance', label: 'Inductance', type: 'number', unit: 'H', min: 1e-12 },
+            ...TOLERANCE_PROPERTY_DEFINITIONS
         ];
     }
 
+    static get category() {
+        return 'passive';
+    }
+
+    static get stamps() {
+        return {
+            // DC: short circuit (very low resistance)
+            dc: (solver, c, G) => solver.stampInductor(c, G),
+            ac: (solver, c, Y, I, omega) => solver.stampACInductor(c, Y, omega),
+            transient: (solver, c, G, I) => solver.stampInductor(c, G, I),
+            initState: (solver, c) => solver.initInductorState(c),
+            updateState: (solver, c, solution) => solver.updateInductorState(c, solution)
+        };
+    }
+
     renderBody() {
         return `
             <!-- Leads -->
@@ -69,7 +88,7 @@ export class Inductor extends Component {
     }
 
     getValueString() {
-        return formatValue(this.properties.inductance, 'H');
+        return withTolerance(formatValue(this.properties.inductance, 'H'), this.properties);
     }
 
     /**
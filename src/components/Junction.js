@@ -41,6 +41,10 @@ export class Junction extends Component {
         return [];
     }
 
+    static get category() {
+        return 'passive';
+    }
+
     renderBody() {
         return `
             <!-- Junction dot -->
@@ -68,6 +68,18 @@ export class LVDT extends Component {
         ];
     }
 
+    static get category() {
+        return 'sensors';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampLinear(c, G, I),
+            ac: (solver, c, Y, I, omega) => solver.stampACLinear(c, Y, I, omega),
+            transient: (solver, c, G, I) => solver.stampLinear(c, G, I)
+        };
+    }
+
     updateEnvironment(dt, excitationVoltage) {
         this.environment.maxDisplacement = this.properties.maxDisplacement;
 
@@ -94,13 +106,20 @@ export class LVDT extends Component {
     get sensorType() { return 'displacement'; }
 
     /**
-     * MNA stamp: excitation as high-impedance load, output as dependent voltage source.
-     * For simplicity, output modelled as conductance to ground with an injected current
-     * to produce the desired output voltage.
+     * Output voltage per volt of excitation at the present core position
+     */
+    getOutputGain() {
+        return this.properties.sensitivity * this.sensorState.displacement;
+    }
+
+    /**
+     * MNA stamp: excitation as high-impedance load, output as a voltage source
+     * proportional to the excitation voltage (so an AC excitation gives an AC
+     * output whose phase flips with the core direction).
+     * @param {Map<string, number>} nodeMap - Terminal id → matrix row + 1 (0 = ground)
      */
     getStamp(nodeMap, frequency = 0) {
         const stamps = [];
-        const zStamps = [];
 
         // Excitation input — high impedance load
         const ni1 = nodeMap.get(this.terminals[0].id);
@@ -115,24 +134,27 @@ export class LVDT extends Component {
             if (ni1 !== 0) stamps.push({ row: ni2, col: ni1, value: -Gin });
         }
 
-        // Output — model as conductance + current source to create desired voltage
+        // Output — Norton equivalent of a source gain × (V_exc+ − V_exc−) behind
+        // 1kΩ: output conductance plus a current controlled by the excitation
         const no1 = nodeMap.get(this.terminals[2].id);
         const no2 = nodeMap.get(this.terminals[3].id);
         const Gout = 1 / 1000; // 1kΩ output impedance
-        const Iout = this.sensorState.outputVoltage * Gout; // I = V × G
+        const gm = this.getOutputGain() * Gout;
 
         if (no1 !== 0) {
             stamps.push({ row: no1, col: no1, value: Gout });
             if (no2 !== 0) stamps.push({ row: no1, col: no2, value: -Gout });
-            zStamps.push({ row: no1, value: Iout });
+            if (ni1 !== 0) stamps.push({ row: no1, col: ni1, value: -gm });
+            if (ni2 !== 0) stamps.push({ row: no1, col: ni2, value: gm });
         }
         if (no2 !== 0) {
             stamps.push({ row: no2, col: no2, value: Gout });
             if (no1 !== 0) stamps.push({ row: no2, col: no1, value: -Gout });
-            zStamps.push({ row: no2, value: -Iout });
+            if (ni1 !== 0) stamps.push({ row: no2, col: ni1, value: gm });
+            if (ni2 !== 0) stamps.push({ row: no2, col: ni2, value: -gm });
         }
 
-        return { G: stamps, z: zStamps };
+        return { G: stamps, z: [] };
     }
 
     renderBody() {
@@ -74,6 +74,20 @@ export class Load extends Component {
         ];
     }
 
+    static get category() {
+        return 'active';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G) => solver.stampLoad(c, G),
+            ac: (solver, c, Y, I, omega) => solver.stampACLoad(c, Y, omega),
+            transient: (solver, c, G, I) => solver.stampLoad(c, G, I),
+            initState: (solver, c) => solver.initLoadState(c),
+            updateState: (solver, c, solution) => solver.updateLoadState(c, solution)
+        };
+    }
+
     /**
      * Compute the R and XL values from load percentage.
      * Returns { R, XL, Z, I2, k } or null if open circuit.
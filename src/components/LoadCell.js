@@ -87,6 +87,18 @@ export class LoadCell extends Component {
         ];
     }
 
+    static get category() {
+        return 'sensors';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampLinear(c, G, I),
+            ac: (solver, c, Y, I, omega) => solver.stampACLinear(c, Y, I, omega),
+            transient: (solver, c, G, I) => solver.stampLinear(c, G, I)
+        };
+    }
+
     updateEnvironment(dt, excitationVoltage) {
         this.environment.maxForce = this.properties.ratedCapacity;
 
@@ -121,9 +133,20 @@ export class LoadCell extends Component {
     get isSensor() { return true; }
     get sensorType() { return 'mechanical'; }
 
+    /**
+     * Amplified bridge output voltage per volt of excitation at the present load
+     */
+    getOutputGain() {
+        return this.properties.sensitivity * this.sensorState.loadRatio * this.properties.amplifierGain;
+    }
+
+    /**
+     * MNA stamp: excitation as high-impedance load, output as the amplified bridge
+     * voltage for the actual excitation voltage.
+     * @param {Map<string, number>} nodeMap - Terminal id → matrix row + 1 (0 = ground)
+     */
     getStamp(nodeMap, frequency = 0) {
         const stamps = [];
-        const zStamps = [];
 
         // Excitation — high impedance
         const ni1 = nodeMap.get(this.terminals[0].id);
@@ -138,24 +161,27 @@ export class LoadCell extends Component {
             if (ni1 !== 0) stamps.push({ row: ni2, col: ni1, value: -Gin });
         }
 
-        // Output — conductance + current source
+        // Output — Norton equivalent of a source gain × (V_exc+ − V_exc−) behind
+        // 1kΩ: output conductance plus a current controlled by the excitation
         const no1 = nodeMap.get(this.terminals[2].id);
         const no2 = nodeMap.get(this.terminals[3].id);
-        const Gout = 1 / 1000;
-        const Iout = this.sensorState.outputVoltage * Gout;
+        const Gout = 1 / 1000; // 1kΩ output impedance
+        const gm = this.getOutputGain() * Gout;
 
         if (no1 !== 0) {
             stamps.push({ row: no1, col: no1, value: Gout });
             if (no2 !== 0) stamps.push({ row: no1, col: no2, value: -Gout });
-            zStamps.push({ row: no1, value: Iout });
+            if (ni1 !== 0) stamps.push({ row: no1, col: ni1, value: -gm });
+            if (ni2 !== 0) stamps.push({ row: no1, col: ni2, value: gm });
         }
         if (no2 !== 0) {
             stamps.push({ row: no2, col: no2, value: Gout });
             if (no1 !== 0) stamps.push({ row: no2, col: no1, value: -Gout });
-            zStamps.push({ row: no2, value: -Iout });
+            if (ni1 !== 0) stamps.push({ row: no2, col: ni1, value: gm });
+            if (ni2 !== 0) stamps.push({ row: no2, col: ni2, value: -gm });
         }
 
-        return { G: stamps, z: zStamps };
+        return { G: stamps, z: [] };
     }
 
     renderBody() {
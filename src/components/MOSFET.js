@@ -0,0 +1,276 @@
+/**
+ * MOSFET.js - Enhancement MOSFET (n-channel / p-channel)
+ *
+ * Square-law (Shichman-Hodges) model with channel-length modulation:
+ *   V_ov = V_GS - Vth
+ *   cutoff     (V_ov ≤ 0):          I_D = 0
+ *   triode     (V_DS < V_ov):       I_D = K * (V_ov*V_DS - V_DS²/2) * (1 + λV_DS)
+ *   saturation (V_DS ≥ V_ov):       I_D = K/2 * V_ov² * (1 + λV_DS)
+ * with K = µCox·W/L. The device is symmetric: for V_DS < 0 drain and source
+ * swap roles. A p-channel device uses the mirrored voltages (V_SG, V_SD,
+ * with Vth given as a positive magnitude) and the drain current changes sign.
+ *
+ * Terminals: drain, gate, source (body tied to source). The gate draws no
+ * current.
+ *
+ * Integration:
+ *   As for the BJT, the solvers linearize the model at each Newton-Raphson
+ *   iteration (computeModel). V_GS steps are limited between iterations so
+ *   the device cannot jump from off to fully on in one step; AC analysis
+ *   uses gm and gds at the DC operating point.
+ */
+
+import { Component, Terminal } from '../core/Component.js';
+
+// Drain-source conductance that keeps an off device from leaving nodes floating
+const GMIN = 1e-12;
+
+export class MOSFET extends Component {
+    constructor(x = 0, y = 0) {
+        super('mosfet', x, y);
+
+        this.terminals = [
+            new Terminal(this, 'drain', 20, -30),
+            new Terminal(this, 'gate', -30, 0),
+            new Terminal(this, 'source', 20, 30)
+        ];
+
+        this.properties = MOSFET.getDefaultProperties();
+    }
+
+    static get displayName() {
+        return 'MOSFET';
+    }
+
+    static get icon() {
+        return `
+            <line x1="2" y1="20" x2="10" y2="20" stroke="currentColor" stroke-width="2"/>
+            <line x1="10" y1="8" x2="10" y2="20" stroke="currentColor" stroke-width="2"/>
+            <line x1="14" y1="6" x2="14" y2="26" stroke="currentColor" stroke-width="2"/>
+            <polyline points="14,10 24,10 24,2" fill="none" stroke="currentColor" stroke-width="2"/>
+            <polyline points="14,22 24,22 24,30" fill="none" stroke="currentColor" stroke-width="2"/>
+        `;
+    }
+
+    static get shortcut() {
+        return 'F';
+    }
+
+    static getDefaultProperties() {
+        return {
+            polarity: 'nmos',
+            thresholdVoltage: 1.0,      // |Vth| (V)
+            transconductance: 2e-3,     // K = µCox·W/L (A/V²)
+            lambda: 0.02                // channel-length modulation (1/V)
+        };
+    }
+
+    static getPropertyDefinitions() {
+        return [
+            { name: 'polarity', label: 'Type', type: 'select', options: ['nmos', 'pmos'] },
+            { name: 'thresholdVoltage', label: '|Vth| (Threshold)', type: 'number', unit: 'V', min: 0 },
+            { name: 'transconductance', label: 'K (µCox·W/L)', type: 'number', unit: 'A/V²', min: 1e-9 },
+            { name: 'lambda', label: 'λ (Channel-Length Mod.)', type: 'number', unit: '1/V', min: 0 }
+        ];
+    }
+
+    static get category() {
+        return 'active';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I, prevSolution) => solver.stampTransistor(c, G, I, prevSolution),
+            ac: (solver, c, Y) => solver.stampACTransistor(c, Y),
+            transient: (solver, c, G, I, prevSolution) => solver.stampTransistor(c, G, I, prevSolution)
+        };
+    }
+
+    static get nonlinear() {
+        return true;
+    }
+
+    renderBody() {
+        const pmos = this.properties.polarity === 'pmos';
+        // Channel arrow: into the channel for n-channel, out of it for p-channel
+        const arrow = pmos
+            ? '<polygon points="16,0 8,-4 8,4" fill="var(--component-stroke)"/>'
+            : '<polygon points="-2,0 6,-4 6,4" fill="var(--component-stroke)"/>';
+        return `
+            <!-- Gate lead and plate -->
+            <line x1="-30" y1="0" x2="-12" y2="0" stroke="var(--component-stroke)" stroke-width="2"/>
+            <line class="component-body" x1="-12" y1="-14" x2="-12" y2="14" stroke-width="2"/>
+            <!-- Channel segments (enhancement mode) -->
+            <line x1="-4" y1="-16" x2="-4" y2="-8" stroke="var(--component-stroke)" stroke-width="3"/>
+            <line x1="-4" y1="-4" x2="-4" y2="4" stroke="var(--component-stroke)" stroke-width="3"/>
+            <line x1="-4" y1="8" x2="-4" y2="16" stroke="var(--component-stroke)" stroke-width="3"/>
+            <!-- Drain, body and source connections -->
+            <polyline points="-4,-12 20,-12 20,-30" fill="none" stroke="var(--component-stroke)" stroke-width="2"/>
+            <polyline points="-4,0 20,0 20,12" fill="none" stroke="var(--component-stroke)" stroke-width="2"/>
+            <polyline points="-4,12 20,12 20,30" fill="none" stroke="var(--component-stroke)" stroke-width="2"/>
+            ${arrow}
+            <!-- Terminal labels -->
+            <text x="28" y="-24" font-size="9" fill="var(--component-text)" font-family="sans-serif">D</text>
+            <text x="-28" y="-5" font-size="9" fill="var(--component-text)" font-family="sans-serif">G</text>
+            <text x="28" y="30" font-size="9" fill="var(--component-text)" font-family="sans-serif">S</text>
+        `;
+    }
+
+    /**
+     * Re-render the whole symbol: the channel arrow follows the polarity
+     */
+    updateElement() {
+        if (this.element && this.element.parentNode) {
+            const old = this.element;
+            old.parentNode.replaceChild(this.render(), old);
+        } else {
+            super.updateElement();
+        }
+    }
+
+    getValueString() {
+        return `${this.properties.polarity.toUpperCase()} Vth=${this.properties.thresholdVoltage}V`;
+    }
+
+    getLabel() {
+        return 'M';
+    }
+
+    // ─── MOSFET model computation (used by solvers) ──────────────────
+
+    /**
+     * Drain current and its derivatives for V_DS ≥ 0 (n-channel sense)
+     * @returns {{ id: number, gm: number, gds: number, region: string }}
+     */
+    forwardModel(vgs, vds) {
+        const { thresholdVoltage: Vth, transconductance: K, lambda } = this.properties;
+        const vov = vgs - Vth;
+        const clm = 1 + lambda * vds;
+
+        if (vov <= 0) {
+            return { id: 0, gm: 0, gds: 0, region: 'cutoff' };
+        }
+        if (vds < vov) {
+            const core = vov * vds - vds * vds / 2;
+            return {
+                id: K * core * clm,
+                gm: K * vds * clm,
+                gds: K * (vov - vds) * clm + K * core * lambda,
+                region: 'triode'
+            };
+        }
+        return {
+            id: K / 2 * vov * vov * clm,
+            gm: K * vov * clm,
+            gds: K / 2 * vov * vov * lambda,
+            region: 'saturation'
+        };
+    }
+
+    /**
+     * Limit the change of V_GS between NR iterations: the allowed step grows
+     * with the distance from threshold
+     * @param {number} vNew - New gate-source voltage
+     * @param {number} vOld - Gate-source voltage used in the previous iteration
+     * @returns {number} Limited voltage
+     */
+    limitVoltage(vNew, vOld) {
+        const maxStep = 2 * Math.abs(vOld - this.properties.thresholdVoltage) + 2;
+        const step = vNew - vOld;
+        return Math.abs(step) > maxStep ? vOld + Math.sign(step) * maxStep : vNew;
+    }
+
+    /**
+     * Linearized model at the given terminal voltages.
+     *
+     * @param {number[]} v - Terminal voltages [V_D, V_G, V_S]
+     * @param {{vgs: number}|null} previous - V_GS of the previous NR iteration
+     *        (enables step limiting), or null
+     * @returns {{ currents: number[], conductances: number[][], voltages: number[],
+     *             limited: {vgs: number}, region: string }}
+     *   Same conventions as BJT.computeModel()
+     */
+    computeModel(v, previous = null) {
+        const p = this.properties.polarity === 'pmos' ? -1 : 1;
+        const [vd, vg, vs] = v;
+
+        let vgs = p * (vg - vs);
+        const vds = p * (vd - vs);
+        if (previous) {
+            vgs = this.limitVoltage(vgs, previous.vgs);
+        }
+
+        // Derivatives of the drain current with respect to V_GS and V_DS
+        let id, gm, gds, region;
+        if (vds >= 0) {
+            ({ id, gm, gds, region } = this.forwardModel(vgs, vds));
+        } else {
+            // Source and drain swap: V_GS' = V_GD, V_DS' = -V_DS, I_D = -I_D'
+            const rev = this.forwardModel(vgs - vds, -vds);
+            id = -rev.id;
+            gm = -rev.gm;
+            gds = rev.gm + rev.gds;
+            region = rev.region;
+        }
+        id += GMIN * vds;
+        gds += GMIN;
+
+        // Chain rule to terminal voltages (the polarity sign cancels):
+        //   ∂/∂V_D = ∂/∂V_DS,  ∂/∂V_G = ∂/∂V_GS,  ∂/∂V_S = -(∂/∂V_GS + ∂/∂V_DS)
+        const rowD = [gds, gm, -(gm + gds)];
+
+        return {
+            currents: [p * id, 0, -p * id],
+            conductances: [rowD, [0, 0, 0], rowD.map(g => -g)],
+            voltages: [vs + p * vds, vs + p * vgs, vs],
+            limited: { vgs },
+            region
+        };
+    }
+
+    /**
+     * Operating point summary for the DC results
+     * @param {number[]} v - Terminal voltages [V_D, V_G, V_S]
+     * @returns {{ region: string, id: number, vgs: number, vds: number }}
+     */
+    getOperatingPoint(v) {
+        const [vd, vg, vs] = v;
+        const { currents, region } = this.computeModel(v);
+        return { region, id: currents[0], vgs: vg - vs, vds: vd - vs };
+    }
+
+    /**
+     * MNA stamp — not used directly (solver does NR stamping).
+     */
+    getStamp(nodeMap, frequency = 0) {
+        return { G: [], z: [] };
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            rotation: this.rotation,
+            properties: { ...this.properties }
+        };
+    }
+
+    deserialize(data) {
+        this.id = data.id;
+        this.x = data.x;
+        this.y = data.y;
+        this.rotation = data.rotation;
+        this.properties = { ...MOSFET.getDefaultProperties(), ...data.properties };
+    }
+
+    getBounds() {
+        return {
+            x: this.x - 35,
+            y: this.y - 35,
+            width: 70,
+            height: 70
+        };
+    }
+}
@@ -77,6 +77,19 @@ export class OpAmp extends Component {
         ];
     }
 
+    static get category() {
+        return 'active';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampOpAmp(c, G, I),
+            ac: (solver, c, Y, I, omega) => solver.stampACOpAmp(c, Y, I, omega),
+            transient: (solver, c, G, I) => solver.stampOpAmp(c, G, I),
+            updateState: (solver, c, solution) => solver.updateOpAmpState(c, solution)
+        };
+    }
+
     renderBody() {
         return `
             <!-- Input Leads -->
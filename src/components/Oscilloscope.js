@@ -1,42 +1,172 @@
 /**
- * Oscilloscope.js - Passive 2-channel waveform observer
+ * Oscilloscope.js - Passive multi-channel waveform observer (up to 4 channels)
  * 
- * A 4-terminal component that measures differential voltages:
- *   CH1: V(CH1+) - V(CH1-)
- *   CH2: V(CH2+) - V(CH2-)
+ * Each channel is a terminal pair that measures a differential voltage
+ * (or, in Current mode, the current flowing through the pair):
+ *   CHn: V(CHn+) - V(CHn-)
+ * 
+ * Terminal layout:
+ *   CH1+ on top, CH1- on bottom (vertical, like a voltmeter)
+ *   CH2+ on left, CH2- on right (horizontal)
+ *   CH3 / CH4 top and bottom, either side of CH1 (shown when Channels >= 3 / 4)
+ * 
+ * A math channel derives one more trace from the measured channels
+ * (A+B, A−B, A×B, ∫A, dA/dt) or switches the display to the FFT of A.
  * 
  * IMPORTANT: This component does NOT modify the MNA matrix.
  * It is a pure observer — it only reads simulation results post-solve.
  */
 
-import { Component, Terminal } from '../core/Component.js';
+import { Component, Terminal, formatValue } from '../core/Component.js';
+
+/**
+ * 1-2-5 knob steps between min and max (inclusive)
+ */
+function knobSteps(min, max) {
+    const steps = [];
+    for (let exp = Math.floor(Math.log10(min)); ; exp++) {
+        for (const mantissa of [1, 2, 5]) {
+            const value = parseFloat((mantissa * Math.pow(10, exp)).toPrecision(3));
+            if (value > max) return steps;
+            if (value >= min) steps.push(value);
+        }
+    }
+}
+
+const TIME_PER_DIV_OPTIONS = [
+    { value: 0, label: 'Auto' },
+    ...knobSteps(1e-6, 1).map(v => ({ value: v, label: `${formatValue(v, 's')}/div` }))
+];
+
+const SCALE_PER_DIV_OPTIONS = [
+    { value: 0, label: 'Auto' },
+    ...knobSteps(1e-3, 100).map(v => ({ value: v, label: `${formatValue(v)}/div` }))
+];
+
+export const MAX_SCOPE_CHANNELS = 4;
+
+// Terminal offsets and default trace colour of each channel
+const CHANNEL_LAYOUT = [
+    { pos: [0, -35], neg: [0, 35], color: '#22d3ee' },      // CH1 cyan
+    { pos: [-45, 0], neg: [45, 0], color: '#f59e0b' },      // CH2 amber
+    { pos: [-20, -35], neg: [-20, 35], color: '#a78bfa' },  // CH3 violet
+    { pos: [20, -35], neg: [20, 35], color: '#4ade80' }     // CH4 green
+];
+
+const COLOR_OPTIONS = [
+    { value: '#22d3ee', label: 'Cyan' },
+    { value: '#f59e0b', label: 'Amber' },
+    { value: '#a78bfa', label: 'Violet' },
+    { value: '#4ade80', label: 'Green' },
+    { value: '#f87171', label: 'Red' },
+    { value: '#f472b6', label: 'Pink' },
+    { value: '#facc15', label: 'Yellow' },
+    { value: '#e6edf3', label: 'White' }
+];
+
+const CHANNEL_COUNT_OPTIONS = [2, 3, 4].map(n => ({ value: n, label: `${n}` }));
+
+const TRIGGER_SOURCE_OPTIONS = [
+    { value: 'off', label: 'Off (free run)' },
+    ...CHANNEL_LAYOUT.map((_, i) => ({ value: `ch${i + 1}`, label: `CH${i + 1}` }))
+];
+
+const DISPLAY_MODE_OPTIONS = [
+    { value: 'YT', label: 'Y-T (vs time)' },
+    { value: 'XY', label: 'X-Y (CH1 → X, CH2 → Y)' }
+];
+
+const MATH_FUNCTION_OPTIONS = [
+    { value: 'off', label: 'Off' },
+    { value: 'add', label: 'A + B' },
+    { value: 'subtract', label: 'A − B' },
+    { value: 'multiply', label: 'A × B' },
+    { value: 'integrate', label: '∫A dt' },
+    { value: 'differentiate', label: 'dA/dt' },
+    { value: 'fft', label: 'FFT(A)' }
+];
+
+const MATH_SOURCE_OPTIONS = CHANNEL_LAYOUT.map((_, i) => ({ value: `ch${i + 1}`, label: `CH${i + 1}` }));
+
+const FFT_WINDOW_OPTIONS = [
+    { value: 'hann', label: 'Hann' },
+    { value: 'flattop', label: 'Flat top (accurate level)' },
+    { value: 'rectangular', label: 'Rectangular' }
+];
+
+const FFT_FREQ_PER_DIV_OPTIONS = [
+    { value: 0, label: 'Auto' },
+    ...knobSteps(1, 1e6).map(v => ({ value: v, label: `${formatValue(v, 'Hz')}/div` }))
+];
+
+const FFT_DB_PER_DIV_OPTIONS = [5, 10, 20].map(v => ({ value: v, label: `${v} dB/div` }));
+
+// Property-panel conditions for the math fields
+const MATH_ON = 'mathFunction !== "off"';
+const MATH_BINARY = 'mathFunction === "add" || mathFunction === "subtract" || mathFunction === "multiply"';
+const MATH_TIME = `${MATH_BINARY} || mathFunction === "integrate" || mathFunction === "differentiate"`;
+const MATH_FFT = 'mathFunction === "fft"';
+
+const DEFAULT_PROPERTIES = {
+    channelCount: 2,
+    displayMode: 'YT',
+    // Horizontal / trigger
+    timePerDiv: 0,
+    horizontalPosition: 0,
+    triggerSource: 'ch1',
+    triggerLevel: 0,
+    triggerSlope: 'Rising',
+    // Math channel
+    mathFunction: 'off',
+    mathSourceA: 'ch1',
+    mathSourceB: 'ch2',
+    mathColor: '#f87171',
+    mathScale: 0,
+    mathOffset: 0,
+    fftWindow: 'hann',
+    fftFreqPerDiv: 0,
+    fftDbPerDiv: 10
+};
+
+// Per-channel settings: chNEnabled, chNMode, chNLabel, chNColor, chNVoltsPerDiv, chNOffset, chNCoupling
+// (CH2 starts disabled as before; CH3/CH4 are on once the channel count includes them)
+CHANNEL_LAYOUT.forEach((layout, i) => {
+    const ch = `ch${i + 1}`;
+    Object.assign(DEFAULT_PROPERTIES, {
+        [`${ch}Enabled`]: i !== 1,
+        [`${ch}Mode`]: 'Voltage',
+        [`${ch}Label`]: `CH${i + 1}`,
+        [`${ch}Color`]: layout.color,
+        [`${ch}VoltsPerDiv`]: 0,
+        [`${ch}Offset`]: 0,
+        [`${ch}Coupling`]: 'DC'
+    });
+});
+
+/**
+ * Property-panel condition that shows a channel's fields only when it is in use
+ */
+function channelCondition(index) {
+    return index >= 2 ? `channelCount >= ${index + 1}` : undefined;
+}
 
 export class Oscilloscope extends Component {
     constructor(x = 0, y = 0) {
         super('oscilloscope', x, y);
 
-        // 4 terminals arranged clearly:
-        //   CH1+ on top, CH1- on bottom (vertical, like a voltmeter)
-        //   CH2+ on left, CH2- on right (horizontal)
-        this.terminals = [
-            new Terminal(this, 'ch1_pos', 0, -35),   // CH1+ top
-            new Terminal(this, 'ch1_neg', 0, 35),     // CH1- bottom
-            new Terminal(this, 'ch2_pos', -45, 0),    // CH2+ left
-            new Terminal(this, 'ch2_neg', 45, 0)      // CH2- right
-        ];
+        // Two terminals per channel: ch1_pos, ch1_neg, ch2_pos, ...
+        // All are always present so saved wires keep their terminal ids;
+        // unused channels are hidden (see updateTerminalVisibility)
+        this.terminals = [];
+        CHANNEL_LAYOUT.forEach((layout, i) => {
+            this.terminals.push(
+                new Terminal(this, `ch${i + 1}_pos`, ...layout.pos),
+                new Terminal(this, `ch${i + 1}_neg`, ...layout.neg)
+            );
+        });
 
-        this.properties = {
-            ch1Enabled: true,
-            ch2Enabled: false,
-            ch1Mode: 'Voltage',
-            ch2Mode: 'Voltage',
-            ch1Label: 'CH1',
-            ch2Label: 'CH2'
-        };
-
-        // Channel colors
-        this.ch1Color = '#22d3ee'; // cyan
-        this.ch2Color = '#f59e0b'; // amber
+        this.properties = { ...DEFAULT_PROPERTIES };
+        this.updateTerminalVisibility();
     }
 
     static get displayName() {
@@ -55,59 +185,204 @@ export class Oscilloscope extends Component {
     }
 
     static getDefaultProperties() {
-        return {
-            ch1Enabled: true,
-            ch2Enabled: false,
-            ch1Mode: 'Voltage',
-            ch2Mode: 'Voltage',
-            ch1Label: 'CH1',
-            ch2Label: 'CH2'
-        };
+        return { ...DEFAULT_PROPERTIES };
     }
 
     static getPropertyDefinitions() {
+        const channelFields = (index, fields) => fields.map(field => ({
+            ...field,
+            name: `ch${index + 1}${field.name}`,
+            label: field.label.replace('#', index + 1),
+            condition: channelCondition(index)
+        }));
+
         return [
-            { name: 'ch1Enabled', label: 'Channel 1', type: 'checkbox' },
-            { name: 'ch1Mode', label: 'CH1 Mode', type: 'select', options: ['Voltage', 'Current'] },
-            { name: 'ch2Enabled', label: 'Channel 2', type: 'checkbox' },
-            { name: 'ch2Mode', label: 'CH2 Mode', type: 'select', options: ['Voltage', 'Current'] },
-            { name: 'ch1Label', label: 'CH1 Label', type: 'text' },
-            { name: 'ch2Label', label: 'CH2 Label', type: 'text' }
+            { name: 'channelCount', label: 'Channels', type: 'select', options: CHANNEL_COUNT_OPTIONS },
+            ...CHANNEL_LAYOUT.flatMap((_, i) => channelFields(i, [
+                { name: 'Enabled', label: 'Channel #', type: 'checkbox' },
+                { name: 'Mode', label: 'CH# Mode', type: 'select', options: ['Voltage', 'Current'] },
+                { name: 'Label', label: 'CH# Label', type: 'text' },
+                { name: 'Color', label: 'CH# Colour', type: 'select', options: COLOR_OPTIONS }
+            ])),
+            { name: 'displayMode', label: 'Display', type: 'select', options: DISPLAY_MODE_OPTIONS },
+            { name: 'timePerDiv', label: 'Time/Div', type: 'select', options: TIME_PER_DIV_OPTIONS },
+            { name: 'horizontalPosition', label: 'H. Position', type: 'number', unit: 's', step: 0.0001 },
+            { name: 'triggerSource', label: 'Trigger Source', type: 'select', options: TRIGGER_SOURCE_OPTIONS },
+            { name: 'triggerLevel', label: 'Trigger Level', type: 'number', step: 0.1 },
+            { name: 'triggerSlope', label: 'Trigger Slope', type: 'select', options: ['Rising', 'Falling'] },
+            { name: 'mathFunction', label: 'Math', type: 'select', options: MATH_FUNCTION_OPTIONS },
+            { name: 'mathSourceA', label: 'Math Source A', type: 'select', options: MATH_SOURCE_OPTIONS, condition: MATH_ON },
+            { name: 'mathSourceB', label: 'Math Source B', type: 'select', options: MATH_SOURCE_OPTIONS, condition: MATH_BINARY },
+            { name: 'mathColor', label: 'Math Colour', type: 'select', options: COLOR_OPTIONS, condition: MATH_ON },
+            { name: 'mathScale', label: 'Math Scale', type: 'select', options: SCALE_PER_DIV_OPTIONS, condition: MATH_TIME },
+            { name: 'mathOffset', label: 'Math Offset', type: 'number', step: 0.1, condition: MATH_TIME },
+            { name: 'fftWindow', label: 'FFT Window', type: 'select', options: FFT_WINDOW_OPTIONS, condition: MATH_FFT },
+            { name: 'fftFreqPerDiv', label: 'FFT Freq/Div', type: 'select', options: FFT_FREQ_PER_DIV_OPTIONS, condition: MATH_FFT },
+            { name: 'fftDbPerDiv', label: 'FFT Scale', type: 'select', options: FFT_DB_PER_DIV_OPTIONS, condition: MATH_FFT },
+            ...CHANNEL_LAYOUT.flatMap((_, i) => channelFields(i, [
+                { name: 'VoltsPerDiv', label: 'CH# Scale', type: 'select', options: SCALE_PER_DIV_OPTIONS },
+                { name: 'Offset', label: 'CH# Offset', type: 'number', step: 0.1 },
+                { name: 'Coupling', label: 'CH# Coupling', type: 'select', options: ['DC', 'AC'] }
+            ]))
         ];
     }
 
+    static get category() {
+        return 'instruments';
+    }
+
+    static get stamps() {
+        return {
+            // Current-mode channels get their branch rows from the solvers' node list
+            dc: (solver, c, G, I) => solver.stampOscilloscope(c, G, I),
+            ac: (solver, c, Y) => solver.stampACOscilloscope(c, Y),
+            transient: (solver, c, G) => solver.stampOscilloscope(c, G)
+        };
+    }
+
+    /**
+     * Property value, falling back to the default for circuits saved
+     * before the front-panel controls existed
+     */
+    getSetting(name) {
+        const value = this.properties[name];
+        return value === undefined || value === '' ? DEFAULT_PROPERTIES[name] : value;
+    }
+
+    /**
+     * Horizontal and trigger settings for OscilloscopeChart.
+     * timePerDiv = 0 means auto (fit about two cycles, or the whole record).
+     * In XY mode the timebase/trigger select which part of the record is plotted,
+     * and for the FFT which part is analysed.
+     */
+    getDisplaySettings() {
+        return {
+            mode: this.getSetting('displayMode') === 'XY' ? 'xy' : 'yt',
+            timePerDiv: Number(this.getSetting('timePerDiv')) || 0,
+            position: Number(this.getSetting('horizontalPosition')) || 0,
+            trigger: {
+                source: this.getSetting('triggerSource'),
+                level: Number(this.getSetting('triggerLevel')) || 0,
+                slope: this.getSetting('triggerSlope') === 'Falling' ? 'falling' : 'rising'
+            },
+            math: {
+                scopeId: this.id,
+                operation: this.getSetting('mathFunction'),
+                sourceA: this.getSetting('mathSourceA'),
+                sourceB: this.getSetting('mathSourceB'),
+                color: this.getSetting('mathColor'),
+                voltsPerDiv: Number(this.getSetting('mathScale')) || 0,
+                offset: Number(this.getSetting('mathOffset')) || 0,
+                fft: {
+                    window: this.getSetting('fftWindow'),
+                    freqPerDiv: Number(this.getSetting('fftFreqPerDiv')) || 0,
+                    dbPerDiv: Number(this.getSetting('fftDbPerDiv')) || 10
+                }
+            }
+        };
+    }
+
+    /**
+     * Number of channels in use (2–4)
+     */
+    getChannelCount() {
+        const count = Math.round(Number(this.getSetting('channelCount')));
+        return Math.max(2, Math.min(MAX_SCOPE_CHANNELS, count || 2));
+    }
+
+    /**
+     * Hide the terminals of channels beyond the channel count.
+     * A terminal that still has a wire stays visible so the wire is never orphaned.
+     */
+    updateTerminalVisibility() {
+        const count = this.getChannelCount();
+        this.terminals.forEach((terminal, i) => {
+            terminal.hidden = Math.floor(i / 2) >= count && !terminal.isConnected();
+        });
+    }
+
     /**
      * Get channel configuration for data extraction.
      * Returns an array of enabled channels with their terminal pairs.
      */
     getChannelConfig() {
         const channels = [];
-        if (this.properties.ch1Enabled) {
+        for (let i = 0; i < this.getChannelCount(); i++) {
+            const ch = `ch${i + 1}`;
+            if (!this.getSetting(`${ch}Enabled`)) continue;
             channels.push({
-                id: 'ch1',
-                label: this.properties.ch1Label || 'CH1',
-                mode: this.properties.ch1Mode || 'Voltage',
-                posTerminal: this.terminals[0], // ch1_pos (top)
-                negTerminal: this.terminals[1], // ch1_neg (bottom)
-                color: this.ch1Color
-            });
-        }
-        if (this.properties.ch2Enabled) {
-            channels.push({
-                id: 'ch2',
-                label: this.properties.ch2Label || 'CH2',
-                mode: this.properties.ch2Mode || 'Voltage',
-                posTerminal: this.terminals[2], // ch2_pos (left)
-                negTerminal: this.terminals[3], // ch2_neg (right)
-                color: this.ch2Color
+                id: ch,
+                label: this.getSetting(`${ch}Label`) || `CH${i + 1}`,
+                mode: this.getSetting(`${ch}Mode`) || 'Voltage',
+                posTerminal: this.terminals[2 * i],
+                negTerminal: this.terminals[2 * i + 1],
+                voltsPerDiv: Number(this.getSetting(`${ch}VoltsPerDiv`)) || 0,
+                offset: Number(this.getSetting(`${ch}Offset`)) || 0,
+                coupling: this.getSetting(`${ch}Coupling`),
+                color: this.getChannelColor(i)
             });
         }
         return channels;
     }
 
+    /**
+     * Trace colour of channel index i (0-based)
+     */
+    getChannelColor(i) {
+        return this.getSetting(`ch${i + 1}Color`) || CHANNEL_LAYOUT[i].color;
+    }
+
+    render() {
+        this.updateTerminalVisibility();
+        return super.render();
+    }
+
+    /**
+     * Re-render the whole symbol: the channel count changes the terminals
+     */
+    updateElement() {
+        if (this.element && this.element.parentNode) {
+            const old = this.element;
+            old.parentNode.replaceChild(this.render(), old);
+        } else {
+            super.updateElement();
+        }
+    }
+
     renderBody() {
-        const ch1Active = this.properties.ch1Enabled;
-        const ch2Active = this.properties.ch2Enabled;
+        const count = this.getChannelCount();
+        const active = (i) => i < count && this.getSetting(`ch${i + 1}Enabled`);
+        const [c1, c2] = [0, 1].map(i => this.getChannelColor(i));
+
+        // Small waveform preview per active channel
+        const previews = [
+            'M-20 0 Q-14 -10, -8 0 Q-2 10, 4 0 Q10 -10, 16 0',
+            'M-20 2 Q-12 -6, -4 2 Q4 10, 12 2',
+            'M-20 -6 L-14 -6 L-14 4 L-6 4 L-6 -6 L2 -6 L2 4 L10 4 L10 -6 L18 -6',
+            'M-20 8 L-8 -8 L4 8 L16 -8'
+        ];
+        const previewSvg = previews.map((d, i) => active(i) ? `
+                <path d="${d}" fill="none" stroke="${this.getChannelColor(i)}" stroke-width="1.5" opacity="${i === 0 ? 0.9 : 0.7}"/>
+            ` : '').join('');
+
+        // Leads for CH3/CH4 (top and bottom, either side of CH1)
+        const extraLeads = [2, 3].filter(i => i < count).map(i => {
+            const x = CHANNEL_LAYOUT[i].pos[0];
+            const color = this.getChannelColor(i);
+            const labelX = x < 0 ? x - 10 : x + 3;
+            return `
+            <line x1="${x}" y1="-35" x2="${x}" y2="-22" stroke="${color}" stroke-width="1.5"/>
+            <text x="${labelX}" y="-30" font-size="7" fill="${color}" font-family="sans-serif" font-weight="bold">${i + 1}+</text>
+            <line x1="${x}" y1="22" x2="${x}" y2="35" stroke="${color}" stroke-width="1.5"/>
+            <text x="${labelX}" y="34" font-size="7" fill="${color}" font-family="sans-serif" font-weight="bold">${i + 1}−</text>`;
+        }).join('');
+
+        // With CH3/CH4 fitted the CH1 labels move clear of the extra leads
+        const ch1Labels = count > 2 ? `
+            <text x="3" y="-37" font-size="7" fill="${c1}" font-family="sans-serif" font-weight="bold">1+</text>
+            <text x="3" y="41" font-size="7" fill="${c1}" font-family="sans-serif" font-weight="bold">1−</text>` : `
+            <text x="10" y="-28" font-size="8" fill="${c1}" font-family="sans-serif" font-weight="bold">CH1+</text>
+            <text x="10" y="32" font-size="8" fill="${c1}" font-family="sans-serif" font-weight="bold">CH1−</text>`;
 
         return `
             <!-- Screen body -->
@@ -124,40 +399,27 @@ export class Oscilloscope extends Component {
             <line x1="11"  y1="-16" x2="11"  y2="16" stroke="rgba(88,166,255,0.15)" stroke-width="0.5"/>
             <line x1="-22" y1="0"   x2="22"  y2="0"  stroke="rgba(88,166,255,0.15)" stroke-width="0.5"/>
 
-            <!-- CH1 waveform preview (cyan) -->
-            ${ch1Active ? `
-                <path d="M-20 0 Q-14 -10, -8 0 Q-2 10, 4 0 Q10 -10, 16 0"
-                      fill="none" stroke="${this.ch1Color}" stroke-width="1.5" opacity="0.9"/>
-            ` : ''}
-
-            <!-- CH2 waveform preview (amber) -->
-            ${ch2Active ? `
-                <path d="M-20 2 Q-12 -6, -4 2 Q4 10, 12 2"
-                      fill="none" stroke="${this.ch2Color}" stroke-width="1.5" opacity="0.7"/>
-            ` : ''}
-
-            <!-- CH1+ lead (top) -->
-            <line x1="0" y1="-35" x2="0" y2="-22" stroke="${this.ch1Color}" stroke-width="1.5"/>
-            <text x="10" y="-28" font-size="8" fill="${this.ch1Color}" font-family="sans-serif" font-weight="bold">CH1+</text>
+            <!-- Waveform previews -->
+            ${previewSvg}
 
-            <!-- CH1- lead (bottom) -->
-            <line x1="0" y1="22" x2="0" y2="35" stroke="${this.ch1Color}" stroke-width="1.5"/>
-            <text x="10" y="32" font-size="8" fill="${this.ch1Color}" font-family="sans-serif" font-weight="bold">CH1−</text>
+            <!-- CH1 leads (top / bottom) -->
+            <line x1="0" y1="-35" x2="0" y2="-22" stroke="${c1}" stroke-width="1.5"/>
+            <line x1="0" y1="22" x2="0" y2="35" stroke="${c1}" stroke-width="1.5"/>
+            ${ch1Labels}
 
             <!-- CH2+ lead (left) -->
-            <line x1="-45" y1="0" x2="-28" y2="0" stroke="${this.ch2Color}" stroke-width="1.5"/>
-            <text x="-44" y="-6" font-size="7" fill="${this.ch2Color}" font-family="sans-serif" font-weight="bold">CH2+</text>
+            <line x1="-45" y1="0" x2="-28" y2="0" stroke="${c2}" stroke-width="1.5"/>
+            <text x="-44" y="-6" font-size="7" fill="${c2}" font-family="sans-serif" font-weight="bold">CH2+</text>
 
             <!-- CH2- lead (right) -->
-            <line x1="28" y1="0" x2="45" y2="0" stroke="${this.ch2Color}" stroke-width="1.5"/>
-            <text x="30" y="-6" font-size="7" fill="${this.ch2Color}" font-family="sans-serif" font-weight="bold">CH2−</text>
+            <line x1="28" y1="0" x2="45" y2="0" stroke="${c2}" stroke-width="1.5"/>
+            <text x="30" y="-6" font-size="7" fill="${c2}" font-family="sans-serif" font-weight="bold">CH2−</text>
+            ${extraLeads}
         `;
     }
 
     getValueString() {
-        const parts = [];
-        if (this.properties.ch1Enabled) parts.push(this.properties.ch1Label || 'CH1');
-        if (this.properties.ch2Enabled) parts.push(this.properties.ch2Label || 'CH2');
+        const parts = this.getChannelConfig().map(ch => ch.label);
         return parts.join(' | ') || 'Off';
     }
 
@@ -78,6 +78,18 @@ export class RTD extends Component {
         ];
     }
 
+    static get category() {
+        return 'sensors';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampLinear(c, G, I),
+            ac: (solver, c, Y, I, omega) => solver.stampACLinear(c, Y, I, omega),
+            transient: (solver, c, G, I) => solver.stampLinear(c, G, I)
+        };
+    }
+
     /** Called by continuous simulation loop */
     updateEnvironment(dt, heaterVoltage) {
         // Sync environment params in case user changed them
@@ -5,7 +5,9 @@
  * V = I * R (Ohm's Law)
  */
 
-import { Component, Terminal, formatValue } from '../core/Component.js';
+import {
+    Component, Terminal, formatValue, withTolerance, TOLERANCE_DEFAULTS, TOLERANCE_PROPERTY_DEFINITIONS
+} from '../core/Component.js';
 
 export class Resistor extends Component {
     constructor(x = 0, y = 0) {
@@ -19,7 +21,8 @@ export class Resistor extends Component {
 
         // Default resistance: 1kΩ
         this.properties = {
-            resistance: 1000
+            resistance: 1000,
+            ...TOLERANCE_DEFAULTS
         };
     }
 
@@ -40,15 +43,28 @@ export class Resistor extends Component {
     }
 
     static getDefaultProperties() {
-        return { resistance: 1000 };
+        return { resistance: 1000, ...TOLERANCE_DEFAULTS };
     }
 
     static getPropertyDefinitions() {
         return [
-            { name: 'resistance', label: 'Resistance', type: 'number', unit: 'Ω', min: 0.001 }
+            { name: 'resistance', label: 'Resistance', type: 'number', unit: 'Ω', min: 0.001 },
+            ...TOLERANCE_PROPERTY_DEFINITIONS
         ];
     }
 
+    static get category() {
+        return 'passive';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G) => solver.stampResistor(c, G),
+            ac: (solver, c, Y) => solver.stampACResistor(c, Y),
+            transient: (solver, c, G) => solver.stampResistor(c, G)
+        };
+    }
+
     renderBody() {
         return `
             <!-- Leads -->
@@ -62,7 +78,7 @@ export class Resistor extends Component {
     }
 
     getValueString() {
-        return formatValue(this.properties.resistance, 'Ω');
+        return withTolerance(formatValue(this.properties.resistance, 'Ω'), this.properties);
     }
 
     /**
@@ -77,6 +77,18 @@ export class Thermistor extends Component {
         ];
     }
 
+    static get category() {
+        return 'sensors';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampLinear(c, G, I),
+            ac: (solver, c, Y, I, omega) => solver.stampACLinear(c, Y, I, omega),
+            transient: (solver, c, G, I) => solver.stampLinear(c, G, I)
+        };
+    }
+
     /** Continuous simulation update */
     updateEnvironment(dt, heaterVoltage) {
         this.environment.ambientTemp = this.properties.ambientTemp;
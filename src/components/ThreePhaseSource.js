@@ -74,6 +74,18 @@ export class ThreePhaseSource extends Component {
         ];
     }
 
+    static get category() {
+        return 'sources';
+    }
+
+    static get stamps() {
+        return {
+            // DC: no stamp (AC-only source)
+            ac: (solver, c, Y, I) => solver.stampThreePhaseSource(c, Y, I),
+            transient: (solver, c, G, I) => solver.stampThreePhaseSource(c, G, I)
+        };
+    }
+
     renderBody() {
         return `
             <rect x="-30" y="-40" width="60" height="80" fill="none" class="component-body" stroke-opacity="0"/> 
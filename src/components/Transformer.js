@@ -90,6 +90,20 @@ export class Transformer extends Component {
         ];
     }
 
+    static get category() {
+        return 'active';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampTransformer(c, G, I),
+            ac: (solver, c, Y, I, omega) => solver.stampACTransformer(c, Y, I, omega),
+            transient: (solver, c, G, I) => solver.stampTransformer(c, G, I),
+            initState: (solver, c) => solver.initTransformerState(c),
+            updateState: (solver, c, solution) => solver.updateTransformerState(c, solution)
+        };
+    }
+
     renderBody() {
         const a = this.properties.turnsRatio;
         return `
@@ -3,9 +3,22 @@
  * 
  * An ideal voltage source that maintains a constant voltage (DC)
  * or sinusoidal voltage (AC) between its terminals.
+ *
+ * For transient analysis it can also produce:
+ *   pulse    - SPICE-style PULSE(V1 V2 delay rise fall width period)
+ *   square   - ±voltage square wave at `frequency`
+ *   triangle - ±voltage triangle wave at `frequency`
+ *   sawtooth - ±voltage rising ramp at `frequency`
+ *   pwl      - piecewise-linear table of "time value" pairs
  */
 
-import { Component, Terminal, formatValue } from '../core/Component.js';
+import { Component, Terminal, formatValue, parseValue } from '../core/Component.js';
+
+// Waveforms that repeat at `frequency` with `voltage` as the peak
+const PERIODIC_TYPES = ['ac', 'square', 'triangle', 'sawtooth'];
+
+// Periodic sources with more edges than this skip breakpoint reporting
+const MAX_BREAKPOINTS = 10000;
 
 export class VoltageSource extends Component {
     constructor(x = 0, y = 0) {
@@ -20,9 +33,17 @@ export class VoltageSource extends Component {
         // Default: 5V DC
         this.properties = {
             voltage: 5,
-            type: 'dc',        // 'dc' or 'ac'
-            frequency: 50,     // Hz (for AC)
-            phase: 0           // degrees (for AC)
+            type: 'dc',        // 'dc', 'ac', 'pulse', 'square', 'triangle', 'sawtooth', 'pwl'
+            frequency: 50,     // Hz (for AC / square / triangle / sawtooth)
+            phase: 0,          // degrees (for AC / square / triangle / sawtooth)
+            v1: 0,             // V (pulse initial level)
+            v2: 5,             // V (pulse level)
+            delay: 0,          // s (pulse)
+            riseTime: 1e-6,    // s (pulse)
+            fallTime: 1e-6,    // s (pulse)
+            pulseWidth: 5e-4,  // s (pulse)
+            period: 1e-3,      // s (pulse, 0 = single shot)
+            pwl: '0 0\n1m 5\n2m 5\n3m 0'  // one "time value" pair per line
         };
     }
 
@@ -44,20 +65,58 @@ export class VoltageSource extends Component {
     }
 
     static getDefaultProperties() {
-        return { voltage: 5, type: 'dc', frequency: 50, phase: 0 };
+        return {
+            voltage: 5, type: 'dc', frequency: 50, phase: 0,
+            v1: 0, v2: 5, delay: 0, riseTime: 1e-6, fallTime: 1e-6, pulseWidth: 5e-4, period: 1e-3,
+            pwl: '0 0\n1m 5\n2m 5\n3m 0'
+        };
     }
 
     static getPropertyDefinitions() {
+        const periodic = 'type === "ac" || type === "square" || type === "triangle" || type === "sawtooth"';
         return [
-            { name: 'voltage', label: 'Voltage', type: 'number', unit: 'V' },
-            { name: 'type', label: 'Type', type: 'select', options: ['dc', 'ac'] },
-            { name: 'frequency', label: 'Frequency', type: 'number', unit: 'Hz', condition: 'type === "ac"' },
-            { name: 'phase', label: 'Phase', type: 'number', unit: '°', condition: 'type === "ac"' }
+            { name: 'voltage', label: 'Voltage', type: 'number', unit: 'V', condition: `type === "dc" || ${periodic}` },
+            { name: 'type', label: 'Type', type: 'select', options: ['dc', 'ac', 'pulse', 'square', 'triangle', 'sawtooth', 'pwl'] },
+            { name: 'frequency', label: 'Frequency', type: 'number', unit: 'Hz', condition: periodic },
+            { name: 'phase', label: 'Phase', type: 'number', unit: '°', condition: periodic },
+            { name: 'v1', label: 'Initial (V1)', type: 'number', unit: 'V', condition: 'type === "pulse"' },
+            { name: 'v2', label: 'Pulsed (V2)', type: 'number', unit: 'V', condition: 'type === "pulse"' },
+            { name: 'delay', label: 'Delay', type: 'number', unit: 's', min: 0, condition: 'type === "pulse"' },
+            { name: 'riseTime', label: 'Rise Time', type: 'number', unit: 's', min: 0, condition: 'type === "pulse"' },
+            { name: 'fallTime', label: 'Fall Time', type: 'number', unit: 's', min: 0, condition: 'type === "pulse"' },
+            { name: 'pulseWidth', label: 'Width', type: 'number', unit: 's', min: 0, condition: 'type === "pulse"' },
+            { name: 'period', label: 'Period', type: 'number', unit: 's', min: 0, condition: 'type === "pulse"' },
+            { name: 'pwl', label: 'PWL (time value per line)', type: 'textarea', rows: 5, condition: 'type === "pwl"' }
         ];
     }
 
+    static get category() {
+        return 'sources';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampVoltageSource(c, G, I),
+            ac: (solver, c, Y, I) => solver.stampACVoltageSource(c, Y, I),
+            transient: (solver, c, G, I) => solver.stampVoltageSource(c, G, I)
+        };
+    }
+
+    static get hasBranchCurrent() {
+        return true;
+    }
+
     renderBody() {
-        const isAC = this.properties.type === 'ac';
+        // Waveform glyph drawn inside the circle
+        const glyphs = {
+            ac: 'M-8 0 Q-4 -6, 0 0 Q4 6, 8 0',
+            pulse: 'M-9 5 L-5 5 L-5 -5 L2 -5 L2 5 L9 5',
+            square: 'M-8 0 L-8 -5 L0 -5 L0 5 L8 5 L8 0',
+            triangle: 'M-8 0 L-4 -5 L4 5 L8 0',
+            sawtooth: 'M-8 5 L0 -5 L0 5 L8 -5',
+            pwl: 'M-9 5 L-4 -5 L3 -5 L9 3'
+        };
+        const glyph = glyphs[this.properties.type];
 
         return `
             <!-- Leads -->
@@ -65,9 +124,9 @@ export class VoltageSource extends Component {
             <line x1="0" y1="15" x2="0" y2="30" stroke="var(--component-stroke)" stroke-width="2"/>
             <!-- Circle -->
             <circle class="component-body" cx="0" cy="0" r="15"/>
-            ${isAC ? `
-                <!-- AC sine wave symbol -->
-                <path d="M-8 0 Q-4 -6, 0 0 Q4 6, 8 0" fill="none" stroke="var(--component-stroke)" stroke-width="1.5"/>
+            ${glyph ? `
+                <!-- Waveform symbol -->
+                <path d="${glyph}" fill="none" stroke="var(--component-stroke)" stroke-width="1.5"/>
             ` : `
                 <!-- DC +/- symbols -->
                 <line x1="-4" y1="-5" x2="4" y2="-5" stroke="var(--component-stroke)" stroke-width="2"/>
@@ -78,14 +137,25 @@ export class VoltageSource extends Component {
     }
 
     getValueString() {
-        const v = formatValue(this.properties.voltage, 'V');
-        return this.properties.type === 'ac'
-            ? `${v} ${this.properties.frequency}Hz`
-            : v;
+        const props = this.properties;
+        switch (props.type) {
+            case 'pulse':
+                return `${formatValue(props.v1 ?? 0, 'V')}→${formatValue(props.v2 ?? 5, 'V')}`;
+            case 'pwl':
+                return `PWL ${this.getPWLPoints().length} pts`;
+            case 'ac':
+            case 'square':
+            case 'triangle':
+            case 'sawtooth':
+                return `${formatValue(props.voltage, 'V')} ${props.frequency}Hz`;
+            default:
+                return formatValue(props.voltage, 'V');
+        }
     }
 
     getLabel() {
-        return this.properties.type === 'ac' ? 'VAC' : 'VDC';
+        const labels = { ac: 'VAC', pulse: 'VPULSE', square: 'VSQR', triangle: 'VTRI', sawtooth: 'VSAW', pwl: 'VPWL' };
+        return labels[this.properties.type] || 'VDC';
     }
 
     /**
@@ -120,16 +190,170 @@ export class VoltageSource extends Component {
      * @returns {number} Voltage
      */
     getVoltageAt(t) {
-        if (this.properties.type === 'dc') {
-            return this.properties.voltage;
-        } else {
-            // AC: V(t) = Vm * sin(2πft + φ)
-            const omega = 2 * Math.PI * this.properties.frequency;
-            const phi = this.properties.phase * Math.PI / 180;
-            return this.properties.voltage * Math.sin(omega * t + phi);
+        const props = this.properties;
+        const V = props.voltage;
+
+        switch (props.type) {
+            case 'ac': {
+                // AC: V(t) = Vm * sin(2πft + φ)
+                const omega = 2 * Math.PI * props.frequency;
+                const phi = (props.phase || 0) * Math.PI / 180;
+                return V * Math.sin(omega * t + phi);
+            }
+            case 'square': {
+                const x = this.getCyclePosition(t);
+                return x < 0.5 ? V : -V;
+            }
+            case 'triangle': {
+                // Starts at 0 rising, like the sine: peak at T/4, trough at 3T/4
+                const x = this.getCyclePosition(t);
+                if (x < 0.25) return 4 * V * x;
+                if (x < 0.75) return V * (2 - 4 * x);
+                return V * (4 * x - 4);
+            }
+            case 'sawtooth': {
+                // Rising ramp through 0 at the start of the cycle, drops at T/2
+                const x = this.getCyclePosition(t);
+                return x < 0.5 ? 2 * V * x : 2 * V * (x - 1);
+            }
+            case 'pulse':
+                return this.getPulseVoltageAt(t);
+            case 'pwl':
+                return this.getPWLVoltageAt(t);
+            default:
+                return V;
         }
     }
 
+    /**
+     * Fraction [0, 1) of the current cycle for the periodic waveforms
+     */
+    getCyclePosition(t) {
+        const f = this.properties.frequency || 50;
+        const x = t * f + (this.properties.phase || 0) / 360;
+        return x - Math.floor(x);
+    }
+
+    /**
+     * SPICE PULSE(V1 V2 TD TR TF PW PER) value at time t.
+     * A period of 0 produces a single pulse.
+     */
+    getPulseVoltageAt(t) {
+        const {
+            v1 = 0, v2 = 5, delay = 0, riseTime = 1e-6, fallTime = 1e-6,
+            pulseWidth = 5e-4, period = 1e-3
+        } = this.properties;
+
+        if (t < delay) return v1;
+
+        let tt = t - delay;
+        if (period > 0) tt -= Math.floor(tt / period) * period;
+
+        if (tt < riseTime) return v1 + (v2 - v1) * tt / riseTime;
+        tt -= riseTime;
+        if (tt < pulseWidth) return v2;
+        tt -= pulseWidth;
+        if (tt < fallTime) return v2 + (v1 - v2) * tt / fallTime;
+        return v1;
+    }
+
+    /**
+     * Parse the PWL table into sorted { t, v } points.
+     * Each line (or comma-separated entry) is "time value"; SI prefixes
+     * such as 1m or 10u are accepted. Unparseable entries are skipped.
+     * @returns {{ t: number, v: number }[]}
+     */
+    getPWLPoints() {
+        const text = String(this.properties.pwl ?? '');
+        if (this._pwlCache && this._pwlCache.text === text) {
+            return this._pwlCache.points;
+        }
+
+        const points = [];
+        for (const entry of text.split(/[\n,;]+/)) {
+            const fields = entry.trim().split(/\s+/);
+            if (fields.length < 2) continue;
+            const t = parseValue(fields[0]);
+            const v = parseValue(fields[1]);
+            if (isFinite(t) && isFinite(v)) points.push({ t, v });
+        }
+        points.sort((a, b) => a.t - b.t);
+
+        this._pwlCache = { text, points };
+        return points;
+    }
+
+    /**
+     * PWL value at time t: linear between points, held flat outside the table
+     */
+    getPWLVoltageAt(t) {
+        const points = this.getPWLPoints();
+        if (points.length === 0) return 0;
+        if (t <= points[0].t) return points[0].v;
+
+        for (let i = 1; i < points.length; i++) {
+            const b = points[i];
+            if (t <= b.t) {
+                const a = points[i - 1];
+                if (b.t === a.t) return b.v;
+                return a.v + (b.v - a.v) * (t - a.t) / (b.t - a.t);
+            }
+        }
+        return points[points.length - 1].v;
+    }
+
+    /**
+     * Waveform corners in (0, endTime) for the adaptive transient stepper
+     * @param {number} endTime - Simulation end time in seconds
+     * @returns {number[]}
+     */
+    getBreakpoints(endTime) {
+        const props = this.properties;
+
+        if (props.type === 'pwl') {
+            return this.getPWLPoints().map(p => p.t);
+        }
+
+        if (props.type === 'pulse') {
+            const {
+                delay = 0, riseTime = 1e-6, fallTime = 1e-6,
+                pulseWidth = 5e-4, period = 1e-3
+            } = props;
+            const corners = [0, riseTime, riseTime + pulseWidth, riseTime + pulseWidth + fallTime];
+            const cycles = period > 0 ? Math.ceil((endTime - delay) / period) : 1;
+            if (cycles * corners.length > MAX_BREAKPOINTS) return [];
+
+            const points = [];
+            for (let k = 0; k < cycles; k++) {
+                const start = delay + k * (period > 0 ? period : 0);
+                for (const c of corners) points.push(start + c);
+            }
+            return points;
+        }
+
+        // Fractions of the cycle where square / triangle / sawtooth have corners
+        const cornerFractions = { square: [0, 0.5], triangle: [0.25, 0.75], sawtooth: [0.5] }[props.type];
+        if (!cornerFractions) return [];
+
+        const f = props.frequency || 50;
+        const cycles = Math.ceil(endTime * f) + 1;
+        if (cycles * cornerFractions.length > MAX_BREAKPOINTS) return [];
+
+        const offset = (props.phase || 0) / 360;
+        const points = [];
+        for (let k = -1; k < cycles; k++) {
+            for (const c of cornerFractions) points.push((k + c - offset) / f);
+        }
+        return points;
+    }
+
+    /**
+     * True for waveforms that repeat at `frequency`
+     */
+    isPeriodic() {
+        return PERIODIC_TYPES.includes(this.properties.type);
+    }
+
     getBounds() {
         return {
             x: this.x - 20,
@@ -49,6 +49,18 @@ export class Voltmeter extends Component {
         ];
     }
 
+    static get category() {
+        return 'instruments';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G) => solver.stampVoltmeter(c, G),
+            ac: (solver, c, Y) => solver.stampACVoltmeter(c, Y),
+            transient: (solver, c, G) => solver.stampVoltmeter(c, G)
+        };
+    }
+
     renderBody() {
         return `
             <!-- Leads -->
@@ -76,6 +76,22 @@ export class Wattmeter extends Component {
         ];
     }
 
+    static get category() {
+        return 'instruments';
+    }
+
+    static get stamps() {
+        return {
+            dc: (solver, c, G, I) => solver.stampWattmeter(c, G, I),
+            ac: (solver, c, Y, I) => solver.stampACWattmeter(c, Y, I),
+            transient: (solver, c, G, I) => solver.stampWattmeter(c, G, I)
+        };
+    }
+
+    static get hasBranchCurrent() {
+        return true;
+    }
+
     renderBody() {
         return `
             <!-- Current coil leads (Top) -->
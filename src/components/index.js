@@ -1,17 +1,22 @@
 /**
- * Component Registry - Central place to register all components
- * 
+ * Component Registry - Registers the built-in components and toolbar categories
+ *
  * To add a new component:
- * 1. Create the component class file
- * 2. Import it here
- * 3. Add it to the COMPONENTS array
+ * 1. Create the component class file, declaring its toolbar `category` and
+ *    solver `stamps` (see Component.js)
+ * 2. Call registerComponent() with the class - here for built-in parts, or
+ *    from your own module for lab-specific parts (see registry.js)
  */
 
+import {
+    registerCategory, registerComponent, getComponentDefinition, getComponentDefinitions, getCategories
+} from './registry.js';
 import { Resistor } from './Resistor.js';
 import { Capacitor } from './Capacitor.js';
 import { Inductor } from './Inductor.js';
 import { Ground } from './Ground.js';
 import { VoltageSource } from './VoltageSource.js';
+import { CurrentSource } from './CurrentSource.js';
 import { Junction } from './Junction.js';
 import { Ammeter } from './Ammeter.js';
 import { Voltmeter } from './Voltmeter.js';
@@ -21,6 +26,8 @@ import { ThreePhaseSource } from './ThreePhaseSource.js';
 import { Load } from './Load.js';
 import { Oscilloscope } from './Oscilloscope.js';
 import { Diode } from './Diode.js';
+import { BJT } from './BJT.js';
+import { MOSFET } from './MOSFET.js';
 import { OpAmp } from './OpAmp.js';
 import { RTD } from './RTD.js';
 import { Thermistor } from './Thermistor.js';
@@ -28,39 +35,38 @@ import { LVDT } from './LVDT.js';
 import { StrainGauge } from './StrainGauge.js';
 import { LoadCell } from './LoadCell.js';
 
-/**
- * List of all available components
- * Order determines display order in toolbar
- */
-export const COMPONENTS = [
+registerCategory({ id: 'sources', label: 'Sources', icon: '⚡' });
+registerCategory({ id: 'passive', label: 'Passive', icon: '🔧' });
+registerCategory({ id: 'active', label: 'Active', icon: '🔌' });
+registerCategory({ id: 'instruments', label: 'Instruments', icon: '📊' });
+registerCategory({ id: 'sensors', label: 'Sensors', icon: '🌡️' });
+
+// Registration order is the display order within each toolbar category
+[
     VoltageSource,
+    CurrentSource,
+    ThreePhaseSource,
     Ground,
-    Junction,
     Resistor,
     Capacitor,
     Inductor,
+    Junction,
+    Diode,
+    BJT,
+    MOSFET,
+    OpAmp,
+    Transformer,
+    Load,
     Ammeter,
     Voltmeter,
-    Transformer,
     Wattmeter,
-    ThreePhaseSource,
-    Load,
     Oscilloscope,
-    Diode,
-    OpAmp,
     RTD,
     Thermistor,
     LVDT,
     StrainGauge,
     LoadCell
-];
-
-/**
- * Map of component type string to component class
- */
-export const COMPONENT_MAP = new Map(
-    COMPONENTS.map(C => [new C().type, C])
-);
+].forEach(registerComponent);
 
 /**
  * Get component class by type string
@@ -68,7 +74,7 @@ export const COMPONENT_MAP = new Map(
  * @returns {typeof Component}
  */
 export function getComponentClass(type) {
-    return COMPONENT_MAP.get(type);
+    return getComponentDefinition(type)?.componentClass;
 }
 
 /**
@@ -79,7 +85,7 @@ export function getComponentClass(type) {
  * @returns {Component|null}
  */
 export function createComponent(type, x = 0, y = 0) {
-    const ComponentClass = COMPONENT_MAP.get(type);
+    const ComponentClass = getComponentClass(type);
     if (!ComponentClass) {
         console.warn(`Unknown component type: ${type}`);
         return null;
@@ -88,11 +94,11 @@ export function createComponent(type, x = 0, y = 0) {
 }
 
 /**
- * Get all component classes
+ * Get all registered component classes, in registration order
  * @returns {Array}
  */
 export function getAllComponents() {
-    return COMPONENTS;
+    return getComponentDefinitions().map(d => d.componentClass);
 }
 
 /**
@@ -102,8 +108,12 @@ export function getAllComponents() {
  */
 export function getComponentByShortcut(key) {
     const upperKey = key.toUpperCase();
-    return COMPONENTS.find(C => C.shortcut === upperKey) || null;
+    return getAllComponents().find(C => C.shortcut === upperKey) || null;
 }
 
+export {
+    registerCategory, registerComponent, getComponentDefinition, getComponentDefinitions, getCategories
+};
+
 // Re-export component classes for convenience
-export { Resistor, Capacitor, Inductor, Ground, VoltageSource, Junction, Ammeter, Voltmeter, Transformer, Wattmeter, ThreePhaseSource, Load, Oscilloscope, Diode, OpAmp, RTD, Thermistor, LVDT, StrainGauge, LoadCell };
+export { Resistor, Capacitor, Inductor, Ground, VoltageSource, CurrentSource, Junction, Ammeter, Voltmeter, Transformer, Wattmeter, ThreePhaseSource, Load, Oscilloscope, Diode, BJT, MOSFET, OpAmp, RTD, Thermistor, LVDT, StrainGauge, LoadCell };
@@ -0,0 +1,88 @@
+/**
+ * registry.js - Component and toolbar category registration
+ *
+ * A component class declares everything the app needs to know about it:
+ * its type string (passed to the Component constructor), toolbar category,
+ * solver stamps (static `stamps`), whether it needs an MNA branch current
+ * (static `hasBranchCurrent`), whether it needs Newton-Raphson iteration (static
+ * `nonlinear`) and its serialization (serialize()/deserialize()).
+ * registerComponent() makes it available to the toolbar, to circuit loading
+ * and to the solvers, which dispatch on the `type` string rather than on
+ * class names (those change under minification).
+ *
+ * Lab-specific parts are added without touching the solvers:
+ *
+ *   import { registerCategory, registerComponent } from './components/index.js';
+ *   registerCategory({ id: 'lab', label: 'Lab Parts', icon: '🧪' });
+ *   registerComponent(MyPart); // MyPart.category === 'lab'
+ *
+ * Register before the toolbar is created (e.g. import the module in main.js).
+ */
+
+const categories = [];
+const definitions = new Map();
+
+/**
+ * Add a toolbar category. Categories are listed in registration order.
+ * @param {{id: string, label: string, icon: string}} category
+ */
+export function registerCategory({ id, label, icon = '' }) {
+    if (categories.some(c => c.id === id)) {
+        throw new Error(`Component category "${id}" is already registered`);
+    }
+    categories.push({ id, label, icon });
+}
+
+/**
+ * Register a component class
+ * @param {typeof Component} ComponentClass
+ * @returns {typeof Component} The class (so a module can `export default registerComponent(...)`)
+ */
+export function registerComponent(ComponentClass) {
+    const type = new ComponentClass().type;
+    if (!type) {
+        throw new Error(`${ComponentClass.displayName} has no type string`);
+    }
+    if (definitions.has(type)) {
+        throw new Error(`Component type "${type}" is already registered`);
+    }
+    const category = ComponentClass.category;
+    if (!categories.some(c => c.id === category)) {
+        throw new Error(`Component type "${type}" uses unknown category "${category}" (call registerCategory first)`);
+    }
+
+    definitions.set(type, {
+        type,
+        componentClass: ComponentClass,
+        category,
+        stamps: ComponentClass.stamps || {},
+        hasBranchCurrent: Boolean(ComponentClass.hasBranchCurrent),
+        nonlinear: Boolean(ComponentClass.nonlinear)
+    });
+    return ComponentClass;
+}
+
+/**
+ * Registration record of a component type
+ * @param {string} type
+ * @returns {{type: string, componentClass: typeof Component, category: string,
+ *            stamps: Object, hasBranchCurrent: boolean, nonlinear: boolean}|undefined}
+ */
+export function getComponentDefinition(type) {
+    return definitions.get(type);
+}
+
+/**
+ * All registration records, in registration order
+ */
+export function getComponentDefinitions() {
+    return Array.from(definitions.values());
+}
+
+/**
+ * Toolbar categories, in registration order
+ * @returns {Array<{id: string, label: string, icon: string}>}
+ */
+export function getCategories() {
+    return categories.slice();
+}
@@ -17,10 +17,22 @@ export class CircuitGraph {
         this.nodes = new Map();      // id -> Node
         this.groundNode = null;
 
+        // Per-circuit analysis settings (saved with the circuit)
+        this.simulationSettings = CircuitGraph.getDefaultSimulationSettings();
+
         // Event callbacks
         this.onChange = null;
     }
 
+    /**
+     * Default analysis settings stored alongside the circuit
+     */
+    static getDefaultSimulationSettings() {
+        return {
+            integrationMethod: 'be'   // 'be' | 'trap' | 'gear2'
+        };
+    }
+
     /**
      * Add a component to the circuit
      * @param {Component} component 
@@ -161,6 +173,80 @@ export class CircuitGraph {
         return Array.from(this.components.values()).filter(c => c.selected);
     }
 
+    /**
+     * Serialize a group of components plus every wire that runs
+     * entirely between them (for copy/paste)
+     * @param {Component[]} components
+     * @returns {{components: Object[], wires: Object[]}}
+     */
+    serializeSubcircuit(components) {
+        const ids = new Set(components.map(c => c.id));
+        const wires = Array.from(this.wires.values()).filter(w =>
+            w.isComplete() &&
+            ids.has(w.startTerminal.component?.id) &&
+            ids.has(w.endTerminal.component?.id)
+        );
+
+        return {
+            components: components.map(c => c.serialize()),
+            wires: wires.map(w => w.serialize())
+        };
+    }
+
+    /**
+     * Add a copy of a serialized subcircuit with fresh component/wire IDs.
+     * Terminal references are remapped onto the new components and
+     * everything is shifted by (dx, dy).
+     * @param {{components: Object[], wires: Object[]}} data - From serializeSubcircuit()
+     * @param {number} dx - X offset
+     * @param {number} dy - Y offset
+     * @returns {{components: Component[], wires: Wire[]}} The new items
+     */
+    pasteSubcircuit(data, dx = 0, dy = 0) {
+        const terminalMap = new Map(); // old terminal ID -> new Terminal
+        const components = [];
+        const wires = [];
+
+        for (const compData of data.components) {
+            // createComponent draws a fresh comp_N from the shared counter
+            const component = createComponent(compData.type, compData.x + dx, compData.y + dy);
+            if (!component) continue;
+
+            // The component's own deserializer restores its properties (and
+            // defaults); the copy then takes its fresh ID and shifted position
+            const { id } = component;
+            component.deserialize(JSON.parse(JSON.stringify({
+                ...compData, id, x: compData.x + dx, y: compData.y + dy
+            })));
+            component.updateElement();
+
+            for (const terminal of component.terminals) {
+                terminalMap.set(`${compData.id}_${terminal.name}`, terminal);
+            }
+
+            this.addComponent(component);
+            components.push(component);
+        }
+
+        for (const wireData of data.wires) {
+            const startTerm = terminalMap.get(wireData.startTerminal);
+            const endTerm = terminalMap.get(wireData.endTerminal);
+            if (!startTerm || !endTerm) continue;
+
+            const wire = new Wire(startTerm, endTerm);
+
+            // Keep a custom bend, shifted with the rest of the copy
+            if (wireData.points && wireData.points.length >= 2) {
+                wire.setBendX(wireData.points[1].x + dx);
+            }
+
+            this.addWire(wire);
+            wires.push(wire);
+        }
+
+        return { components, wires };
+    }
+
     /**
      * Get component count
      * @returns {number}
@@ -398,7 +484,8 @@ export class CircuitGraph {
     serialize() {
         return {
             components: Array.from(this.components.values()).map(c => c.serialize()),
-            wires: Array.from(this.wires.values()).map(w => w.serialize())
+            wires: Array.from(this.wires.values()).map(w => w.serialize()),
+            simulationSettings: { ...this.simulationSettings }
         };
     }
 
@@ -446,16 +533,14 @@ export class CircuitGraph {
         for (const compData of data.components) {
             const component = createComponent(compData.type, compData.x, compData.y);
             if (component) {
-                // Restore ID and properties
-                component.id = compData.id;
+                // Restore ID, rotation, properties and state through the
+                // component's own (registered) deserializer
+                component.deserialize(compData);
 
                 // Track max ID to prevent collisions
                 const idNum = parseInt(component.id.replace('comp_', ''));
                 if (!isNaN(idNum) && idNum > maxCompId) maxCompId = idNum;
 
-                component.rotation = compData.rotation;
-                component.properties = { ...compData.properties };
-
                 // Fix terminal IDs to match restored component ID
                 for (const terminal of component.terminals) {
                     terminal.id = `${component.id}_${terminal.name}`;
@@ -507,6 +592,12 @@ export class CircuitGraph {
         // Sync wire ID counter
         setWireIdCounter(maxWireId);
 
+        // Restore analysis settings (older files have none)
+        this.simulationSettings = {
+            ...CircuitGraph.getDefaultSimulationSettings(),
+            ...(data.simulationSettings || {})
+        };
+
         this.notifyChange('circuit-loaded', null);
     }
 }
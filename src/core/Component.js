@@ -33,6 +33,7 @@ export class Terminal {
         this.offsetY = offsetY;
         this.connectedWires = [];
         this.nodeId = null; // Assigned during circuit analysis
+        this.hidden = false; // Hidden terminals are not drawn and cannot be wired
     }
 
     /**
@@ -161,6 +162,49 @@ export class Component {
         return [];
     }
 
+    /**
+     * Toolbar category id (see registerCategory() in components/registry.js)
+     * @returns {string}
+     */
+    static get category() {
+        return 'other';
+    }
+
+    /**
+     * Solver stamps, called by MNASolver and TransientSolver for this type:
+     *   dc(solver, component, G, I, prevSolution)
+     *   ac(solver, component, Y, I, omega)          - Y, I hold Complex entries
+     *   transient(solver, component, G, I, prevSolution)
+     *   initState(solver, component)                - optional, before a transient run
+     *   updateState(solver, component, solution)    - optional, after each time step
+     * A missing entry means the component adds nothing in that analysis.
+     * Linear parts can stamp from getStamp() with solver.stampLinear() /
+     * solver.stampACLinear().
+     * @returns {Object}
+     */
+    static get stamps() {
+        return {};
+    }
+
+    /**
+     * Whether the component needs an MNA branch current (an extra unknown,
+     * as for voltage sources). Its row is solver.getBranchIndex(component).
+     * @returns {boolean}
+     */
+    static get hasBranchCurrent() {
+        return false;
+    }
+
+    /**
+     * Whether the stamps depend on the solution (diodes, transistors). The
+     * solvers then iterate Newton-Raphson, passing the previous iterate to
+     * the dc/transient stamps as prevSolution.
+     * @returns {boolean}
+     */
+    static get nonlinear() {
+        return false;
+    }
+
     /**
      * Render SVG for the component body (override in subclass)
      * @returns {string} SVG markup for the component body
@@ -289,7 +333,7 @@ export class Component {
      */
     findTerminalAt(x, y, threshold = 10) {
         for (const terminal of this.terminals) {
-            if (terminal.isNear(x, y, threshold)) {
+            if (!terminal.hidden && terminal.isNear(x, y, threshold)) {
                 return terminal;
             }
         }
@@ -341,6 +385,7 @@ export class Component {
 
         // Terminals
         for (const terminal of this.terminals) {
+            if (terminal.hidden) continue;
             const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
             circle.setAttribute('class', 'terminal');
             circle.setAttribute('data-terminal', terminal.name);
@@ -462,3 +507,56 @@ export function formatValue(value, unit = '') {
 
     return `${value.toExponential(2)}${unit}`;
 }
+
+/**
+ * Parse a number with optional SI prefix (inverse of formatValue)
+ * e.g. '1k' → 1000, '2.2u' → 2.2e-6, '10mV' → 0.01
+ * @param {string|number} text
+ * @returns {number} Parsed value, or NaN if not a number
+ */
+export function parseValue(text) {
+    if (typeof text === 'number') return text;
+
+    const multipliers = {
+        T: 1e12, G: 1e9, M: 1e6, k: 1e3, K: 1e3,
+        m: 1e-3, u: 1e-6, 'µ': 1e-6, n: 1e-9, p: 1e-12
+    };
+
+    const match = String(text).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)\s*([TGMkKmuµnp]?)/);
+    if (!match) return NaN;
+
+    const [, number, prefix] = match;
+    return parseFloat(number) * (prefix ? multipliers[prefix] : 1);
+}
+
+/**
+ * Tolerance of a component's nominal value (Resistor, Capacitor, Inductor),
+ * used by Monte Carlo and worst-case analysis. Gaussian spreads read the
+ * tolerance as ±3σ.
+ */
+export const TOLERANCE_DEFAULTS = { tolerance: 0, toleranceDistribution: 'uniform' };
+
+export const TOLERANCE_PROPERTY_DEFINITIONS = [
+    {
+        name: 'tolerance', label: 'Tolerance', type: 'select', unit: '%',
+        options: [0, 0.1, 0.5, 1, 2, 5, 10, 20].map(t => ({ value: t, label: t === 0 ? 'Ideal' : `±${t} %` }))
+    },
+    {
+        name: 'toleranceDistribution', label: 'Distribution', type: 'select',
+        options: [
+            { value: 'uniform', label: 'Uniform' },
+            { value: 'gaussian', label: 'Gaussian (±tol = 3σ)' }
+        ],
+        condition: 'tolerance > 0'
+    }
+];
+
+/**
+ * Value string with the tolerance appended when it is non-zero (e.g. "1kΩ ±5%")
+ * @param {string} text - Formatted nominal value
+ * @param {Object} properties - Component properties
+ * @returns {string}
+ */
+export function withTolerance(text, properties) {
+    return properties.tolerance > 0 ? `${text} ±${properties.tolerance}%` : text;
+}
@@ -9,6 +9,8 @@ import { Toolbar } from './ui/Toolbar.js';
 import { PropertyPanel } from './ui/PropertyPanel.js';
 import { SimulationControls } from './ui/SimulationControls.js';
 import { StateManager } from './utils/StateManager.js';
+import { HistoryManager } from './utils/HistoryManager.js';
+import { exportSpiceNetlist, importSpiceNetlist } from './utils/SpiceNetlist.js';
 import { testMatrixSolver, MNASolver } from './simulation/index.js';
 import { circuitTemplates } from './templates/index.js';
 
@@ -18,6 +20,7 @@ let canvas;
 let toolbar;
 let propertyPanel;
 let simulationControls;
+let historyManager;
 
 /**
  * Initialize the application
@@ -91,6 +94,9 @@ function init() {
         if (canvas) {
             canvas.renderAll();
         }
+        if (simulationControls) {
+            simulationControls.applyCircuitSettings();
+        }
 
         // Show "Change Config" button if this template actually supports multiple presets
         // (Moved unifying logic outside the if/else block below)
@@ -113,11 +119,28 @@ function init() {
         }
     }
 
+    // Undo/redo history starts from the loaded circuit
+    historyManager = new HistoryManager(circuitGraph);
+    historyManager.onHistoryChange = updateHistoryButtons;
+    window.historyManager = historyManager;
+    if (canvas) {
+        canvas.history = historyManager;
+    }
+    updateHistoryButtons(false, false);
+
     // Listen for circuit changes (topology)
     circuitGraph.onChange = (type, data) => {
+        historyManager.handleChange(type);
+
         // Auto-save disabled per user request
         if (simulationControls) {
             simulationControls.detectSensorMode();
+            if (type === 'circuit-loaded') {
+                simulationControls.applyCircuitSettings();
+            }
+            if (type === 'property-changed') {
+                simulationControls.refreshScopeSettings(data);
+            }
         }
         updateStatus(); // Ensure UI status updates
     };
@@ -158,6 +181,14 @@ function setupHeaderButtons() {
         }
     });
 
+    // Undo / redo
+    document.getElementById('btn-undo')?.addEventListener('click', () => {
+        canvas?.undo();
+    });
+    document.getElementById('btn-redo')?.addEventListener('click', () => {
+        canvas?.redo();
+    });
+
     // Save circuit
     document.getElementById('btn-save')?.addEventListener('click', () => {
         saveCircuit();
@@ -168,7 +199,12 @@ function setupHeaderButtons() {
         downloadCircuit();
     });
 
-    // Load circuit from JSON file
+    // Export circuit as a SPICE netlist
+    document.getElementById('btn-export-spice')?.addEventListener('click', () => {
+        downloadSpiceNetlist();
+    });
+
+    // Load circuit from JSON file or SPICE netlist
     document.getElementById('btn-load')?.addEventListener('click', () => {
         loadCircuit();
     });
@@ -287,6 +323,9 @@ window.loadPreset = function (presetId, currentExpId) {
             }, 50);
         }
 
+        // A new preset starts a fresh undo history
+        window.historyManager?.reset();
+
         // Ensure "Change Config" button is visible
         const template = circuitTemplates[currentExpId] || null;
         if (template && template.presets && template.presets.length > 1) {
@@ -442,14 +481,14 @@ function downloadCircuit() {
 }
 
 /**
- * Load circuit from a JSON file.
+ * Load circuit from a JSON file or a SPICE netlist (.cir/.sp/.net).
  * Deserializes onto the canvas for immediate viewing.
  * Does NOT save to localStorage — the user must click Save explicitly.
  */
 function loadCircuit() {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = '.json,.cir,.sp,.net,.spice';
 
     input.addEventListener('change', (e) => {
         const file = e.target.files[0];
@@ -458,6 +497,11 @@ function loadCircuit() {
         const reader = new FileReader();
         reader.onload = (event) => {
             try {
+                if (/\.(cir|sp|net|spice)$/i.test(file.name)) {
+                    loadSpiceNetlist(event.target.result, file.name);
+                    return;
+                }
+
                 const data = JSON.parse(event.target.result);
 
                 // Accept either { circuit: { components, wires } } or { components, wires } directly
@@ -472,13 +516,7 @@ function loadCircuit() {
                 circuitGraph.deserialize(circuitData);
                 canvas.renderAll();
 
-                // Visual feedback
-                const btn = document.getElementById('btn-load');
-                if (btn) {
-                    const original = btn.innerHTML;
-                    btn.textContent = '✓ Loaded';
-                    setTimeout(() => { btn.innerHTML = original; }, 1000);
-                }
+                showLoadedFeedback();
 
                 console.log(`Circuit loaded from file: ${file.name} (not saved to localStorage)`);
             } catch (error) {
@@ -492,6 +530,90 @@ function loadCircuit() {
     input.click();
 }
 
+/**
+ * Replace the canvas with the circuit from a SPICE deck.
+ * Parts are auto-placed; the analysis card is applied to the simulation settings.
+ * @param {string} text - Netlist contents
+ * @param {string} fileName
+ */
+function loadSpiceNetlist(text, fileName) {
+    const { title, circuit, settings, warnings } = importSpiceNetlist(text);
+
+    if (circuit.components.length === 0) {
+        throw new Error('No supported elements found in netlist');
+    }
+
+    canvas.clear();
+    circuitGraph.deserialize(circuit);
+    canvas.renderAll();
+    simulationControls?.applyAnalysisSettings(settings);
+
+    showLoadedFeedback();
+
+    console.log(`SPICE netlist loaded from file: ${fileName} (${title})`);
+    if (warnings.length > 0) {
+        console.warn('SPICE import warnings:', warnings);
+        alert(`Netlist imported with ${warnings.length} warning(s):\n\n${warnings.slice(0, 10).join('\n')}` +
+            (warnings.length > 10 ? `\n... and ${warnings.length - 10} more` : ''));
+    }
+}
+
+/**
+ * Brief "Loaded" confirmation on the load button
+ */
+function showLoadedFeedback() {
+    const btn = document.getElementById('btn-load');
+    if (btn) {
+        const original = btn.innerHTML;
+        btn.textContent = '✓ Loaded';
+        setTimeout(() => { btn.innerHTML = original; }, 1000);
+    }
+}
+
+/**
+ * Download the current circuit as a SPICE netlist (.cir)
+ */
+function downloadSpiceNetlist() {
+    try {
+        const expId = window.circuitSimulator.stateManager?.expId || 'sandbox';
+        const settings = simulationControls ? simulationControls.getSettings() : { analysisType: 'dc' };
+        const deck = exportSpiceNetlist(circuitGraph, settings, `Circuit ${expId}`);
+
+        const blob = new Blob([deck], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `circuit_${expId}_${new Date().toISOString().slice(0, 10)}.cir`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        const btn = document.getElementById('btn-export-spice');
+        if (btn) {
+            const original = btn.innerHTML;
+            btn.textContent = '✓';
+            setTimeout(() => { btn.innerHTML = original; }, 1000);
+        }
+
+        console.log('Circuit exported as SPICE netlist.');
+    } catch (error) {
+        console.error('Failed to export SPICE netlist:', error);
+        alert(`Failed to export SPICE netlist.\n\n${error.message}`);
+    }
+}
+
+/**
+ * Enable/disable the header undo/redo buttons
+ */
+function updateHistoryButtons(canUndo, canRedo) {
+    const btnUndo = document.getElementById('btn-undo');
+    const btnRedo = document.getElementById('btn-redo');
+    if (btnUndo) btnUndo.disabled = !canUndo;
+    if (btnRedo) btnRedo.disabled = !canRedo;
+}
+
 /**
  * Update status bar
  */
@@ -517,6 +639,7 @@ window.circuitSimulator = {
     get toolbar() { return toolbar; },
     get propertyPanel() { return propertyPanel; },
     get simulationControls() { return simulationControls; },
+    get history() { return historyManager; },
     testMatrix: testMatrixSolver,
     runDC: function () {
         const solver = new MNASolver(circuitGraph);
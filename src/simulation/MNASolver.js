@@ -12,6 +12,10 @@
 
 import { Matrix, solveLinearSystem } from './Matrix.js';
 import { Complex, ComplexMatrix, solveComplexSystem } from './Complex.js';
+import { getComponentDefinition } from '../components/index.js';
+
+// Upper limit on DC sweep points (keeps the UI responsive)
+const MAX_DC_SWEEP_POINTS = 10001;
 
 export class MNASolver {
     constructor(circuitGraph) {
@@ -22,12 +26,18 @@ export class MNASolver {
 
         this.transformers = [];   // List of transformers
         this.threePhaseSources = []; // List of 3-phase sources
+        this.sourceOverrides = new Map(); // source id -> DC value (DC sweep)
+        this.nonlinearDevices = [];         // Components that need Newton-Raphson iteration
+        this.limitedVoltages = new Map();   // diode / transistor id -> controlling voltages of the last NR iteration
+        this.limitingActive = false;        // a junction step was limited in the current NR iteration
+        this.operatingPoint = null;         // DC solution that small-signal AC linearizes at
+        this.verbose = true;      // Debug logging (off for repeated solves)
         this.result = null;
     }
 
     /**
      * Run DC analysis
-     * Uses Newton-Raphson iteration for circuits containing nonlinear elements (diodes).
+     * Uses Newton-Raphson iteration for circuits containing nonlinear elements (diodes, transistors).
      * For purely linear circuits, converges in exactly 1 iteration.
      * @returns {{ nodeVoltages: Map, branchCurrents: Map, success: boolean, error: string }}
      */
@@ -57,88 +67,22 @@ export class MNASolver {
             const t = this.transformers.length;
             const size = n + m + t;
 
-            // Check if circuit has diodes (nonlinear elements)
-            const components = this.circuit.getAllComponents();
-            this.diodes = components.filter(c => c.constructor.name === 'Diode');
-            const hasNonlinear = this.diodes.length > 0;
-
-            // Newton-Raphson settings
-            const maxIter = hasNonlinear ? 100 : 1;
-            const vtol = 1e-6;  // Voltage convergence tolerance
-
-            // Initial solution guess (all zeros)
-            let solution = new Array(size).fill(0);
-            // Give a small forward bias initial guess for diodes
-            if (hasNonlinear) {
-                for (const diode of this.diodes) {
-                    const [t1] = diode.terminals;
-                    const nIdx = this.getNodeIndex(t1);
-                    if (nIdx !== null) solution[nIdx] = 0.6;  // Typical diode forward voltage
-                }
-            }
+            // Check if circuit has nonlinear elements
+            this.findNonlinearDevices();
 
             // Debug output
-            console.log('=== MNA DC Analysis ===');
-            console.log('Nodes:', this.nodes);
-            if (hasNonlinear) console.log(`Newton-Raphson: ${this.diodes.length} diode(s) detected`);
-
-            // Step 4: Newton-Raphson iteration
-            let converged = false;
-            let iter = 0;
-
-            for (iter = 0; iter < maxIter; iter++) {
-                // Build system with linearized nonlinear stamps
-                const { G, I } = this.buildMNASystem(solution);
-
-                if (iter === 0) {
-                    console.log('G matrix:');
-                    G.print();
-                    console.log('I vector:', I);
-                }
-
-                // Solve
-                const newSolution = solveLinearSystem(G, I);
-
-                // Clamp OpAmp internal pole AND output node voltages to ±Vsat (output saturation)
-                for (const comp of components) {
-                    if (comp.constructor.name === 'OpAmp') {
-                        const vsat = comp.properties.saturationVoltage || 15;
-                        const nPole = this.getNodeIndex(comp.terminals[3]);
-                        const nOut = this.getNodeIndex(comp.terminals[2]);
-                        if (nPole !== null) {
-                            newSolution[nPole] = Math.max(-vsat, Math.min(vsat, newSolution[nPole]));
-                        }
-                        if (nOut !== null) {
-                            newSolution[nOut] = Math.max(-vsat, Math.min(vsat, newSolution[nOut]));
-                        }
-                    }
-                }
-
-                // Check convergence for NR
-                if (hasNonlinear) {
-                    let maxDiff = 0;
-                    for (let i = 0; i < n; i++) {
-                        maxDiff = Math.max(maxDiff, Math.abs(newSolution[i] - solution[i]));
-                    }
-                    solution = newSolution;
-                    if (maxDiff < vtol) {
-                        converged = true;
-                        console.log(`NR converged in ${iter + 1} iteration(s), max ΔV = ${maxDiff.toExponential(2)}`);
-                        break;
-                    }
-                } else {
-                    solution = newSolution;
-                    converged = true;
-                    break;
+            if (this.verbose) {
+                console.log('=== MNA DC Analysis ===');
+                console.log('Nodes:', this.nodes);
+                if (this.nonlinearDevices.length > 0) {
+                    console.log(`Newton-Raphson: ${this.nonlinearDevices.length} nonlinear device(s) detected`);
                 }
             }
 
-            if (!converged) {
-                console.warn(`NR did not converge after ${maxIter} iterations`);
-                // Still return the last solution with a warning
-            }
+            // Step 4: Newton-Raphson iteration
+            const { solution } = this.iterateDC(size, null, this.verbose);
 
-            console.log('Solution:', solution);
+            if (this.verbose) console.log('Solution:', solution);
 
             // Step 5: Extract results
             const nodeVoltages = new Map();
@@ -165,6 +109,201 @@ export class MNASolver {
         }
     }
 
+    /**
+     * Newton-Raphson iteration for the DC operating point (after buildNodeList()
+     * and findNonlinearDevices()). For purely linear circuits, a single solve.
+     * @param {number} size - System size (nodes + voltage sources + transformers)
+     * @param {number[]|null} initialGuess - Starting solution; null starts from zero with diode anodes at 0.6 V
+     * @param {boolean} verbose - Log the first system and the convergence
+     * @returns {{ solution: number[], converged: boolean, iterations: number }}
+     */
+    iterateDC(size, initialGuess = null, verbose = true) {
+        const n = this.nodes.length;
+        const components = this.circuit.getAllComponents();
+        const hasNonlinear = this.nonlinearDevices.length > 0;
+
+        // Newton-Raphson settings
+        const maxIter = hasNonlinear ? 100 : 1;
+        const vtol = 1e-6;  // Voltage convergence tolerance
+
+        let solution;
+        if (initialGuess && initialGuess.length === size) {
+            solution = initialGuess.slice();
+        } else {
+            // Initial solution guess (all zeros), no step limiting on the first iteration
+            this.limitedVoltages = new Map();
+            solution = new Array(size).fill(0);
+            // Give a small forward bias initial guess for diodes
+            for (const diode of this.diodes) {
+                const [t1] = diode.terminals;
+                const nIdx = this.getNodeIndex(t1);
+                if (nIdx !== null) solution[nIdx] = 0.6;  // Typical diode forward voltage
+            }
+        }
+
+        let converged = false;
+        let iter = 0;
+
+        for (iter = 0; iter < maxIter; iter++) {
+            // Build system with linearized nonlinear stamps
+            this.limitingActive = false;
+            const { G, I } = this.buildMNASystem(solution);
+
+            if (iter === 0 && verbose) {
+                console.log('G matrix:');
+                G.print();
+                console.log('I vector:', I);
+            }
+
+            // Solve
+            const newSolution = solveLinearSystem(G, I);
+
+            // Clamp OpAmp internal pole AND output node voltages to ±Vsat (output saturation)
+            for (const comp of components) {
+                if (comp.type === 'opamp') {
+                    const vsat = comp.properties.saturationVoltage || 15;
+                    const nPole = this.getNodeIndex(comp.terminals[3]);
+                    const nOut = this.getNodeIndex(comp.terminals[2]);
+                    if (nPole !== null) {
+                        newSolution[nPole] = Math.max(-vsat, Math.min(vsat, newSolution[nPole]));
+                    }
+                    if (nOut !== null) {
+                        newSolution[nOut] = Math.max(-vsat, Math.min(vsat, newSolution[nOut]));
+                    }
+                }
+            }
+
+            // Check convergence for NR
+            if (hasNonlinear) {
+                let maxDiff = 0;
+                for (let i = 0; i < n; i++) {
+                    maxDiff = Math.max(maxDiff, Math.abs(newSolution[i] - solution[i]));
+                }
+                solution = newSolution;
+                if (maxDiff < vtol && !this.limitingActive) {
+                    converged = true;
+                    if (verbose) console.log(`NR converged in ${iter + 1} iteration(s), max ΔV = ${maxDiff.toExponential(2)}`);
+                    break;
+                }
+            } else {
+                solution = newSolution;
+                converged = true;
+                break;
+            }
+        }
+
+        if (!converged && verbose) {
+            console.warn(`NR did not converge after ${maxIter} iterations`);
+            // Still return the last solution with a warning
+        }
+
+        return { solution, converged, iterations: Math.min(iter + 1, maxIter) };
+    }
+
+    /**
+     * DC sweep: solve the operating point while stepping the DC value of a
+     * voltage or current source from start to stop. Each point starts
+     * Newton-Raphson from the previous point's solution, so diode, transistor
+     * and op-amp transfer curves follow one continuous branch.
+     * @param {string} sourceId - VoltageSource or CurrentSource id
+     * @param {number} start - First source value (V or A)
+     * @param {number} stop - Last source value
+     * @param {number} step - Increment; its sign is taken from start → stop
+     * @returns {{ values: number[], nodeVoltages: Map<string, number[]>, branchCurrents: Map<string, number[]>,
+     *             componentCurrents: Map<string, number[]>, iterations: number[], converged: boolean[],
+     *             success: boolean, error: string }}
+     *          componentCurrents: resistor and diode currents (left → right, anode → cathode),
+     *          transistor collector / drain currents (into the terminal)
+     */
+    solveDCSweep(sourceId, start, stop, step) {
+        const source = this.circuit.components.get(sourceId);
+        if (!source || !['voltage_source', 'current_source'].includes(source.type)) {
+            return { success: false, error: 'DC sweep needs a voltage or current source to step.' };
+        }
+        if (!isFinite(start) || !isFinite(stop) || !(Math.abs(step) > 0)) {
+            return { success: false, error: 'DC sweep requires numeric start and stop values and a non-zero step.' };
+        }
+
+        const count = Math.floor(Math.abs(stop - start) / Math.abs(step) + 1e-9) + 1;
+        if (count > MAX_DC_SWEEP_POINTS) {
+            return { success: false, error: `DC sweep has ${count} points (max ${MAX_DC_SWEEP_POINTS}). Increase the step.` };
+        }
+        const increment = stop >= start ? Math.abs(step) : -Math.abs(step);
+        const values = Array.from({ length: count }, (_, k) => start + k * increment);
+
+        try {
+            this.buildNodeList();
+
+            if (this.nodes.length === 0) {
+                return { success: false, error: 'No nodes found.' };
+            }
+
+            if (!this.hasGround()) {
+                return { success: false, error: 'Circuit must have a ground reference.' };
+            }
+
+            const size = this.nodes.length + this.voltageSources.length + this.transformers.length;
+            const components = this.circuit.getAllComponents();
+            this.findNonlinearDevices();
+            const resistors = components.filter(c => c.type === 'resistor');
+            const transistors = components.filter(c => c.type === 'bjt' || c.type === 'mosfet');
+
+            const nodeVoltages = new Map(this.nodes.map(node => [node, []]));
+            const branchCurrents = new Map(this.voltageSources.map(vs => [vs.id, []]));
+            const componentCurrents = new Map([...resistors, ...this.diodes, ...transistors].map(c => [c.id, []]));
+            const iterations = [];
+            const converged = [];
+
+            const voltageAcross = (comp, solution) => {
+                const v = (terminal) => {
+                    const idx = this.getNodeIndex(terminal);
+                    return idx === null ? 0 : solution[idx];
+                };
+                return v(comp.terminals[0]) - v(comp.terminals[1]);
+            };
+
+            let solution = null;
+            for (const value of values) {
+                this.sourceOverrides.set(sourceId, value);
+                const point = this.iterateDC(size, solution, false);
+                solution = point.solution;
+                iterations.push(point.iterations);
+                converged.push(point.converged);
+
+                for (let i = 0; i < this.nodes.length; i++) {
+                    nodeVoltages.get(this.nodes[i]).push(solution[i]);
+                }
+                for (let i = 0; i < this.voltageSources.length; i++) {
+                    branchCurrents.get(this.voltageSources[i].id).push(solution[this.nodes.length + i]);
+                }
+                for (const r of resistors) {
+                    componentCurrents.get(r.id).push(voltageAcross(r, solution) / r.properties.resistance);
+                }
+                for (const d of this.diodes) {
+                    componentCurrents.get(d.id).push(d.computeDiodeModel(voltageAcross(d, solution)).Id);
+                }
+                for (const q of transistors) {
+                    componentCurrents.get(q.id).push(q.computeModel(this.getTerminalVoltages(q, solution)).currents[0]);
+                }
+            }
+
+            const failed = converged.filter(c => !c).length;
+            console.log(`=== MNA DC Sweep ${source.getLabel()} ${start} → ${stop} (${count} pts) ===`);
+            if (failed > 0) console.warn(`NR did not converge at ${failed} sweep point(s)`);
+
+            this.result = {
+                values, nodeVoltages, branchCurrents, componentCurrents, iterations, converged, success: true
+            };
+            return this.result;
+
+        } catch (error) {
+            console.error('MNA DC Sweep error:', error);
+            return { success: false, error: error.message };
+        } finally {
+            this.sourceOverrides.delete(sourceId);
+        }
+    }
+
     /**
      * Stamp non-ideal OpAmp for DC analysis
      */
@@ -284,19 +423,24 @@ export class MNASolver {
                 return { success: false, error: 'Circuit must have a ground reference.' };
             }
 
+            // Bias point of diodes and transistors
+            this.solveOperatingPoint();
+
             // Build complex MNA system
             const omega = 2 * Math.PI * frequency;
             const { Y, I } = this.buildACSystem(omega);
 
             // Debug output
-            console.log(`=== MNA AC Analysis @ ${frequency} Hz ===`);
-            console.log('Nodes:', this.nodes);
-            Y.print('Y matrix:');
-            console.log('I vector:', I.map(c => c.toString()));
+            if (this.verbose) {
+                console.log(`=== MNA AC Analysis @ ${frequency} Hz ===`);
+                console.log('Nodes:', this.nodes);
+                Y.print('Y matrix:');
+                console.log('I vector:', I.map(c => c.toString()));
+            }
 
             // Solve complex system
             const solution = solveComplexSystem(Y, I);
-            console.log('Solution:', solution.map(c => c.toPolar()));
+            if (this.verbose) console.log('Solution:', solution.map(c => c.toPolar()));
 
             // Extract results
             const nodeVoltages = new Map();
@@ -319,6 +463,71 @@ export class MNASolver {
         }
     }
 
+    /**
+     * Run AC analysis over a range of frequencies (Bode sweep).
+     * The node list is built once and the complex system is re-stamped
+     * and solved at every frequency point.
+     *
+     * @param {number} startFrequency - First frequency in Hz (> 0 for log scale)
+     * @param {number} stopFrequency - Last frequency in Hz
+     * @param {number} points - Number of frequency points (>= 2)
+     * @param {'log'|'linear'} scale - Point spacing
+     * @returns {{ frequencies: number[], nodeVoltages: Map<string, Complex[]>, branchCurrents: Map<string, Complex[]>, success: boolean, error: string }}
+     */
+    solveACSweep(startFrequency = 10, stopFrequency = 100000, points = 100, scale = 'log') {
+        try {
+            if (!(startFrequency > 0) || !(stopFrequency > startFrequency)) {
+                return { success: false, error: 'Sweep requires 0 < start frequency < stop frequency.' };
+            }
+
+            const count = Math.max(2, Math.floor(points));
+            const frequencies = [];
+            for (let k = 0; k < count; k++) {
+                const x = k / (count - 1);
+                frequencies.push(scale === 'linear'
+                    ? startFrequency + x * (stopFrequency - startFrequency)
+                    : startFrequency * Math.pow(stopFrequency / startFrequency, x));
+            }
+
+            this.buildNodeList();
+
+            if (this.nodes.length === 0) {
+                return { success: false, error: 'No nodes found.' };
+            }
+
+            if (!this.hasGround()) {
+                return { success: false, error: 'Circuit must have a ground reference.' };
+            }
+
+            // Bias point of diodes and transistors (the same at every frequency)
+            this.solveOperatingPoint();
+
+            const nodeVoltages = new Map(this.nodes.map(node => [node, []]));
+            const branchCurrents = new Map(this.voltageSources.map(vs => [vs.id, []]));
+
+            for (const frequency of frequencies) {
+                const { Y, I } = this.buildACSystem(2 * Math.PI * frequency);
+                const solution = solveComplexSystem(Y, I);
+
+                for (let i = 0; i < this.nodes.length; i++) {
+                    nodeVoltages.get(this.nodes[i]).push(solution[i]);
+                }
+                for (let i = 0; i < this.voltageSources.length; i++) {
+                    branchCurrents.get(this.voltageSources[i].id).push(solution[this.nodes.length + i]);
+                }
+            }
+
+            console.log(`=== MNA AC Sweep ${startFrequency} Hz – ${stopFrequency} Hz (${count} pts, ${scale}) ===`);
+
+            this.result = { frequencies, nodeVoltages, branchCurrents, success: true };
+            return this.result;
+
+        } catch (error) {
+            console.error('MNA AC Sweep error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Build complex admittance matrix for AC analysis
      */
@@ -349,54 +558,10 @@ export class MNASolver {
     }
 
     /**
-     * Stamp component for AC analysis
+     * Stamp component for AC analysis (the `ac` stamp of its registered type)
      */
     stampACComponent(component, Y, I, omega) {
-        const type = component.constructor.name;
-
-        switch (type) {
-            case 'Resistor':
-                this.stampACResistor(component, Y);
-                break;
-            case 'Capacitor':
-                this.stampACCapacitor(component, Y, omega);
-                break;
-            case 'Inductor':
-                this.stampACInductor(component, Y, omega);
-                break;
-            case 'VoltageSource':
-            case 'Ammeter':
-                this.stampACVoltageSource(component, Y, I);
-                break;
-            case 'Ground':
-                break;
-            case 'Transformer':
-                this.stampACTransformer(component, Y, I, omega);
-                break;
-            case 'Voltmeter':
-                this.stampACVoltmeter(component, Y);
-                break;
-            case 'Wattmeter':
-                this.stampACWattmeter(component, Y, I);
-                break;
-
-            case 'ThreePhaseSource':
-                this.stampThreePhaseSource(component, Y, I);
-                break;
-
-            case 'Diode':
-                this.stampACDiode(component, Y, omega);
-                break;
-            case 'OpAmp':
-                this.stampACOpAmp(component, Y, I, omega);
-                break;
-            case 'Load':
-                this.stampACLoad(component, Y, omega);
-                break;
-            case 'Oscilloscope':
-                this.stampACOscilloscope(component, Y);
-                break;
-        }
+        getComponentDefinition(component.type)?.stamps.ac?.(this, component, Y, I, omega);
     }
 
     /**
@@ -464,7 +629,10 @@ export class MNASolver {
         let V = 0;
         let phase = 0;
 
-        if (component.constructor.name !== 'Ammeter') {
+        // Small-signal analysis: DC supplies only set the operating point
+        const isBias = this.operatingPoint && component.type === 'voltage_source' && component.properties.type !== 'ac';
+
+        if (component.type !== 'ammeter' && !isBias) {
             V = component.properties.voltage;
             phase = (component.properties.phase || 0) * Math.PI / 180;
         }
@@ -485,6 +653,23 @@ export class MNASolver {
         I[vsIndex] = Vphasor;
     }
 
+    /**
+     * Stamp current source for AC (phasor injected into the RHS)
+     */
+    stampACCurrentSource(component, I) {
+        // Small-signal analysis: DC supplies only set the operating point
+        if (this.operatingPoint && component.properties.type !== 'ac') return;
+
+        const [tOut, tIn] = component.terminals;
+        const n1 = this.getNodeIndex(tOut);
+        const n2 = this.getNodeIndex(tIn);
+        const phase = (component.properties.phase || 0) * Math.PI / 180;
+        const Iphasor = Complex.fromPolar(component.properties.current, phase);
+
+        if (n1 !== null) I[n1] = I[n1].add(Iphasor);
+        if (n2 !== null) I[n2] = I[n2].sub(Iphasor);
+    }
+
     /**
      * Stamp Voltmeter for AC (high resistance)
      */
@@ -656,14 +841,14 @@ export class MNASolver {
 
         // Collect all terminals
         for (const component of components) {
-            // Track voltage sources, ammeters, and wattmeter current coils
-            if (component.constructor.name === 'VoltageSource' || component.constructor.name === 'Ammeter'
-                || component.constructor.name === 'Wattmeter') {
+            // Track components with a branch current (voltage sources, ammeters,
+            // wattmeter current coils)
+            if (getComponentDefinition(component.type)?.hasBranchCurrent) {
                 this.voltageSources.push(component);
             }
 
             // Track oscilloscope with current-mode channels (needs branch current variable)
-            if (component.constructor.name === 'Oscilloscope') {
+            if (component.type === 'oscilloscope') {
                 const channels = component.getChannelConfig();
                 for (const ch of channels) {
                     if (ch.mode === 'Current' && ch.posTerminal.isConnected() && ch.negTerminal.isConnected()) {
@@ -675,7 +860,7 @@ export class MNASolver {
                             _scopeComponent: component,
                             _channelId: ch.id,
                             terminals: [ch.posTerminal, ch.negTerminal],
-                            constructor: { name: 'OscilloscopeCurrentChannel' },
+                            type: 'oscilloscope_channel',
                             properties: { voltage: 0 }
                         });
                     }
@@ -683,12 +868,12 @@ export class MNASolver {
             }
 
             // Track transformers
-            if (component.constructor.name === 'Transformer') {
+            if (component.type === 'transformer') {
                 this.transformers.push(component);
             }
 
             // Track 3-phase sources
-            if (component.constructor.name === 'ThreePhaseSource') {
+            if (component.type === 'three_phase_source') {
                 this.threePhaseSources.push(component);
             }
 
@@ -725,7 +910,7 @@ export class MNASolver {
 
         // Check if any terminal in this net is a ground
         for (const t of netTerminals) {
-            if (t.component.constructor.name === 'Ground') {
+            if (t.component.type === 'ground') {
                 return 'ground';
             }
         }
@@ -769,7 +954,7 @@ export class MNASolver {
      */
     hasGround() {
         const components = this.circuit.getAllComponents();
-        return components.some(c => c.constructor.name === 'Ground');
+        return components.some(c => c.type === 'ground');
     }
 
     /**
@@ -802,53 +987,10 @@ export class MNASolver {
     }
 
     /**
-     * Stamp a component into the MNA matrices
+     * Stamp a component into the MNA matrices (the `dc` stamp of its registered type)
      */
     stampComponent(component, G, I, prevSolution = null) {
-        const type = component.constructor.name;
-
-        switch (type) {
-            case 'Resistor':
-                this.stampResistor(component, G);
-                break;
-            case 'VoltageSource':
-            case 'Ammeter':
-                this.stampVoltageSource(component, G, I);
-                break;
-            case 'Capacitor':
-                // For DC, capacitor is open circuit (infinite impedance)
-                // No stamp needed
-                break;
-            case 'Inductor':
-                // For DC, inductor is short circuit (zero impedance)
-                // Stamp as wire (very low resistance)
-                this.stampInductor(component, G);
-                break;
-            case 'Ground':
-                // Ground is reference, handled separately
-                break;
-            case 'Transformer':
-                this.stampTransformer(component, G, I);
-                break;
-            case 'Voltmeter':
-                this.stampVoltmeter(component, G);
-                break;
-            case 'Wattmeter':
-                this.stampWattmeter(component, G, I);
-                break;
-            case 'Load':
-                this.stampLoad(component, G);
-                break;
-            case 'Oscilloscope':
-                this.stampOscilloscope(component, G, I);
-                break;
-            case 'Diode':
-                this.stampDiode(component, G, I, prevSolution);
-                break;
-            case 'OpAmp':
-                this.stampOpAmp(component, G, I);
-                break;
-        }
+        getComponentDefinition(component.type)?.stamps.dc?.(this, component, G, I, prevSolution);
     }
 
     /**
@@ -896,8 +1038,14 @@ export class MNASolver {
         const n2 = this.getNodeIndex(tNeg); // negative terminal
         const vsIndex = this.nodes.length + this.voltageSources.indexOf(component);
 
-        // Ammeter has 0V drop
-        const V = (component.constructor.name === 'Ammeter') ? 0 : component.properties.voltage;
+        // Ammeter has 0V drop; transient-only waveforms use their t = 0 value
+        let V = (component.type === 'ammeter') ? 0 : component.properties.voltage;
+        if (component.type === 'voltage_source' && !['dc', 'ac'].includes(component.properties.type)) {
+            V = component.getVoltageAt(0);
+        }
+        if (this.sourceOverrides.has(component.id)) {
+            V = this.sourceOverrides.get(component.id);
+        }
 
         // Voltage source equations
         if (n1 !== null) {
@@ -913,6 +1061,22 @@ export class MNASolver {
         I[vsIndex] = V;
     }
 
+    /**
+     * Stamp current source: current enters the `out` node and
+     * leaves the `in` node (RHS only, no matrix entries)
+     */
+    stampCurrentSource(component, I) {
+        const [tOut, tIn] = component.terminals;
+        const n1 = this.getNodeIndex(tOut);
+        const n2 = this.getNodeIndex(tIn);
+        const current = this.sourceOverrides.has(component.id)
+            ? this.sourceOverrides.get(component.id)
+            : component.properties.current;
+
+        if (n1 !== null) I[n1] += current;
+        if (n2 !== null) I[n2] -= current;
+    }
+
     /**
      * Stamp Voltmeter as a very high resistance
      */
@@ -986,7 +1150,12 @@ export class MNASolver {
         // Get voltage across diode from previous solution
         const v1 = (prevSolution && n1 !== null) ? prevSolution[n1] : 0;
         const v2 = (prevSolution && n2 !== null) ? prevSolution[n2] : 0;
-        const Vd = v1 - v2;
+
+        // Limit the step of V_D against the previous NR iteration
+        const VdOld = this.limitedVoltages.get(component.id);
+        const Vd = VdOld === undefined ? v1 - v2 : component.limitVoltage(v1 - v2, VdOld);
+        this.limitedVoltages.set(component.id, Vd);
+        if (Math.abs(Vd - (v1 - v2)) > 1e-9) this.limitingActive = true;
 
         // Compute linearized model
         const { Id, Gd, Ieq } = component.computeDiodeModel(Vd);
@@ -1006,6 +1175,132 @@ export class MNASolver {
         if (n2 !== null) I[n2] += Ieq;
     }
 
+    /**
+     * Stamp a BJT or MOSFET (Newton-Raphson companion model). The device is
+     * linearized at the previous iterate, with the step of its controlling
+     * voltages limited against the previous iteration (component.limitVoltage()).
+     */
+    stampTransistor(component, G, I, prevSolution = null) {
+        const v = this.getTerminalVoltages(component, prevSolution);
+        const model = component.computeModel(v, this.limitedVoltages.get(component.id) || null);
+        this.limitedVoltages.set(component.id, model.limited);
+        // Linearized away from the iterate: the next solve is not a fixed point yet
+        if (model.voltages.some((vk, k) => Math.abs(vk - v[k]) > 1e-9)) this.limitingActive = true;
+        this.stampLinearizedDevice(component, model, G, I);
+    }
+
+    /**
+     * Stamp a linearized multi-terminal device. With terminal currents I_k
+     * (into the device), conductances g_kj = ∂I_k/∂V_j and linearization
+     * point V°:
+     *   I_k ≈ Σ_j g_kj·V_j + (I_k° − Σ_j g_kj·V_j°)
+     * The conductances go into G, the bracketed companion current into the RHS.
+     * @param {Component} component
+     * @param {{currents: number[], conductances: number[][], voltages: number[]}} model
+     */
+    stampLinearizedDevice(component, { currents, conductances, voltages }, G, I) {
+        const nodes = component.terminals.map(t => this.getNodeIndex(t));
+
+        nodes.forEach((nk, k) => {
+            if (nk === null) return;
+            let iEq = currents[k];
+            nodes.forEach((nj, j) => {
+                const g = conductances[k][j];
+                iEq -= g * voltages[j];
+                if (nj !== null && g !== 0) G.add(nk, nj, g);
+            });
+            I[nk] -= iEq;
+        });
+    }
+
+    /**
+     * Voltages of a component's terminals in a solution (0 for ground, or
+     * without a solution)
+     * @returns {number[]}
+     */
+    getTerminalVoltages(component, solution) {
+        return component.terminals.map(t => {
+            const n = this.getNodeIndex(t);
+            return (solution && n !== null) ? solution[n] : 0;
+        });
+    }
+
+    /**
+     * Collect the components that need Newton-Raphson iteration
+     * (this.nonlinearDevices; diodes also in this.diodes for the initial guess)
+     */
+    findNonlinearDevices() {
+        const components = this.circuit.getAllComponents();
+        this.nonlinearDevices = components.filter(c => getComponentDefinition(c.type)?.nonlinear);
+        this.diodes = components.filter(c => c.type === 'diode');
+    }
+
+    /**
+     * DC operating point for small-signal AC analysis (after buildNodeList()).
+     * AC sources are off; DC sources set the bias. Leaves this.operatingPoint
+     * null when the circuit is linear, so AC analysis drives every source
+     * as before.
+     */
+    solveOperatingPoint() {
+        this.findNonlinearDevices();
+        this.operatingPoint = null;
+        if (this.nonlinearDevices.length === 0) return;
+
+        const overrides = this.sourceOverrides;
+        this.sourceOverrides = new Map(overrides);
+        for (const component of this.circuit.getAllComponents()) {
+            if ((component.type === 'voltage_source' || component.type === 'current_source')
+                && component.properties.type === 'ac' && !overrides.has(component.id)) {
+                this.sourceOverrides.set(component.id, 0);
+            }
+        }
+
+        try {
+            const size = this.nodes.length + this.voltageSources.length + this.transformers.length;
+            const { solution, converged } = this.iterateDC(size, null, false);
+            if (!converged && this.verbose) console.warn('Operating point: NR did not converge');
+            this.operatingPoint = solution;
+        } finally {
+            this.sourceOverrides = overrides;
+        }
+    }
+
+    /**
+     * Stamp a diode for small-signal AC: its conductance and capacitance
+     * (junction + diffusion) at the operating point
+     */
+    stampACDiode(component, Y, omega) {
+        const [t1, t2] = component.terminals;
+        const n1 = this.getNodeIndex(t1);
+        const n2 = this.getNodeIndex(t2);
+        const [v1, v2] = this.getTerminalVoltages(component, this.operatingPoint);
+        const C = component.hasCharge() ? component.computeDiodeCharge(v1 - v2).C : 0;
+        const g = new Complex(component.computeDiodeModel(v1 - v2).Gd, omega * C);
+
+        if (n1 !== null) Y.add(n1, n1, g);
+        if (n2 !== null) Y.add(n2, n2, g);
+        if (n1 !== null && n2 !== null) {
+            Y.add(n1, n2, g.neg());
+            Y.add(n2, n1, g.neg());
+        }
+    }
+
+    /**
+     * Stamp a BJT or MOSFET for small-signal AC: the conductances of its
+     * model at the operating point (gm, gπ, go), no sources
+     */
+    stampACTransistor(component, Y) {
+        const nodes = component.terminals.map(t => this.getNodeIndex(t));
+        const { conductances } = component.computeModel(this.getTerminalVoltages(component, this.operatingPoint));
+
+        nodes.forEach((nk, k) => {
+            if (nk === null) return;
+            nodes.forEach((nj, j) => {
+                if (nj !== null && conductances[k][j] !== 0) Y.add(nk, nj, Complex.fromReal(conductances[k][j]));
+            });
+        });
+    }
+
     /**
      * Stamp Oscilloscope for AC analysis (same logic, complex admittance).
      */
@@ -1196,6 +1491,14 @@ export class MNASolver {
         I[iPrimIdx] = 0;
     }
 
+    /**
+     * Matrix row of a branch-current unknown (component registered with
+     * hasBranchCurrent)
+     */
+    getBranchIndex(component) {
+        return this.nodes.length + this.voltageSources.indexOf(component);
+    }
+
     /**
      * Get matrix index for a terminal's node
      * Returns null if grounded
@@ -1206,6 +1509,39 @@ export class MNASolver {
         return this.nodeMap.get(nodeId) ?? null;
     }
 
+    /**
+     * Stamp a linear component from its own getStamp() (used by the sensors,
+     * and available to registered components)
+     */
+    stampLinear(component, G, I) {
+        const { G: stamps, z } = component.getStamp(this.getStampNodeMap(component));
+        for (const { row, col, value } of stamps) G.add(row - 1, col - 1, value);
+        for (const { row, value } of z) I[row - 1] += value;
+    }
+
+    /**
+     * Stamp a linear component for AC from getStamp(component frequency):
+     * the values become real admittances, so it suits resistive stamps
+     */
+    stampACLinear(component, Y, I, omega) {
+        const { G: stamps, z } = component.getStamp(this.getStampNodeMap(component), omega / (2 * Math.PI));
+        for (const { row, col, value } of stamps) Y.add(row - 1, col - 1, Complex.fromReal(value));
+        for (const { row, value } of z) I[row - 1] = I[row - 1].add(Complex.fromReal(value));
+    }
+
+    /**
+     * Terminal id → matrix row + 1 (0 for ground), the node map expected by
+     * the components' getStamp()
+     */
+    getStampNodeMap(component) {
+        const nodeMap = new Map();
+        for (const terminal of component.terminals) {
+            const index = this.getNodeIndex(terminal);
+            nodeMap.set(terminal.id, index === null ? 0 : index + 1);
+        }
+        return nodeMap;
+    }
+
     /**
      * Get formatted results string
      */
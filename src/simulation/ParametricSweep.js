@@ -0,0 +1,266 @@
+/**
+ * ParametricSweep.js - Rerun an analysis while stepping one component property
+ *
+ * For each swept value the property is set on the component, the circuit is
+ * solved (DC, AC at one frequency, or transient) and one output quantity is
+ * read. Outputs are the readings the instruments show (voltmeters, ammeters,
+ * wattmeters, oscilloscope channels), voltage source currents and the voltage
+ * across any two-terminal component. The property is restored afterwards.
+ */
+
+import { MNASolver } from './MNASolver.js';
+import { TransientSolver } from './TransientSolver.js';
+import { measureWaveform } from '../utils/WaveformMeasurements.js';
+
+// Components that are not swept outputs in their own right
+const NON_OUTPUT_TYPES = ['ground', 'junction', 'voltmeter', 'ammeter', 'wattmeter', 'oscilloscope'];
+
+// Step budget of one adaptive transient run: this multiple of the fixed-step
+// count, and at least ADAPTIVE_MIN_STEPS. A point that needs more fails with
+// the solver's step-cap error instead of holding up the rest of the sweep
+const ADAPTIVE_STEP_BUDGET = 20;
+const ADAPTIVE_MIN_STEPS = 2000;
+
+/**
+ * Transient statistics for reducing a waveform to one number
+ */
+export const SWEEP_STATISTICS = {
+    average: 'Average',
+    rms: 'RMS',
+    max: 'Max',
+    min: 'Min',
+    pp: 'Pk-Pk',
+    final: 'Final value'
+};
+
+/**
+ * Values to sweep
+ * @param {{mode: 'list'|'linear'|'log', list?: number[], start?: number, stop?: number, points?: number}} range
+ * @returns {number[]}
+ */
+export function sweepValues({ mode, list = [], start, stop, points = 10 }) {
+    if (mode === 'list') {
+        return list.filter(v => isFinite(v));
+    }
+
+    const n = Math.max(2, Math.round(points));
+    if (!isFinite(start) || !isFinite(stop)) return [];
+
+    if (mode === 'log') {
+        if (!(start > 0) || !(stop > 0)) return [];
+        const ratio = Math.log(stop / start) / (n - 1);
+        return Array.from({ length: n }, (_, i) => start * Math.exp(ratio * i));
+    }
+
+    return Array.from({ length: n }, (_, i) => start + (stop - start) * i / (n - 1));
+}
+
+/**
+ * Name that identifies a component in sweep outputs. Components with a
+ * fixed label (instruments, sources, Load) get their number appended.
+ * @returns {string} e.g. "R2", "Load38"
+ */
+export function componentName(component) {
+    const label = component.getLabel();
+    return /\d/.test(label) ? label : label + component.id.replace('comp_', '');
+}
+
+/**
+ * Numeric properties of a component that can be swept
+ * @returns {Array<{name: string, label: string, unit: string}>}
+ */
+export function getSweepableProperties(component) {
+    const definitions = component.constructor.getPropertyDefinitions
+        ? component.constructor.getPropertyDefinitions()
+        : [];
+    return definitions
+        .filter(def => def.type === 'number' || def.type === 'range')
+        .map(def => ({ name: def.name, label: def.label, unit: def.unit || '' }));
+}
+
+/**
+ * Quantities that can be read after each run
+ * @param {CircuitGraph} circuit
+ * @returns {Array<{id: string, label: string, unit: string, kind: string}>}
+ *          kind: 'voltage' (pos/neg terminals), 'current' (branch of sourceId) or 'power' (wattmeter)
+ */
+export function getSweepOutputs(circuit) {
+    const outputs = [];
+
+    for (const comp of circuit.getAllComponents()) {
+        const type = comp.type;
+        const name = componentName(comp);
+        const [t0, t1, t2, t3] = comp.terminals;
+
+        if (type === 'voltmeter') {
+            outputs.push({ id: comp.id, label: `Voltmeter ${name}`, unit: 'V', kind: 'voltage', pos: t0, neg: t1 });
+        } else if (type === 'ammeter') {
+            outputs.push({ id: comp.id, label: `Ammeter ${name}`, unit: 'A', kind: 'current', sourceId: comp.id });
+        } else if (type === 'wattmeter') {
+            outputs.push(
+                { id: `${comp.id}_P`, label: `Wattmeter ${name} power`, unit: 'W', kind: 'power', component: comp },
+                { id: `${comp.id}_V`, label: `Wattmeter ${name} voltage`, unit: 'V', kind: 'voltage', pos: t2, neg: t3 },
+                { id: `${comp.id}_I`, label: `Wattmeter ${name} current`, unit: 'A', kind: 'current', sourceId: comp.id }
+            );
+        } else if (type === 'oscilloscope') {
+            for (const ch of comp.getChannelConfig()) {
+                const id = `${comp.id}_${ch.id}`;
+                outputs.push(ch.mode === 'Current'
+                    ? { id, label: `Scope ${ch.label}`, unit: 'A', kind: 'current', sourceId: id }
+                    : { id, label: `Scope ${ch.label}`, unit: 'V', kind: 'voltage', pos: ch.posTerminal, neg: ch.negTerminal });
+            }
+        } else if (type === 'voltage_source') {
+            outputs.push({ id: `${comp.id}_I`, label: `I(${name})`, unit: 'A', kind: 'current', sourceId: comp.id });
+        }
+
+        if (!NON_OUTPUT_TYPES.includes(type) && t0 && t1) {
+            outputs.push({ id: `${comp.id}_V`, label: `V(${name})`, unit: 'V', kind: 'voltage', pos: t0, neg: t1 });
+        }
+    }
+
+    return outputs;
+}
+
+/**
+ * Value of an output from a DC or AC operating point.
+ * Follows the instrument displays: current and AC voltage magnitudes,
+ * wattmeter power V·|I| (DC) or Re(V·I*) (AC).
+ */
+function readOperatingPoint(solver, result, output, ac) {
+    const voltage = (pos, neg) => {
+        const v = (terminal) => {
+            const id = solver.getNodeId(terminal);
+            return result.nodeVoltages.get(id) || null;
+        };
+        const vPos = v(pos), vNeg = v(neg);
+        if (!ac) return (vPos || 0) - (vNeg || 0);
+        if (vPos && vNeg) return vPos.sub(vNeg);
+        if (vPos) return vPos;
+        return vNeg ? vNeg.neg() : null;
+    };
+
+    switch (output.kind) {
+        case 'voltage': {
+            const v = voltage(output.pos, output.neg);
+            return ac ? (v ? v.magnitude() : 0) : v;
+        }
+        case 'current': {
+            const i = result.branchCurrents.get(output.sourceId);
+            if (i === undefined) return 0;
+            return ac ? i.magnitude() : Math.abs(i);
+        }
+        case 'power': {
+            const comp = output.component;
+            const v = voltage(comp.terminals[2], comp.terminals[3]);
+            const i = result.branchCurrents.get(comp.id);
+            if (v === null || i === undefined) return 0;
+            return ac ? v.real * i.real + v.imag * i.imag : v * Math.abs(i);
+        }
+    }
+    return NaN;
+}
+
+/**
+ * Time series of an output from a transient result
+ */
+function readTransientSeries(solver, result, output) {
+    const { timePoints, results } = result;
+    const zeros = () => timePoints.map(() => 0);
+    const node = (terminal) => results.get(solver.getNodeId(terminal)) || zeros();
+
+    switch (output.kind) {
+        case 'voltage': {
+            const pos = node(output.pos);
+            const neg = node(output.neg);
+            return timePoints.map((_, i) => pos[i] - neg[i]);
+        }
+        case 'current':
+            return results.get(`${output.sourceId}_I`) || zeros();
+        case 'power':
+            return result.instantaneousPower.get(output.component.id) || zeros();
+    }
+    return zeros();
+}
+
+/**
+ * Reduce a waveform to one number
+ */
+function applyStatistic(timePoints, values, statistic, fromTime = 0) {
+    if (statistic === 'final') return values[values.length - 1];
+
+    const m = measureWaveform(timePoints, values, fromTime, Infinity);
+    if (!m) return NaN;
+    switch (statistic) {
+        case 'rms': return m.vrms;
+        case 'max': return m.vmax;
+        case 'min': return m.vmin;
+        case 'pp': return m.vpp;
+        default: return m.vavg;
+    }
+}
+
+/**
+ * Solve the circuit as it stands and read the outputs
+ * @param {CircuitGraph} circuit
+ * @param {Object} config
+ * @param {'dc'|'ac'|'transient'} config.analysis
+ * @param {Object} config.settings - Analysis settings (SimulationControls.getSettings())
+ * @param {Object[]} config.outputs - Outputs from getSweepOutputs()
+ * @param {string} [config.statistic] - Transient reduction (key of SWEEP_STATISTICS)
+ * @param {number} [config.fromTime] - Transient statistics ignore samples before this time
+ * @returns {{success: boolean, values?: number[], error?: string}} One value per output
+ */
+export function solveOutputs(circuit, config) {
+    const { analysis, settings, outputs } = config;
+
+    try {
+        if (analysis === 'transient') {
+            const solver = new TransientSolver(circuit);
+            const endTime = settings.simulationTime || 0.01;
+            const timeStep = settings.timeStep || 0.0001;
+            const result = solver.solve(endTime, timeStep, {
+                adaptive: settings.stepControl === 'adaptive',
+                maxSteps: Math.max(ADAPTIVE_MIN_STEPS, ADAPTIVE_STEP_BUDGET * Math.ceil(endTime / timeStep)),
+                method: settings.integrationMethod
+            });
+            if (!result.success) return { success: false, error: result.error };
+
+            return {
+                success: true,
+                values: outputs.map(output => applyStatistic(result.timePoints,
+                    readTransientSeries(solver, result, output), config.statistic, config.fromTime || 0))
+            };
+        }
+
+        const solver = new MNASolver(circuit);
+        solver.verbose = false;
+        const ac = analysis === 'ac';
+        const result = ac ? solver.solveAC(settings.frequency || 1000) : solver.solveDC();
+        if (!result.success) return { success: false, error: result.error };
+
+        return { success: true, values: outputs.map(output => readOperatingPoint(solver, result, output, ac)) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Solve the circuit once with the property set to `value` and read the outputs
+ * @param {CircuitGraph} circuit
+ * @param {Object} config - As for solveOutputs(), plus:
+ * @param {Component} config.component - Component to modify
+ * @param {string} config.property - Property name
+ * @param {number} value - Property value for this run
+ * @returns {{success: boolean, values?: number[], error?: string}} One value per output
+ */
+export function evaluateSweepPoint(circuit, config, value) {
+    const { component, property } = config;
+    const original = component.properties[property];
+    component.properties[property] = value;
+
+    try {
+        return solveOutputs(circuit, config);
+    } finally {
+        component.properties[property] = original;
+    }
+}
@@ -0,0 +1,254 @@
+/**
+ * ToleranceAnalysis.js - Monte Carlo and worst-case analysis of component tolerances
+ *
+ * Resistors, capacitors and inductors carry a `tolerance` (%) and a
+ * `toleranceDistribution` (uniform, or Gaussian with ±tolerance = 3σ).
+ * Monte Carlo draws every toleranced value at random for each trial;
+ * worst case evaluates the corners (every value at +tol or −tol). Outputs
+ * are read with the parametric sweep readers (getSweepOutputs()).
+ */
+
+import { solveOutputs } from './ParametricSweep.js';
+
+// Property that the tolerance applies to, per component type
+const TOLERANCE_TARGETS = {
+    resistor: { property: 'resistance', unit: 'Ω' },
+    capacitor: { property: 'capacitance', unit: 'F' },
+    inductor: { property: 'inductance', unit: 'H' }
+};
+
+// Up to this many toleranced components every corner is evaluated (2^n runs);
+// beyond it, the two sensitivity-directed corners are used
+export const MAX_CORNER_COMPONENTS = 10;
+
+/**
+ * Components with a non-zero tolerance
+ * @param {CircuitGraph} circuit
+ * @returns {Array<{component: Component, property: string, unit: string, nominal: number, tolerance: number, distribution: string}>}
+ */
+export function getToleranceComponents(circuit) {
+    const items = [];
+    for (const component of circuit.getAllComponents()) {
+        const target = TOLERANCE_TARGETS[component.type];
+        const tolerance = Number(component.properties.tolerance) || 0;
+        if (!target || tolerance <= 0) continue;
+        items.push({
+            component,
+            property: target.property,
+            unit: target.unit,
+            nominal: component.properties[target.property],
+            tolerance,
+            distribution: component.properties.toleranceDistribution || 'uniform'
+        });
+    }
+    return items;
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function gaussian(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Random value of one toleranced component
+ * @param {Object} item - From getToleranceComponents()
+ * @param {Function} [random] - Uniform [0, 1) generator
+ */
+export function sampleValue(item, random = Math.random) {
+    const tol = item.tolerance / 100;
+    const deviation = item.distribution === 'gaussian'
+        ? gaussian(random) * tol / 3
+        : (2 * random() - 1) * tol;
+    return item.nominal * (1 + deviation);
+}
+
+/**
+ * Solve with the given component values, then restore the nominal values
+ * @param {CircuitGraph} circuit
+ * @param {Object[]} items - From getToleranceComponents()
+ * @param {number[]} values - One value per item
+ * @param {Object} config - Analysis, settings and outputs (see solveOutputs())
+ */
+export function evaluateWithValues(circuit, items, values, config) {
+    items.forEach((item, i) => { item.component.properties[item.property] = values[i]; });
+    try {
+        return solveOutputs(circuit, config);
+    } finally {
+        for (const item of items) {
+            item.component.properties[item.property] = item.nominal;
+        }
+    }
+}
+
+/**
+ * One Monte Carlo trial: draw every value and solve
+ * @returns {{success: boolean, values?: number[], error?: string, sample: number[]}}
+ */
+export function runMonteCarloTrial(circuit, items, config, random = Math.random) {
+    const sample = items.map(item => sampleValue(item, random));
+    return { ...evaluateWithValues(circuit, items, sample, config), sample };
+}
+
+/**
+ * Component values of a corner
+ * @param {Object[]} items
+ * @param {number[]} signs - +1 / −1 per item
+ */
+function cornerValues(items, signs) {
+    return items.map((item, i) => item.nominal * (1 + signs[i] * item.tolerance / 100));
+}
+
+/**
+ * Start a worst-case analysis of the first output.
+ * With up to MAX_CORNER_COMPONENTS toleranced components every corner is
+ * solved; otherwise the sign of each component's sensitivity (one run at
+ * +tol per component) picks the corner that maximises and the one that
+ * minimises the output. The runs are made one at a time by
+ * stepWorstCase(), so a caller can spread them over timer callbacks.
+ * @param {CircuitGraph} circuit
+ * @param {Object[]} items - From getToleranceComponents()
+ * @param {Object} config - Analysis, settings and outputs (see solveOutputs())
+ * @returns {Object} Run state (success: false with an error if the nominal run failed)
+ */
+export function startWorstCase(circuit, items, config) {
+    const nominalResult = solveOutputs(circuit, config);
+    if (!nominalResult.success) return { success: false, error: nominalResult.error };
+
+    const useCorners = items.length <= MAX_CORNER_COMPONENTS;
+    return {
+        success: true,
+        method: useCorners ? 'corners' : 'sensitivity',
+        nominal: nominalResult.values[0],
+        total: 1 + (useCorners ? 1 << items.length : items.length + 2),
+        runs: 1,
+        sensitivity: [],
+        corners: useCorners ? Array.from({ length: 1 << items.length },
+            (_, mask) => items.map((_, i) => (mask >> i) & 1 ? 1 : -1)) : null,
+        next: 0,
+        failed: 0,
+        error: null,
+        min: null,
+        max: null
+    };
+}
+
+/**
+ * Make the next worst-case run
+ * @param {Object} state - From startWorstCase()
+ * @returns {boolean} True when every run has been made (or one it depends on failed)
+ */
+export function stepWorstCase(circuit, items, config, state) {
+    // Sensitivity runs first: +tol on one component at a time
+    if (!state.corners) {
+        const i = state.sensitivity.length;
+        const values = items.map((item, k) => (k === i ? item.nominal * (1 + item.tolerance / 100) : item.nominal));
+        const result = evaluateWithValues(circuit, items, values, config);
+        state.runs++;
+        if (!result.success) {
+            state.error = result.error;
+            return true;
+        }
+        state.sensitivity.push(Math.sign(result.values[0] - state.nominal) || 1);
+        if (state.sensitivity.length === items.length) {
+            state.corners = [state.sensitivity, state.sensitivity.map(s => -s)];
+        }
+        return false;
+    }
+
+    const signs = state.corners[state.next++];
+    const result = evaluateWithValues(circuit, items, cornerValues(items, signs), config);
+    state.runs++;
+    if (result.success) {
+        const value = result.values[0];
+        if (!state.min || value < state.min.value) state.min = { value, signs };
+        if (!state.max || value > state.max.value) state.max = { value, signs };
+    } else {
+        state.failed++;
+        state.error = state.error || result.error;
+    }
+    return state.next >= state.corners.length;
+}
+
+/**
+ * Result of a (possibly stopped) worst-case analysis
+ * @param {Object} state - From startWorstCase()
+ * @returns {{success: boolean, error?: string, method: 'corners'|'sensitivity', runs: number, total: number,
+ *            failed: number, nominal: number, min: {value: number, signs: number[]}, max: {value: number, signs: number[]}}}
+ */
+export function finishWorstCase(state) {
+    if (!state.success) return state;
+    if (!state.min) {
+        return { success: false, error: state.error || 'No corner could be solved.' };
+    }
+    const { method, runs, total, failed, error, nominal, min, max } = state;
+    return { success: true, method, runs, total, failed, error, nominal, min, max };
+}
+
+/**
+ * Worst-case analysis in one call (see startWorstCase())
+ * @param {CircuitGraph} circuit
+ * @param {Object[]} items - From getToleranceComponents()
+ * @param {Object} config - Analysis, settings and outputs (see solveOutputs())
+ */
+export function runWorstCase(circuit, items, config) {
+    const state = startWorstCase(circuit, items, config);
+    if (state.success) {
+        while (!stepWorstCase(circuit, items, config, state));
+    }
+    return finishWorstCase(state);
+}
+
+/**
+ * Mean, standard deviation and range of a set of results (non-finite values ignored)
+ * @param {number[]} values
+ * @returns {{count: number, mean: number, sigma: number, min: number, max: number}}
+ */
+export function computeStatistics(values) {
+    const finite = values.filter(v => isFinite(v));
+    const count = finite.length;
+    if (count === 0) return { count: 0, mean: NaN, sigma: NaN, min: NaN, max: NaN };
+
+    const mean = finite.reduce((a, b) => a + b, 0) / count;
+    const variance = count > 1
+        ? finite.reduce((a, v) => a + (v - mean) ** 2, 0) / (count - 1)
+        : 0;
+    return {
+        count,
+        mean,
+        sigma: Math.sqrt(variance),
+        min: Math.min(...finite),
+        max: Math.max(...finite)
+    };
+}
+
+/**
+ * Histogram with equal-width bins over [min, max]
+ * @param {number[]} values
+ * @param {number} [bins] - Number of bins (default √N, 5 to 50)
+ * @returns {{edges: number[], counts: number[]}} edges has bins + 1 entries
+ */
+export function computeHistogram(values, bins = 0) {
+    const finite = values.filter(v => isFinite(v));
+    const n = bins > 0 ? bins : Math.min(50, Math.max(5, Math.round(Math.sqrt(finite.length))));
+    if (finite.length === 0) return { edges: [], counts: [] };
+
+    let lo = Math.min(...finite);
+    let hi = Math.max(...finite);
+    if (lo === hi) {
+        const pad = Math.abs(lo) * 1e-3 || 1e-3;
+        lo -= pad;
+        hi += pad;
+    }
+
+    const width = (hi - lo) / n;
+    const edges = Array.from({ length: n + 1 }, (_, i) => lo + i * width);
+    const counts = new Array(n).fill(0);
+    for (const v of finite) {
+        counts[Math.min(n - 1, Math.floor((v - lo) / width))]++;
+    }
+    return { edges, counts };
+}
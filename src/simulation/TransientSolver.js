@@ -1,14 +1,29 @@
 /**
  * TransientSolver.js - Time-domain transient analysis
  * 
- * Uses Backward Euler numerical integration to solve:
- * - Capacitor: i = C * dv/dt  →  companion model: G = C/h, I = C/h * v(n-1)
- * - Inductor: v = L * di/dt  →  companion model: G = h/L, I = i(n-1)
+ * Capacitors and inductors use a selectable integration rule:
+ * - Backward Euler (default):
+ *     Capacitor: G = C/h,   I = C/h * v(n-1)
+ *     Inductor:  G = h/L,   I = i(n-1)
+ * - Trapezoidal:
+ *     Capacitor: G = 2C/h,  I = 2C/h * v(n-1) + i(n-1)
+ *     Inductor:  G = h/2L,  I = i(n-1) + h/2L * v(n-1)
+ * - Gear-2 (BDF2), variable step with ω = h(n)/h(n-1):
+ *     dx/dt ≈ a0·x(n) + a1·x(n-1) + a2·x(n-2)
+ *     a0 = (1+2ω)/((1+ω)h),  a1 = -(1+ω)/h,  a2 = ω²/((1+ω)h)
  * 
  * Where h is the time step
  */
 
 import { Matrix, solveLinearSystem } from './Matrix.js';
+import { getComponentDefinition } from '../components/index.js';
+
+/** Integration methods accepted by TransientSolver.solve() */
+export const INTEGRATION_METHODS = {
+    be: 'Backward Euler',
+    trap: 'Trapezoidal',
+    gear2: 'Gear-2 (BDF2)'
+};
 
 export class TransientSolver {
     constructor(circuitGraph) {
@@ -16,6 +31,8 @@ export class TransientSolver {
         this.nodes = [];
         this.nodeMap = new Map();
         this.voltageSources = [];
+        this.transformers = [];
+        this.threePhaseSources = [];
 
         // Simulation state
         this.time = 0;
@@ -25,24 +42,45 @@ export class TransientSolver {
         // Component states (for energy storage elements)
         this.capacitorVoltages = new Map();  // capacitor ID -> voltage
         this.inductorCurrents = new Map();   // inductor ID -> current
+        this.capacitorCurrents = new Map();      // capacitor ID -> current (trapezoidal)
+        this.capacitorVoltagesPrev = new Map();  // capacitor ID -> v(n-2) (BDF2)
+        this.inductorVoltages = new Map();       // inductor ID -> voltage (trapezoidal)
+        this.inductorCurrentsPrev = new Map();   // inductor ID -> i(n-2) (BDF2)
+        this.integrationMethod = 'be';
+        this._prevStep = null;                   // last accepted step size
         this.diodeVoltages = new Map();      // diode ID -> voltage (for NR)
+        this.diodeCharges = new Map();       // diode ID -> stored charge q(n-1)
+        this.diodeChargesPrev = new Map();   // diode ID -> q(n-2) (BDF2)
+        this.limitedVoltages = new Map();    // diode / transistor ID -> controlling voltages of the last NR iteration
+        this.limitingActive = false;         // a junction step was limited in the current NR iteration
+        this.saturatedOpAmps = new Map();    // op-amp ID -> ±Vsat its pole is pinned at in this step
+        this.overdrivenOpAmps = new Map();   // op-amp ID -> ±Vsat its unpinned pole exceeded in the last solve
 
         // Results
         this.timePoints = [];
         this.results = new Map(); // node/component ID -> array of values
+        this.instantaneousPower = new Map(); // wattmeter ID -> p(t) = v·i
     }
 
     /**
      * Run transient analysis
      * @param {number} endTime - End time in seconds
-     * @param {number} timeStep - Time step in seconds
+     * @param {number} timeStep - Time step in seconds (output grid spacing when adaptive)
+     * @param {{ adaptive?: boolean, method?: 'be'|'trap'|'gear2', reltol?: number, abstol?: number }} options
+     *   adaptive: control the internal step from the local truncation error
+     *   estimate and resample the accepted points onto the uniform timeStep grid
+     *   method: integration rule for capacitor/inductor companion models
      * @returns {{ timePoints: number[], results: Map, success: boolean, error: string }}
      */
-    solve(endTime = 0.01, timeStep = 0.0001) {
+    solve(endTime = 0.01, timeStep = 0.0001, options = {}) {
         try {
             this.endTime = endTime;
             this.timeStep = timeStep;
             this.time = 0;
+            this._prevSolution = null;
+            this._prevStep = null;
+            this.limitedVoltages = new Map();
+            this.integrationMethod = INTEGRATION_METHODS[options.method] ? options.method : 'be';
 
             // Build node list
             this.buildNodeList();
@@ -59,100 +97,40 @@ export class TransientSolver {
             this.initializeStates();
 
             // Initialize result arrays
-            this.timePoints = [];
-            this.results = new Map();
-            for (const node of this.nodes) {
-                this.results.set(node, []);
-            }
-            // Track voltage source currents
-            for (const vs of this.voltageSources) {
-                this.results.set(vs.id + '_I', []);
-            }
-            // Track resistor and capacitor currents
-            const components = this.circuit.getAllComponents();
-            this.resistors = [];
-            this.capacitors = [];
-            for (const comp of components) {
-                if (comp.constructor.name === 'Resistor') {
-                    this.resistors.push(comp);
-                    this.results.set(comp.id + '_I', []);
-                } else if (comp.constructor.name === 'Capacitor') {
-                    this.capacitors.push(comp);
-                    this.results.set(comp.id + '_I', []);
-                } else if (comp.constructor.name === 'Diode') {
-                    this.results.set(comp.id + '_I', []);
-                }
-            }
-            this.diodes = components.filter(c => c.constructor.name === 'Diode');
+            this.initializeResults();
 
-            console.log(`=== Transient Analysis: 0 to ${endTime * 1000}ms, step=${timeStep * 1e6}µs ===`);
+            let stepStats = null;
 
-            // Time stepping loop
-            while (this.time <= this.endTime) {
-                // Build and solve system for this time step
-                const solution = this.solveTimeStep();
+            if (options.adaptive) {
+                console.log(`=== Transient Analysis (adaptive): 0 to ${endTime * 1000}ms, output step=${timeStep * 1e6}µs ===`);
 
-                // Divergence detection
-                for (let i = 0; i < solution.length; i++) {
-                    if (!isFinite(solution[i]) || Math.abs(solution[i]) > 1e15) {
-                        return {
-                            success: false,
-                            error: `Simulation diverged at t=${(this.time * 1000).toFixed(4)}ms (node value: ${solution[i].toExponential(2)}). Check circuit connectivity and component values.`
-                        };
-                    }
-                }
+                const outcome = this.runAdaptive(endTime, timeStep, options);
+                if (!outcome.success) return outcome;
+                stepStats = outcome.stats;
 
-                // Store results
-                this.timePoints.push(this.time);
-                for (let i = 0; i < this.nodes.length; i++) {
-                    this.results.get(this.nodes[i]).push(solution[i]);
-                }
-                // Voltage source currents
-                for (let i = 0; i < this.voltageSources.length; i++) {
-                    const vs = this.voltageSources[i];
-                    this.results.get(vs.id + '_I').push(solution[this.nodes.length + i]);
-                }
-                // Calculate and store resistor currents (I = V/R)
-                for (const r of this.resistors) {
-                    const [t1, t2] = r.terminals;
-                    const n1 = this.getNodeIndex(t1);
-                    const n2 = this.getNodeIndex(t2);
-                    const v1 = n1 !== null ? solution[n1] : 0;
-                    const v2 = n2 !== null ? solution[n2] : 0;
-                    const current = (v1 - v2) / r.properties.resistance;
-                    this.results.get(r.id + '_I').push(current);
-                }
-                // Calculate and store capacitor currents (I = C * dv/dt)
-                for (const c of this.capacitors) {
-                    const [t1, t2] = c.terminals;
-                    const n1 = this.getNodeIndex(t1);
-                    const n2 = this.getNodeIndex(t2);
-                    const v1 = n1 !== null ? solution[n1] : 0;
-                    const v2 = n2 !== null ? solution[n2] : 0;
-                    const vNow = v1 - v2;
-                    const vPrev = this.capacitorVoltages.get(c.id) || 0;
-                    const current = c.properties.capacitance * (vNow - vPrev) / this.timeStep;
-                    this.results.get(c.id + '_I').push(current);
-                }
-                // Calculate and store diode currents
-                if (this.diodes) {
-                    for (const d of this.diodes) {
-                        const [t1, t2] = d.terminals;
-                        const n1 = this.getNodeIndex(t1);
-                        const n2 = this.getNodeIndex(t2);
-                        const v1 = n1 !== null ? solution[n1] : 0;
-                        const v2 = n2 !== null ? solution[n2] : 0;
-                        const Vd = v1 - v2;
-                        const { Id } = d.computeDiodeModel(Vd);
-                        this.results.get(d.id + '_I').push(Id);
+                this.resampleResults(timeStep, endTime);
+                this.timeStep = timeStep;
+            } else {
+                console.log(`=== Transient Analysis (${INTEGRATION_METHODS[this.integrationMethod]}): 0 to ${endTime * 1000}ms, step=${timeStep * 1e6}µs ===`);
+
+                // Time stepping loop
+                while (this.time <= this.endTime) {
+                    // Build and solve system for this time step
+                    const solution = this.solveTimeStep();
+
+                    // Divergence detection
+                    const bad = this.findDivergence(solution);
+                    if (bad !== null) {
+                        return this.divergenceError(bad);
                     }
-                }
 
-                // Update component states
-                this.updateStates(solution);
+                    // Store results and update component states
+                    this.recordTimePoint(solution);
+                    this.updateStates(solution);
 
-                // Advance time
-                this.time += this.timeStep;
+                    // Advance time
+                    this.time += this.timeStep;
+                }
             }
 
             console.log(`Completed ${this.timePoints.length} time points`);
@@ -160,7 +138,9 @@ export class TransientSolver {
             return {
                 success: true,
                 timePoints: this.timePoints,
-                results: this.results
+                results: this.results,
+                instantaneousPower: this.instantaneousPower,
+                stepStats
             };
 
         } catch (error) {
@@ -169,6 +149,377 @@ export class TransientSolver {
         }
     }
 
+    /**
+     * Create empty result series for nodes, source currents and tracked components
+     */
+    initializeResults() {
+        this.timePoints = [];
+        this.results = new Map();
+        for (const node of this.nodes) {
+            this.results.set(node, []);
+        }
+        // Track voltage source currents
+        for (const vs of this.voltageSources) {
+            this.results.set(vs.id + '_I', []);
+        }
+        // Track resistor and capacitor currents
+        const components = this.circuit.getAllComponents();
+        this.resistors = [];
+        this.capacitors = [];
+        for (const comp of components) {
+            if (comp.type === 'resistor') {
+                this.resistors.push(comp);
+                this.results.set(comp.id + '_I', []);
+            } else if (comp.type === 'capacitor') {
+                this.capacitors.push(comp);
+                this.results.set(comp.id + '_I', []);
+            } else if (comp.type === 'diode' || comp.type === 'bjt' || comp.type === 'mosfet') {
+                this.results.set(comp.id + '_I', []);
+            }
+        }
+        this.diodes = components.filter(c => c.type === 'diode');
+        this.transistors = components.filter(c => c.type === 'bjt' || c.type === 'mosfet');
+        this.opAmps = components.filter(c => c.type === 'opamp');
+        this.nonlinearDevices = components.filter(c => getComponentDefinition(c.type)?.nonlinear);
+        // Track transformer primary winding currents
+        for (const xfmr of this.transformers) {
+            this.results.set(xfmr.id + '_I', []);
+        }
+        // Track wattmeter instantaneous power
+        this.instantaneousPower = new Map();
+        this.wattmeters = components.filter(c => c.type === 'wattmeter');
+        for (const wm of this.wattmeters) {
+            this.instantaneousPower.set(wm.id, []);
+        }
+    }
+
+    /**
+     * Index of the first non-finite or runaway value in a solution, or null
+     */
+    findDivergence(solution) {
+        for (let i = 0; i < solution.length; i++) {
+            if (!isFinite(solution[i]) || Math.abs(solution[i]) > 1e15) return i;
+        }
+        return null;
+    }
+
+    divergenceError(index) {
+        const value = this._lastSolution ? this._lastSolution[index] : NaN;
+        return {
+            success: false,
+            error: `Simulation diverged at t=${(this.time * 1000).toFixed(4)}ms (node value: ${Number(value).toExponential(2)}). Check circuit connectivity and component values.`
+        };
+    }
+
+    /**
+     * Append the solution at this.time to the result series.
+     * Must be called before updateStates() (derived currents use the previous state).
+     */
+    recordTimePoint(solution) {
+        this.timePoints.push(this.time);
+        for (let i = 0; i < this.nodes.length; i++) {
+            this.results.get(this.nodes[i]).push(solution[i]);
+        }
+        // Voltage source currents
+        for (let i = 0; i < this.voltageSources.length; i++) {
+            const vs = this.voltageSources[i];
+            this.results.get(vs.id + '_I').push(solution[this.nodes.length + i]);
+        }
+        // Calculate and store resistor currents (I = V/R)
+        for (const r of this.resistors) {
+            const [t1, t2] = r.terminals;
+            const n1 = this.getNodeIndex(t1);
+            const n2 = this.getNodeIndex(t2);
+            const v1 = n1 !== null ? solution[n1] : 0;
+            const v2 = n2 !== null ? solution[n2] : 0;
+            const current = (v1 - v2) / r.properties.resistance;
+            this.results.get(r.id + '_I').push(current);
+        }
+        // Calculate and store capacitor currents (I = C * dv/dt)
+        for (const c of this.capacitors) {
+            const [t1, t2] = c.terminals;
+            const n1 = this.getNodeIndex(t1);
+            const n2 = this.getNodeIndex(t2);
+            const v1 = n1 !== null ? solution[n1] : 0;
+            const v2 = n2 !== null ? solution[n2] : 0;
+            const { g, iEq } = this.getCapacitorCompanion(c);
+            const current = g * (v1 - v2) - iEq;
+            this.results.get(c.id + '_I').push(current);
+        }
+        // Calculate and store diode currents
+        if (this.diodes) {
+            for (const d of this.diodes) {
+                const [t1, t2] = d.terminals;
+                const n1 = this.getNodeIndex(t1);
+                const n2 = this.getNodeIndex(t2);
+                const v1 = n1 !== null ? solution[n1] : 0;
+                const v2 = n2 !== null ? solution[n2] : 0;
+                const Vd = v1 - v2;
+                let { Id } = d.computeDiodeModel(Vd);
+                if (d.hasCharge()) Id += this.getDiodeChargeCurrent(d, Vd);
+                this.results.get(d.id + '_I').push(Id);
+            }
+        }
+        // Transistor collector / drain currents
+        for (const q of this.transistors) {
+            this.results.get(q.id + '_I').push(q.computeModel(this.getTerminalVoltages(q, solution)).currents[0]);
+        }
+
+        // Transformer primary currents (series Req-Leq branch)
+        for (const xfmr of this.transformers) {
+            this.results.get(xfmr.id + '_I').push(this.getTransformerPrimaryCurrent(xfmr, solution));
+        }
+
+        // Wattmeter instantaneous power p(t) = v_coil(t) · i_coil(t)
+        for (const wm of this.wattmeters) {
+            const nC = this.getNodeIndex(wm.terminals[2]);
+            const nV = this.getNodeIndex(wm.terminals[3]);
+            const vCoil = (nC !== null ? solution[nC] : 0) - (nV !== null ? solution[nV] : 0);
+            const iCoil = solution[this.nodes.length + this.voltageSources.indexOf(wm)];
+            this.instantaneousPower.get(wm.id).push(vCoil * iCoil);
+        }
+    }
+
+    /**
+     * Adaptive time stepping with local truncation error (LTE) control.
+     *
+     * The LTE of each node is estimated from the corrector and the accepted
+     * history, using the order of the integration rule of the step (see
+     * getErrorRatio). The step is rejected when LTE exceeds reltol·|x| + abstol
+     * on any node, or when Newton-Raphson fails to converge (e.g. at a diode
+     * switching edge); the new step scales as ratio^(−1/(order+1)) and grows
+     * again (up to 2× per step) during quiet intervals.
+     * Source breakpoints are hit exactly so edges are not stepped over, and
+     * the predictor restarts when an op-amp enters or leaves saturation.
+     * The run fails after `maxSteps` accepted plus rejected steps rather than
+     * crawling on indefinitely.
+     *
+     * @returns {{ success: boolean, error?: string, stats?: object }}
+     */
+    runAdaptive(endTime, outputStep, options = {}) {
+        const reltol = options.reltol ?? 1e-3;
+        const abstol = options.abstol ?? 1e-6;
+        const hMax = Math.max(outputStep, endTime / 50);
+        const hMin = Math.max(outputStep * 1e-4, 1e-15);
+        const maxSteps = options.maxSteps ?? Math.max(50000, 100 * Math.ceil(endTime / outputStep));
+        const eps = endTime * 1e-12;
+        const n = this.nodes.length;
+
+        const breakpoints = this.getBreakpoints(endTime);
+        let nextBp = 0;
+
+        const stats = { accepted: 0, rejected: 0, minStep: Infinity, maxStep: 0 };
+
+        // Initial point at t = 0 with a small start-up step
+        let h = Math.min(outputStep, hMax) / 100;
+        this.time = 0;
+        this.timeStep = h;
+        let solution = this.solveTimeStep();
+        const bad = this.findDivergence(solution);
+        if (bad !== null) return this.divergenceError(bad);
+        this.recordTimePoint(solution);
+        this.updateStates(solution);
+
+        // Last three accepted points for the predictor
+        let history = [{ t: 0, x: solution.slice(0, n) }];
+        let saturation = this.getSaturationKey();
+
+        while (this.time < endTime - eps) {
+            const tPrev = this.time;
+
+            if (stats.accepted + stats.rejected >= maxSteps) {
+                return {
+                    success: false,
+                    error: `Adaptive step control gave up after ${maxSteps} steps at t = ${(tPrev * 1000).toPrecision(4)} ms. Try Fixed step control.`
+                };
+            }
+
+            while (nextBp < breakpoints.length && breakpoints[nextBp] <= tPrev + eps) nextBp++;
+            h = Math.min(h, hMax, endTime - tPrev);
+            let hitBreakpoint = false;
+            if (nextBp < breakpoints.length && tPrev + h >= breakpoints[nextBp] - eps) {
+                h = breakpoints[nextBp] - tPrev;
+                hitBreakpoint = true;
+            }
+
+            const savedSolution = this._prevSolution;
+            this.time = tPrev + h;
+            this.timeStep = h;
+            solution = this.solveTimeStep();
+
+            // Error ratio (> 1 means reject)
+            let ratio = 0;
+            let order = 1;
+            if (this.findDivergence(solution) !== null || !this.lastNewtonConverged) {
+                ratio = 16;
+            } else {
+                ({ ratio, order } = this.getErrorRatio(history, solution, reltol, abstol));
+            }
+
+            if (ratio > 1 && h > hMin) {
+                // Reject: roll back and retry with a smaller step (LTE ∝ h^(order+1))
+                stats.rejected++;
+                this.time = tPrev;
+                this._prevSolution = savedSolution;
+                h = Math.max(hMin, h * Math.max(0.1, 0.9 / Math.pow(ratio, 1 / (order + 1))));
+                continue;
+            }
+
+            if (this.findDivergence(solution) !== null) {
+                return this.divergenceError(this.findDivergence(solution));
+            }
+
+            // Accept
+            stats.accepted++;
+            stats.minStep = Math.min(stats.minStep, h);
+            stats.maxStep = Math.max(stats.maxStep, h);
+            this.recordTimePoint(solution);
+            this.updateStates(solution);
+
+            // Restart the predictor after a source edge (derivatives are discontinuous)
+            if (hitBreakpoint) {
+                history = [{ t: this.time, x: solution.slice(0, n) }];
+                saturation = this.getSaturationKey();
+                h = Math.min(h, outputStep) / 10;
+                continue;
+            }
+
+            // Likewise when an op-amp output saturates or comes out of saturation
+            const saturationNow = this.getSaturationKey();
+            if (saturationNow !== saturation) {
+                history = [{ t: this.time, x: solution.slice(0, n) }];
+                saturation = saturationNow;
+                continue;
+            }
+
+            history.push({ t: this.time, x: solution.slice(0, n) });
+            if (history.length > 3) history.shift();
+
+            // A step forced through at hMin (e.g. across a diode snapping off)
+            // still has a large ratio; do not let it push h below hMin
+            const grow = ratio > 0 ? 0.9 / Math.pow(ratio, 1 / (order + 1)) : 2;
+            h = Math.max(hMin, h * Math.min(2, grow));
+        }
+
+        return { success: true, stats };
+    }
+
+    /**
+     * Largest LTE / tolerance over the nodes for the step just solved, and the
+     * order of the estimate.
+     *
+     * Backward Euler (first order), LTE ≈ h²/2 · x'': a linear predictor
+     * through the last two accepted points gives
+     *   LTE ≈ h / (h + h_prev) · |x_corrector − x_predictor|
+     * Trapezoidal and Gear-2 (second order), LTE ≈ |C| · h³ · x''', where
+     * x''' is six times the third divided difference through the last three
+     * accepted points and the corrector, and C is the rule's error constant:
+     * 1/12 for the trapezoidal rule, −(a1·h³ + a2·(h + h_prev)³) / (6·a0·h³)
+     * for variable-step BDF2 (2/9 at equal steps). With fewer than three
+     * points (start-up, after a breakpoint) the first-order estimate is used.
+     *
+     * @returns {{ ratio: number, order: number }}
+     */
+    getErrorRatio(history, solution, reltol, abstol) {
+        const n = this.nodes.length;
+        const h = this.timeStep;
+        const method = this.getStepMethod();
+        let ratio = 0;
+
+        if (method !== 'be' && history.length === 3) {
+            let errorConstant = 1 / 12;
+            if (method === 'gear2') {
+                const { a0, a1, a2 } = this.getBDF2Coefficients();
+                const H = h + this._prevStep;
+                errorConstant = Math.abs(a1 * h ** 3 + a2 * H ** 3) / (6 * a0 * h ** 3);
+            }
+            const [p0, p1, p2] = history;
+            const t = [p0.t, p1.t, p2.t, this.time];
+            for (let i = 0; i < n; i++) {
+                // Divided differences of x over the four points
+                let dd = [p0.x[i], p1.x[i], p2.x[i], solution[i]];
+                for (let k = 1; k <= 3; k++) {
+                    dd = dd.slice(1).map((x, j) => (x - dd[j]) / (t[j + k] - t[j]));
+                }
+                const lte = errorConstant * h ** 3 * 6 * Math.abs(dd[0]);
+                const tol = reltol * Math.max(Math.abs(solution[i]), Math.abs(p2.x[i])) + abstol;
+                ratio = Math.max(ratio, lte / tol);
+            }
+            return { ratio, order: 2 };
+        }
+
+        if (history.length >= 2) {
+            const [p0, p1] = history.slice(-2);
+            const hPrev = p1.t - p0.t;
+            const factor = h / (h + hPrev);
+            for (let i = 0; i < n; i++) {
+                const predicted = p1.x[i] + (p1.x[i] - p0.x[i]) * (h / hPrev);
+                const lte = factor * Math.abs(solution[i] - predicted);
+                const tol = reltol * Math.max(Math.abs(solution[i]), Math.abs(p1.x[i])) + abstol;
+                ratio = Math.max(ratio, lte / tol);
+            }
+        }
+        return { ratio, order: 1 };
+    }
+
+    /**
+     * Op-amps saturated in the last solved step, as a comparable string
+     */
+    getSaturationKey() {
+        return Array.from(this.saturatedOpAmps, ([id, vsat]) => `${id}:${vsat}`).join(',');
+    }
+
+    /**
+     * Times at which a source waveform has a corner or jump.
+     * The adaptive stepper lands exactly on these instants.
+     */
+    getBreakpoints(endTime) {
+        const points = [];
+        for (const component of this.circuit.getAllComponents()) {
+            if (typeof component.getBreakpoints === 'function') {
+                points.push(...component.getBreakpoints(endTime));
+            }
+        }
+        return points.filter(t => t > 0 && t < endTime).sort((a, b) => a - b);
+    }
+
+    /**
+     * Linearly interpolate the accepted (non-uniform) points onto a uniform grid
+     * so charts and the oscilloscope receive evenly spaced samples.
+     */
+    resampleResults(step, endTime) {
+        const src = this.timePoints;
+        const count = Math.floor(endTime / step + 1e-9) + 1;
+        const grid = [];
+        for (let k = 0; k < count; k++) grid.push(k * step);
+
+        // Locate the bracketing interval for every grid point once
+        const idx = new Array(count);
+        const frac = new Array(count);
+        let j = 0;
+        for (let k = 0; k < count; k++) {
+            const t = grid[k];
+            while (j < src.length - 2 && src[j + 1] < t) j++;
+            const t0 = src[j], t1 = src[Math.min(j + 1, src.length - 1)];
+            idx[k] = j;
+            frac[k] = t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : 0;
+        }
+
+        const resample = (values) => grid.map((_, k) => {
+            const a = values[idx[k]];
+            const b = values[Math.min(idx[k] + 1, values.length - 1)];
+            return a + (b - a) * frac[k];
+        });
+
+        for (const [key, values] of this.results) {
+            this.results.set(key, resample(values));
+        }
+        for (const [key, values] of this.instantaneousPower) {
+            this.instantaneousPower.set(key, resample(values));
+        }
+        this.timePoints = grid;
+    }
+
     /**
      * Build node list (same as MNA)
      */
@@ -176,17 +527,20 @@ export class TransientSolver {
         this.nodes = [];
         this.nodeMap = new Map();
         this.voltageSources = [];
+        this.transformers = [];
+        this.threePhaseSources = [];
 
         const nodeSet = new Set();
         const components = this.circuit.getAllComponents();
 
         for (const component of components) {
-            if (component.constructor.name === 'VoltageSource' || component.constructor.name === 'Ammeter') {
+            // Voltage sources, ammeters and wattmeter current coils need branch current variables
+            if (getComponentDefinition(component.type)?.hasBranchCurrent) {
                 this.voltageSources.push(component);
             }
 
             // Oscilloscope current-mode channels need branch current variables
-            if (component.constructor.name === 'Oscilloscope') {
+            if (component.type === 'oscilloscope') {
                 const channels = component.getChannelConfig();
                 for (const ch of channels) {
                     if (ch.mode === 'Current' && ch.posTerminal.isConnected() && ch.negTerminal.isConnected()) {
@@ -196,13 +550,21 @@ export class TransientSolver {
                             _scopeComponent: component,
                             _channelId: ch.id,
                             terminals: [ch.posTerminal, ch.negTerminal],
-                            constructor: { name: 'OscilloscopeCurrentChannel' },
+                            type: 'oscilloscope_channel',
                             properties: { voltage: 0 }
                         });
                     }
                 }
             }
 
+            if (component.type === 'transformer') {
+                this.transformers.push(component);
+            }
+
+            if (component.type === 'three_phase_source') {
+                this.threePhaseSources.push(component);
+            }
+
             for (const terminal of component.terminals) {
                 const nodeId = this.getNodeId(terminal);
                 if (nodeId !== 'ground' && nodeId !== null) {
@@ -212,6 +574,11 @@ export class TransientSolver {
         }
 
         this.nodes = Array.from(nodeSet);
+
+        // Internal node for each transformer (junction of series branch and ideal xfmr)
+        for (const xfmr of this.transformers) {
+            this.nodes.push(`__xfmr_mid_${xfmr.id}`);
+        }
         this.nodes.forEach((nodeId, index) => {
             this.nodeMap.set(nodeId, index);
         });
@@ -224,7 +591,7 @@ export class TransientSolver {
         const netTerminals = this.getNetTerminals(terminal);
 
         for (const t of netTerminals) {
-            if (t.component.constructor.name === 'Ground') {
+            if (t.component.type === 'ground') {
                 return 'ground';
             }
         }
@@ -266,25 +633,16 @@ export class TransientSolver {
      */
     hasGround() {
         const components = this.circuit.getAllComponents();
-        return components.some(c => c.constructor.name === 'Ground');
+        return components.some(c => c.type === 'ground');
     }
 
     /**
-     * Initialize capacitor voltages and inductor currents to zero
+     * Reset the state each component keeps between time steps, through the
+     * `initState` stamp of its registered type
      */
     initializeStates() {
-        const components = this.circuit.getAllComponents();
-
-        for (const component of components) {
-            if (component.constructor.name === 'Capacitor') {
-                this.capacitorVoltages.set(component.id, 0);
-            } else if (component.constructor.name === 'Inductor') {
-                this.inductorCurrents.set(component.id, 0);
-            } else if (component.constructor.name === 'Load') {
-                this.inductorCurrents.set(component.id + '_L', 0);
-            } else if (component.constructor.name === 'Diode') {
-                this.diodeVoltages.set(component.id, 0);
-            }
+        for (const component of this.circuit.getAllComponents()) {
+            getComponentDefinition(component.type)?.stamps.initState?.(this, component);
         }
     }
 
@@ -293,21 +651,42 @@ export class TransientSolver {
      * Uses Newton-Raphson iteration when diodes are present.
      */
     solveTimeStep() {
+        // An op-amp driven past ±Vsat has its pole pinned there and the step is
+        // solved again, so the rest of the circuit sees the saturated output
+        // rather than the unclamped one
+        this.saturatedOpAmps = new Map();
+        let solution = this.iterateTimeStep();
+        for (let pass = 0; pass < this.opAmps.length && this.overdrivenOpAmps.size > 0; pass++) {
+            for (const [id, vsat] of this.overdrivenOpAmps) this.saturatedOpAmps.set(id, vsat);
+            solution = this.iterateTimeStep();
+        }
+        return solution;
+    }
+
+    /**
+     * Newton-Raphson (or a single solve for a linear circuit) at the current time
+     */
+    iterateTimeStep() {
         const n = this.nodes.length;
         const m = this.voltageSources.length;
-        const size = n + m;
+        const t = this.transformers.length;
+        const tp = this.threePhaseSources.length;
+        const size = n + m + t + 3 * tp;
 
-        const hasNonlinear = this.diodes && this.diodes.length > 0;
+        const hasNonlinear = this.nonlinearDevices && this.nonlinearDevices.length > 0;
         const maxIter = hasNonlinear ? 50 : 1;
         const vtol = 1e-6;
 
         // Use previous time-step solution as initial guess
         let solution = this._prevSolution || new Array(size).fill(0);
+        let converged = false;
 
         for (let iter = 0; iter < maxIter; iter++) {
             const G = new Matrix(size, size);
             const I = new Array(size).fill(0);
 
+            this.limitingActive = false;
+            this.overdrivenOpAmps = new Map();
             const components = this.circuit.getAllComponents();
             for (const component of components) {
                 this.stampComponent(component, G, I, solution);
@@ -323,17 +702,18 @@ export class TransientSolver {
             const newSolution = solveLinearSystem(G, I);
 
             // Clamp OpAmp internal pole AND output node voltages to ±Vsat (output saturation)
-            for (const component of components) {
-                if (component.constructor.name === 'OpAmp') {
-                    const vsat = component.properties.saturationVoltage || 15;
-                    const nPole = this.getNodeIndex(component.terminals[3]);
-                    const nOut = this.getNodeIndex(component.terminals[2]);
-                    if (nPole !== null) {
-                        newSolution[nPole] = Math.max(-vsat, Math.min(vsat, newSolution[nPole]));
-                    }
-                    if (nOut !== null) {
-                        newSolution[nOut] = Math.max(-vsat, Math.min(vsat, newSolution[nOut]));
+            for (const component of this.opAmps) {
+                const vsat = component.properties.saturationVoltage || 15;
+                const nPole = this.getNodeIndex(component.terminals[3]);
+                const nOut = this.getNodeIndex(component.terminals[2]);
+                if (nPole !== null) {
+                    if (Math.abs(newSolution[nPole]) > vsat && !this.saturatedOpAmps.has(component.id)) {
+                        this.overdrivenOpAmps.set(component.id, Math.sign(newSolution[nPole]) * vsat);
                     }
+                    newSolution[nPole] = Math.max(-vsat, Math.min(vsat, newSolution[nPole]));
+                }
+                if (nOut !== null) {
+                    newSolution[nOut] = Math.max(-vsat, Math.min(vsat, newSolution[nOut]));
                 }
             }
 
@@ -350,58 +730,28 @@ export class TransientSolver {
                     maxDiff = Math.max(maxDiff, Math.abs(newSolution[i] - solution[i]));
                 }
                 solution = newSolution;
-                if (maxDiff < vtol) break;
+                if (maxDiff < vtol && !this.limitingActive) {
+                    converged = true;
+                    break;
+                }
             } else {
                 solution = newSolution;
+                converged = true;
                 break;
             }
         }
 
+        this.lastNewtonConverged = converged;
         this._prevSolution = solution;
+        this._lastSolution = solution;
         return solution;
     }
 
     /**
-     * Stamp component with companion model
+     * Stamp component with companion model (the `transient` stamp of its registered type)
      */
     stampComponent(component, G, I, prevSolution = null) {
-        const type = component.constructor.name;
-
-        switch (type) {
-            case 'Resistor':
-                this.stampResistor(component, G);
-                break;
-            case 'Capacitor':
-                this.stampCapacitor(component, G, I);
-                break;
-            case 'Inductor':
-                this.stampInductor(component, G, I);
-                break;
-            case 'VoltageSource':
-                this.stampVoltageSource(component, G, I);
-                break;
-            case 'Ammeter':
-                this.stampAmmeter(component, G, I);
-                break;
-            case 'Voltmeter':
-                this.stampVoltmeter(component, G);
-                break;
-            case 'Ground':
-            case 'Junction':
-                break;
-            case 'Load':
-                this.stampLoad(component, G, I);
-                break;
-            case 'Oscilloscope':
-                this.stampOscilloscope(component, G);
-                break;
-            case 'Diode':
-                this.stampDiode(component, G, I, prevSolution);
-                break;
-            case 'OpAmp':
-                this.stampOpAmp(component, G, I);
-                break;
-        }
+        getComponentDefinition(component.type)?.stamps.transient?.(this, component, G, I, prevSolution);
     }
 
     /**
@@ -437,6 +787,36 @@ export class TransientSolver {
         }
     }
 
+    /**
+     * Stamp a linear component from its getStamp() at its present state (same as DC)
+     */
+    stampLinear(component, G, I) {
+        const { G: stamps, z } = component.getStamp(this.getStampNodeMap(component));
+        for (const { row, col, value } of stamps) G.add(row - 1, col - 1, value);
+        for (const { row, value } of z) I[row - 1] += value;
+    }
+
+    /**
+     * Matrix row of a branch-current unknown (component registered with
+     * hasBranchCurrent)
+     */
+    getBranchIndex(component) {
+        return this.nodes.length + this.voltageSources.indexOf(component);
+    }
+
+    /**
+     * Terminal id → matrix row + 1 (0 for ground), the node map expected by
+     * the components' getStamp()
+     */
+    getStampNodeMap(component) {
+        const nodeMap = new Map();
+        for (const terminal of component.terminals) {
+            const index = this.getNodeIndex(terminal);
+            nodeMap.set(terminal.id, index === null ? 0 : index + 1);
+        }
+        return nodeMap;
+    }
+
     /**
      * Stamp resistor (same as DC)
      */
@@ -455,19 +835,117 @@ export class TransientSolver {
     }
 
     /**
-     * Stamp capacitor using Backward Euler companion model
-     * G = C/h, I_eq = C/h * v(n-1)
+     * Integration rule for this step. BDF2 needs two history points,
+     * so the first step after t = 0 falls back to Backward Euler.
+     */
+    getStepMethod() {
+        if (this.integrationMethod === 'gear2' && this._prevStep === null) return 'be';
+        return this.integrationMethod;
+    }
+
+    /**
+     * Variable-step BDF2 coefficients: dx/dt ≈ a0·x(n) + a1·x(n-1) + a2·x(n-2)
+     */
+    getBDF2Coefficients() {
+        const h = this.timeStep;
+        const w = h / this._prevStep;
+        return {
+            a0: (1 + 2 * w) / ((1 + w) * h),
+            a1: -(1 + w) / h,
+            a2: (w * w) / ((1 + w) * h)
+        };
+    }
+
+    /**
+     * Capacitor companion model for the current step: i(n) = g·v(n) − iEq
+     */
+    getCapacitorCompanion(component) {
+        const C = component.properties.capacitance;
+        const h = this.timeStep;
+        const vPrev = this.capacitorVoltages.get(component.id) || 0;
+
+        switch (this.getStepMethod()) {
+            case 'trap': {
+                const g = 2 * C / h;
+                const iPrev = this.capacitorCurrents.get(component.id) || 0;
+                return { g, iEq: g * vPrev + iPrev };
+            }
+            case 'gear2': {
+                const { a0, a1, a2 } = this.getBDF2Coefficients();
+                const vPrev2 = this.capacitorVoltagesPrev.get(component.id) || 0;
+                return { g: C * a0, iEq: -C * (a1 * vPrev + a2 * vPrev2) };
+            }
+            default: {
+                const g = C / h;
+                return { g, iEq: g * vPrev };
+            }
+        }
+    }
+
+    /**
+     * Companion of a diode's stored charge for the current step:
+     * i(n) = k·q(n) + iHist. The trapezoidal method integrates the charge
+     * with BDF2 instead: when a diode snaps off at the end of reverse
+     * recovery its capacitance collapses, and the trapezoidal charge current
+     * would ring undamped from then on.
+     */
+    getDiodeChargeCompanion(component) {
+        const h = this.timeStep;
+        const qPrev = this.diodeCharges.get(component.id) || 0;
+        const method = this.getStepMethod() === 'trap' && this._prevStep !== null ? 'gear2' : this.getStepMethod();
+
+        switch (method) {
+            case 'gear2': {
+                const { a0, a1, a2 } = this.getBDF2Coefficients();
+                const qPrev2 = this.diodeChargesPrev.get(component.id) || 0;
+                return { k: a0, iHist: a1 * qPrev + a2 * qPrev2 };
+            }
+            default:
+                return { k: 1 / h, iHist: -qPrev / h };
+        }
+    }
+
+    /**
+     * Charging current of a diode's stored charge at Vd in the current step
+     */
+    getDiodeChargeCurrent(component, Vd) {
+        const { k, iHist } = this.getDiodeChargeCompanion(component);
+        return k * component.computeDiodeCharge(Vd).Q + iHist;
+    }
+
+    /**
+     * Inductor companion model for the current step: i(n) = g·v(n) + iEq
+     */
+    getInductorCompanion(component) {
+        const L = component.properties.inductance;
+        const h = this.timeStep;
+        const iPrev = this.inductorCurrents.get(component.id) || 0;
+
+        switch (this.getStepMethod()) {
+            case 'trap': {
+                const g = h / (2 * L);
+                const vPrev = this.inductorVoltages.get(component.id) || 0;
+                return { g, iEq: iPrev + g * vPrev };
+            }
+            case 'gear2': {
+                const { a0, a1, a2 } = this.getBDF2Coefficients();
+                const iPrev2 = this.inductorCurrentsPrev.get(component.id) || 0;
+                return { g: 1 / (L * a0), iEq: -(a1 * iPrev + a2 * iPrev2) / a0 };
+            }
+            default:
+                return { g: h / L, iEq: iPrev };
+        }
+    }
+
+    /**
+     * Stamp capacitor companion model (conductance + history current source)
      */
     stampCapacitor(component, G, I) {
         const [t1, t2] = component.terminals;
         const n1 = this.getNodeIndex(t1);
         const n2 = this.getNodeIndex(t2);
-        const C = component.properties.capacitance;
-        const h = this.timeStep;
 
-        const g = C / h;  // Companion conductance
-        const vPrev = this.capacitorVoltages.get(component.id) || 0;
-        const iEq = g * vPrev;  // Equivalent current source
+        const { g, iEq } = this.getCapacitorCompanion(component);
 
         if (n1 !== null) G.add(n1, n1, g);
         if (n2 !== null) G.add(n2, n2, g);
@@ -482,18 +960,14 @@ export class TransientSolver {
     }
 
     /**
-     * Stamp inductor using Backward Euler companion model
-     * G = h/L, I_eq = i(n-1)
+     * Stamp inductor companion model (conductance + history current source)
      */
     stampInductor(component, G, I) {
         const [t1, t2] = component.terminals;
         const n1 = this.getNodeIndex(t1);
         const n2 = this.getNodeIndex(t2);
-        const L = component.properties.inductance;
-        const h = this.timeStep;
 
-        const g = h / L;  // Companion conductance
-        const iPrev = this.inductorCurrents.get(component.id) || 0;
+        const { g, iEq } = this.getInductorCompanion(component);
 
         if (n1 !== null) G.add(n1, n1, g);
         if (n2 !== null) G.add(n2, n2, g);
@@ -502,10 +976,10 @@ export class TransientSolver {
             G.add(n2, n1, -g);
         }
 
-        // Current source: iPrev flows from n1 to n2 (leaves n1, enters n2)
+        // Current source: iEq flows from n1 to n2 (leaves n1, enters n2)
         // MNA convention: I[n] = current entering node n
-        if (n1 !== null) I[n1] -= iPrev;
-        if (n2 !== null) I[n2] += iPrev;
+        if (n1 !== null) I[n1] -= iEq;
+        if (n2 !== null) I[n2] += iEq;
     }
 
     /**
@@ -517,13 +991,8 @@ export class TransientSolver {
         const n2 = this.getNodeIndex(tNeg);
         const vsIndex = this.nodes.length + this.voltageSources.indexOf(component);
 
-        // Get time-varying voltage
-        let V = component.properties.voltage;
-        if (component.properties.type === 'ac') {
-            const freq = component.properties.frequency || 50;
-            const phase = (component.properties.phase || 0) * Math.PI / 180;
-            V = V * Math.sin(2 * Math.PI * freq * this.time + phase);
-        }
+        // Time-varying voltage (DC, sine, pulse, square, triangle, sawtooth or PWL)
+        const V = component.getVoltageAt(this.time);
 
         if (n1 !== null) {
             G.add(n1, vsIndex, 1);
@@ -537,6 +1006,19 @@ export class TransientSolver {
         I[vsIndex] = V;
     }
 
+    /**
+     * Stamp current source (time-varying for AC)
+     */
+    stampCurrentSource(component, I) {
+        const [tOut, tIn] = component.terminals;
+        const n1 = this.getNodeIndex(tOut);
+        const n2 = this.getNodeIndex(tIn);
+        const current = component.getCurrentAt(this.time);
+
+        if (n1 !== null) I[n1] += current;
+        if (n2 !== null) I[n2] -= current;
+    }
+
     /**
      * Stamp Ammeter as 0V voltage source (same as VoltageSource with V=0)
      */
@@ -575,6 +1057,156 @@ export class TransientSolver {
         }
     }
 
+    /**
+     * Stamp Wattmeter: current coil (M-L) as 0V source, voltage coil (C-V) as 100MΩ
+     */
+    stampWattmeter(component, G, I) {
+        const nM = this.getNodeIndex(component.terminals[0]); // M
+        const nL = this.getNodeIndex(component.terminals[1]); // L
+        const vsIndex = this.nodes.length + this.voltageSources.indexOf(component);
+
+        if (nM !== null) {
+            G.add(nM, vsIndex, 1);
+            G.add(vsIndex, nM, 1);
+        }
+        if (nL !== null) {
+            G.add(nL, vsIndex, -1);
+            G.add(vsIndex, nL, -1);
+        }
+        I[vsIndex] = 0;
+
+        const nC = this.getNodeIndex(component.terminals[2]); // C
+        const nV = this.getNodeIndex(component.terminals[3]); // V
+        const g = 1 / 1e8;
+
+        if (nC !== null) G.add(nC, nC, g);
+        if (nV !== null) G.add(nV, nV, g);
+        if (nC !== null && nV !== null) {
+            G.add(nC, nV, -g);
+            G.add(nV, nC, -g);
+        }
+    }
+
+    /**
+     * Stamp balanced three-phase star source as 3 time-varying voltage sources.
+     * The voltage property is line-to-line RMS, so each phase has
+     * peak √2 · V_LL/√3 at 0°, -120°, +120° (plus phaseShift).
+     * Uses 3 extra rows after nodes, voltage sources and transformers.
+     */
+    stampThreePhaseSource(component, G, I) {
+        const nN = this.getNodeIndex(component.terminals[3]);
+        const nodeIndices = [0, 1, 2].map(k => this.getNodeIndex(component.terminals[k]));
+
+        const tpIdx = this.threePhaseSources.indexOf(component);
+        const baseRow = this.nodes.length + this.voltageSources.length + this.transformers.length + 3 * tpIdx;
+
+        const Vpeak = Math.SQRT2 * component.properties.voltage / Math.sqrt(3);
+        const freq = component.properties.frequency || 50;
+        const phaseShift = component.properties.phaseShift || 0;
+        const phases = [0, -120, 120];
+
+        for (let k = 0; k < 3; k++) {
+            const rowIdx = baseRow + k;
+            const nPhase = nodeIndices[k];
+            const phi = (phaseShift + phases[k]) * Math.PI / 180;
+
+            if (nPhase !== null) {
+                G.add(rowIdx, nPhase, 1);
+                G.add(nPhase, rowIdx, 1);
+            }
+            if (nN !== null) {
+                G.add(rowIdx, nN, -1);
+                G.add(nN, rowIdx, -1);
+            }
+
+            I[rowIdx] = Vpeak * Math.sin(2 * Math.PI * freq * this.time + phi);
+        }
+    }
+
+    /**
+     * Frequency of the first periodic source in the circuit (sine, square,
+     * triangle or sawtooth; single- or three-phase).
+     * Returns null for purely DC circuits.
+     */
+    getFundamentalFrequency() {
+        for (const component of this.circuit.getAllComponents()) {
+            const type = component.type;
+            if (type === 'voltage_source' && component.isPeriodic()) {
+                return component.properties.frequency || 50;
+            }
+            if (type === 'current_source' && component.properties.type === 'ac') {
+                return component.properties.frequency || 50;
+            }
+            if (type === 'three_phase_source') {
+                return component.properties.frequency || 50;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Index of the first sample in the window spanning the largest whole
+     * number of cycles that ends at the last time point. Falls back to the
+     * full record if no complete cycle was simulated (or frequency is null).
+     */
+    getWholeCycleStart(frequency) {
+        const n = this.timePoints.length;
+        if (!frequency || n < 2) return 0;
+
+        const period = 1 / frequency;
+        const tEnd = this.timePoints[n - 1];
+        const cycles = Math.floor((tEnd - this.timePoints[0]) / period + 1e-9);
+        if (cycles < 1) return 0;
+
+        // The sample at tStart has the same phase as the one at tEnd; skip it
+        const tStart = tEnd - cycles * period;
+        let start = 0;
+        while (start < n - 1 && this.timePoints[start] < tStart + 0.5 * this.timeStep) start++;
+        return start;
+    }
+
+    /**
+     * Average of a sampled waveform over whole cycles of the given frequency
+     */
+    averageOverCycles(values, frequency) {
+        const start = this.getWholeCycleStart(frequency);
+        let sum = 0;
+        let count = 0;
+        for (let i = start; i < values.length; i++) {
+            sum += values[i];
+            count++;
+        }
+        return count > 0 ? sum / count : 0;
+    }
+
+    /**
+     * RMS of a sampled waveform over whole cycles of the given frequency
+     */
+    rmsOverCycles(values, frequency) {
+        return Math.sqrt(this.averageOverCycles(values.map(v => v * v), frequency));
+    }
+
+    /**
+     * Wattmeter readings from the transient record:
+     * RMS coil voltage, RMS coil current and real power averaged over whole cycles.
+     */
+    getWattmeterReadings(component) {
+        const frequency = this.getFundamentalFrequency();
+        const nCId = this.getNodeId(component.terminals[2]);
+        const nVId = this.getNodeId(component.terminals[3]);
+        const vC = this.results.get(nCId);
+        const vV = this.results.get(nVId);
+        const vCoil = this.timePoints.map((_, i) => (vC ? vC[i] : 0) - (vV ? vV[i] : 0));
+        const iCoil = this.results.get(component.id + '_I') || [];
+        const power = this.instantaneousPower.get(component.id) || [];
+
+        return {
+            voltage: this.rmsOverCycles(vCoil, frequency),
+            current: this.rmsOverCycles(iCoil, frequency),
+            power: this.averageOverCycles(power, frequency)
+        };
+    }
+
     /**
      * Stamp Load component for transient analysis.
      * Series R-L load using Backward Euler companion model:
@@ -629,9 +1261,130 @@ export class TransientSolver {
         if (n2 !== null) I[n2] += iEq;
     }
 
+    /**
+     * Get the transformer winding inductances from the reactances at rated frequency.
+     * Xeq and Xm are specified as 50 Hz reactances (same assumption as Load).
+     */
+    getTransformerInductances(component) {
+        const omega = 2 * Math.PI * 50;
+        return {
+            Leq: component.properties.Xeq / omega,
+            Lm: component.properties.Xm / omega
+        };
+    }
+
+    /**
+     * Stamp non-ideal transformer for transient analysis.
+     * Same equivalent circuit as the AC model, with reactances as inductors:
+     *   - Series: Req + Leq between P+ and n_mid (Backward Euler, as Load)
+     *   - Shunt:  Rc ∥ Lm between n_mid and P-
+     *   - Ideal transformer a:1 coupling n_mid/P- to S+/S- (one extra MNA row)
+     */
+    stampTransformer(component, G, I) {
+        const a = component.properties.turnsRatio;
+        const Req = component.properties.Req;
+        const Rc = component.properties.Rc;
+        const { Leq, Lm } = this.getTransformerInductances(component);
+        const h = this.timeStep;
+
+        const nPP = this.getNodeIndex(component.terminals[0]); // primary_pos
+        const nPN = this.getNodeIndex(component.terminals[1]); // primary_neg
+        const nSP = this.getNodeIndex(component.terminals[2]); // secondary_pos
+        const nSN = this.getNodeIndex(component.terminals[3]); // secondary_neg
+        const nMid = this.nodeMap.get(`__xfmr_mid_${component.id}`);
+
+        const iPrimIdx = this.nodes.length + this.voltageSources.length + this.transformers.indexOf(component);
+
+        // Leakage to ground — larger on the galvanically isolated secondary
+        const gleakPri = 1e-12;
+        const gleakSec = 1e-9;
+        if (nPP !== null) G.add(nPP, nPP, gleakPri);
+        if (nPN !== null) G.add(nPN, nPN, gleakPri);
+        if (nSP !== null) G.add(nSP, nSP, gleakSec);
+        if (nSN !== null) G.add(nSN, nSN, gleakSec);
+
+        // 1. Series Req + Leq between P+ and n_mid
+        const Rtotal = Req + Leq / h;
+        if (Rtotal > 0) {
+            const g = 1 / Rtotal;
+            const iPrev = this.inductorCurrents.get(component.id + '_Leq') || 0;
+            const iEq = iPrev * (Leq / h) * g;
+
+            if (nPP !== null) G.add(nPP, nPP, g);
+            if (nMid !== null) G.add(nMid, nMid, g);
+            if (nPP !== null && nMid !== null) {
+                G.add(nPP, nMid, -g);
+                G.add(nMid, nPP, -g);
+            }
+
+            // History current flows from P+ to n_mid
+            if (nPP !== null) I[nPP] -= iEq;
+            if (nMid !== null) I[nMid] += iEq;
+        }
+
+        // 2. Shunt Rc ∥ Lm between n_mid and P-
+        let gSh = 0;
+        if (Rc > 0 && isFinite(Rc)) gSh += 1 / Rc;
+        if (Lm > 0) gSh += h / Lm;
+
+        if (nMid !== null) G.add(nMid, nMid, gSh);
+        if (nPN !== null) G.add(nPN, nPN, gSh);
+        if (nMid !== null && nPN !== null) {
+            G.add(nMid, nPN, -gSh);
+            G.add(nPN, nMid, -gSh);
+        }
+
+        if (Lm > 0) {
+            const iPrevLm = this.inductorCurrents.get(component.id + '_Lm') || 0;
+            if (nMid !== null) I[nMid] -= iPrevLm;
+            if (nPN !== null) I[nPN] += iPrevLm;
+        }
+
+        // 3. Ideal transformer (symmetric stamp, as MNASolver.stampACTransformer)
+        //    Row: V(n_mid) - V(P-) - a*V(S+) + a*V(S-) = 0
+        if (nMid !== null) {
+            G.add(iPrimIdx, nMid, 1);
+            G.add(nMid, iPrimIdx, 1);
+        }
+        if (nPN !== null) {
+            G.add(iPrimIdx, nPN, -1);
+            G.add(nPN, iPrimIdx, -1);
+        }
+        if (nSP !== null) {
+            G.add(iPrimIdx, nSP, -a);
+            G.add(nSP, iPrimIdx, -a);
+        }
+        if (nSN !== null) {
+            G.add(iPrimIdx, nSN, a);
+            G.add(nSN, iPrimIdx, a);
+        }
+
+        I[iPrimIdx] = 0;
+    }
+
+    /**
+     * Current through the transformer series branch (P+ → n_mid) for a solution.
+     * Backward Euler: i(n) = (h * v + Leq * i(n-1)) / (Leq + h * Req)
+     */
+    getTransformerPrimaryCurrent(component, solution) {
+        const nPP = this.getNodeIndex(component.terminals[0]);
+        const nMid = this.nodeMap.get(`__xfmr_mid_${component.id}`);
+        const vPP = nPP !== null ? solution[nPP] : 0;
+        const vMid = nMid !== undefined ? solution[nMid] : 0;
+        const { Leq } = this.getTransformerInductances(component);
+        const Req = component.properties.Req;
+        const h = this.timeStep;
+        const iPrev = this.inductorCurrents.get(component.id + '_Leq') || 0;
+
+        const denom = Leq + h * Req;
+        if (denom <= 0) return 0;
+        return (h * (vPP - vMid) + Leq * iPrev) / denom;
+    }
+
     /**
      * Stamp Diode for transient analysis (Newton-Raphson companion model).
-     * Same linearization as DC: G_D conductance + I_eq current source.
+     * Same linearization as DC: G_D conductance + I_eq current source, plus
+     * the companion of the stored charge when the diode has CJ0 or TT.
      */
     stampDiode(component, G, I, prevSolution = null) {
         const [t1, t2] = component.terminals;  // anode, cathode
@@ -641,10 +1394,23 @@ export class TransientSolver {
         // Get voltage across diode from previous solution
         const v1 = (prevSolution && n1 !== null) ? prevSolution[n1] : 0;
         const v2 = (prevSolution && n2 !== null) ? prevSolution[n2] : 0;
-        const Vd = v1 - v2;
+
+        // Limit the step of V_D against the previous NR iteration
+        const VdOld = this.limitedVoltages.get(component.id);
+        const Vd = VdOld === undefined ? v1 - v2 : component.limitVoltage(v1 - v2, VdOld);
+        this.limitedVoltages.set(component.id, Vd);
+        if (Math.abs(Vd - (v1 - v2)) > 1e-9) this.limitingActive = true;
 
         // Compute linearized model
-        const { Id, Gd, Ieq } = component.computeDiodeModel(Vd);
+        let { Gd, Ieq } = component.computeDiodeModel(Vd);
+
+        // Stored charge, linearized: i = k·(Q + C·(V − Vd)) + iHist
+        if (component.hasCharge()) {
+            const { Q, C } = component.computeDiodeCharge(Vd);
+            const { k, iHist } = this.getDiodeChargeCompanion(component);
+            Gd += k * C;
+            Ieq += k * (Q - C * Vd) + iHist;
+        }
 
         // Stamp conductance
         if (n1 !== null) G.add(n1, n1, Gd);
@@ -659,6 +1425,48 @@ export class TransientSolver {
         if (n2 !== null) I[n2] += Ieq;
     }
 
+    /**
+     * Stamp a BJT or MOSFET (same Newton-Raphson companion model as DC;
+     * the limited voltages carry over between time steps)
+     */
+    stampTransistor(component, G, I, prevSolution = null) {
+        const v = this.getTerminalVoltages(component, prevSolution);
+        const model = component.computeModel(v, this.limitedVoltages.get(component.id) || null);
+        this.limitedVoltages.set(component.id, model.limited);
+        // Linearized away from the iterate: the next solve is not a fixed point yet
+        if (model.voltages.some((vk, k) => Math.abs(vk - v[k]) > 1e-9)) this.limitingActive = true;
+        this.stampLinearizedDevice(component, model, G, I);
+    }
+
+    /**
+     * Stamp a linearized multi-terminal device (see MNASolver.stampLinearizedDevice)
+     */
+    stampLinearizedDevice(component, { currents, conductances, voltages }, G, I) {
+        const nodes = component.terminals.map(t => this.getNodeIndex(t));
+
+        nodes.forEach((nk, k) => {
+            if (nk === null) return;
+            let iEq = currents[k];
+            nodes.forEach((nj, j) => {
+                const g = conductances[k][j];
+                iEq -= g * voltages[j];
+                if (nj !== null && g !== 0) G.add(nk, nj, g);
+            });
+            I[nk] -= iEq;
+        });
+    }
+
+    /**
+     * Voltages of a component's terminals in a solution (0 for ground)
+     * @returns {number[]}
+     */
+    getTerminalVoltages(component, solution) {
+        return component.terminals.map(t => {
+            const n = this.getNodeIndex(t);
+            return (solution && n !== null) ? solution[n] : 0;
+        });
+    }
+
     /**
      * Stamp non-ideal OpAmp for transient analysis
      */
@@ -690,8 +1498,11 @@ export class TransientSolver {
             G.add(nNeg, nPos, -G_id);
         }
 
-        // Internal pole node (Dominant Pole Filter)
-        if (nPole !== null) {
+        // Internal pole node (Dominant Pole Filter), or pinned at ±Vsat in saturation
+        if (nPole !== null && this.saturatedOpAmps.has(component.id)) {
+            G.add(nPole, nPole, 1);
+            I[nPole] += this.saturatedOpAmps.get(component.id);
+        } else if (nPole !== null) {
             // We model Vpole with a single pole low-pass filter:
             // d(Vpole)/dt = (A0 * Vdiff - Vpole) / (Rp * Cp)
             // Using Backward Euler: Vpole_n = Vpole_{n-1} + (h / (Rp*Cp)) * (A0*Vdiff_n - Vpole_n)
@@ -739,58 +1550,114 @@ export class TransientSolver {
     }
 
     /**
-     * Update capacitor voltages and inductor currents
+     * Advance the state each component keeps between time steps, through the
+     * `updateState` stamp of its registered type
      */
     updateStates(solution) {
-        const components = this.circuit.getAllComponents();
+        for (const component of this.circuit.getAllComponents()) {
+            getComponentDefinition(component.type)?.stamps.updateState?.(this, component, solution);
+        }
 
-        for (const component of components) {
-            if (component.constructor.name === 'Capacitor') {
-                const [t1, t2] = component.terminals;
-                const n1 = this.getNodeIndex(t1);
-                const n2 = this.getNodeIndex(t2);
-                const v1 = n1 !== null ? solution[n1] : 0;
-                const v2 = n2 !== null ? solution[n2] : 0;
-                this.capacitorVoltages.set(component.id, v1 - v2);
-            } else if (component.constructor.name === 'Inductor') {
-                const [t1, t2] = component.terminals;
-                const n1 = this.getNodeIndex(t1);
-                const n2 = this.getNodeIndex(t2);
-                const v1 = n1 !== null ? solution[n1] : 0;
-                const v2 = n2 !== null ? solution[n2] : 0;
-                const L = component.properties.inductance;
-                const h = this.timeStep;
-                const iPrev = this.inductorCurrents.get(component.id) || 0;
-                // i(n) = i(n-1) + h/L * v(n)
-                const iNew = iPrev + (h / L) * (v1 - v2);
-                this.inductorCurrents.set(component.id, iNew);
-            } else if (component.constructor.name === 'Load') {
-                const imp = component.getLoadImpedance();
-                if (imp) {
-                    const [t1, t2] = component.terminals;
-                    const n1 = this.getNodeIndex(t1);
-                    const n2 = this.getNodeIndex(t2);
-                    const v1 = n1 !== null ? solution[n1] : 0;
-                    const v2 = n2 !== null ? solution[n2] : 0;
-                    const vTotal = v1 - v2;
-                    const f = 50;
-                    const L = imp.XL / (2 * Math.PI * f);
-                    const R = imp.R;
-                    const h = this.timeStep;
-                    const iPrev = this.inductorCurrents.get(component.id + '_L') || 0;
-                    // Current through series R-L: use total voltage and companion model
-                    // i(n) = i(n-1) + h/(L) * (vL) where vL = vTotal - i*R
-                    // From BE: i(n) = (h * vTotal + L * iPrev) / (L + h * R)
-                    const iNew = (h * vTotal + L * iPrev) / (L + h * R);
-                    this.inductorCurrents.set(component.id + '_L', iNew);
-                }
-            } else if (component.constructor.name === 'OpAmp') {
-                const nPole = this.getNodeIndex(component.terminals[3]);
-                const vsat = component.properties.saturationVoltage || 15;
-                let vPole = nPole !== null ? solution[nPole] : 0;
-                vPole = Math.max(-vsat, Math.min(vsat, vPole));
-                this.capacitorVoltages.set('__pole_' + component.id, vPole);
-            }
+        this._prevStep = this.timeStep;
+    }
+
+    // State kept by the built-in parts between time steps, registered as the
+    // initState / updateState stamps of their component classes
+
+    initCapacitorState(component) {
+        this.capacitorVoltages.set(component.id, 0);
+        this.capacitorVoltagesPrev.set(component.id, 0);
+        this.capacitorCurrents.set(component.id, 0);
+    }
+
+    updateCapacitorState(component, solution) {
+        const [v1, v2] = this.getTerminalVoltages(component, solution);
+        const vNow = v1 - v2;
+        const { g, iEq } = this.getCapacitorCompanion(component);
+        this.capacitorCurrents.set(component.id, g * vNow - iEq);
+        this.capacitorVoltagesPrev.set(component.id, this.capacitorVoltages.get(component.id) || 0);
+        this.capacitorVoltages.set(component.id, vNow);
+    }
+
+    initInductorState(component) {
+        this.inductorCurrents.set(component.id, 0);
+        this.inductorCurrentsPrev.set(component.id, 0);
+        this.inductorVoltages.set(component.id, 0);
+    }
+
+    updateInductorState(component, solution) {
+        const [v1, v2] = this.getTerminalVoltages(component, solution);
+        const vNow = v1 - v2;
+        const { g, iEq } = this.getInductorCompanion(component);
+        const iNew = g * vNow + iEq;
+        this.inductorCurrentsPrev.set(component.id, this.inductorCurrents.get(component.id) || 0);
+        this.inductorCurrents.set(component.id, iNew);
+        this.inductorVoltages.set(component.id, vNow);
+    }
+
+    initLoadState(component) {
+        this.inductorCurrents.set(component.id + '_L', 0);
+    }
+
+    updateLoadState(component, solution) {
+        const imp = component.getLoadImpedance();
+        if (!imp) return;
+
+        const [v1, v2] = this.getTerminalVoltages(component, solution);
+        const vTotal = v1 - v2;
+        const f = 50;
+        const L = imp.XL / (2 * Math.PI * f);
+        const R = imp.R;
+        const h = this.timeStep;
+        const iPrev = this.inductorCurrents.get(component.id + '_L') || 0;
+        // Current through series R-L: use total voltage and companion model
+        // i(n) = i(n-1) + h/(L) * (vL) where vL = vTotal - i*R
+        // From BE: i(n) = (h * vTotal + L * iPrev) / (L + h * R)
+        const iNew = (h * vTotal + L * iPrev) / (L + h * R);
+        this.inductorCurrents.set(component.id + '_L', iNew);
+    }
+
+    initTransformerState(component) {
+        this.inductorCurrents.set(component.id + '_Leq', 0);
+        this.inductorCurrents.set(component.id + '_Lm', 0);
+    }
+
+    updateTransformerState(component, solution) {
+        const iSeries = this.getTransformerPrimaryCurrent(component, solution);
+
+        const nMid = this.nodeMap.get(`__xfmr_mid_${component.id}`);
+        const nPN = this.getNodeIndex(component.terminals[1]);
+        const vMid = nMid !== undefined ? solution[nMid] : 0;
+        const vPN = nPN !== null ? solution[nPN] : 0;
+        const { Lm } = this.getTransformerInductances(component);
+        const iPrevLm = this.inductorCurrents.get(component.id + '_Lm') || 0;
+        const h = this.timeStep;
+
+        this.inductorCurrents.set(component.id + '_Leq', iSeries);
+        if (Lm > 0) {
+            this.inductorCurrents.set(component.id + '_Lm', iPrevLm + (h / Lm) * (vMid - vPN));
         }
     }
+
+    initDiodeState(component) {
+        this.diodeVoltages.set(component.id, 0);
+        this.diodeCharges.set(component.id, 0);
+        this.diodeChargesPrev.set(component.id, 0);
+    }
+
+    updateDiodeState(component, solution) {
+        if (!component.hasCharge()) return;
+
+        const [v1, v2] = this.getTerminalVoltages(component, solution);
+        this.diodeChargesPrev.set(component.id, this.diodeCharges.get(component.id) || 0);
+        this.diodeCharges.set(component.id, component.computeDiodeCharge(v1 - v2).Q);
+    }
+
+    updateOpAmpState(component, solution) {
+        const nPole = this.getNodeIndex(component.terminals[3]);
+        const vsat = component.properties.saturationVoltage || 15;
+        let vPole = nPole !== null ? solution[nPole] : 0;
+        vPole = Math.max(-vsat, Math.min(vsat, vPole));
+        this.capacitorVoltages.set('__pole_' + component.id, vPole);
+    }
 }
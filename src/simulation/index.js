@@ -5,4 +5,12 @@
 export { Matrix, solveLinearSystem, testMatrixSolver } from './Matrix.js';
 export { MNASolver, testMNASolver } from './MNASolver.js';
 export { Complex, ComplexMatrix, solveComplexSystem } from './Complex.js';
-export { TransientSolver } from './TransientSolver.js';
+export { TransientSolver, INTEGRATION_METHODS } from './TransientSolver.js';
+export {
+    sweepValues, getSweepableProperties, getSweepOutputs, evaluateSweepPoint, solveOutputs, SWEEP_STATISTICS
+} from './ParametricSweep.js';
+export {
+    getToleranceComponents, sampleValue, runMonteCarloTrial,
+    startWorstCase, stepWorstCase, finishWorstCase, runWorstCase,
+    computeStatistics, computeHistogram, MAX_CORNER_COMPONENTS
+} from './ToleranceAnalysis.js';
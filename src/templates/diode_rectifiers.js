@@ -20,7 +20,7 @@ export const diode_rectifiers_template = {
                     { "id": "comp_32", "type": "resistor", "x": 420, "y": 260, "rotation": 90, "properties": { "resistance": 1000 }, "state": {} },
                     { "id": "comp_34", "type": "ground", "x": 320, "y": 340, "rotation": 0, "properties": {}, "state": {} },
                     { "id": "comp_35", "type": "oscilloscope", "x": 520, "y": 260, "rotation": 0, "properties": { "ch1Enabled": true, "ch2Enabled": true, "ch1Mode": "Voltage", "ch2Mode": "Voltage", "ch1Label": "CH1", "ch2Label": "CH2" }, "state": {} },
-                    { "id": "comp_36", "type": "diode", "x": 320, "y": 180, "rotation": 0, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585 } },
+                    { "id": "comp_36", "type": "diode", "x": 320, "y": 180, "rotation": 0, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585, "junctionCapacitance": 15e-12, "junctionPotential": 0.7, "gradingCoefficient": 0.5, "transitTime": 5e-6 } },
                     { "id": "comp_39", "type": "junction", "x": 420, "y": 320, "rotation": 0, "properties": {}, "state": {} },
                     { "id": "comp_40", "type": "junction", "x": 440, "y": 100, "rotation": 0, "properties": {}, "state": {} },
                     { "id": "comp_41", "type": "junction", "x": 440, "y": 400, "rotation": 0, "properties": {}, "state": {} }
@@ -59,10 +59,10 @@ export const diode_rectifiers_template = {
                     { "id": "comp_8", "type": "oscilloscope", "x": 760, "y": 400, "rotation": 0, "properties": { "ch1Enabled": true, "ch2Enabled": false, "ch1Mode": "Voltage", "ch2Mode": "Voltage", "ch1Label": "CH1", "ch2Label": "CH2" }, "state": {} },
                     { "id": "comp_9", "type": "junction", "x": 600, "y": 320, "rotation": 0, "properties": {}, "state": {} },
                     { "id": "comp_10", "type": "junction", "x": 600, "y": 500, "rotation": 0, "properties": {}, "state": {} },
-                    { "id": "comp_11", "type": "diode", "x": 500, "y": 220, "rotation": 90, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585 } },
-                    { "id": "comp_12", "type": "diode", "x": 500, "y": 400, "rotation": 270, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585 } },
-                    { "id": "comp_14", "type": "diode", "x": 300, "y": 220, "rotation": 270, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585 } },
-                    { "id": "comp_15", "type": "diode", "x": 300, "y": 400, "rotation": 90, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585 } }
+                    { "id": "comp_11", "type": "diode", "x": 500, "y": 220, "rotation": 90, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585, "junctionCapacitance": 15e-12, "junctionPotential": 0.7, "gradingCoefficient": 0.5, "transitTime": 5e-6 } },
+                    { "id": "comp_12", "type": "diode", "x": 500, "y": 400, "rotation": 270, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585, "junctionCapacitance": 15e-12, "junctionPotential": 0.7, "gradingCoefficient": 0.5, "transitTime": 5e-6 } },
+                    { "id": "comp_14", "type": "diode", "x": 300, "y": 220, "rotation": 270, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585, "junctionCapacitance": 15e-12, "junctionPotential": 0.7, "gradingCoefficient": 0.5, "transitTime": 5e-6 } },
+                    { "id": "comp_15", "type": "diode", "x": 300, "y": 400, "rotation": 90, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585, "junctionCapacitance": 15e-12, "junctionPotential": 0.7, "gradingCoefficient": 0.5, "transitTime": 5e-6 } }
                 ],
                 wires: [
                     { "id": "wire_10", "startTerminal": "comp_2_node", "endTerminal": "comp_1_node", "points": [{ "x": 400, "y": 160 }, { "x": 400, "y": 160 }, { "x": 400, "y": 200 }, { "x": 400, "y": 200 }] },
@@ -96,7 +96,7 @@ export const diode_rectifiers_template = {
                     { "id": "comp_1", "type": "voltage_source", "x": 300, "y": 320, "rotation": 0, "properties": { "voltage": 10, "type": "ac", "frequency": 50, "phase": 0 }, "state": {} },
                     { "id": "comp_2", "type": "resistor", "x": 360, "y": 220, "rotation": 0, "properties": { "resistance": 1000 }, "state": {} },
                     { "id": "comp_3", "type": "voltage_source", "x": 460, "y": 360, "rotation": 0, "properties": { "voltage": 1.5, "type": "dc", "frequency": 50, "phase": 0 }, "state": {} },
-                    { "id": "comp_4", "type": "diode", "x": 460, "y": 280, "rotation": 90, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585 } },
+                    { "id": "comp_4", "type": "diode", "x": 460, "y": 280, "rotation": 90, "properties": { "saturationCurrent": 1e-14, "emissionCoefficient": 1, "thermalVoltage": 0.02585, "junctionCapacitance": 15e-12, "junctionPotential": 0.7, "gradingCoefficient": 0.5, "transitTime": 5e-6 } },
                     { "id": "comp_5", "type": "ground", "x": 360, "y": 440, "rotation": 0, "properties": {}, "state": {} },
                     { "id": "comp_6", "type": "oscilloscope", "x": 600, "y": 320, "rotation": 0, "properties": { "ch1Enabled": true, "ch2Enabled": false, "ch1Mode": "Voltage", "ch2Mode": "Voltage", "ch1Label": "CH1", "ch2Label": "CH2" }, "state": {} },
                     { "id": "comp_7", "type": "junction", "x": 460, "y": 220, "rotation": 90, "properties": {}, "state": {} },
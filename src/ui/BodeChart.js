@@ -0,0 +1,308 @@
+/**
+ * BodeChart.js - Canvas-based Bode plot for AC sweep results
+ *
+ * Renders magnitude (dB) in the upper pane and phase (degrees) in the
+ * lower pane against a shared logarithmic or linear frequency axis.
+ */
+
+export class BodeChart {
+    constructor(container) {
+        this.container = container;
+        this.canvas = null;
+        this.ctx = null;
+        this.data = null;
+
+        // Same palette as SimpleChart
+        this.colors = [
+            '#22d3ee', // cyan
+            '#a78bfa', // purple
+            '#4ade80', // green
+            '#fb923c', // orange
+            '#f472b6', // pink
+            '#facc15'  // yellow
+        ];
+
+        this.padding = { top: 30, right: 20, bottom: 40, left: 60 };
+        this.paneGap = 24;
+
+        this._onResize = () => this.resize();
+        this.init();
+    }
+
+    init() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'chart-canvas';
+        this.container.innerHTML = '';
+        this.container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.resize();
+        window.addEventListener('resize', this._onResize);
+    }
+
+    resize() {
+        const rect = this.container.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = rect.height * dpr;
+        this.canvas.style.width = rect.width + 'px';
+        this.canvas.style.height = rect.height + 'px';
+
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.width = rect.width;
+        this.height = rect.height;
+
+        if (this.data) {
+            this.render();
+        }
+    }
+
+    /**
+     * Set data and render
+     * @param {number[]} frequencies - Frequency points in Hz (x-axis)
+     * @param {{ label: string, color?: string, magnitudeDb: number[], phase: number[] }[]} traces
+     * @param {'log'|'linear'} scale - Frequency axis scale
+     */
+    setData(frequencies, traces, scale = 'log') {
+        this.data = { frequencies, traces, scale };
+        this.render();
+    }
+
+    render() {
+        if (!this.data || !this.ctx) return;
+
+        const { frequencies, traces, scale } = this.data;
+        const { width, height, padding, ctx } = this;
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, width, height);
+
+        if (frequencies.length < 2 || traces.length === 0) return;
+
+        const chartWidth = width - padding.left - padding.right;
+        const paneHeight = (height - padding.top - padding.bottom - this.paneGap) / 2;
+        const magTop = padding.top;
+        const phaseTop = padding.top + paneHeight + this.paneGap;
+
+        // X mapping (log or linear)
+        const fMin = frequencies[0];
+        const fMax = frequencies[frequencies.length - 1];
+        const isLog = scale !== 'linear';
+        const toX = isLog
+            ? (f) => padding.left + (Math.log10(f / fMin) / Math.log10(fMax / fMin)) * chartWidth
+            : (f) => padding.left + ((f - fMin) / (fMax - fMin)) * chartWidth;
+
+        // Y ranges
+        const magRange = this.computeRange(traces.map(t => t.magnitudeDb), 10);
+        const phaseRange = this.computeRange(traces.map(t => t.phase), 45);
+
+        this.drawPane(magTop, paneHeight, magRange, 'Magnitude (dB)', v => v.toFixed(0) + ' dB', toX, fMin, fMax, isLog);
+        this.drawPane(phaseTop, paneHeight, phaseRange, 'Phase (°)', v => v.toFixed(0) + '°', toX, fMin, fMax, isLog);
+
+        const legend = [];
+        traces.forEach((trace, index) => {
+            const color = trace.color || this.colors[index % this.colors.length];
+            legend.push({ name: trace.label, color });
+
+            this.drawTrace(frequencies, trace.magnitudeDb, toX, magTop, paneHeight, magRange, color);
+            this.drawTrace(frequencies, trace.phase, toX, phaseTop, paneHeight, phaseRange, color);
+        });
+
+        this.drawFrequencyLabels(toX, fMin, fMax, isLog, phaseTop + paneHeight);
+        this.drawLegend(legend);
+    }
+
+    /**
+     * Compute a padded [min, max] range rounded out to a multiple of `step`
+     */
+    computeRange(seriesList, step) {
+        let min = Infinity, max = -Infinity;
+        for (const values of seriesList) {
+            for (const v of values) {
+                if (!isFinite(v)) continue;
+                if (v < min) min = v;
+                if (v > max) max = v;
+            }
+        }
+        if (!isFinite(min) || !isFinite(max)) return { min: -step, max: step };
+
+        min = Math.floor(min / step) * step;
+        max = Math.ceil(max / step) * step;
+        if (min === max) {
+            min -= step;
+            max += step;
+        }
+        return { min, max };
+    }
+
+    drawPane(top, paneHeight, range, title, formatY, toX, fMin, fMax, isLog) {
+        const { ctx, padding, width } = this;
+        const chartWidth = width - padding.left - padding.right;
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+
+        // Vertical grid lines (decades + minor ticks for log, 5 divisions for linear)
+        for (const f of this.getFrequencyTicks(fMin, fMax, isLog, true)) {
+            const x = toX(f);
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, top + paneHeight);
+            ctx.stroke();
+        }
+
+        // Horizontal grid lines + Y labels
+        const yTicks = 4;
+        ctx.fillStyle = '#888';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= yTicks; i++) {
+            const y = top + (i / yTicks) * paneHeight;
+            const value = range.max - (i / yTicks) * (range.max - range.min);
+            ctx.strokeStyle = '#333';
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(padding.left + chartWidth, y);
+            ctx.stroke();
+            ctx.fillText(formatY(value), padding.left - 5, y + 4);
+        }
+
+        // Axes
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, top);
+        ctx.lineTo(padding.left, top + paneHeight);
+        ctx.lineTo(padding.left + chartWidth, top + paneHeight);
+        ctx.stroke();
+
+        // Pane title
+        ctx.save();
+        ctx.fillStyle = '#aaa';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.translate(12, top + paneHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(title, 0, 0);
+        ctx.restore();
+    }
+
+    drawTrace(frequencies, values, toX, top, paneHeight, range, color) {
+        const { ctx } = this;
+        const toY = (v) => top + paneHeight - ((v - range.min) / (range.max - range.min)) * paneHeight;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+
+        let penDown = false;
+        for (let i = 0; i < frequencies.length; i++) {
+            const v = values[i];
+            if (!isFinite(v)) {
+                penDown = false;
+                continue;
+            }
+            const x = toX(frequencies[i]);
+            const y = toY(v);
+            if (!penDown) {
+                ctx.moveTo(x, y);
+                penDown = true;
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+
+        ctx.stroke();
+    }
+
+    drawFrequencyLabels(toX, fMin, fMax, isLog, bottom) {
+        const { ctx, padding, width, height } = this;
+        const chartWidth = width - padding.left - padding.right;
+
+        ctx.fillStyle = '#888';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+
+        for (const f of this.getFrequencyTicks(fMin, fMax, isLog, false)) {
+            ctx.fillText(this.formatFrequency(f), toX(f), bottom + 14);
+        }
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '12px sans-serif';
+        ctx.fillText('Frequency', padding.left + chartWidth / 2, height - 2);
+    }
+
+    /**
+     * Frequency grid positions. For a log axis these are the decades
+     * (plus 2..9 × decade when `minor` is set); for linear, 5 divisions.
+     */
+    getFrequencyTicks(fMin, fMax, isLog, minor) {
+        const ticks = [];
+        if (!isLog) {
+            for (let i = 0; i <= 5; i++) ticks.push(fMin + (i / 5) * (fMax - fMin));
+            return ticks;
+        }
+
+        const firstDecade = Math.floor(Math.log10(fMin));
+        const lastDecade = Math.ceil(Math.log10(fMax));
+        for (let d = firstDecade; d <= lastDecade; d++) {
+            const base = Math.pow(10, d);
+            const multipliers = minor ? [1, 2, 3, 4, 5, 6, 7, 8, 9] : [1];
+            for (const m of multipliers) {
+                const f = m * base;
+                if (f >= fMin * 0.999 && f <= fMax * 1.001) ticks.push(f);
+            }
+        }
+        return ticks;
+    }
+
+    formatFrequency(f) {
+        if (f >= 1e6) return parseFloat((f / 1e6).toPrecision(3)) + 'MHz';
+        if (f >= 1e3) return parseFloat((f / 1e3).toPrecision(3)) + 'kHz';
+        return parseFloat(f.toPrecision(3)) + 'Hz';
+    }
+
+    drawLegend(legend) {
+        const { ctx, padding } = this;
+
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        let x = padding.left + 10;
+        const y = 15;
+
+        for (const { name, color } of legend) {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 8, 12, 12);
+
+            ctx.fillStyle = '#ccc';
+            ctx.fillText(name, x + 16, y + 2);
+
+            x += ctx.measureText(name).width + 30;
+        }
+    }
+
+    /**
+     * Magnitude and phase of every trace, for CSV/JSON export (see WaveformExport.js)
+     */
+    getExportData() {
+        if (!this.data) return null;
+
+        const { frequencies, traces } = this.data;
+        return {
+            title: 'AC sweep',
+            x: { name: 'frequency', unit: 'Hz', values: frequencies },
+            traces: traces.flatMap(trace => [
+                { name: `${trace.label} magnitude`, unit: 'dB', values: trace.magnitudeDb },
+                { name: `${trace.label} phase`, unit: 'deg', values: trace.phase }
+            ])
+        };
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this._onResize);
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+    }
+}
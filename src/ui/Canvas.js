@@ -4,7 +4,7 @@
  * Handles:
  * - Component rendering and placement
  * - Wire drawing
- * - Selection and movement
+ * - Selection (click, shift-click, rubber band) and group movement
  * - Zoom and pan
  */
 
@@ -37,6 +37,12 @@ export class Canvas {
         this.dragging = false;
         this.dragStart = { x: 0, y: 0 };
         this.dragOffset = { x: 0, y: 0 };
+        this.dragStartPosition = { x: 0, y: 0 };
+        this.dragGroup = [];      // [{ component, x, y }] start positions of the moved selection
+        this.dragWires = [];      // [{ wire, bend }] custom bends of wires inside the selection
+
+        // Rubber-band selection: { start: {x, y}, element, additive }
+        this.selectionBox = null;
 
         // Panning state
         this.panning = false;
@@ -56,6 +62,13 @@ export class Canvas {
         // Wire segment dragging
         this.draggingWireSegment = null; // { wire, type: 'segment'|'waypoint', index }
 
+        // Undo/redo history (HistoryManager, set by main.js)
+        this.history = null;
+
+        // Copy/paste clipboard (serialized subcircuit) and repeat-paste count
+        this.clipboard = null;
+        this.pasteCount = 0;
+
         // Callbacks
         this.onSelectionChange = null;
         this.onComponentCountChange = null;
@@ -158,7 +171,16 @@ export class Canvas {
         // Check if clicking on a component
         const component = this.circuit.findComponentAt(pos.x, pos.y);
         if (component) {
-            this.selectComponent(component);
+            // Shift-click adds/removes the component from the selection
+            if (event.shiftKey) {
+                this.toggleComponentSelection(component);
+                return;
+            }
+
+            // Clicking inside an existing group keeps the group so it moves together
+            if (!component.selected) {
+                this.selectComponent(component);
+            }
             this.startDragging(component, pos);
             return;
         }
@@ -169,12 +191,15 @@ export class Canvas {
             this.selectWire(wire);
 
             // Start dragging the wire's bend point
-            this.draggingWireSegment = { wire };
+            this.draggingWireSegment = { wire, startBend: wire.bendOffset };
             return;
         }
 
-        // Clicked on empty space - deselect
-        this.deselectAll();
+        // Clicked on empty space - deselect (unless extending) and start a rubber band
+        if (!event.shiftKey) {
+            this.deselectAll();
+        }
+        this.startSelectionBox(pos, event.shiftKey);
     }
 
     /**
@@ -200,14 +225,29 @@ export class Canvas {
             statusCoords.textContent = `X: ${Math.round(pos.x)}, Y: ${Math.round(pos.y)}`;
         }
 
-        // Dragging component
-        if (this.dragging && this.selectedComponent) {
-            const newX = snapped.x + this.dragOffset.x;
-            const newY = snapped.y + this.dragOffset.y;
-            this.selectedComponent.moveTo(newX, newY);
+        // Dragging component(s) - every selected component follows the grabbed one
+        if (this.dragging && this.dragGroup.length > 0) {
+            const dx = snapped.x + this.dragOffset.x - this.dragStartPosition.x;
+            const dy = snapped.y + this.dragOffset.y - this.dragStartPosition.y;
+
+            for (const { component, x, y } of this.dragGroup) {
+                component.moveTo(x + dx, y + dy);
+            }
+
+            // Wires inside the group keep their custom bend relative to the parts
+            for (const { wire, bend } of this.dragWires) {
+                wire.bendOffset = bend + dx;
+            }
 
             // Update connected wires
-            this.updateConnectedWires(this.selectedComponent);
+            for (const { component } of this.dragGroup) {
+                this.updateConnectedWires(component);
+            }
+        }
+
+        // Rubber-band selection
+        if (this.selectionBox) {
+            this.updateSelectionBox(pos);
         }
 
         // Dragging wire bend point (horizontal only)
@@ -239,13 +279,33 @@ export class Canvas {
 
         const pos = this.getMousePosition(event);
 
-        // End dragging component
+        // End dragging component(s)
         if (this.dragging) {
             this.dragging = false;
+            const anchor = this.dragGroup[0]?.component;
+            if (anchor && (anchor.x !== this.dragStartPosition.x || anchor.y !== this.dragStartPosition.y)) {
+                for (const { component } of this.dragGroup) {
+                    this.circuit.notifyChange('component-moved', component);
+                }
+            } else if (anchor && this.dragGroup.length > 1) {
+                // Plain click on a group member narrows the selection to it
+                this.selectComponent(anchor);
+            }
+            this.dragGroup = [];
+            this.dragWires = [];
+        }
+
+        // Finish rubber-band selection
+        if (this.selectionBox) {
+            this.finishSelectionBox(pos);
         }
 
         // End dragging wire segment
         if (this.draggingWireSegment) {
+            const { wire, startBend } = this.draggingWireSegment;
+            if (wire.bendOffset !== startBend) {
+                this.circuit.notifyChange('wire-changed', wire);
+            }
             this.draggingWireSegment = null;
         }
 
@@ -291,8 +351,7 @@ export class Canvas {
         const component = this.circuit.findComponentAt(pos.x, pos.y);
 
         if (component) {
-            component.rotate();
-            this.updateConnectedWires(component);
+            this.rotateComponent(component);
         }
     }
 
@@ -324,7 +383,31 @@ export class Canvas {
      */
     handleKeyDown(event) {
         // Don't handle if typing in input
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
+        if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT' || event.target.tagName === 'TEXTAREA') {
+            return;
+        }
+
+        // Undo / redo (Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z) and clipboard (Ctrl+C/V/D); Cmd on macOS
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            const hasSelection = this.circuit.getSelectedComponents().length > 0;
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.redo();
+            } else if (key === 'c' && hasSelection) {
+                // Leave plain text copy alone when nothing is selected on the canvas
+                event.preventDefault();
+                this.copySelected();
+            } else if (key === 'v' && this.clipboard) {
+                event.preventDefault();
+                this.paste();
+            } else if (key === 'd' && hasSelection) {
+                event.preventDefault();
+                this.duplicateSelected();
+            }
             return;
         }
 
@@ -347,14 +430,156 @@ export class Canvas {
                 break;
             case 'r':
             case 'R':
-                if (this.selectedComponent) {
-                    this.selectedComponent.rotate();
-                    this.updateConnectedWires(this.selectedComponent);
-                }
+                this.rotateSelection();
                 break;
         }
     }
 
+    /**
+     * Rotate a component by 90° and re-route its wires
+     */
+    rotateComponent(component) {
+        component.rotate();
+        this.updateConnectedWires(component);
+        this.circuit.notifyChange('component-rotated', component);
+    }
+
+    /**
+     * Rotate the selection by 90°. A single component rotates in place;
+     * a group rotates as a whole about its (grid-snapped) centroid.
+     */
+    rotateSelection() {
+        const selected = this.circuit.getSelectedComponents();
+        if (selected.length === 0) return;
+        if (selected.length === 1) {
+            this.rotateComponent(selected[0]);
+            return;
+        }
+
+        const centroid = this.snapToGrid(
+            selected.reduce((sum, c) => sum + c.x, 0) / selected.length,
+            selected.reduce((sum, c) => sum + c.y, 0) / selected.length
+        );
+
+        for (const component of selected) {
+            // Clockwise on screen (y down), matching Component.rotate()
+            const dx = component.x - centroid.x;
+            const dy = component.y - centroid.y;
+            component.moveTo(centroid.x - dy, centroid.y + dx);
+            component.rotate();
+        }
+
+        // Custom bends inside the group no longer make sense after rotation
+        for (const wire of this.getWiresWithin(selected)) {
+            wire.resetRouting();
+        }
+        for (const component of selected) {
+            this.updateConnectedWires(component);
+            this.circuit.notifyChange('component-rotated', component);
+        }
+    }
+
+    /**
+     * Wires whose both ends lie on the given components
+     * @param {Component[]} components
+     * @returns {Wire[]}
+     */
+    getWiresWithin(components) {
+        const set = new Set(components);
+        const wires = new Set();
+        for (const component of components) {
+            for (const terminal of component.terminals) {
+                for (const wire of terminal.connectedWires) {
+                    if (set.has(wire.startTerminal?.component) && set.has(wire.endTerminal?.component)) {
+                        wires.add(wire);
+                    }
+                }
+            }
+        }
+        return [...wires];
+    }
+
+    /**
+     * Undo the last edit
+     */
+    undo() {
+        if (!this.history) return;
+        this.cancelPlacement();
+        this.cancelWireDrawing();
+        if (this.history.undo()) {
+            this.deselectAll();
+            this.renderAll();
+        }
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    redo() {
+        if (!this.history) return;
+        this.cancelPlacement();
+        this.cancelWireDrawing();
+        if (this.history.redo()) {
+            this.deselectAll();
+            this.renderAll();
+        }
+    }
+
+    /**
+     * Copy the selected components (and wires between them) to the clipboard
+     */
+    copySelected() {
+        const selected = this.circuit.getSelectedComponents();
+        if (selected.length === 0) return;
+
+        this.clipboard = this.circuit.serializeSubcircuit(selected);
+        this.pasteCount = 0;
+    }
+
+    /**
+     * Paste the clipboard, offset further on each repeated paste
+     */
+    paste() {
+        if (!this.clipboard) return;
+
+        this.pasteCount++;
+        this.insertSubcircuit(this.clipboard, this.pasteCount);
+    }
+
+    /**
+     * Copy and paste the selection in one step, leaving the clipboard untouched
+     */
+    duplicateSelected() {
+        const selected = this.circuit.getSelectedComponents();
+        if (selected.length === 0) return;
+
+        this.insertSubcircuit(this.circuit.serializeSubcircuit(selected), 1);
+    }
+
+    /**
+     * Add a serialized subcircuit to the circuit and canvas, then select it
+     * @param {{components: Object[], wires: Object[]}} data
+     * @param {number} steps - Offset in multiples of two grid cells
+     */
+    insertSubcircuit(data, steps) {
+        this.cancelPlacement();
+        this.cancelWireDrawing();
+
+        const offset = this.gridSize * 2 * steps;
+        const { components, wires } = this.circuit.pasteSubcircuit(data, offset, offset);
+
+        for (const component of components) {
+            this.renderComponent(component);
+        }
+        for (const wire of wires) {
+            this.wiresLayer.appendChild(wire.render());
+        }
+        this.updateComponentCount();
+
+        // Select the pasted copy
+        this.selectComponents(components);
+    }
+
     /**
      * Start placing a component
      */
@@ -517,11 +742,74 @@ export class Canvas {
      */
     startDragging(component, mousePos) {
         this.dragging = true;
+        this.dragStartPosition = { x: component.x, y: component.y };
         const snapped = this.snapToGrid(mousePos.x, mousePos.y);
         this.dragOffset = {
             x: component.x - snapped.x,
             y: component.y - snapped.y
         };
+
+        // Move the whole selection; the grabbed component goes first
+        const group = this.circuit.getSelectedComponents().filter(c => c !== component);
+        group.unshift(component);
+        this.dragGroup = group.map(c => ({ component: c, x: c.x, y: c.y }));
+        this.dragWires = this.getWiresWithin(group)
+            .filter(w => w.bendOffset !== null)
+            .map(w => ({ wire: w, bend: w.bendOffset }));
+    }
+
+    /**
+     * Begin a rubber-band selection rectangle
+     * @param {{x: number, y: number}} pos - Start point (canvas coordinates)
+     * @param {boolean} additive - Add to the current selection instead of replacing it
+     */
+    startSelectionBox(pos, additive) {
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.classList.add('selection-box');
+        rect.setAttribute('x', pos.x);
+        rect.setAttribute('y', pos.y);
+        rect.setAttribute('width', 0);
+        rect.setAttribute('height', 0);
+        this.interactionLayer.appendChild(rect);
+
+        this.selectionBox = { start: pos, element: rect, additive };
+    }
+
+    /**
+     * Resize the rubber band to the current cursor position
+     */
+    updateSelectionBox(pos) {
+        const { start, element } = this.selectionBox;
+        element.setAttribute('x', Math.min(start.x, pos.x));
+        element.setAttribute('y', Math.min(start.y, pos.y));
+        element.setAttribute('width', Math.abs(pos.x - start.x));
+        element.setAttribute('height', Math.abs(pos.y - start.y));
+    }
+
+    /**
+     * Select every component whose centre lies inside the rubber band
+     */
+    finishSelectionBox(pos) {
+        const { start, element, additive } = this.selectionBox;
+        element.remove();
+        this.selectionBox = null;
+
+        const minX = Math.min(start.x, pos.x);
+        const maxX = Math.max(start.x, pos.x);
+        const minY = Math.min(start.y, pos.y);
+        const maxY = Math.max(start.y, pos.y);
+
+        // A plain click on empty space is not a selection
+        if (maxX - minX < 3 && maxY - minY < 3) return;
+
+        const inside = this.circuit.getAllComponents().filter(c =>
+            c.x >= minX && c.x <= maxX && c.y >= minY && c.y <= maxY
+        );
+        const selection = additive
+            ? [...new Set([...this.circuit.getSelectedComponents(), ...inside])]
+            : inside;
+
+        this.selectComponents(selection);
     }
 
     /**
@@ -537,6 +825,54 @@ export class Canvas {
         }
     }
 
+    /**
+     * Replace the selection with the given components
+     * @param {Component[]} components
+     */
+    selectComponents(components) {
+        this.circuit.deselectAll();
+        this.selectedWire = null;
+        for (const component of components) {
+            component.select();
+        }
+        this.updateSelection();
+    }
+
+    /**
+     * Add or remove a component from the selection (shift-click)
+     */
+    toggleComponentSelection(component) {
+        if (this.selectedWire) {
+            this.selectedWire.deselect();
+            this.selectedWire = null;
+        }
+
+        if (component.selected) {
+            component.deselect();
+        } else {
+            component.select();
+        }
+        this.updateSelection();
+    }
+
+    /**
+     * Sync selectedComponent and notify listeners after the selection changed
+     */
+    updateSelection() {
+        const selected = this.circuit.getSelectedComponents();
+        this.selectedComponent = selected.length === 1 ? selected[0] : null;
+
+        if (this.onSelectionChange) {
+            if (selected.length === 1) {
+                this.onSelectionChange('component', selected[0]);
+            } else if (selected.length > 1) {
+                this.onSelectionChange('multiple', selected);
+            } else {
+                this.onSelectionChange(null, null);
+            }
+        }
+    }
+
     /**
      * Select a wire
      */
@@ -564,11 +900,14 @@ export class Canvas {
     }
 
     /**
-     * Delete selected component or wire
+     * Delete selected components or wire
      */
     deleteSelected() {
-        if (this.selectedComponent) {
-            this.circuit.removeComponent(this.selectedComponent.id);
+        const selected = this.circuit.getSelectedComponents();
+        if (selected.length > 0) {
+            for (const component of selected) {
+                this.circuit.removeComponent(component.id);
+            }
             this.selectedComponent = null;
             this.updateComponentCount();
         }
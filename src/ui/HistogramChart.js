@@ -0,0 +1,201 @@
+/**
+ * HistogramChart.js - Canvas histogram of Monte Carlo results
+ *
+ * Bars for the bin counts, with markers for the nominal value, the mean
+ * and mean ± σ.
+ */
+
+import { formatValue } from '../core/Component.js';
+
+export class HistogramChart {
+    constructor(container) {
+        this.container = container;
+        this.canvas = null;
+        this.ctx = null;
+        this.data = null;
+
+        this.padding = { top: 30, right: 20, bottom: 40, left: 60 };
+
+        this._onResize = () => this.resize();
+        this.init();
+    }
+
+    init() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'chart-canvas';
+        this.container.innerHTML = '';
+        this.container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.resize();
+        window.addEventListener('resize', this._onResize);
+    }
+
+    resize() {
+        const rect = this.container.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = rect.height * dpr;
+        this.canvas.style.width = rect.width + 'px';
+        this.canvas.style.height = rect.height + 'px';
+
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.width = rect.width;
+        this.height = rect.height;
+
+        if (this.data) {
+            this.render();
+        }
+    }
+
+    /**
+     * Set data and render
+     * @param {{title: string, name: string, unit: string, edges: number[], counts: number[],
+     *          nominal: number, mean: number, sigma: number}} data
+     */
+    setData(data) {
+        this.data = data;
+        this.render();
+    }
+
+    render() {
+        if (!this.data || !this.ctx) return;
+
+        const { edges, counts, nominal, mean, sigma, name, unit } = this.data;
+        const { width, height, padding, ctx } = this;
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, width, height);
+
+        if (counts.length === 0) return;
+
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        // X range covers the bins and the nominal value
+        const xMin = Math.min(edges[0], isFinite(nominal) ? nominal : Infinity);
+        const xMax = Math.max(edges[edges.length - 1], isFinite(nominal) ? nominal : -Infinity);
+        const yMax = Math.max(...counts) * 1.1 || 1;
+        const toX = (v) => padding.left + ((v - xMin) / (xMax - xMin)) * chartWidth;
+        const toY = (c) => padding.top + chartHeight - (c / yMax) * chartHeight;
+
+        // Grid and axes
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (i / 4) * chartHeight;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(padding.left + chartWidth, y);
+            ctx.stroke();
+        }
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, padding.top + chartHeight);
+        ctx.lineTo(padding.left + chartWidth, padding.top + chartHeight);
+        ctx.stroke();
+
+        // Bars
+        ctx.fillStyle = 'rgba(34, 211, 238, 0.6)';
+        ctx.strokeStyle = '#22d3ee';
+        ctx.lineWidth = 1;
+        counts.forEach((count, i) => {
+            if (count === 0) return;
+            const x0 = toX(edges[i]);
+            const x1 = toX(edges[i + 1]);
+            const y = toY(count);
+            ctx.fillRect(x0, y, Math.max(1, x1 - x0 - 1), padding.top + chartHeight - y);
+            ctx.strokeRect(x0, y, Math.max(1, x1 - x0 - 1), padding.top + chartHeight - y);
+        });
+
+        // Markers
+        const marker = (value, color, dash) => {
+            if (!isFinite(value)) return;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            ctx.moveTo(toX(value), padding.top);
+            ctx.lineTo(toX(value), padding.top + chartHeight);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+        marker(nominal, '#facc15', [6, 4]);
+        marker(mean, '#f472b6', []);
+        marker(mean - sigma, '#f472b6', [2, 3]);
+        marker(mean + sigma, '#f472b6', [2, 3]);
+
+        // Labels
+        const short = (v) => formatValue(parseFloat(v.toPrecision(4)), unit);
+        ctx.fillStyle = '#888';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= 4; i++) {
+            const value = xMin + (i / 4) * (xMax - xMin);
+            ctx.fillText(short(value), padding.left + (i / 4) * chartWidth, height - padding.bottom + 16);
+        }
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const count = yMax - (i / 4) * yMax;
+            ctx.fillText(Math.round(count).toString(), padding.left - 5, padding.top + (i / 4) * chartHeight + 4);
+        }
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(unit ? `${name} (${unit})` : name, padding.left + chartWidth / 2, height - 2);
+        ctx.save();
+        ctx.translate(12, padding.top + chartHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('Trials', 0, 0);
+        ctx.restore();
+
+        this.drawLegend([
+            { label: `Nominal ${short(nominal)}`, color: '#facc15' },
+            { label: `Mean ${short(mean)}`, color: '#f472b6' },
+            { label: `σ ${short(sigma)}`, color: '#f472b6' }
+        ]);
+    }
+
+    drawLegend(legend) {
+        const { ctx, padding } = this;
+
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        let x = padding.left + 10;
+        const y = 15;
+
+        for (const { label, color } of legend) {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 8, 12, 12);
+
+            ctx.fillStyle = '#ccc';
+            ctx.fillText(label, x + 16, y + 2);
+
+            x += ctx.measureText(label).width + 30;
+        }
+    }
+
+    /**
+     * Bin centres and counts, for CSV/JSON export (see WaveformExport.js)
+     */
+    getExportData() {
+        if (!this.data) return null;
+        const { title, name, unit, edges, counts } = this.data;
+        return {
+            title,
+            x: { name: `${name} bin centre`, unit, values: counts.map((_, i) => (edges[i] + edges[i + 1]) / 2) },
+            traces: [{ name: 'trials', unit: '', values: counts }]
+        };
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this._onResize);
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+    }
+}
@@ -1,24 +1,76 @@
 /**
- * OscilloscopeChart.js - Canvas-based 2-channel oscilloscope display
+ * OscilloscopeChart.js - Canvas-based multi-channel oscilloscope display
  * 
  * Features:
- *   - 2 independent channels with distinct colors
- *   - Auto-scaling (default) with manual zoom/pan
+ *   - Up to 4 independent channels with distinct colors
+ *   - Bench-scope graticule (10 × 8 divisions) with per-channel
+ *     volts/div, offset and AC/DC coupling (auto scale when 0)
+ *   - Edge trigger (source, level, slope), time/div and horizontal position
+ *   - XY mode (CH1 → X, CH2 → Y) with Lissajous phase estimation
+ *   - Math channel (A±B, A×B, ∫A, dA/dt) and FFT view with dB magnitude
+ *   - Manual zoom/pan on top of the front-panel settings
  *   - Crosshair cursor with time/amplitude readouts
+ *   - Automatic measurements panel (Vpp, RMS, frequency, duty, phase, ...)
+ *     over the visible window, and two draggable time or voltage cursors
  *   - Buffered data (max 10,000 points per channel)
  *   - Handles DC (flat), AC (sinusoidal), and transient waveforms
  */
 
+import { formatValue } from '../core/Component.js';
+import { measureWaveform, measurePhase } from '../utils/WaveformMeasurements.js';
+import { computeMathTrace, computeSpectrum, BINARY_MATH_OPERATIONS } from '../utils/WaveformMath.js';
+
+/**
+ * Smallest 1-2-5 step >= value
+ */
+function niceCeil(value) {
+    if (!(value > 0) || !isFinite(value)) return 1;
+    const exp = Math.floor(Math.log10(value));
+    const base = Math.pow(10, exp);
+    for (const mantissa of [1, 2, 5, 10]) {
+        if (mantissa * base >= value * (1 - 1e-9)) return mantissa * base;
+    }
+    return 10 * base;
+}
+
 export class OscilloscopeChart {
-    constructor(container) {
+    /**
+     * @param {HTMLElement} container - Element the canvas fills
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.measurementsElement] - Element for the measurements table
+     */
+    constructor(container, options = {}) {
         this.container = container;
+        this.measurementsElement = options.measurementsElement || null;
         this.canvas = null;
         this.ctx = null;
 
         // Data storage
-        this.channels = [];  // Array of { label, color, timePoints, values }
+        this.channels = [];  // Array of { label, color, unit, timePoints, values, voltsPerDiv, offset, coupling }
+                             // (the math trace, if any, is last with isMath set)
         this.maxPoints = 10000;
 
+        // Front-panel settings (see Oscilloscope.getDisplaySettings)
+        this.settings = {
+            mode: 'yt', timePerDiv: 0, position: 0,
+            trigger: { source: 'off', level: 0, slope: 'rising' },
+            math: { operation: 'off' }
+        };
+
+        // Graticule
+        this.xDivs = 10;
+        this.yDivs = 8;
+
+        // Derived view: time origin (trigger point), effective time/div, trigger state,
+        // and the absolute time window [tMin, tMax] on screen (the samples used in XY mode)
+        this.view = { origin: 0, timePerDiv: 1, triggered: false, tMin: 0, tMax: 1 };
+
+        // Lissajous phase estimate in degrees (XY mode), null if not measurable
+        this.xyPhase = null;
+
+        // FFT view: { frequencies, magnitudes, db, df, peakIndex } of math source A
+        this.spectrum = null;
+
         // Chart area
         this.padding = { top: 36, right: 20, bottom: 45, left: 65 };
         this.width = 0;
@@ -39,6 +91,20 @@ export class OscilloscopeChart {
         // Crosshair
         this.crosshair = null; // { x, y } in canvas coords
 
+        // Measurements panel (recomputed only when the window or data change)
+        this.showMeasurements = false;
+        this.measurementKey = null;
+        this.dataVersion = 0;
+
+        // Cursors: mode 'off' | 'time' | 'voltage'; positions in chart data
+        // coordinates (time from origin, or divisions)
+        this.cursorMode = 'off';
+        this.cursors = null; // { a, b }
+        this.draggingCursor = null; // 'a' | 'b'
+
+        // Last drawn plot geometry (for mouse → data conversion)
+        this.plot = null;
+
         // Styling
         this.bgColor = '#0d1117';
         this.gridColor = 'rgba(88, 166, 255, 0.12)';
@@ -65,12 +131,16 @@ export class OscilloscopeChart {
         this._onMouseMove = (e) => this.handleMouseMove(e);
         this._onMouseLeave = () => this.handleMouseLeave();
         this._onDblClick = () => this.resetZoom();
+        this._onMouseDown = (e) => this.handleMouseDown(e);
+        this._onMouseUp = () => this.handleMouseUp();
 
         window.addEventListener('resize', this._onResize);
         this.canvas.addEventListener('wheel', this._onWheel, { passive: false });
         this.canvas.addEventListener('mousemove', this._onMouseMove);
         this.canvas.addEventListener('mouseleave', this._onMouseLeave);
         this.canvas.addEventListener('dblclick', this._onDblClick);
+        this.canvas.addEventListener('mousedown', this._onMouseDown);
+        window.addEventListener('mouseup', this._onMouseUp);
     }
 
     resize() {
@@ -94,16 +164,17 @@ export class OscilloscopeChart {
 
     /**
      * Set channel data.
-     * @param {Array<{label: string, color: string, timePoints: number[], values: number[]}>} channels
+     * @param {Array<{label: string, color: string, unit?: string, timePoints: number[], values: number[],
+     *         voltsPerDiv?: number, offset?: number, coupling?: string}>} channels
+     * @param {Object} [settings] - Horizontal/trigger settings ({ timePerDiv, position, trigger })
      */
-    setData(channels) {
+    setData(channels, settings = null) {
         // Buffer: downsample if too many points
         this.channels = channels.map(ch => {
             if (ch.timePoints.length > this.maxPoints) {
                 const step = Math.ceil(ch.timePoints.length / this.maxPoints);
                 return {
-                    label: ch.label,
-                    color: ch.color,
+                    ...ch,
                     timePoints: ch.timePoints.filter((_, i) => i % step === 0),
                     values: ch.values.filter((_, i) => i % step === 0)
                 };
@@ -111,48 +182,363 @@ export class OscilloscopeChart {
             return { ...ch };
         });
 
+        if (settings) {
+            this.settings = settings;
+        }
+
+        this.dataVersion++;
+        this.updateMathChannel();
         this.computeDataRange();
         this.render();
     }
 
+    /**
+     * Apply new front-panel settings to the current data
+     * @param {Object} settings - { timePerDiv, position, trigger, math }
+     * @param {Array} [channelSettings] - Per-channel { voltsPerDiv, offset, coupling }, in channel order
+     */
+    setSettings(settings, channelSettings = null) {
+        this.settings = settings;
+        if (channelSettings) {
+            this.channels.forEach((ch, i) => Object.assign(ch, channelSettings[i] || {}));
+        }
+        this.dataVersion++;
+        this.updateMathChannel();
+        this.computeDataRange();
+        this.render();
+    }
+
+    /**
+     * Measured channel used as a math source ('ch1'...), from the scope
+     * that owns the math settings when several scopes are shown
+     */
+    getMathSource(id) {
+        const { scopeId } = this.settings.math || {};
+        return this.channels.find(ch => !ch.isMath && ch.id === id &&
+            (!scopeId || !ch.scopeId || ch.scopeId === scopeId)) || null;
+    }
+
+    /**
+     * Rebuild the math trace from its sources; it is kept as the last channel
+     * so it is drawn, measured and read by the cursors like any other trace.
+     * Math works on the raw (DC-coupled) source values.
+     */
+    updateMathChannel() {
+        this.channels = this.channels.filter(ch => !ch.isMath);
+
+        const math = this.settings.math;
+        if (!math || !math.operation || math.operation === 'off' || math.operation === 'fft') return;
+
+        const binary = BINARY_MATH_OPERATIONS.includes(math.operation);
+        const a = this.getMathSource(math.sourceA);
+        const b = binary ? this.getMathSource(math.sourceB) : null;
+        if (!a || (binary && !b)) return;
+
+        const trace = computeMathTrace(math.operation, a, b);
+        if (!trace) return;
+
+        const nameA = a.id.toUpperCase();
+        const nameB = b ? b.id.toUpperCase() : '';
+        const labels = {
+            add: `${nameA}+${nameB}`,
+            subtract: `${nameA}−${nameB}`,
+            multiply: `${nameA}×${nameB}`,
+            integrate: `∫${nameA}`,
+            differentiate: `d${nameA}/dt`
+        };
+
+        this.channels.push({
+            id: 'math',
+            isMath: true,
+            label: labels[math.operation],
+            color: math.color || '#f87171',
+            unit: trace.unit,
+            timePoints: trace.timePoints,
+            values: trace.values,
+            voltsPerDiv: math.voltsPerDiv,
+            offset: math.offset,
+            coupling: 'DC'
+        });
+    }
+
+    /**
+     * FFT view: math function is FFT and its source channel is displayed
+     */
+    isFFTMode() {
+        const math = this.settings.math;
+        return !!math && math.operation === 'fft' && !!this.getMathSource(math.sourceA);
+    }
+
+    /**
+     * Work out the displayed window from the front-panel settings:
+     * coupling, vertical scale, trigger point and time/div.
+     * Times are drawn relative to view.origin (the trigger point when triggered);
+     * the Y axis is in divisions, each channel mapped by its own scale.
+     */
     computeDataRange() {
         if (this.channels.length === 0) return;
 
-        let xMin = Infinity, xMax = -Infinity;
-        let yMin = Infinity, yMax = -Infinity;
+        // Vertical: AC coupling removes the mean, auto scale fits the peak in ±4 div
+        for (const ch of this.channels) {
+            const finite = ch.values.filter(v => isFinite(v));
+            ch.dcLevel = ch.coupling === 'AC' && finite.length > 0
+                ? finite.reduce((a, b) => a + b, 0) / finite.length
+                : 0;
+
+            ch.scale = ch.voltsPerDiv > 0 ? ch.voltsPerDiv : this.autoScale(ch, finite);
+        }
 
+        // Horizontal
+        let tStart = Infinity, tEnd = -Infinity;
         for (const ch of this.channels) {
             if (ch.timePoints.length === 0) continue;
-            xMin = Math.min(xMin, ch.timePoints[0]);
-            xMax = Math.max(xMax, ch.timePoints[ch.timePoints.length - 1]);
-            for (const v of ch.values) {
-                if (isFinite(v)) {
-                    yMin = Math.min(yMin, v);
-                    yMax = Math.max(yMax, v);
+            tStart = Math.min(tStart, ch.timePoints[0]);
+            tEnd = Math.max(tEnd, ch.timePoints[ch.timePoints.length - 1]);
+        }
+        if (!isFinite(tStart)) { tStart = 0; tEnd = 1; }
+        if (tStart >= tEnd) tEnd = tStart + 1;
+
+        const { trigger = {}, position = 0 } = this.settings;
+        const triggerChannel = this.getTriggerChannel();
+        const crossings = triggerChannel
+            ? this.findTriggerTimes(triggerChannel, trigger.level || 0, trigger.slope)
+            : [];
+
+        let timePerDiv = this.settings.timePerDiv;
+        if (!(timePerDiv > 0)) {
+            if (crossings.length >= 2) {
+                // Auto: about two cycles of the trigger signal
+                const periods = crossings.slice(1).map((t, i) => t - crossings[i]).sort((a, b) => a - b);
+                const period = periods[Math.floor(periods.length / 2)];
+                timePerDiv = niceCeil(2 * period / this.xDivs);
+            } else {
+                // Auto: the whole record
+                timePerDiv = (tEnd - tStart) / this.xDivs;
+            }
+        }
+
+        const halfWidth = (this.xDivs / 2) * timePerDiv;
+        const eps = timePerDiv * 1e-6;
+
+        if (crossings.length > 0) {
+            // Latest trigger that still has a full screen of data around it,
+            // so the display settles on steady state like a running bench scope
+            const fits = (t) => t + position + halfWidth <= tEnd + eps;
+            const full = crossings.filter(t => fits(t) && t + position - halfWidth >= tStart - eps);
+            const partial = crossings.filter(fits);
+            const origin = full.length > 0 ? full[full.length - 1]
+                : partial.length > 0 ? partial[partial.length - 1]
+                    : crossings[0];
+
+            this.view = { origin, timePerDiv, triggered: true };
+            this.dataXMin = position - halfWidth;
+            this.dataXMax = position + halfWidth;
+        } else {
+            // Free run: window starts at the beginning of the record
+            this.view = { origin: 0, timePerDiv, triggered: false };
+            this.dataXMin = tStart + position;
+            this.dataXMax = this.dataXMin + 2 * halfWidth;
+        }
+
+        this.view.tMin = this.view.origin + this.dataXMin;
+        this.view.tMax = this.view.origin + this.dataXMax;
+
+        this.dataYMin = -this.yDivs / 2;
+        this.dataYMax = this.yDivs / 2;
+
+        // FFT: frequency vs dB over the samples inside the time window
+        this.spectrum = null;
+        if (this.isFFTMode()) {
+            this.computeSpectrumView();
+        }
+
+        // XY: both axes in divisions, only the samples inside the time window are plotted
+        this.xyPhase = null;
+        if (this.isXYMode()) {
+            this.dataXMin = -this.xDivs / 2;
+            this.dataXMax = this.xDivs / 2;
+            this.xyPhase = this.estimateLissajousPhase();
+        }
+    }
+
+    /**
+     * Spectrum of math source A and the FFT axes: 0..10 freq/div horizontally,
+     * 8 dB/div divisions below a reference level that clears the highest peak
+     */
+    computeSpectrumView() {
+        const { sourceA, fft = {} } = this.settings.math;
+        const source = this.getMathSource(sourceA);
+        const spectrum = computeSpectrum(source.timePoints, source.values, this.view.tMin, this.view.tMax, fft.window);
+        const dbPerDiv = fft.dbPerDiv || 10;
+        let freqPerDiv = fft.freqPerDiv;
+        let reference = 0;
+
+        if (spectrum) {
+            const db = spectrum.magnitudes.map(m => 20 * Math.log10(Math.max(m, 1e-12)));
+
+            // Strongest AC component, skipping the DC lobe (bins still falling away from 0 Hz)
+            let start = 1;
+            while (start < db.length - 1 && db[start + 1] < db[start]) start++;
+            let peakIndex = Math.min(start, db.length - 1);
+            for (let k = start + 1; k < db.length; k++) {
+                if (db[k] > db[peakIndex]) peakIndex = k;
+            }
+            this.spectrum = { ...spectrum, db, peakIndex };
+
+            const maxDb = Math.max(...db);
+            reference = Math.ceil(maxDb / dbPerDiv) * dbPerDiv;
+
+            if (!(freqPerDiv > 0)) {
+                // Auto: up to the highest component within 60 dB of the largest
+                let last = peakIndex;
+                for (let k = db.length - 1; k > peakIndex; k--) {
+                    if (db[k] > maxDb - 60) { last = k; break; }
                 }
+                freqPerDiv = niceCeil(1.1 * spectrum.frequencies[last] / this.xDivs);
+            }
+        }
+        if (!(freqPerDiv > 0)) freqPerDiv = 1;
+
+        this.view.freqPerDiv = freqPerDiv;
+        this.view.dbPerDiv = dbPerDiv;
+        this.dataXMin = 0;
+        this.dataXMax = freqPerDiv * this.xDivs;
+        this.dataYMax = reference;
+        this.dataYMin = reference - dbPerDiv * this.yDivs;
+    }
+
+    /**
+     * Magnitude unit of the FFT view, e.g. dBV (RMS) or dB(mA)
+     */
+    spectrumUnit() {
+        const source = this.getMathSource(this.settings.math.sourceA);
+        const unit = source?.unit || 'V';
+        return unit.length === 1 ? `dB${unit}` : `dB(${unit})`;
+    }
+
+    /**
+     * XY mode needs two measured channels: the first is X, the second is Y
+     * (the FFT view takes precedence)
+     */
+    isXYMode() {
+        return this.settings.mode === 'xy' && !this.isFFTMode() &&
+            this.channels.filter(ch => !ch.isMath).length >= 2;
+    }
+
+    /**
+     * Paired (x, y) samples of the first two channels inside the time window
+     * @returns {Array<{x: number, y: number}>} Raw channel values
+     */
+    getXYPoints() {
+        const [chX, chY] = this.channels;
+        const { tMin, tMax } = this.view;
+        const sameTimebase = chX.timePoints.length === chY.timePoints.length;
+        const points = [];
+
+        for (let i = 0; i < chX.timePoints.length; i++) {
+            const t = chX.timePoints[i];
+            if (t < tMin || t > tMax) continue;
+            const j = sameTimebase ? i : this.findNearestIndex(chY.timePoints, t);
+            const x = chX.values[i];
+            const y = chY.values[j];
+            if (isFinite(x) && isFinite(y)) points.push({ x, y });
+        }
+        return points;
+    }
+
+    /**
+     * Phase difference from the Lissajous ellipse: sin φ = Y0 / Ymax, where Y0 is
+     * the half-height of the ellipse on its vertical centre line. The lean of the
+     * ellipse gives the quadrant and the direction of travel gives the sign.
+     * @returns {number|null} Degrees, positive when Y (CH2) leads X (CH1)
+     */
+    estimateLissajousPhase() {
+        const points = this.getXYPoints();
+        if (points.length < 8) return null;
+
+        // Centre of the ellipse (midrange, robust to partial cycles in the window)
+        const xValues = points.map(p => p.x);
+        const yValues = points.map(p => p.y);
+        const xMax = Math.max(...xValues), xMin = Math.min(...xValues);
+        const yMax = Math.max(...yValues), yMin = Math.min(...yValues);
+        const xs = xValues.map(x => x - (xMax + xMin) / 2);
+        const ys = yValues.map(y => y - (yMax + yMin) / 2);
+
+        const xAmp = (xMax - xMin) / 2;
+        const yAmp = (yMax - yMin) / 2;
+        if (!(yAmp > 1e-12) || !(xAmp > 1e-12)) return null;
+
+        // Y values where the trace crosses x = centre
+        const intercepts = [];
+        let correlation = 0;
+        let area = 0;
+        for (let i = 1; i < xs.length; i++) {
+            if ((xs[i - 1] < 0 && xs[i] >= 0) || (xs[i - 1] > 0 && xs[i] <= 0)) {
+                const frac = xs[i - 1] / (xs[i - 1] - xs[i]);
+                intercepts.push(Math.abs(ys[i - 1] + frac * (ys[i] - ys[i - 1])));
             }
+            correlation += xs[i] * ys[i];
+            area += xs[i - 1] * ys[i] - xs[i] * ys[i - 1];
         }
+        if (intercepts.length < 2) return null;
+
+        const y0 = intercepts.reduce((a, b) => a + b, 0) / intercepts.length;
+        let phase = Math.asin(Math.min(1, y0 / yAmp)) * 180 / Math.PI;
+
+        // Ellipse leaning the other way: 90°–180°
+        if (correlation < 0) phase = 180 - phase;
 
-        // Handle flat signals
-        if (yMin === yMax) {
-            yMin -= 1;
-            yMax += 1;
+        // Clockwise travel means Y leads X
+        return area > 0 ? -phase : phase;
+    }
+
+    /**
+     * Auto volts/div: smallest 1-2-5 step that keeps the trace within the screen
+     */
+    autoScale(ch, finite) {
+        let peak = 0;
+        for (const v of finite) {
+            peak = Math.max(peak, Math.abs(v - ch.dcLevel + (ch.offset || 0)));
         }
+        if (peak === 0) return 1;
+        return niceCeil(peak / (this.yDivs / 2 * 0.9));
+    }
 
-        // Add 10% padding
-        const yRange = yMax - yMin;
-        yMin -= yRange * 0.1;
-        yMax += yRange * 0.1;
+    /**
+     * Channel selected as trigger source (null when free running)
+     */
+    getTriggerChannel() {
+        const source = this.settings.trigger?.source;
+        if (!source || source === 'off') return null;
+        return this.channels.find(ch => ch.id === source) || null;
+    }
 
-        // Handle edge case of no time range
-        if (xMin >= xMax) {
-            xMax = xMin + 1;
+    /**
+     * Times where the (coupled) channel crosses the trigger level on the given slope
+     * @returns {number[]} Interpolated crossing times, ascending
+     */
+    findTriggerTimes(ch, level, slope = 'rising') {
+        const { timePoints, values } = ch;
+        const times = [];
+        const sign = slope === 'falling' ? -1 : 1;
+
+        for (let i = 1; i < values.length; i++) {
+            const a = (values[i - 1] - ch.dcLevel - level) * sign;
+            const b = (values[i] - ch.dcLevel - level) * sign;
+            if (!isFinite(a) || !isFinite(b)) continue;
+            if (a < 0 && b >= 0) {
+                const frac = a / (a - b);
+                times.push(timePoints[i - 1] + frac * (timePoints[i] - timePoints[i - 1]));
+            }
         }
+        return times;
+    }
 
-        this.dataXMin = xMin;
-        this.dataXMax = xMax;
-        this.dataYMin = yMin;
-        this.dataYMax = yMax;
+    /**
+     * Map a channel value to screen divisions
+     */
+    toDivisions(ch, value) {
+        return (value - ch.dcLevel + (ch.offset || 0)) / ch.scale;
     }
 
     // Get the visible data range (applying zoom/pan)
@@ -188,6 +574,7 @@ export class OscilloscopeChart {
             ctx.font = '13px Inter, sans-serif';
             ctx.textAlign = 'center';
             ctx.fillText('No data — run simulation with Oscilloscope connected', width / 2, height / 2);
+            this.updateMeasurements(0, 0);
             return;
         }
 
@@ -198,12 +585,16 @@ export class OscilloscopeChart {
 
         const scaleX = (x) => padding.left + ((x - xMin) / (xMax - xMin)) * chartW;
         const scaleY = (y) => padding.top + chartH - ((y - yMin) / (yMax - yMin)) * chartH;
+        this.plot = { xMin, xMax, yMin, yMax, chartW, chartH, scaleX, scaleY };
 
         // Draw grid
         this.drawGrid(xMin, xMax, yMin, yMax, scaleX, scaleY, chartW, chartH);
 
-        // Draw zero line if visible
-        if (yMin < 0 && yMax > 0) {
+        const xyMode = this.isXYMode();
+        const fftMode = this.isFFTMode();
+
+        // Draw centre line if visible
+        if (!fftMode && yMin < 0 && yMax > 0) {
             const y0 = scaleY(0);
             ctx.strokeStyle = 'rgba(88,166,255,0.25)';
             ctx.lineWidth = 1;
@@ -222,12 +613,23 @@ export class OscilloscopeChart {
         ctx.clip();
 
         // Draw waveforms
-        for (const ch of this.channels) {
-            this.drawWaveform(ch, scaleX, scaleY);
+        if (fftMode) {
+            this.drawSpectrum(xMax, scaleX, scaleY);
+        } else if (xyMode) {
+            this.drawXYTrace(scaleX, scaleY);
+        } else {
+            for (const ch of this.channels) {
+                this.drawWaveform(ch, scaleX, scaleY);
+            }
         }
 
         ctx.restore();
 
+        // Channel ground markers and trigger level marker
+        if (!xyMode && !fftMode) {
+            this.drawMarkers(yMin, yMax, scaleY, chartW, chartH);
+        }
+
         // Draw axes
         this.drawAxes(chartW, chartH);
 
@@ -237,6 +639,18 @@ export class OscilloscopeChart {
         // Draw legend
         this.drawLegend();
 
+        // Cursors (Y-T only)
+        if (this.cursorMode !== 'off' && !xyMode && !fftMode) {
+            this.drawCursors(xMin, xMax, yMin, yMax, scaleX, scaleY, chartW, chartH);
+        }
+
+        // Measurements over the visible time window
+        if (xyMode || fftMode) {
+            this.updateMeasurements(this.view.tMin, this.view.tMax);
+        } else {
+            this.updateMeasurements(this.view.origin + xMin, this.view.origin + xMax);
+        }
+
         // Draw crosshair
         if (this.crosshair) {
             this.drawCrosshair(xMin, xMax, yMin, yMax, scaleX, scaleY, chartW, chartH);
@@ -246,6 +660,7 @@ export class OscilloscopeChart {
     drawWaveform(ch, scaleX, scaleY) {
         const { ctx } = this;
         const { timePoints, values, color } = ch;
+        const { origin } = this.view;
 
         ctx.strokeStyle = color;
         ctx.lineWidth = 2;
@@ -254,8 +669,8 @@ export class OscilloscopeChart {
 
         let started = false;
         for (let i = 0; i < timePoints.length; i++) {
-            const x = scaleX(timePoints[i]);
-            const y = scaleY(values[i]);
+            const x = scaleX(timePoints[i] - origin);
+            const y = scaleY(this.toDivisions(ch, values[i]));
 
             if (!isFinite(x) || !isFinite(y)) continue;
 
@@ -277,14 +692,83 @@ export class OscilloscopeChart {
         ctx.globalAlpha = 1;
     }
 
+    /**
+     * XY trace: first channel on the horizontal axis, second on the vertical
+     */
+    drawXYTrace(scaleX, scaleY) {
+        const { ctx } = this;
+        const [chX, chY] = this.channels;
+        const points = this.getXYPoints();
+        if (points.length === 0) return;
+
+        ctx.strokeStyle = chY.color;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+
+        points.forEach((p, i) => {
+            const x = scaleX(this.toDivisions(chX, p.x));
+            const y = scaleY(this.toDivisions(chY, p.y));
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+
+        // A DC operating point is a single spot
+        if (points.length === 1 || points.every(p => p.x === points[0].x && p.y === points[0].y)) {
+            const x = scaleX(this.toDivisions(chX, points[0].x));
+            const y = scaleY(this.toDivisions(chY, points[0].y));
+            ctx.fillStyle = chY.color;
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+
+        ctx.stroke();
+
+        // Glow effect
+        ctx.lineWidth = 4;
+        ctx.globalAlpha = 0.15;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * FFT view: dB magnitude of each frequency bin up to the right edge
+     */
+    drawSpectrum(xMax, scaleX, scaleY) {
+        const { ctx, spectrum } = this;
+        if (!spectrum) return;
+        const { frequencies, db } = spectrum;
+
+        ctx.strokeStyle = this.settings.math.color || '#f87171';
+        ctx.lineWidth = 1.5;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        for (let k = 0; k < frequencies.length; k++) {
+            const x = scaleX(frequencies[k]);
+            const y = scaleY(db[k]);
+            if (k === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+            if (frequencies[k] > xMax) break;
+        }
+        ctx.stroke();
+
+        // Glow effect
+        ctx.lineWidth = 4;
+        ctx.globalAlpha = 0.15;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
     drawGrid(xMin, xMax, yMin, yMax, scaleX, scaleY, chartW, chartH) {
         const { ctx, padding } = this;
 
         ctx.strokeStyle = this.gridColor;
         ctx.lineWidth = 1;
 
-        // Vertical grid (8 divisions)
-        const xDivs = 8;
+        // Vertical grid
+        const { xDivs, yDivs } = this;
         for (let i = 0; i <= xDivs; i++) {
             const x = padding.left + (i / xDivs) * chartW;
             ctx.beginPath();
@@ -293,8 +777,7 @@ export class OscilloscopeChart {
             ctx.stroke();
         }
 
-        // Horizontal grid (6 divisions)
-        const yDivs = 6;
+        // Horizontal grid
         for (let i = 0; i <= yDivs; i++) {
             const y = padding.top + (i / yDivs) * chartH;
             ctx.beginPath();
@@ -304,6 +787,43 @@ export class OscilloscopeChart {
         }
     }
 
+    /**
+     * Ground-reference arrow for each channel on the left edge and
+     * the trigger level arrow on the right edge
+     */
+    drawMarkers(yMin, yMax, scaleY, chartW, chartH) {
+        const { ctx, padding } = this;
+        const inView = (y) => y >= padding.top && y <= padding.top + chartH;
+
+        for (const ch of this.channels) {
+            const y = scaleY(this.toDivisions(ch, ch.dcLevel));
+            if (!inView(y)) continue;
+            ctx.fillStyle = ch.color;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(padding.left - 7, y - 5);
+            ctx.lineTo(padding.left - 7, y + 5);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        const trigCh = this.getTriggerChannel();
+        if (trigCh) {
+            const level = this.settings.trigger.level || 0;
+            const y = scaleY(this.toDivisions(trigCh, level + trigCh.dcLevel));
+            if (inView(y)) {
+                const x = padding.left + chartW;
+                ctx.fillStyle = trigCh.color;
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + 7, y - 5);
+                ctx.lineTo(x + 7, y + 5);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+    }
+
     drawAxes(chartW, chartH) {
         const { ctx, padding } = this;
 
@@ -329,54 +849,151 @@ export class OscilloscopeChart {
         ctx.fillStyle = this.textColor;
         ctx.font = '10px "JetBrains Mono", monospace';
 
-        // X axis labels
+        // X axis labels (relative to the trigger point when triggered; CH1 units in XY mode)
+        const xyMode = this.isXYMode();
+        const fftMode = this.isFFTMode();
+        const [chX, chY] = this.channels;
         ctx.textAlign = 'center';
-        const xDivs = 8;
+        const { xDivs, yDivs } = this;
         for (let i = 0; i <= xDivs; i++) {
             const value = xMin + (i / xDivs) * (xMax - xMin);
             const x = padding.left + (i / xDivs) * chartW;
-            ctx.fillText(this.formatTime(value), x, height - padding.bottom + 18);
+            const text = fftMode ? formatValue(parseFloat(value.toPrecision(3)))
+                : xyMode ? this.formatAmplitude(this.fromDivisions(chX, value)) : this.formatTime(value);
+            ctx.fillText(text, x, height - padding.bottom + 18);
         }
 
-        // Y axis labels
+        // Y axis labels, in units of the first channel (CH2 in XY mode, dB in FFT view)
+        const ref = xyMode ? chY : chX;
         ctx.textAlign = 'right';
-        const yDivs = 6;
+        ctx.fillStyle = fftMode ? this.settings.math.color || '#f87171' : ref.color;
         for (let i = 0; i <= yDivs; i++) {
-            const value = yMax - (i / yDivs) * (yMax - yMin);
+            const divisions = yMax - (i / yDivs) * (yMax - yMin);
+            const text = fftMode ? divisions.toFixed(0) : this.formatAmplitude(this.fromDivisions(ref, divisions));
             const y = padding.top + (i / yDivs) * chartH;
-            ctx.fillText(this.formatAmplitude(value), padding.left - 6, y + 3);
+            ctx.fillText(text, padding.left - 9, y + 3);
         }
 
         // Axis titles
         ctx.fillStyle = '#aaa';
         ctx.font = '11px Inter, sans-serif';
         ctx.textAlign = 'center';
-        ctx.fillText('Time', padding.left + chartW / 2, height - 4);
+        const xTitle = fftMode ? 'Frequency (Hz)'
+            : xyMode ? `${chX.label} (${chX.unit || 'V'})`
+                : this.view.triggered ? 'Time from trigger' : 'Time';
+        ctx.fillText(xTitle, padding.left + chartW / 2, height - 4);
 
         ctx.save();
         ctx.translate(12, padding.top + chartH / 2);
         ctx.rotate(-Math.PI / 2);
-        ctx.fillText('Amplitude', 0, 0);
+        const yTitle = fftMode ? `Magnitude (${this.spectrumUnit()} RMS)`
+            : xyMode ? `${chY.label} (${chY.unit || 'V'})` : 'Amplitude';
+        ctx.fillText(yTitle, 0, 0);
         ctx.restore();
     }
 
     drawLegend() {
-        const { ctx, padding } = this;
+        const { ctx, padding, width } = this;
         ctx.font = '11px "JetBrains Mono", monospace';
-        let x = padding.left + 10;
         const y = padding.top - 12;
 
-        for (const ch of this.channels) {
+        if (this.isFFTMode()) {
+            this.drawSpectrumLegend(y);
+            return;
+        }
+
+        const xyMode = this.isXYMode();
+        const legendChannels = xyMode ? this.channels.slice(0, 2) : this.channels;
+
+        // Timebase and trigger status (right side)
+        const trigCh = this.getTriggerChannel();
+        let status = `${this.formatTime(this.view.timePerDiv)}/div`;
+        if (xyMode) {
+            status = 'XY  ' + this.formatPhase(this.xyPhase);
+        } else if (this.settings.mode === 'xy') {
+            status = 'XY needs CH1 and CH2  ' + status;
+        }
+        if (trigCh && !xyMode) {
+            const slope = this.settings.trigger.slope === 'falling' ? '↓' : '↑';
+            status += `  T ${trigCh.id.toUpperCase()} ${slope} ${this.formatAmplitude(this.settings.trigger.level || 0)}`;
+            status += this.view.triggered ? "  Trig'd" : '  Auto';
+        }
+        ctx.fillStyle = this.view.triggered || !trigCh ? '#ccc' : '#f59e0b';
+        ctx.textAlign = 'right';
+        ctx.fillText(status, width - padding.right, y + 4);
+
+        // Channel entries: drop detail until they fit beside the status
+        const available = width - padding.right - ctx.measureText(status).width - 20 - (padding.left + 10);
+        const variants = [
+            (ch, axis) => `${axis}${ch.label}  ${this.formatAmplitude(ch.scale)}${ch.unit || 'V'}/div ${ch.coupling === 'AC' ? 'AC' : 'DC'}`,
+            (ch, axis) => `${axis}${ch.label} ${this.formatAmplitude(ch.scale)}${ch.unit || 'V'}/div`,
+            (ch, axis) => `${axis}${ch.label}`
+        ];
+        const texts = (format) => legendChannels.map((ch, i) => format(ch, xyMode ? (i === 0 ? 'X: ' : 'Y: ') : ''));
+        const totalWidth = (list) => list.reduce((sum, text) => sum + ctx.measureText(text).width + 34, 0);
+        const chosen = variants.map(texts).find(list => totalWidth(list) <= available) || texts(variants[variants.length - 1]);
+
+        let x = padding.left + 10;
+        legendChannels.forEach((ch, i) => {
             // Color indicator
             ctx.fillStyle = ch.color;
             ctx.fillRect(x, y - 5, 10, 10);
 
-            // Label
+            // Label with vertical scale readout
             ctx.fillStyle = '#ccc';
             ctx.textAlign = 'left';
-            ctx.fillText(ch.label, x + 14, y + 4);
-            x += ctx.measureText(ch.label).width + 34;
+            ctx.fillText(chosen[i], x + 14, y + 4);
+            x += ctx.measureText(chosen[i]).width + 34;
+        });
+    }
+
+    /**
+     * FFT legend: source, dB/div and window on the left; frequency scale,
+     * resolution and the strongest component on the right
+     */
+    drawSpectrumLegend(y) {
+        const { ctx, padding, width, spectrum } = this;
+        const { sourceA, color, fft = {} } = this.settings.math;
+        const unit = this.spectrumUnit();
+
+        const windowNames = { hann: 'Hann', flattop: 'Flat top', rectangular: 'Rect' };
+        const title = `FFT(${sourceA.toUpperCase()})  ${this.view.dbPerDiv} dB/div  ${windowNames[fft.window] || 'Hann'}`;
+
+        let status = `${formatValue(this.view.freqPerDiv, 'Hz')}/div`;
+        if (spectrum) {
+            const k = spectrum.peakIndex;
+            status += `  Δf ${formatValue(parseFloat(spectrum.df.toPrecision(3)), 'Hz')}`;
+            status += `  Peak ${formatValue(parseFloat(spectrum.frequencies[k].toPrecision(4)), 'Hz')} ${spectrum.db[k].toFixed(1)} ${unit}`;
+        } else {
+            status += '  Too few samples in view';
         }
+
+        ctx.fillStyle = color || '#f87171';
+        ctx.fillRect(padding.left + 10, y - 5, 10, 10);
+        ctx.fillStyle = '#ccc';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, padding.left + 24, y + 4);
+
+        ctx.textAlign = 'right';
+        ctx.fillText(status, width - padding.right, y + 4);
+    }
+
+    /**
+     * Lissajous phase readout, e.g. "Δφ ≈ 45.0° (CH2 leads)"
+     */
+    formatPhase(phase) {
+        if (phase === null) return 'Δφ: --';
+        if (Math.abs(phase) < 0.5) return 'Δφ ≈ 0° (in phase)';
+        const [chX, chY] = this.channels;
+        const leader = phase > 0 ? chY.id : chX.id;
+        return `Δφ ≈ ${Math.abs(phase).toFixed(1)}° (${(leader || '').toUpperCase()} leads)`;
+    }
+
+    /**
+     * Inverse of toDivisions (coupled value shown at a screen position)
+     */
+    fromDivisions(ch, divisions) {
+        return divisions * ch.scale - (ch.offset || 0);
     }
 
     drawCrosshair(xMin, xMax, yMin, yMax, scaleX, scaleY, chartW, chartH) {
@@ -410,8 +1027,21 @@ export class OscilloscopeChart {
         const dataX = xMin + ((x - padding.left) / chartW) * (xMax - xMin);
         const dataY = yMax - ((y - padding.top) / chartH) * (yMax - yMin);
 
-        // Readout box
-        const readout = `${this.formatTime(dataX)}  |  ${this.formatAmplitude(dataY)}`;
+        // Readout box (amplitude in units of the first channel; X and Y values in XY mode;
+        // the nearest frequency bin in the FFT view)
+        const xyMode = this.isXYMode();
+        const fftMode = this.isFFTMode();
+        const [chX, chY] = this.channels;
+        const ref = xyMode ? chY : chX;
+        const xText = xyMode ? `${this.formatAmplitude(this.fromDivisions(chX, dataX))}${chX.unit || 'V'}` : this.formatTime(dataX);
+        let readout = `${xText}  |  ${this.formatAmplitude(this.fromDivisions(ref, dataY))}${ref.unit || 'V'}`;
+        let bin = -1;
+        if (fftMode) {
+            if (!this.spectrum) return;
+            const { df, frequencies, db } = this.spectrum;
+            bin = Math.max(0, Math.min(frequencies.length - 1, Math.round(dataX / df)));
+            readout = `${formatValue(parseFloat(frequencies[bin].toPrecision(4)), 'Hz')}  |  ${db[bin].toFixed(1)} ${this.spectrumUnit()}`;
+        }
         ctx.font = '10px "JetBrains Mono", monospace';
         const textW = ctx.measureText(readout).width + 12;
 
@@ -428,12 +1058,26 @@ export class OscilloscopeChart {
         ctx.textAlign = 'left';
         ctx.fillText(readout, boxX + 6, boxY + 13);
 
-        // Highlight nearest data point on each channel
+        // Highlight the nearest bin, or the nearest data point on each channel
+        if (fftMode) {
+            const py = scaleY(this.spectrum.db[bin]);
+            if (py >= padding.top && py <= padding.top + chartH) {
+                ctx.beginPath();
+                ctx.arc(scaleX(this.spectrum.frequencies[bin]), py, 4, 0, Math.PI * 2);
+                ctx.fillStyle = this.settings.math.color || '#f87171';
+                ctx.fill();
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            }
+            return;
+        }
+        if (xyMode) return;
         for (const ch of this.channels) {
-            const idx = this.findNearestIndex(ch.timePoints, dataX);
+            const idx = this.findNearestIndex(ch.timePoints, dataX + this.view.origin);
             if (idx >= 0 && idx < ch.values.length) {
-                const px = scaleX(ch.timePoints[idx]);
-                const py = scaleY(ch.values[idx]);
+                const px = scaleX(ch.timePoints[idx] - this.view.origin);
+                const py = scaleY(this.toDivisions(ch, ch.values[idx]));
 
                 ctx.beginPath();
                 ctx.arc(px, py, 4, 0, Math.PI * 2);
@@ -459,6 +1103,258 @@ export class OscilloscopeChart {
         return lo;
     }
 
+    // ---- Cursors ----
+
+    /**
+     * Cycle cursor mode: off → time → voltage → off
+     * @returns {string} New mode
+     */
+    cycleCursorMode() {
+        const modes = ['off', 'time', 'voltage'];
+        this.setCursorMode(modes[(modes.indexOf(this.cursorMode) + 1) % modes.length]);
+        return this.cursorMode;
+    }
+
+    /**
+     * @param {string} mode - 'off' | 'time' | 'voltage'
+     */
+    setCursorMode(mode) {
+        this.cursorMode = mode;
+        this.cursors = null;
+        if (mode !== 'off') {
+            // Start at one and two thirds of the visible range
+            const { xMin, xMax, yMin, yMax } = this.getVisibleRange();
+            const [lo, hi] = mode === 'time' ? [xMin, xMax] : [yMin, yMax];
+            this.cursors = { a: lo + (hi - lo) / 3, b: lo + 2 * (hi - lo) / 3 };
+        }
+        this.render();
+    }
+
+    /**
+     * Value of a channel (as displayed, i.e. after coupling) at a time from the origin
+     */
+    valueAtTime(ch, time) {
+        const t = time + this.view.origin;
+        const { timePoints, values } = ch;
+        const i = this.findNearestIndex(timePoints, t);
+        if (i < 0 || i >= values.length) return NaN;
+
+        // Interpolate between the neighbouring samples
+        const j = timePoints[i] <= t ? Math.min(i + 1, values.length - 1) : Math.max(i - 1, 0);
+        const t0 = timePoints[i], t1 = timePoints[j];
+        const v = t1 === t0 ? values[i] : values[i] + (values[j] - values[i]) * (t - t0) / (t1 - t0);
+        return v - ch.dcLevel;
+    }
+
+    drawCursors(xMin, xMax, yMin, yMax, scaleX, scaleY, chartW, chartH) {
+        const { ctx, padding } = this;
+        const { a, b } = this.cursors;
+        const colors = { a: '#e6edf3', b: '#f472b6' };
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 3]);
+        ctx.font = 'bold 10px "JetBrains Mono", monospace';
+
+        for (const [name, value] of Object.entries({ a, b })) {
+            ctx.strokeStyle = colors[name];
+            ctx.fillStyle = colors[name];
+            ctx.beginPath();
+            if (this.cursorMode === 'time') {
+                const x = scaleX(value);
+                ctx.moveTo(x, padding.top);
+                ctx.lineTo(x, padding.top + chartH);
+                ctx.stroke();
+                ctx.textAlign = 'center';
+                ctx.fillText(name.toUpperCase(), x, padding.top + chartH - 4);
+            } else {
+                const y = scaleY(value);
+                ctx.moveTo(padding.left, y);
+                ctx.lineTo(padding.left + chartW, y);
+                ctx.stroke();
+                ctx.textAlign = 'left';
+                ctx.fillText(name.toUpperCase(), padding.left + 4, y - 3);
+            }
+        }
+        ctx.restore();
+
+        // Readout (bottom-left of the plot)
+        const lines = [];
+        if (this.cursorMode === 'time') {
+            const dt = b - a;
+            lines.push(`A ${this.formatTime(a)}  B ${this.formatTime(b)}  Δt ${this.formatTime(dt)}` +
+                (Math.abs(dt) > 0 ? `  1/Δt ${formatValue(1 / Math.abs(dt), 'Hz')}` : ''));
+            for (const ch of this.channels) {
+                const va = this.valueAtTime(ch, a);
+                const vb = this.valueAtTime(ch, b);
+                const unit = ch.unit || 'V';
+                lines.push(`${ch.label}: A ${this.formatAmplitude(va)}${unit}  B ${this.formatAmplitude(vb)}${unit}  Δ ${this.formatAmplitude(vb - va)}${unit}`);
+            }
+        } else {
+            const ref = this.channels[0];
+            const unit = ref.unit || 'V';
+            const va = this.fromDivisions(ref, a);
+            const vb = this.fromDivisions(ref, b);
+            lines.push(`${ref.label}: A ${this.formatAmplitude(va)}${unit}  B ${this.formatAmplitude(vb)}${unit}  ΔV ${this.formatAmplitude(vb - va)}${unit}`);
+        }
+
+        ctx.font = '10px "JetBrains Mono", monospace';
+        const boxW = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const boxH = lines.length * 14 + 6;
+        const boxX = padding.left + 4;
+        const boxY = padding.top + chartH - boxH - 16;
+
+        ctx.fillStyle = 'rgba(13,17,23,0.85)';
+        ctx.fillRect(boxX, boxY, boxW, boxH);
+        ctx.strokeStyle = 'rgba(244,114,182,0.4)';
+        ctx.strokeRect(boxX, boxY, boxW, boxH);
+
+        ctx.fillStyle = '#e6edf3';
+        ctx.textAlign = 'left';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 6, boxY + 14 + i * 14));
+    }
+
+    /**
+     * Cursor under the mouse (within a few pixels), or null
+     */
+    hitCursor(mx, my) {
+        if (!this.cursors || !this.plot || this.cursorMode === 'off' || this.isXYMode() || this.isFFTMode()) return null;
+        const { scaleX, scaleY } = this.plot;
+        for (const name of ['a', 'b']) {
+            const pos = this.cursorMode === 'time' ? scaleX(this.cursors[name]) : scaleY(this.cursors[name]);
+            const mouse = this.cursorMode === 'time' ? mx : my;
+            if (Math.abs(pos - mouse) <= 6) return name;
+        }
+        return null;
+    }
+
+    handleMouseDown(e) {
+        if (e.button !== 0) return;
+        const rect = this.canvas.getBoundingClientRect();
+        this.draggingCursor = this.hitCursor(e.clientX - rect.left, e.clientY - rect.top);
+        if (this.draggingCursor) e.preventDefault();
+    }
+
+    handleMouseUp() {
+        this.draggingCursor = null;
+    }
+
+    // ---- Measurements ----
+
+    /**
+     * Show or hide the measurements table
+     * @param {boolean} visible
+     */
+    setMeasurementsVisible(visible) {
+        this.showMeasurements = visible;
+        this.measurementKey = null;
+        if (this.measurementsElement) {
+            this.measurementsElement.style.display = visible ? '' : 'none';
+        }
+        this.resize();
+        this.render();
+    }
+
+    /**
+     * Recompute the measurements table for the time window [tMin, tMax]
+     */
+    updateMeasurements(tMin, tMax) {
+        const el = this.measurementsElement;
+        if (!el || !this.showMeasurements) return;
+
+        const key = `${tMin}|${tMax}|${this.dataVersion}`;
+        if (key === this.measurementKey) return;
+        this.measurementKey = key;
+
+        if (this.channels.length === 0) {
+            el.innerHTML = '<div class="scope-measurements-empty">No data</div>';
+            return;
+        }
+
+        const fmt = (value, unit) => value === null || !isFinite(value) ? '--' : formatValue(value, unit);
+        const rows = this.channels.map(ch => {
+            // Current channels are in mA (power traces in mW); show them with SI prefixes on A (W)
+            const [k, unit] = ch.unit === 'mA' ? [1e-3, 'A'] : ch.unit === 'mW' ? [1e-3, 'W'] : [1, ch.unit || 'V'];
+            const fmtY = (value) => fmt(value === null ? null : value * k, unit);
+            const values = ch.dcLevel ? ch.values.map(v => v - ch.dcLevel) : ch.values;
+            const m = measureWaveform(ch.timePoints, values, tMin, tMax);
+            if (!m) {
+                return `<tr><td style="color:${ch.color}">${ch.label}</td><td colspan="10">no samples in view</td></tr>`;
+            }
+            return `<tr>
+                <td style="color:${ch.color}">${ch.label}</td>
+                <td>${fmtY(m.vpp)}</td><td>${fmtY(m.vmax)}</td><td>${fmtY(m.vmin)}</td>
+                <td>${fmtY(m.vavg)}</td><td>${fmtY(m.vrms)}</td>
+                <td>${fmt(m.frequency, 'Hz')}</td><td>${fmt(m.period, 's')}</td>
+                <td>${fmt(m.riseTime, 's')}</td><td>${fmt(m.fallTime, 's')}</td>
+                <td>${m.dutyCycle === null ? '--' : m.dutyCycle.toFixed(1) + '%'}</td>
+            </tr>`;
+        });
+
+        // Phase of every other channel relative to the first
+        let phaseText = '';
+        if (this.channels.length >= 2) {
+            const [a, ...others] = this.channels;
+            const parts = others.map(b => {
+                const phase = measurePhase(a.timePoints, a.values, b.timePoints, b.values, tMin, tMax);
+                return `<span style="color:${b.color}">${b.label}</span> ` +
+                    (phase === null ? '--' : `${phase.toFixed(1)}° (${phase >= 0 ? 'leads' : 'lags'})`);
+            });
+            phaseText = `<div class="scope-measurements-phase">Phase vs ${a.label}: ${parts.join(' · ')}</div>`;
+        }
+
+        el.innerHTML = `
+            <table>
+                <thead><tr>
+                    <th></th><th>Pk-Pk</th><th>Max</th><th>Min</th><th>Avg</th><th>RMS</th>
+                    <th>Freq</th><th>Period</th><th>Rise</th><th>Fall</th><th>Duty</th>
+                </tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            ${phaseText}`;
+    }
+
+    // ---- Export ----
+
+    /**
+     * Displayed data for CSV/JSON export (see WaveformExport.js): the whole
+     * buffered record of every channel including the math trace (raw values,
+     * before coupling and offset), or the spectrum when the FFT view is shown
+     */
+    getExportData() {
+        if (this.channels.length === 0) return null;
+
+        if (this.isFFTMode()) {
+            if (!this.spectrum) return null;
+            const source = this.getMathSource(this.settings.math.sourceA);
+            const name = `FFT(${source.name || source.label})`;
+            return {
+                title: `Oscilloscope ${name}`,
+                x: { name: 'frequency', unit: 'Hz', values: this.spectrum.frequencies },
+                traces: [
+                    { name: `${name} level`, unit: `${this.spectrumUnit()} RMS`, values: this.spectrum.db },
+                    { name: `${name} magnitude`, unit: `${source.unit || 'V'} RMS`, values: this.spectrum.magnitudes }
+                ]
+            };
+        }
+
+        // Channels share the solver's time points; anything else is sampled at the nearest point
+        const timePoints = this.channels[0].timePoints;
+        const traces = this.channels.map(ch => ({
+            name: ch.name || ch.label,
+            unit: ch.unit || 'V',
+            values: ch.timePoints.length === timePoints.length
+                ? ch.values
+                : timePoints.map(t => ch.values[this.findNearestIndex(ch.timePoints, t)])
+        }));
+
+        return {
+            title: 'Oscilloscope',
+            x: { name: 'time', unit: 's', values: timePoints },
+            traces
+        };
+    }
+
     // ---- Zoom / Pan ----
 
     handleWheel(e) {
@@ -480,6 +1376,22 @@ export class OscilloscopeChart {
             x: e.clientX - rect.left,
             y: e.clientY - rect.top
         };
+
+        if (this.draggingCursor && this.plot) {
+            const { xMin, xMax, yMin, yMax, chartW, chartH } = this.plot;
+            if (this.cursorMode === 'time') {
+                const frac = Math.max(0, Math.min(1, (this.crosshair.x - this.padding.left) / chartW));
+                this.cursors[this.draggingCursor] = xMin + frac * (xMax - xMin);
+            } else {
+                const frac = Math.max(0, Math.min(1, (this.crosshair.y - this.padding.top) / chartH));
+                this.cursors[this.draggingCursor] = yMax - frac * (yMax - yMin);
+            }
+        } else {
+            const hover = this.hitCursor(this.crosshair.x, this.crosshair.y);
+            this.canvas.style.cursor = !hover ? 'crosshair'
+                : this.cursorMode === 'time' ? 'ew-resize' : 'ns-resize';
+        }
+
         this.render();
     }
 
@@ -499,14 +1411,17 @@ export class OscilloscopeChart {
     // ---- Formatting helpers ----
 
     formatTime(seconds) {
-        if (Math.abs(seconds) < 1e-6) return '0';
+        if (Math.abs(seconds) < 1e-9) return '0';
+        if (Math.abs(seconds) < 1e-6) return (seconds * 1e9).toFixed(0) + 'ns';
         if (Math.abs(seconds) < 1e-3) return (seconds * 1e6).toFixed(1) + 'µs';
         if (Math.abs(seconds) < 1) return (seconds * 1e3).toFixed(2) + 'ms';
         return seconds.toFixed(4) + 's';
     }
 
     formatAmplitude(value) {
+        if (Math.abs(value) < 1e-12) return '0';
         if (Math.abs(value) < 0.001) return value.toExponential(1);
+        if (Math.abs(value) < 0.1) return parseFloat((value * 1000).toFixed(1)) + 'm';
         if (Math.abs(value) >= 1000) return (value / 1000).toFixed(2) + 'k';
         return value.toFixed(2);
     }
@@ -515,11 +1430,13 @@ export class OscilloscopeChart {
 
     destroy() {
         window.removeEventListener('resize', this._onResize);
+        window.removeEventListener('mouseup', this._onMouseUp);
         if (this.canvas) {
             this.canvas.removeEventListener('wheel', this._onWheel);
             this.canvas.removeEventListener('mousemove', this._onMouseMove);
             this.canvas.removeEventListener('mouseleave', this._onMouseLeave);
             this.canvas.removeEventListener('dblclick', this._onDblClick);
+            this.canvas.removeEventListener('mousedown', this._onMouseDown);
             if (this.canvas.parentNode) {
                 this.canvas.parentNode.removeChild(this.canvas);
             }
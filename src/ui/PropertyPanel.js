@@ -23,6 +23,8 @@ export class PropertyPanel {
             canvas.onSelectionChange = (type, item) => {
                 if (type === 'component') {
                     this.showComponent(item);
+                } else if (type === 'multiple') {
+                    this.showMultiple(item);
                 } else {
                     this.showEmpty();
                 }
@@ -38,6 +40,48 @@ export class PropertyPanel {
         this.content.innerHTML = '<p class="placeholder-text">Select a component to view properties</p>';
     }
 
+    /**
+     * Show group actions for a multi-component selection
+     * @param {Component[]} components
+     */
+    showMultiple(components) {
+        this.currentComponent = null;
+        this.content.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'property-header';
+        header.innerHTML = `
+            <span class="property-type">${components.length} components selected</span>
+        `;
+        this.content.appendChild(header);
+
+        const actions = document.createElement('div');
+        actions.className = 'property-actions';
+
+        const rotateBtn = document.createElement('button');
+        rotateBtn.className = 'btn btn-secondary btn-small';
+        rotateBtn.innerHTML = '↻ Rotate Group';
+        rotateBtn.addEventListener('click', () => {
+            this.canvas.rotateSelection();
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-secondary btn-small btn-danger';
+        deleteBtn.innerHTML = '🗑 Delete';
+        deleteBtn.addEventListener('click', () => {
+            this.canvas.deleteSelected();
+        });
+
+        actions.appendChild(rotateBtn);
+        actions.appendChild(deleteBtn);
+        this.content.appendChild(actions);
+
+        const hint = document.createElement('p');
+        hint.className = 'placeholder-text';
+        hint.textContent = 'Drag any selected part to move the group. Shift-click to add or remove parts.';
+        this.content.appendChild(hint);
+    }
+
     /**
      * Show component properties
      */
@@ -62,8 +106,7 @@ export class PropertyPanel {
         rotateBtn.className = 'btn btn-secondary btn-small';
         rotateBtn.innerHTML = '↻ Rotate';
         rotateBtn.addEventListener('click', () => {
-            component.rotate();
-            this.canvas.updateConnectedWires(component);
+            this.canvas.rotateComponent(component);
             this.showComponent(component); // Refresh
         });
 
@@ -91,8 +134,9 @@ export class PropertyPanel {
             for (const def of definitions) {
                 // Check if this property has a condition
                 if (def.condition) {
-                    // Evaluate condition against component properties
-                    const conditionMet = this.evaluateCondition(def.condition, component.properties);
+                    // Evaluate condition against component properties (defaults for missing ones)
+                    const properties = { ...component.constructor.getDefaultProperties(), ...component.properties };
+                    const conditionMet = this.evaluateCondition(def.condition, properties);
                     if (!conditionMet) continue;
                 }
                 const field = this.createPropertyField(component, def);
@@ -136,16 +180,17 @@ export class PropertyPanel {
         if (definition.type === 'select') {
             input = document.createElement('select');
             input.className = 'select-input';
+            const current = this.getPropertyValue(component, definition.name);
             for (const opt of definition.options) {
                 const option = document.createElement('option');
                 if (typeof opt === 'object' && opt.value !== undefined) {
                     option.value = opt.value;
                     option.textContent = opt.label || opt.value;
-                    option.selected = component.properties[definition.name] == opt.value;
+                    option.selected = current == opt.value;
                 } else {
                     option.value = opt;
                     option.textContent = String(opt).toUpperCase();
-                    option.selected = component.properties[definition.name] === opt;
+                    option.selected = current === opt;
                 }
                 input.appendChild(option);
             }
@@ -194,7 +239,11 @@ export class PropertyPanel {
             };
 
             input.addEventListener('input', updateRangeValue);
-            input.addEventListener('change', updateRangeValue);
+            input.addEventListener('change', () => {
+                updateRangeValue();
+                // Record once the slider is released, not on every step
+                this.canvas.circuit.notifyChange('property-changed', component);
+            });
 
             input.id = `prop-${definition.name}`;
             return field;
@@ -204,11 +253,18 @@ export class PropertyPanel {
             input.type = 'checkbox';
             input.className = 'checkbox-input';
             input.checked = component.properties[definition.name];
+        } else if (definition.type === 'textarea') {
+            // Multi-line entry (e.g. PWL tables)
+            input = document.createElement('textarea');
+            input.className = 'number-input textarea-input';
+            input.rows = definition.rows || 4;
+            input.spellcheck = false;
+            input.value = this.getPropertyValue(component, definition.name);
         } else {
             input = document.createElement('input');
             input.type = definition.type === 'number' ? 'number' : 'text';
             input.className = 'number-input';
-            input.value = component.properties[definition.name];
+            input.value = this.getPropertyValue(component, definition.name);
 
             if (definition.min !== undefined) input.min = definition.min;
             if (definition.max !== undefined) input.max = definition.max;
@@ -240,6 +296,11 @@ export class PropertyPanel {
                 value = input.checked;
             } else {
                 value = input.value;
+                if (definition.type === 'select') {
+                    // Keep the option's own type (e.g. numeric knob steps)
+                    const option = definition.options.find(opt => typeof opt === 'object' && String(opt.value) === value);
+                    if (option) value = option.value;
+                }
                 if (definition.type === 'number') {
                     value = parseFloat(value);
                     if (isNaN(value)) return;
@@ -254,9 +315,12 @@ export class PropertyPanel {
             if (this.onPropertyChange) {
                 this.onPropertyChange(component, definition.name, value);
             }
+            this.canvas.circuit.notifyChange('property-changed', component);
 
             // Refresh panel if changing a property that affects conditions (like 'type')
-            if (definition.name === 'type') {
+            const definitions = component.constructor.getPropertyDefinitions();
+            const nameRe = new RegExp(`\\b${definition.name}\\b`);
+            if (definitions.some(def => def.condition && nameRe.test(def.condition))) {
                 this.showComponent(component);
             }
         };
@@ -264,9 +328,9 @@ export class PropertyPanel {
         input.addEventListener('change', updateValue);
         input.addEventListener('blur', updateValue);
 
-        // Enter key to confirm
+        // Enter key to confirm (Ctrl+Enter in multi-line fields)
         input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
+            if (e.key === 'Enter' && (definition.type !== 'textarea' || e.ctrlKey)) {
                 updateValue();
                 input.blur();
             }
@@ -275,27 +339,48 @@ export class PropertyPanel {
         return field;
     }
 
+    /**
+     * Current value of a property, falling back to the class default
+     * for properties added after the circuit was saved
+     */
+    getPropertyValue(component, name) {
+        const value = component.properties[name];
+        if (value !== undefined) return value;
+        return component.constructor.getDefaultProperties()[name] ?? '';
+    }
+
     /**
      * Evaluate a condition string against component properties
-     * @param {string} condition - e.g. 'type === "ac"'
+     * @param {string} condition - e.g. 'type === "ac"' or 'type === "ac" || type === "square"'
      * @param {Object} properties - Component properties
      * @returns {boolean}
      */
     evaluateCondition(condition, properties) {
         try {
-            // Simple evaluation for common patterns
-            // Format: "propertyName === 'value'" or "propertyName !== 'value'"
-            const match = condition.match(/(\w+)\s*(===|!==)\s*["']?(\w+)["']?/);
-            if (match) {
-                const [, propName, operator, value] = match;
-                const propValue = properties[propName];
-                if (operator === '===') {
-                    return propValue === value;
-                } else if (operator === '!==') {
-                    return propValue !== value;
+            // Simple evaluation for common patterns, optionally joined by ||
+            // Format: "propertyName === 'value'", "propertyName !== 'value'"
+            // or a numeric comparison such as "channelCount >= 3"
+            return condition.split('||').some(clause => {
+                const match = clause.match(/(\w+)\s*(===|!==|>=|<=|>|<)\s*["']?(\w+)["']?/);
+                if (match) {
+                    const [, propName, operator, value] = match;
+                    const propValue = properties[propName];
+                    if (operator === '===') {
+                        return propValue === value;
+                    } else if (operator === '!==') {
+                        return propValue !== value;
+                    }
+                    const a = Number(propValue);
+                    const b = Number(value);
+                    switch (operator) {
+                        case '>=': return a >= b;
+                        case '<=': return a <= b;
+                        case '>': return a > b;
+                        case '<': return a < b;
+                    }
                 }
-            }
-            return true;
+                return true;
+            });
         } catch {
             return true;
         }
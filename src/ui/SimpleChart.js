@@ -1,9 +1,12 @@
 /**
  * SimpleChart.js - Lightweight canvas-based chart for simulation results
  * 
- * Renders time-series data as line charts
+ * Renders time-series data as line charts, or DC sweep curves against
+ * the swept source value
  */
 
+import { formatValue } from '../core/Component.js';
+
 export class SimpleChart {
     constructor(container, circuit = null) {
         this.container = container;
@@ -62,9 +65,10 @@ export class SimpleChart {
      * Set data and render
      * @param {number[]} timePoints - Time values (x-axis)
      * @param {Map<string, number[]>} series - Named data series
+     * @param {{name: string, unit: string}|null} xAxis - X quantity other than time (DC sweep source)
      */
-    setData(timePoints, series) {
-        this.data = { timePoints, series };
+    setData(timePoints, series, xAxis = null) {
+        this.data = { timePoints, series, xAxis };
         this.render();
     }
 
@@ -83,8 +87,12 @@ export class SimpleChart {
         const chartHeight = height - padding.top - padding.bottom;
 
         // Find data bounds
-        const xMin = timePoints[0];
-        const xMax = timePoints[timePoints.length - 1];
+        let xMin = timePoints[0];
+        let xMax = timePoints[timePoints.length - 1];
+        if (xMin === xMax) {
+            xMin -= 1;
+            xMax += 1;
+        }
         let yMin = Infinity, yMax = -Infinity;
 
         for (const [name, values] of series) {
@@ -193,8 +201,14 @@ export class SimpleChart {
 
     drawLabels(xMin, xMax, yMin, yMax) {
         const { ctx, padding, width, height } = this;
+        const { xAxis, series } = this.data;
         const chartWidth = width - padding.left - padding.right;
         const chartHeight = height - padding.top - padding.bottom;
+        const short = (v, unit) => formatValue(parseFloat(v.toPrecision(3)), unit);
+
+        // Current axis when only current traces are plotted
+        const plotted = [...series.keys()].filter(name => !name.includes('_positive') && !name.includes('_negative'));
+        const isCurrent = plotted.length > 0 && plotted.every(name => name.endsWith('_I'));
 
         ctx.fillStyle = '#888';
         ctx.font = '11px sans-serif';
@@ -205,7 +219,7 @@ export class SimpleChart {
         for (let i = 0; i <= xTicks; i++) {
             const value = xMin + (i / xTicks) * (xMax - xMin);
             const x = padding.left + (i / xTicks) * chartWidth;
-            ctx.fillText((value * 1000).toFixed(1) + 'ms', x, height - 10);
+            ctx.fillText(xAxis ? short(value, xAxis.unit) : (value * 1000).toFixed(1) + 'ms', x, height - 10);
         }
 
         // Y axis labels
@@ -214,19 +228,19 @@ export class SimpleChart {
         for (let i = 0; i <= yTicks; i++) {
             const value = yMax - (i / yTicks) * (yMax - yMin);
             const y = padding.top + (i / yTicks) * chartHeight;
-            ctx.fillText(value.toFixed(2) + 'V', padding.left - 5, y + 4);
+            ctx.fillText(isCurrent ? short(value, 'A') : value.toFixed(2) + 'V', padding.left - 5, y + 4);
         }
 
         // Axis titles
         ctx.fillStyle = '#aaa';
         ctx.font = '12px sans-serif';
         ctx.textAlign = 'center';
-        ctx.fillText('Time', padding.left + chartWidth / 2, height - 2);
+        ctx.fillText(xAxis ? `${xAxis.name} (${xAxis.unit})` : 'Time', padding.left + chartWidth / 2, height - 2);
 
         ctx.save();
         ctx.translate(12, padding.top + chartHeight / 2);
         ctx.rotate(-Math.PI / 2);
-        ctx.fillText('Voltage', 0, 0);
+        ctx.fillText(isCurrent ? 'Current' : 'Voltage', 0, 0);
         ctx.restore();
     }
 
@@ -262,12 +276,13 @@ export class SimpleChart {
             if (this.circuit && this.circuit.components) {
                 const comp = this.circuit.components.get(compId);
                 if (comp) {
-                    const name = comp.constructor.name;
-                    if (name === 'Resistor') typeChar = 'R';
-                    else if (name === 'Capacitor') typeChar = 'C';
-                    else if (name === 'Inductor') typeChar = 'L';
-                    else if (name === 'VoltageSource') typeChar = 'V';
-                    else typeChar = name[0];
+                    const type = comp.type;
+                    if (type === 'resistor') typeChar = 'R';
+                    else if (type === 'capacitor') typeChar = 'C';
+                    else if (type === 'inductor') typeChar = 'L';
+                    else if (type === 'voltage_source') typeChar = 'V';
+                    else if (type === 'current_source') typeChar = 'I';
+                    else typeChar = type[0].toUpperCase();
                 }
             }
 
@@ -294,12 +309,13 @@ export class SimpleChart {
                 if (this.circuit && this.circuit.components) {
                     const comp = this.circuit.components.get(compId);
                     if (comp) {
-                        const name = comp.constructor.name;
-                        if (name === 'Resistor') typeChar = 'R';
-                        else if (name === 'Capacitor') typeChar = 'C';
-                        else if (name === 'Inductor') typeChar = 'L';
-                        else if (name === 'VoltageSource') typeChar = 'V';
-                        else typeChar = name[0];
+                        const type = comp.type;
+                        if (type === 'resistor') typeChar = 'R';
+                        else if (type === 'capacitor') typeChar = 'C';
+                        else if (type === 'inductor') typeChar = 'L';
+                        else if (type === 'voltage_source') typeChar = 'V';
+                        else if (type === 'current_source') typeChar = 'I';
+                        else typeChar = type[0].toUpperCase();
                     }
                 }
                 return `I(${typeChar})`;
@@ -309,6 +325,41 @@ export class SimpleChart {
         return nodeId;
     }
 
+    /**
+     * Traces shown on the chart, for CSV/JSON export (see WaveformExport.js)
+     */
+    getExportData() {
+        if (!this.data) return null;
+
+        const { timePoints, series, xAxis } = this.data;
+        const traces = [];
+        for (const [name, values] of series) {
+            // Same traces as the plot
+            if (name.includes('_positive') || name.includes('_negative')) continue;
+            traces.push({ name: this.exportName(name), unit: name.endsWith('_I') ? 'A' : 'V', values });
+        }
+
+        return {
+            title: xAxis ? 'DC sweep' : 'Transient analysis',
+            x: xAxis ? { ...xAxis, values: timePoints } : { name: 'time', unit: 's', values: timePoints },
+            traces
+        };
+    }
+
+    /**
+     * Unambiguous column name for a series: V(node_3), I(R2), V(D4.anode)
+     */
+    exportName(seriesId) {
+        const components = this.circuit ? this.circuit.components : null;
+        if (seriesId.endsWith('_I')) {
+            const comp = components && components.get(seriesId.slice(0, -2));
+            return `I(${comp ? comp.getLabel() : seriesId.slice(0, -2)})`;
+        }
+        const match = seriesId.match(/^(comp_\d+)_(.+)$/);
+        const comp = match && components && components.get(match[1]);
+        return comp ? `V(${comp.getLabel()}.${match[2]})` : `V(${seriesId})`;
+    }
+
     destroy() {
         window.removeEventListener('resize', this.resize);
         if (this.canvas && this.canvas.parentNode) {
@@ -5,9 +5,21 @@
  */
 
 import { MNASolver } from '../simulation/MNASolver.js';
-import { TransientSolver } from '../simulation/TransientSolver.js';
+import { TransientSolver, INTEGRATION_METHODS } from '../simulation/TransientSolver.js';
 import { SimpleChart } from './SimpleChart.js';
+import { BodeChart } from './BodeChart.js';
 import { OscilloscopeChart } from './OscilloscopeChart.js';
+import { SweepChart } from './SweepChart.js';
+import { SweepDialog } from './SweepDialog.js';
+import { HistogramChart } from './HistogramChart.js';
+import { ToleranceDialog } from './ToleranceDialog.js';
+import { evaluateSweepPoint, solveOutputs, componentName, SWEEP_STATISTICS } from '../simulation/ParametricSweep.js';
+import { runMonteCarloTrial, startWorstCase, stepWorstCase, finishWorstCase, computeStatistics, computeHistogram } from '../simulation/ToleranceAnalysis.js';
+import { formatValue } from '../core/Component.js';
+import { downloadWaveform } from '../utils/WaveformExport.js';
+
+// Components whose current can be plotted in a DC sweep
+const DC_SWEEP_CURRENT_TYPES = ['voltage_source', 'ammeter', 'resistor', 'diode', 'bjt', 'mosfet'];
 
 export class SimulationControls {
     /**
@@ -22,24 +34,54 @@ export class SimulationControls {
         this.btnRun = document.getElementById('btn-run');
         this.btnStop = document.getElementById('btn-stop');
         this.btnReset = document.getElementById('btn-reset');
+        this.btnSweep = document.getElementById('btn-sweep');
+        this.btnTolerance = document.getElementById('btn-tolerance');
         this.analysisType = document.getElementById('analysis-type');
         this.frequencyInput = document.getElementById('ac-frequency');
         this.simTime = document.getElementById('sim-time');
         this.timeStep = document.getElementById('time-step');
+        this.stepControl = document.getElementById('step-control');
+        this.integrationMethod = document.getElementById('integration-method');
+        this.sweepGroup = document.getElementById('sweep-group');
+        this.sweepStart = document.getElementById('sweep-start');
+        this.sweepStop = document.getElementById('sweep-stop');
+        this.sweepPoints = document.getElementById('sweep-points');
+        this.sweepScale = document.getElementById('sweep-scale');
+        this.dcSweepGroup = document.getElementById('dc-sweep-group');
+        this.dcSweepSource = document.getElementById('dc-sweep-source');
+        this.dcSweepStart = document.getElementById('dc-sweep-start');
+        this.dcSweepStop = document.getElementById('dc-sweep-stop');
+        this.dcSweepStep = document.getElementById('dc-sweep-step');
+        this.dcSweepOutput = document.getElementById('dc-sweep-output');
 
         // Output panel
         this.outputContent = document.getElementById('output-content');
         this.chartOverlay = document.getElementById('chart-overlay');
         this.chartContainer = document.getElementById('chart-container');
         this.chartClose = document.getElementById('chart-close');
+        this.chartExportCSV = document.getElementById('chart-export-csv');
+        this.chartExportJSON = document.getElementById('chart-export-json');
         this.chart = null;
 
         // Oscilloscope overlay
         this.scopeOverlay = document.getElementById('scope-overlay');
         this.scopeContainer = document.getElementById('scope-container');
         this.scopeClose = document.getElementById('scope-close');
+        this.scopeMeasureToggle = document.getElementById('scope-measure-toggle');
+        this.scopeCursorToggle = document.getElementById('scope-cursor-toggle');
+        this.scopeMeasurements = document.getElementById('scope-measurements');
+        this.scopeExportCSV = document.getElementById('scope-export-csv');
+        this.scopeExportJSON = document.getElementById('scope-export-json');
         this.scopeChart = null;
 
+        // Parametric sweep
+        this.sweepDialog = new SweepDialog(circuitGraph, (config) => this.runParametricSweep(config));
+        this.sweepResult = null;
+
+        // Tolerance analysis
+        this.toleranceDialog = new ToleranceDialog(circuitGraph, (config) => this.runToleranceAnalysis(config));
+        this.toleranceResult = null;
+
         // Setup scope drag-to-move
         this._setupScopeDrag();
 
@@ -82,10 +124,72 @@ export class SimulationControls {
             this.btnReset.addEventListener('click', () => this.reset());
         }
 
+        if (this.btnSweep) {
+            this.btnSweep.addEventListener('click', () => this.sweepDialog.open(this.analysisType?.value));
+        }
+
+        if (this.btnTolerance) {
+            this.btnTolerance.addEventListener('click', () => this.toleranceDialog.open(this.analysisType?.value));
+        }
+
         if (this.chartClose) {
             this.chartClose.addEventListener('click', () => this.hideChart());
         }
 
+        if (this.analysisType) {
+            this.analysisType.addEventListener('change', () => this.updateAnalysisFields());
+            this.updateAnalysisFields();
+        }
+
+        // The circuit may have changed since the DC sweep lists were filled
+        for (const select of [this.dcSweepSource, this.dcSweepOutput]) {
+            if (select) {
+                select.addEventListener('focus', () => this.refreshDCSweepOptions());
+            }
+        }
+
+        // Integration method is a circuit setting: keep it on the graph so it is
+        // saved, and notify so the change gets its own undo entry (undo/redo
+        // reload the circuit, and 'circuit-loaded' puts the select back)
+        if (this.integrationMethod) {
+            this.integrationMethod.addEventListener('change', () => {
+                this.circuit.simulationSettings.integrationMethod = this.integrationMethod.value;
+                this.circuit.notifyChange('settings-changed', this.circuit.simulationSettings);
+            });
+            this.applyCircuitSettings();
+        }
+
+        if (this.scopeMeasureToggle) {
+            this.scopeMeasureToggle.addEventListener('click', () => {
+                if (!this.scopeChart) return;
+                const visible = !this.scopeChart.showMeasurements;
+                this.scopeChart.setMeasurementsVisible(visible);
+                this.scopeMeasureToggle.classList.toggle('active', visible);
+            });
+        }
+
+        // Export data shown in the chart / scope windows
+        const exportButtons = [
+            [this.chartExportCSV, () => this.chart, 'csv'],
+            [this.chartExportJSON, () => this.chart, 'json'],
+            [this.scopeExportCSV, () => this.scopeChart, 'csv'],
+            [this.scopeExportJSON, () => this.scopeChart, 'json']
+        ];
+        for (const [button, getChart, format] of exportButtons) {
+            if (button) {
+                button.addEventListener('click', () => this.exportChartData(getChart(), format));
+            }
+        }
+
+        if (this.scopeCursorToggle) {
+            this.scopeCursorToggle.addEventListener('click', () => {
+                if (!this.scopeChart) return;
+                const mode = this.scopeChart.cycleCursorMode();
+                this.scopeCursorToggle.textContent = `Cursors: ${mode.charAt(0).toUpperCase() + mode.slice(1)}`;
+                this.scopeCursorToggle.classList.toggle('active', mode !== 'off');
+            });
+        }
+
         if (this.scopeClose) {
             this.scopeClose.addEventListener('click', () => this.hideScope());
         }
@@ -130,6 +234,10 @@ export class SimulationControls {
                     this.runDCAnalysis();
                 } else if (settings.analysisType === 'ac') {
                     this.runACAnalysis(settings);
+                } else if (settings.analysisType === 'ac_sweep') {
+                    this.runACSweepAnalysis(settings);
+                } else if (settings.analysisType === 'dc_sweep') {
+                    this.runDCSweepAnalysis(settings);
                 } else if (settings.analysisType === 'transient') {
                     this.runTransientAnalysis(settings);
                 }
@@ -164,7 +272,7 @@ export class SimulationControls {
                 if (match) {
                     const compId = `comp_${match[1]}`;
                     const comp = this.circuit.components?.get(compId);
-                    if (comp?.constructor.name === 'VoltageSource') continue;
+                    if (comp?.type === 'voltage_source') continue;
                 }
             }
             const displayName = this.formatNodeName(nodeId);
@@ -176,14 +284,14 @@ export class SimulationControls {
             const comp = this.circuit.components.get(compId);
 
             // Skip Wattmeters (displayed in their own section)
-            if (comp && (comp.constructor.name === 'Wattmeter' || comp.type === 'wattmeter')) continue;
+            if (comp && comp.type === 'wattmeter') continue;
 
             const displayName = this.formatComponentName(compId);
             const absCurrent = Math.abs(current);
             currents[displayName] = absCurrent;
 
             // Update Ammeter component if applicable
-            if (comp && comp.constructor.name === 'Ammeter') {
+            if (comp && comp.type === 'ammeter') {
                 comp.setCurrent(absCurrent);
             }
         }
@@ -191,7 +299,7 @@ export class SimulationControls {
         // Process Voltmeters
         const voltmeters = {};
         for (const comp of this.circuit.components.values()) {
-            if (comp.constructor.name === 'Voltmeter') {
+            if (comp.type === 'voltmeter') {
                 // Use solver's node ID logic (must match MNA matrix build)
                 const n1Id = solver.getNodeId(comp.terminals[0]);
                 const n2Id = solver.getNodeId(comp.terminals[1]);
@@ -209,7 +317,7 @@ export class SimulationControls {
         // Process Wattmeters
         const wattmeters = {};
         for (const comp of this.circuit.components.values()) {
-            if (comp.constructor.name === 'Wattmeter') {
+            if (comp.type === 'wattmeter') {
                 // Voltage coil (C-V): terminals[2] and terminals[3]
                 const nCId = solver.getNodeId(comp.terminals[2]);
                 const nVId = solver.getNodeId(comp.terminals[3]);
@@ -233,7 +341,24 @@ export class SimulationControls {
             }
         }
 
-        this.displayResults({ voltages, currents, voltmeters, wattmeters });
+        // Transistor operating points (region and bias)
+        const transistors = {};
+        for (const comp of this.circuit.components.values()) {
+            if (comp.type === 'bjt' || comp.type === 'mosfet') {
+                const v = comp.terminals.map(t => result.nodeVoltages.get(solver.getNodeId(t)) ?? 0);
+                transistors[comp.id] = comp.getOperatingPoint(v);
+            }
+        }
+
+        // Diode currents (LED glow)
+        for (const comp of this.circuit.components.values()) {
+            if (comp.type === 'diode') {
+                const [va, vk] = comp.terminals.map(t => result.nodeVoltages.get(solver.getNodeId(t)) ?? 0);
+                comp.setCurrent(comp.computeDiodeModel(va - vk).Id);
+            }
+        }
+
+        this.displayResults({ voltages, currents, voltmeters, wattmeters, transistors });
 
         // Hide chart for DC (no time series)
         this.hideChart();
@@ -273,7 +398,7 @@ export class SimulationControls {
             const comp = this.circuit.components.get(compId);
 
             // Skip Wattmeters (displayed in their own section)
-            if (comp && (comp.constructor.name === 'Wattmeter' || comp.type === 'wattmeter')) continue;
+            if (comp && comp.type === 'wattmeter') continue;
 
             const displayName = this.formatComponentName(compId);
             const magnitude = current.magnitude();
@@ -284,7 +409,7 @@ export class SimulationControls {
             };
 
             // Update Ammeter component if applicable (show magnitude)
-            if (comp && comp.constructor.name === 'Ammeter') {
+            if (comp && comp.type === 'ammeter') {
                 comp.setCurrent(magnitude);
             }
         }
@@ -292,7 +417,7 @@ export class SimulationControls {
         // Process Voltmeters (AC)
         const voltmeters = {};
         for (const comp of this.circuit.components.values()) {
-            if (comp.constructor.name === 'Voltmeter') {
+            if (comp.type === 'voltmeter') {
                 const n1Id = solver.getNodeId(comp.terminals[0]);
                 const n2Id = solver.getNodeId(comp.terminals[1]);
 
@@ -330,7 +455,7 @@ export class SimulationControls {
         // Process Wattmeters (AC)
         const wattmeters = {};
         for (const comp of this.circuit.components.values()) {
-            if (comp.constructor.name === 'Wattmeter') {
+            if (comp.type === 'wattmeter') {
                 // Voltage coil (C-V): terminals[2] and terminals[3]
                 const nCId = solver.getNodeId(comp.terminals[2]);
                 const nVId = solver.getNodeId(comp.terminals[3]);
@@ -467,6 +592,678 @@ export class SimulationControls {
         this.showOutput(html, 'success');
     }
 
+    /**
+     * Run AC frequency sweep and plot a Bode diagram.
+     *
+     * Traces are taken from the probes the user has placed: enabled
+     * oscilloscope voltage channels and voltmeters. If there are none,
+     * every circuit node is plotted. Magnitude is reported in dB relative
+     * to the first AC voltage source amplitude, or the first voltage source
+     * if none is AC (i.e. the transfer function Vout/Vin when that source is
+     * the input).
+     */
+    runACSweepAnalysis(settings) {
+        const solver = new MNASolver(this.circuit);
+        const result = solver.solveACSweep(
+            settings.sweepStart, settings.sweepStop, settings.sweepPoints, settings.sweepScale
+        );
+
+        if (!result.success) {
+            this.showErrors([result.error]);
+            return;
+        }
+
+        const { frequencies } = result;
+        const zeros = frequencies.map(() => null);
+        const nodeSeries = (terminal) => {
+            const nodeId = solver.getNodeId(terminal);
+            return (nodeId && result.nodeVoltages.get(nodeId)) || zeros;
+        };
+        const diffSeries = (posTerminal, negTerminal) => {
+            const pos = nodeSeries(posTerminal);
+            const neg = nodeSeries(negTerminal);
+            return frequencies.map((_, k) => {
+                if (pos[k] && neg[k]) return pos[k].sub(neg[k]);
+                if (pos[k]) return pos[k];
+                return neg[k] ? neg[k].neg() : null;
+            });
+        };
+
+        // Collect probed signals
+        const probes = [];
+        for (const comp of this.circuit.components.values()) {
+            const type = comp.type;
+            if (type === 'oscilloscope') {
+                for (const ch of comp.getChannelConfig()) {
+                    if (ch.mode === 'Current') continue;
+                    probes.push({
+                        label: ch.label,
+                        color: ch.color,
+                        phasors: diffSeries(ch.posTerminal, ch.negTerminal)
+                    });
+                }
+            } else if (type === 'voltmeter') {
+                probes.push({
+                    label: `Voltmeter (${comp.id.replace('comp_', '')})`,
+                    phasors: diffSeries(comp.terminals[0], comp.terminals[1])
+                });
+            }
+        }
+
+        if (probes.length === 0) {
+            for (const [nodeId, phasors] of result.nodeVoltages) {
+                if (nodeId.startsWith('__')) continue;
+                if (nodeId.includes('_positive') || nodeId.includes('_negative')) continue;
+                probes.push({ label: this.formatNodeName(nodeId), phasors });
+            }
+        }
+
+        // Reference amplitude: first AC voltage source (the small-signal input when
+        // DC sources only bias transistors), else the first voltage source
+        const sources = Array.from(this.circuit.components.values())
+            .filter(comp => comp.type === 'voltage_source' && Math.abs(comp.properties.voltage) > 0);
+        const refSource = sources.find(comp => comp.properties.type === 'ac') || sources[0];
+        const vRef = refSource ? Math.abs(refSource.properties.voltage) : 1;
+
+        const traces = probes.map(probe => {
+            const magnitudeDb = probe.phasors.map(v => v ? 20 * Math.log10(v.magnitude() / vRef) : -Infinity);
+            const phase = this.unwrapPhase(probe.phasors.map(v => v ? v.phaseDegrees() : 0));
+            return { label: probe.label, color: probe.color, magnitudeDb, phase };
+        });
+
+        this.displayACSweepResults(frequencies, traces, settings);
+        this.showBodeChart(frequencies, traces, settings.sweepScale);
+        this.hideScope();
+    }
+
+    /**
+     * Run DC sweep: step a source and plot node voltages or currents
+     * against the source value
+     */
+    runDCSweepAnalysis(settings) {
+        const source = this.circuit.components.get(settings.dcSweepSource);
+        if (!source) {
+            this.showErrors(['Choose a voltage or current source to sweep.']);
+            return;
+        }
+
+        const solver = new MNASolver(this.circuit);
+        const result = solver.solveDCSweep(
+            source.id, settings.dcSweepStart, settings.dcSweepStop, settings.dcSweepStep
+        );
+
+        if (!result.success) {
+            this.showErrors([result.error]);
+            return;
+        }
+
+        // Voltage sources: current delivered out of the + terminal (MNA branch
+        // current flows into +); ammeters: current entering +
+        const currentOf = (id) => {
+            if (result.componentCurrents.has(id)) return result.componentCurrents.get(id);
+            const branch = result.branchCurrents.get(id);
+            if (!branch) return null;
+            const comp = this.circuit.components.get(id);
+            return comp && comp.type === 'voltage_source' ? branch.map(i => -i) : branch;
+        };
+
+        const series = new Map();
+        const addNode = (nodeId) => series.set(this.netName(nodeId), result.nodeVoltages.get(nodeId));
+        const addCurrent = (id) => {
+            const values = currentOf(id);
+            if (values) series.set(`${id}_I`, values);
+        };
+
+        const output = settings.dcSweepOutput;
+        if (output.startsWith('v:') && result.nodeVoltages.has(output.slice(2))) {
+            addNode(output.slice(2));
+        } else if (output.startsWith('i:') && this.circuit.components.has(output.slice(2))) {
+            addCurrent(output.slice(2));
+        } else if (output === 'currents') {
+            for (const comp of this.circuit.getAllComponents()) {
+                if (DC_SWEEP_CURRENT_TYPES.includes(comp.type)) addCurrent(comp.id);
+            }
+        } else {
+            for (const nodeId of result.nodeVoltages.keys()) {
+                if (!nodeId.startsWith('__')) addNode(nodeId);
+            }
+        }
+
+        const isVoltage = source.type === 'voltage_source';
+        const xAxis = { name: `${componentName(source)} ${isVoltage ? 'voltage' : 'current'}`, unit: isVoltage ? 'V' : 'A' };
+
+        this.displayDCSweepResults(result, series, xAxis);
+        this.showChart(result.values, series, xAxis);
+        this.hideScope();
+    }
+
+    /**
+     * Display DC sweep summary: values at both ends and Newton-Raphson effort
+     */
+    displayDCSweepResults(result, series, xAxis) {
+        if (!this.outputContent) return;
+
+        const { values, iterations, converged } = result;
+        const fmt = (v, unit) => formatValue(parseFloat(v.toPrecision(4)), unit);
+        const first = values[0];
+        const last = values[values.length - 1];
+        const failed = converged.filter(c => !c).length;
+        const totalIterations = iterations.reduce((a, b) => a + b, 0);
+
+        let html = `<div class="simulation-results">
+            <div class="result-header">DC Sweep (${xAxis.name} ${fmt(first, xAxis.unit)} → ${fmt(last, xAxis.unit)}, ${values.length} pts)</div>
+            <div class="result-section">
+                <p>Newton-Raphson: ${(totalIterations / values.length).toFixed(1)} iterations per point (max ${Math.max(...iterations)})</p>`;
+        if (failed > 0) {
+            html += `<div class="output-error">⚠ No convergence at ${failed} point(s)</div>`;
+        }
+        html += '</div><div class="result-section"><h4>Start → Stop</h4>';
+
+        for (const [name, data] of series) {
+            const isCurrent = name.endsWith('_I');
+            const comp = isCurrent && this.circuit.components.get(name.slice(0, -2));
+            const label = isCurrent ? `I(${comp ? componentName(comp) : name.slice(0, -2)})` : `V(${name})`;
+            html += `<div class="output-result">
+                <span class="result-label">${label}</span>
+                <span class="result-value">${fmt(data[0], isCurrent ? 'A' : 'V')} → ${fmt(data[data.length - 1], isCurrent ? 'A' : 'V')}</span>
+            </div>`;
+        }
+
+        html += '</div></div>';
+        this.showOutput(html, 'success');
+    }
+
+    /**
+     * Fill the DC sweep source and plot lists from the current circuit,
+     * keeping the selection if it still exists
+     */
+    refreshDCSweepOptions() {
+        if (!this.dcSweepSource || !this.dcSweepOutput) return;
+
+        const fill = (select, options) => {
+            const previous = select.value;
+            select.innerHTML = '';
+            for (const [value, label] of options) {
+                select.add(new Option(label, value));
+            }
+            if (options.some(([value]) => value === previous)) select.value = previous;
+        };
+
+        const components = this.circuit.getAllComponents();
+        fill(this.dcSweepSource, components
+            .filter(comp => ['voltage_source', 'current_source'].includes(comp.type))
+            .map(comp => [comp.id, componentName(comp)]));
+
+        const outputs = [['all', 'All node voltages'], ['currents', 'All currents']];
+        const solver = new MNASolver(this.circuit);
+        try {
+            solver.buildNodeList();
+        } catch (error) {
+            solver.nodes = [];
+        }
+        for (const nodeId of solver.nodes) {
+            if (!nodeId.startsWith('__')) outputs.push([`v:${nodeId}`, `V(${this.netName(nodeId)})`]);
+        }
+        for (const comp of components) {
+            if (DC_SWEEP_CURRENT_TYPES.includes(comp.type)) {
+                outputs.push([`i:${comp.id}`, `I(${componentName(comp)})`]);
+            }
+        }
+        fill(this.dcSweepOutput, outputs);
+    }
+
+    /**
+     * Readable name of a net from its node id (smallest terminal id), e.g. "R1.left"
+     */
+    netName(nodeId) {
+        const match = nodeId.match(/^(comp_\d+)_(.+)$/);
+        const comp = match && this.circuit.components.get(match[1]);
+        return comp ? `${componentName(comp)}.${match[2]}` : nodeId;
+    }
+
+    /**
+     * Run a parametric sweep configured in the sweep dialog: one analysis per
+     * value, yielding to the browser between runs so Stop stays responsive
+     * @param {Object} config - From SweepDialog.submit()
+     */
+    runParametricSweep(config) {
+        const validation = this.circuit.validate();
+        if (!validation.valid) {
+            this.showErrors(validation.errors);
+            return;
+        }
+
+        const outputs = config.divideBy ? [config.output, config.divideBy] : [config.output];
+        const sweep = { ...config, settings: this.getSettings(), outputs };
+        const rows = [];
+
+        this.running = true;
+        this.updateButtonStates();
+        this.hideScope();
+
+        const step = (index) => {
+            if (!this.running || index >= config.values.length) {
+                this.running = false;
+                this.updateButtonStates();
+                this.displaySweepResults(config, rows, index < config.values.length);
+                return;
+            }
+
+            this.showOutput(`Parametric sweep: run ${index + 1} of ${config.values.length}...`, 'info');
+            setTimeout(() => {
+                const value = config.values[index];
+                rows.push({ value, ...evaluateSweepPoint(this.circuit, sweep, value) });
+                step(index + 1);
+            }, 0);
+        };
+        step(0);
+    }
+
+    /**
+     * Show the sweep table (with CSV/JSON export) and plot the output,
+     * or the output ratio when a divisor was chosen
+     * @param {Object} config - Sweep configuration
+     * @param {Array<{value: number, success: boolean, values?: number[], error?: string}>} rows
+     * @param {boolean} stopped - The sweep was stopped before the last value
+     */
+    displaySweepResults(config, rows, stopped) {
+        const failed = rows.filter(row => !row.success);
+        if (rows.length > 0 && failed.length === rows.length) {
+            this.showErrors([`Parametric sweep failed: ${failed[0].error}`]);
+            return;
+        }
+        if (rows.length === 0) return;
+
+        const suffix = config.analysis === 'transient' ? ` ${SWEEP_STATISTICS[config.statistic]}` : '';
+        const column = (output, k) => ({
+            name: output.label + suffix,
+            unit: output.unit,
+            values: rows.map(row => (row.success ? row.values[k] : NaN))
+        });
+
+        const traces = [column(config.output, 0)];
+        if (config.divideBy) {
+            const divisor = column(config.divideBy, 1);
+            traces.push(divisor, {
+                name: `${traces[0].name} / ${divisor.name}`,
+                unit: config.output.unit === config.divideBy.unit ? '' : `${config.output.unit}/${config.divideBy.unit}`,
+                values: traces[0].values.map((v, i) => v / divisor.values[i])
+            });
+        }
+
+        const x = {
+            name: `${componentName(config.component)} ${config.propertyLabel}`,
+            unit: config.unit,
+            values: rows.map(row => row.value)
+        };
+        this.sweepResult = { title: `Parametric sweep of ${x.name}`, x, traces };
+
+        const fmt = (v, unit) => {
+            if (!isFinite(v)) return '—';
+            const rounded = parseFloat(v.toPrecision(4));
+            return unit ? formatValue(rounded, unit) : String(rounded);
+        };
+        const analysisName = { dc: 'DC', ac: 'AC', transient: 'Transient' }[config.analysis];
+
+        let html = `<div class="simulation-results">
+            <div class="result-header">Parametric Sweep — ${x.name}, ${rows.length} pts, ${analysisName}</div>`;
+        if (stopped) {
+            html += `<div class="output-error">Stopped after ${rows.length} of ${config.values.length} runs</div>`;
+        }
+        html += failureSummary(rows, 'run');
+
+        // Failed points stay in the table, with their error in a last column
+        html += '<table class="sweep-table"><thead><tr>';
+        html += [x, ...traces].map(col => `<th>${col.unit ? `${col.name} (${col.unit})` : col.name}</th>`).join('');
+        if (failed.length > 0) html += '<th>Error</th>';
+        html += '</tr></thead><tbody>';
+        rows.forEach((row, i) => {
+            html += `<tr><td>${fmt(row.value, x.unit)}</td>`;
+            html += traces.map(trace => `<td>${fmt(trace.values[i], trace.unit)}</td>`).join('');
+            if (failed.length > 0) html += `<td>${row.success ? '' : row.error}</td>`;
+            html += '</tr>';
+        });
+        html += `</tbody></table>
+            <div style="margin-top: 10px; display: flex; gap: 8px;">
+                <button class="btn btn-secondary btn-small" id="btn-sweep-export-csv" title="Download the table as CSV">Download CSV</button>
+                <button class="btn btn-secondary btn-small" id="btn-sweep-export-json" title="Download the table as JSON">Download JSON</button>
+            </div>
+        </div>`;
+
+        this.showOutput(html, 'success');
+
+        for (const format of ['csv', 'json']) {
+            const button = document.getElementById(`btn-sweep-export-${format}`);
+            if (button) {
+                button.addEventListener('click', () => downloadWaveform(this.sweepResult, format, 'parametric_sweep'));
+            }
+        }
+
+        const plotted = traces[traces.length - 1];
+        this.showSweepChart({ title: this.sweepResult.title, x, traces: [plotted] }, config.scale);
+    }
+
+    /**
+     * Run a tolerance analysis configured in the tolerance dialog. Monte Carlo
+     * trials and worst-case corners are both solved in batches of 20 between
+     * timer callbacks, yielding to the browser so Stop stays responsive.
+     * @param {Object} config - From ToleranceDialog.submit()
+     */
+    runToleranceAnalysis(config) {
+        const validation = this.circuit.validate();
+        if (!validation.valid) {
+            this.showErrors(validation.errors);
+            return;
+        }
+
+        const analysis = { analysis: config.analysis, settings: this.getSettings(), outputs: [config.output] };
+        this.hideScope();
+
+        if (config.mode === 'worstcase') {
+            this.runWorstCaseAnalysis(config, analysis);
+            return;
+        }
+
+        const nominal = solveOutputs(this.circuit, analysis);
+        if (!nominal.success) {
+            this.showErrors([`Tolerance analysis failed: ${nominal.error}`]);
+            return;
+        }
+
+        const trials = [];
+        const batch = 20;
+
+        this.running = true;
+        this.updateButtonStates();
+
+        const step = (index) => {
+            if (!this.running || index >= config.trials) {
+                this.running = false;
+                this.updateButtonStates();
+                this.displayMonteCarloResults(config, nominal.values[0], trials, index < config.trials);
+                return;
+            }
+
+            this.showOutput(`Monte Carlo: trial ${index + 1} of ${config.trials}...`, 'info');
+            setTimeout(() => {
+                const end = Math.min(index + batch, config.trials);
+                for (let k = index; k < end; k++) {
+                    trials.push(runMonteCarloTrial(this.circuit, config.items, analysis));
+                }
+                step(end);
+            }, 0);
+        };
+        step(0);
+    }
+
+    /**
+     * Worst-case corners, solved in batches between timer callbacks like the
+     * Monte Carlo trials so the page stays responsive and Stop can end the run
+     * @param {Object} config - Tolerance configuration
+     * @param {Object} analysis - Analysis, settings and outputs for solveOutputs()
+     */
+    runWorstCaseAnalysis(config, analysis) {
+        const state = startWorstCase(this.circuit, config.items, analysis);
+        if (!state.success) {
+            this.showErrors([`Worst-case analysis failed: ${state.error}`]);
+            return;
+        }
+
+        const batch = 20;
+
+        this.running = true;
+        this.updateButtonStates();
+
+        const step = (done) => {
+            if (!this.running || done) {
+                const stopped = !done;
+                this.running = false;
+                this.updateButtonStates();
+                const result = finishWorstCase(state);
+                if (!result.success) {
+                    this.showErrors([`Worst-case analysis failed: ${result.error}`]);
+                    return;
+                }
+                this.displayWorstCaseResults(config, result, stopped);
+                return;
+            }
+
+            this.showOutput(`Worst case: run ${state.runs + 1} of ${state.total}...`, 'info');
+            setTimeout(() => {
+                let finished = false;
+                for (let k = 0; k < batch && !finished; k++) {
+                    finished = stepWorstCase(this.circuit, config.items, analysis, state);
+                }
+                step(finished);
+            }, 0);
+        };
+        step(false);
+    }
+
+    /**
+     * Show Monte Carlo statistics and the histogram of the output; the
+     * individual trials can be downloaded as CSV/JSON
+     * @param {Object} config - Tolerance configuration
+     * @param {number} nominal - Output with every component at its nominal value
+     * @param {Array<{success: boolean, values?: number[], error?: string, sample: number[]}>} trials
+     * @param {boolean} stopped - The run was stopped before the last trial
+     */
+    displayMonteCarloResults(config, nominal, trials, stopped) {
+        const failed = trials.filter(trial => !trial.success);
+        if (trials.length > 0 && failed.length === trials.length) {
+            this.showErrors([`Monte Carlo failed: ${failed[0].error}`]);
+            return;
+        }
+        if (trials.length === 0) return;
+
+        const { output, items } = config;
+        const outputValues = trials.map(trial => (trial.success ? trial.values[0] : NaN));
+        const stats = computeStatistics(outputValues);
+
+        this.toleranceResult = {
+            title: `Monte Carlo of ${output.label}`,
+            x: { name: 'Trial', unit: '', values: trials.map((_, i) => i + 1) },
+            traces: [
+                { name: output.label, unit: output.unit, values: outputValues },
+                ...items.map((item, k) => ({
+                    name: `${componentName(item.component)} ${item.property}`,
+                    unit: item.unit,
+                    values: trials.map(trial => trial.sample[k])
+                }))
+            ]
+        };
+
+        const fmt = (v) => {
+            if (!isFinite(v)) return '—';
+            const rounded = parseFloat(v.toPrecision(4));
+            return output.unit ? formatValue(rounded, output.unit) : String(rounded);
+        };
+        const percent = (v) => (nominal !== 0 && isFinite(v) ? `${(100 * v / Math.abs(nominal)).toFixed(2)} %` : '—');
+        const deviation = (v) => `${v - nominal >= 0 ? '+' : ''}${percent(v - nominal)}`;
+        const analysisName = config.analysis === 'ac' ? 'AC' : 'DC';
+
+        let html = `<div class="simulation-results">
+            <div class="result-header">Monte Carlo — ${output.label}, ${trials.length} trials, ${analysisName}</div>`;
+        if (stopped) {
+            html += `<div class="output-error">Stopped after ${trials.length} of ${config.trials} trials</div>`;
+        }
+        html += failureSummary(trials, 'trial');
+
+        const rows = [
+            ['Nominal', fmt(nominal)],
+            ['Mean', `${fmt(stats.mean)} (${deviation(stats.mean)} from nominal)`],
+            ['σ', `${fmt(stats.sigma)} (${percent(stats.sigma)})`],
+            ['Min', `${fmt(stats.min)} (${deviation(stats.min)})`],
+            ['Max', `${fmt(stats.max)} (${deviation(stats.max)})`],
+            ['Mean ± 3σ', `${fmt(stats.mean - 3 * stats.sigma)} … ${fmt(stats.mean + 3 * stats.sigma)}`]
+        ];
+        html += '<div class="result-section">';
+        for (const [label, value] of rows) {
+            html += `<div class="output-result">
+                <span class="result-label">${label}</span>
+                <span class="result-value">${value}</span>
+            </div>`;
+        }
+        html += `<p>${items.map(item => `${componentName(item.component)} ±${item.tolerance} % ${item.distribution}`).join(', ')}</p>
+            </div>
+            <div style="margin-top: 10px; display: flex; gap: 8px;">
+                <button class="btn btn-secondary btn-small" id="btn-tolerance-export-csv" title="Download every trial as CSV">Download CSV</button>
+                <button class="btn btn-secondary btn-small" id="btn-tolerance-export-json" title="Download every trial as JSON">Download JSON</button>
+            </div>
+        </div>`;
+
+        this.showOutput(html, 'success');
+
+        for (const format of ['csv', 'json']) {
+            const button = document.getElementById(`btn-tolerance-export-${format}`);
+            if (button) {
+                button.addEventListener('click', () => downloadWaveform(this.toleranceResult, format, 'monte_carlo_trials'));
+            }
+        }
+
+        const histogram = computeHistogram(outputValues);
+        this.showHistogramChart({
+            title: `Monte Carlo histogram of ${output.label}`,
+            name: output.label,
+            unit: output.unit,
+            ...histogram,
+            nominal,
+            mean: stats.mean,
+            sigma: stats.sigma
+        });
+    }
+
+    /**
+     * Show the worst-case minimum and maximum of the output and the
+     * component corner that produces each
+     * @param {Object} config - Tolerance configuration
+     * @param {Object} result - From finishWorstCase()
+     * @param {boolean} stopped - The run was stopped before the last corner
+     */
+    displayWorstCaseResults(config, result, stopped = false) {
+        const { output, items } = config;
+        const { nominal, min, max } = result;
+
+        const fmt = (v, unit) => {
+            if (!isFinite(v)) return '—';
+            const rounded = parseFloat(v.toPrecision(4));
+            return unit ? formatValue(rounded, unit) : String(rounded);
+        };
+        const percent = (v) => (nominal !== 0 ? `${v >= nominal ? '+' : ''}${(100 * (v - nominal) / Math.abs(nominal)).toFixed(2)} %` : '');
+        const analysisName = config.analysis === 'ac' ? 'AC' : 'DC';
+        const method = result.method === 'corners'
+            ? `all ${2 ** items.length} corners`
+            : 'corners chosen from each component\'s sensitivity';
+
+        let html = `<div class="simulation-results">
+            <div class="result-header">Worst Case — ${output.label}, ${analysisName}</div>`;
+        if (stopped) {
+            html += `<div class="output-error">Stopped after ${result.runs} of ${result.total} runs</div>`;
+        }
+        if (result.failed > 0) {
+            html += `<div class="output-error">⚠ ${result.failed} corner(s) failed: ${result.error}</div>`;
+        }
+        html += `
+            <div class="result-section">
+                <p>${result.runs} runs (${method})</p>
+                <div class="output-result">
+                    <span class="result-label">Nominal</span>
+                    <span class="result-value">${fmt(nominal, output.unit)}</span>
+                </div>
+                <div class="output-result">
+                    <span class="result-label">Minimum</span>
+                    <span class="result-value">${fmt(min.value, output.unit)} (${percent(min.value)})</span>
+                </div>
+                <div class="output-result">
+                    <span class="result-label">Maximum</span>
+                    <span class="result-value">${fmt(max.value, output.unit)} (${percent(max.value)})</span>
+                </div>
+            </div>`;
+
+        html += '<table class="sweep-table"><thead><tr><th>Component</th><th>Nominal</th><th>At minimum</th><th>At maximum</th></tr></thead><tbody>';
+        items.forEach((item, k) => {
+            const corner = (sign) => `${fmt(item.nominal * (1 + sign * item.tolerance / 100), item.unit)} (${sign > 0 ? '+' : '−'}${item.tolerance} %)`;
+            html += `<tr><td>${componentName(item.component)}</td><td>${fmt(item.nominal, item.unit)}</td>
+                <td>${corner(min.signs[k])}</td><td>${corner(max.signs[k])}</td></tr>`;
+        });
+        html += '</tbody></table></div>';
+
+        this.showOutput(html, 'success');
+    }
+
+    /**
+     * Remove ±360° jumps from a phase series (degrees)
+     */
+    unwrapPhase(phases) {
+        const out = [];
+        let offset = 0;
+        for (let k = 0; k < phases.length; k++) {
+            if (k > 0) {
+                const delta = phases[k] - phases[k - 1];
+                if (delta > 180) offset -= 360;
+                else if (delta < -180) offset += 360;
+            }
+            out.push(phases[k] + offset);
+        }
+        return out;
+    }
+
+    /**
+     * Display AC sweep summary: peak gain and -3 dB frequencies per trace
+     */
+    displayACSweepResults(frequencies, traces, settings) {
+        if (!this.outputContent) return;
+
+        const fmtHz = (f) => f >= 1000 ? `${(f / 1000).toFixed(3)} kHz` : `${f.toFixed(2)} Hz`;
+
+        let html = `<div class="simulation-results">
+            <div class="result-header">AC Sweep (${fmtHz(frequencies[0])} – ${fmtHz(frequencies[frequencies.length - 1])}, ${frequencies.length} pts, ${settings.sweepScale})</div>`;
+
+        for (const trace of traces) {
+            const mags = trace.magnitudeDb;
+            let peakIdx = 0;
+            for (let k = 1; k < mags.length; k++) {
+                if (mags[k] > mags[peakIdx]) peakIdx = k;
+            }
+            const peak = mags[peakIdx];
+
+            // -3 dB crossings (linear interpolation between sweep points)
+            const cutoffs = [];
+            const level = peak - 3;
+            for (let k = 1; k < mags.length; k++) {
+                const a = mags[k - 1] - level;
+                const b = mags[k] - level;
+                if (isFinite(a) && isFinite(b) && a * b < 0) {
+                    const x = a / (a - b);
+                    const f1 = frequencies[k - 1], f2 = frequencies[k];
+                    cutoffs.push(settings.sweepScale === 'linear'
+                        ? f1 + x * (f2 - f1)
+                        : f1 * Math.pow(f2 / f1, x));
+                }
+            }
+
+            html += `<div class="result-section"><h4>${trace.label}</h4>
+                <div class="output-result">
+                    <span class="result-label">Peak gain</span>
+                    <span class="result-value">${isFinite(peak) ? peak.toFixed(2) : '-∞'} dB @ ${fmtHz(frequencies[peakIdx])}</span>
+                </div>
+                <div class="output-result">
+                    <span class="result-label">Phase @ peak</span>
+                    <span class="result-value">${trace.phase[peakIdx].toFixed(1)}°</span>
+                </div>`;
+            for (const fc of cutoffs) {
+                html += `<div class="output-result">
+                    <span class="result-label">−3 dB</span>
+                    <span class="result-value">${fmtHz(fc)}</span>
+                </div>`;
+            }
+            html += '</div>';
+        }
+
+        html += '</div>';
+        this.showOutput(html, 'success');
+    }
+
     /**
      * Run transient analysis
      */
@@ -476,13 +1273,24 @@ export class SimulationControls {
         const endTime = settings.simulationTime || 0.01;
         const timeStep = settings.timeStep || 0.0001;
 
-        const result = solver.solve(endTime, timeStep);
+        const result = solver.solve(endTime, timeStep, {
+            adaptive: settings.stepControl === 'adaptive',
+            method: settings.integrationMethod
+        });
 
         if (!result.success) {
             this.showErrors([result.error]);
             return;
         }
 
+        // LED glow: forward current averaged over the run
+        for (const comp of this.circuit.components.values()) {
+            const values = result.results.get(`${comp.id}_I`);
+            if (comp.type === 'diode' && values && values.length > 0) {
+                comp.setCurrent(values.reduce((sum, i) => sum + Math.max(0, i), 0) / values.length);
+            }
+        }
+
         this.displayTransientResults(result, solver);
     }
 
@@ -497,7 +1305,12 @@ export class SimulationControls {
 
         let html = `<div class="simulation-results">`;
         html += `<div class="result-section"><h4>Transient Analysis</h4>`;
-        html += `<p>Simulated ${numPoints} points from 0 to ${endTime.toFixed(2)} ms</p></div>`;
+        html += `<p>Simulated ${numPoints} points from 0 to ${endTime.toFixed(2)} ms (${INTEGRATION_METHODS[solver?.integrationMethod] || INTEGRATION_METHODS.be})</p>`;
+        if (result.stepStats) {
+            const st = result.stepStats;
+            html += `<p>Adaptive step: ${st.accepted} accepted, ${st.rejected} rejected, h = ${(st.minStep * 1e6).toFixed(3)}–${(st.maxStep * 1e6).toFixed(1)} µs</p>`;
+        }
+        html += `</div>`;
 
         // Show final values for each node (filter V source terminals)
         html += '<div class="result-section"><h4>Final Values</h4>';
@@ -531,7 +1344,34 @@ export class SimulationControls {
                 <span class="result-value">${displayValue.toFixed(4)}${unit}</span>
             </div>`;
         }
-        html += '</div></div>';
+        html += '</div>';
+
+        // Wattmeter readings: real power averaged over whole cycles of p(t) = v·i
+        if (solver && result.instantaneousPower && result.instantaneousPower.size > 0) {
+            html += '<div class="result-section"><h4>⚡ Wattmeter Readings (cycle average)</h4>';
+            for (const id of result.instantaneousPower.keys()) {
+                const comp = this.circuit.components.get(id);
+                if (!comp) continue;
+                const data = solver.getWattmeterReadings(comp);
+                comp.setReadings(data.voltage, data.current, data.power);
+
+                html += `<div class="output-result">
+                    <span class="result-label">Wattmeter (${id.replace('comp_', '')})</span>
+                    <span class="result-value">${data.power.toFixed(4)} W</span>
+                </div>
+                <div class="output-result" style="padding-left: 16px; opacity: 0.8;">
+                    <span class="result-label">V(C-V) rms</span>
+                    <span class="result-value">${data.voltage.toFixed(4)} V</span>
+                </div>
+                <div class="output-result" style="padding-left: 16px; opacity: 0.8;">
+                    <span class="result-label">I(M-L) rms</span>
+                    <span class="result-value">${(data.current * 1000).toFixed(4)} mA</span>
+                </div>`;
+            }
+            html += '</div>';
+        }
+
+        html += '</div>';
 
         this.showOutput(html, 'success');
 
@@ -543,9 +1383,9 @@ export class SimulationControls {
     }
 
     /**
-     * Show chart with transient data
+     * Show chart with transient data (or DC sweep data with an xAxis)
      */
-    showChart(timePoints, series) {
+    showChart(timePoints, series, xAxis = null) {
         if (!this.chartContainer || !this.chartOverlay) return;
 
         // Show overlay first so container has size
@@ -554,7 +1394,8 @@ export class SimulationControls {
         // Use setTimeout to allow layout to update before creating/resizing chart
         setTimeout(() => {
             // Create chart if needed
-            if (!this.chart) {
+            if (!(this.chart instanceof SimpleChart)) {
+                if (this.chart) this.chart.destroy();
                 this.chart = new SimpleChart(this.chartContainer, this.circuit);
             } else {
                 // Force resize for existing chart
@@ -562,7 +1403,67 @@ export class SimulationControls {
             }
 
             // Set data
-            this.chart.setData(timePoints, series);
+            this.chart.setData(timePoints, series, xAxis);
+        }, 50);
+    }
+
+    /**
+     * Show Bode plot for AC sweep data (shares the chart overlay)
+     */
+    showBodeChart(frequencies, traces, scale) {
+        if (!this.chartContainer || !this.chartOverlay) return;
+
+        this.chartOverlay.classList.add('visible');
+
+        setTimeout(() => {
+            if (!(this.chart instanceof BodeChart)) {
+                if (this.chart) this.chart.destroy();
+                this.chart = new BodeChart(this.chartContainer);
+            } else {
+                this.chart.resize();
+            }
+
+            this.chart.setData(frequencies, traces, scale);
+        }, 50);
+    }
+
+    /**
+     * Show a parametric sweep plot (shares the chart overlay)
+     */
+    showSweepChart(data, scale) {
+        if (!this.chartContainer || !this.chartOverlay) return;
+
+        this.chartOverlay.classList.add('visible');
+
+        setTimeout(() => {
+            if (!(this.chart instanceof SweepChart)) {
+                if (this.chart) this.chart.destroy();
+                this.chart = new SweepChart(this.chartContainer);
+            } else {
+                this.chart.resize();
+            }
+
+            this.chart.setData(data, scale);
+        }, 50);
+    }
+
+    /**
+     * Show the Monte Carlo histogram (shares the chart overlay)
+     */
+    showHistogramChart(data) {
+        if (!this.chartContainer || !this.chartOverlay) return;
+
+        this.chartOverlay.classList.add('visible');
+
+        setTimeout(() => {
+            if (!(this.chart instanceof HistogramChart)) {
+                if (this.chart) this.chart.destroy();
+                this.chart = new HistogramChart(this.chartContainer);
+            } else {
+                this.chart.resize();
+            }
+
+            this.chart.setData(data);
         }, 50);
     }
 
@@ -583,7 +1484,7 @@ export class SimulationControls {
     findOscilloscopes() {
         const scopes = [];
         for (const comp of this.circuit.components.values()) {
-            if (comp.constructor.name === 'Oscilloscope') {
+            if (comp.type === 'oscilloscope') {
                 scopes.push(comp);
             }
         }
@@ -641,8 +1542,9 @@ export class SimulationControls {
                 const values = [value, value, value];
 
                 allChannels.push({
+                    ...this.getScopeChannelSettings(scope, ch),
                     label: ch.label + ` (${value.toFixed(2)}${unit})`,
-                    color: ch.color,
+                    unit,
                     timePoints,
                     values
                 });
@@ -650,7 +1552,7 @@ export class SimulationControls {
         }
 
         if (allChannels.length > 0) {
-            this.showScope(allChannels);
+            this.showScope(allChannels, scopes[0]);
         }
     }
 
@@ -671,7 +1573,7 @@ export class SimulationControls {
         // If settings frequency is exactly 1000 (default), try to find an actual AC source frequency
         if (plotFrequency === 1000) {
             for (const comp of this.circuit.components.values()) {
-                if (comp.constructor.name === 'VoltageSource' && comp.properties.type === 'ac') {
+                if ((comp.type === 'voltage_source' || comp.type === 'current_source') && comp.properties.type === 'ac') {
                     if (comp.properties.frequency) {
                         plotFrequency = comp.properties.frequency;
                         break;
@@ -746,8 +1648,9 @@ export class SimulationControls {
                 }
 
                 allChannels.push({
+                    ...this.getScopeChannelSettings(scope, ch),
                     label: ch.label + ` (${displayMag.toFixed(2)}${displayUnit})`,
-                    color: ch.color,
+                    unit,
                     timePoints,
                     values
                 });
@@ -755,7 +1658,7 @@ export class SimulationControls {
         }
 
         if (allChannels.length > 0) {
-            this.showScope(allChannels);
+            this.showScope(allChannels, scopes[0]);
         }
     }
 
@@ -815,8 +1718,9 @@ export class SimulationControls {
                 }
 
                 allChannels.push({
+                    ...this.getScopeChannelSettings(scope, ch),
                     label,
-                    color: ch.color,
+                    unit: ch.mode === 'Current' ? 'mA' : 'V',
                     timePoints: [...result.timePoints],
                     values
                 });
@@ -824,28 +1728,71 @@ export class SimulationControls {
         }
 
         if (allChannels.length > 0) {
-            this.showScope(allChannels);
+            this.showScope(allChannels, scopes[0]);
         }
     }
 
+    /**
+     * Display settings of one scope channel (owner, colour and vertical controls)
+     */
+    getScopeChannelSettings(scope, ch) {
+        return {
+            id: ch.id,
+            name: ch.label,
+            scopeId: scope.id,
+            color: ch.color,
+            voltsPerDiv: ch.voltsPerDiv,
+            offset: ch.offset,
+            coupling: ch.coupling
+        };
+    }
+
     /**
  * Show oscilloscope overlay with channel data.
+ * Horizontal/trigger settings come from the given Oscilloscope component.
  */
-    showScope(channels) {
+    showScope(channels, scope = null) {
         if (!this.scopeContainer || !this.scopeOverlay) return;
 
         this.scopeOverlay.classList.add('visible');
+        this.displayedScope = scope;
 
         setTimeout(() => {
             if (!this.scopeChart) {
-                this.scopeChart = new OscilloscopeChart(this.scopeContainer);
+                this.scopeChart = new OscilloscopeChart(this.scopeContainer, {
+                    measurementsElement: this.scopeMeasurements
+                });
             } else {
                 this.scopeChart.resize();
             }
-            this.scopeChart.setData(channels);
+            this.scopeChart.setData(channels, scope ? scope.getDisplaySettings() : null);
         }, 50);
     }
 
+    /**
+     * Re-apply the front-panel settings of the displayed scope without
+     * re-running the simulation (called when its properties are edited)
+     * @param {Component} component - Component whose properties changed
+     */
+    refreshScopeSettings(component) {
+        if (!this.scopeChart || !component) return;
+
+        const channels = this.scopeChart.channels;
+        if (!channels.some(displayed => displayed.scopeId === component.id)) return;
+
+        const config = component.getChannelConfig();
+        const channelSettings = channels.map(displayed => {
+            if (displayed.scopeId !== component.id) return null;
+            const ch = config.find(c => c.id === displayed.id);
+            return ch ? this.getScopeChannelSettings(component, ch) : null;
+        });
+
+        const settings = component === this.displayedScope
+            ? component.getDisplaySettings()
+            : this.scopeChart.settings;
+        this.scopeChart.setSettings(settings, channelSettings);
+    }
+
     /**
      * Hide oscilloscope overlay.
      */
@@ -869,8 +1816,8 @@ export class SimulationControls {
         let initialLeft, initialTop;
 
         const onMouseDown = (e) => {
-            // Only drag on left click and if not clicking the close button
-            if (e.button !== 0 || e.target.closest('.chart-close')) return;
+            // Only drag on left click and if not clicking a header button
+            if (e.button !== 0 || e.target.closest('button')) return;
 
             isDragging = true;
             startX = e.clientX;
@@ -921,12 +1868,13 @@ export class SimulationControls {
             if (this.circuit && this.circuit.components) {
                 const comp = this.circuit.components.get(compId);
                 if (comp) {
-                    const name = comp.constructor.name;
-                    if (name === 'Resistor') typeChar = 'R';
-                    else if (name === 'Capacitor') typeChar = 'C';
-                    else if (name === 'Inductor') typeChar = 'L';
-                    else if (name === 'VoltageSource') typeChar = 'V';
-                    else typeChar = name[0];
+                    const type = comp.type;
+                    if (type === 'resistor') typeChar = 'R';
+                    else if (type === 'capacitor') typeChar = 'C';
+                    else if (type === 'inductor') typeChar = 'L';
+                    else if (type === 'voltage_source') typeChar = 'V';
+                    else if (type === 'current_source') typeChar = 'I';
+                    else typeChar = type[0].toUpperCase();
                 }
             }
 
@@ -952,12 +1900,13 @@ export class SimulationControls {
                 if (this.circuit && this.circuit.components) {
                     const comp = this.circuit.components.get(compId);
                     if (comp) {
-                        const name = comp.constructor.name;
-                        if (name === 'Resistor') typeChar = 'R';
-                        else if (name === 'Capacitor') typeChar = 'C';
-                        else if (name === 'Inductor') typeChar = 'L';
-                        else if (name === 'VoltageSource') typeChar = 'V';
-                        else typeChar = name[0];
+                        const type = comp.type;
+                        if (type === 'resistor') typeChar = 'R';
+                        else if (type === 'capacitor') typeChar = 'C';
+                        else if (type === 'inductor') typeChar = 'L';
+                        else if (type === 'voltage_source') typeChar = 'V';
+                        else if (type === 'current_source') typeChar = 'I';
+                        else typeChar = type[0].toUpperCase();
                     }
                 }
                 return `I(${typeChar})`;
@@ -1022,10 +1971,80 @@ export class SimulationControls {
             analysisType: this.analysisType?.value || 'dc',
             frequency: parseFloat(this.frequencyInput?.value) || 60,
             simulationTime: parseFloat(this.simTime?.value) || 0.01,
-            timeStep: parseFloat(this.timeStep?.value) || 0.0001
+            timeStep: parseFloat(this.timeStep?.value) || 0.0001,
+            stepControl: this.stepControl?.value || 'fixed',
+            integrationMethod: this.integrationMethod?.value || 'be',
+            sweepStart: parseFloat(this.sweepStart?.value) || 10,
+            sweepStop: parseFloat(this.sweepStop?.value) || 100000,
+            sweepPoints: parseInt(this.sweepPoints?.value, 10) || 100,
+            sweepScale: this.sweepScale?.value || 'log',
+            dcSweepSource: this.dcSweepSource?.value || '',
+            dcSweepStart: numberOr(this.dcSweepStart?.value, 0),
+            dcSweepStop: numberOr(this.dcSweepStop?.value, 5),
+            dcSweepStep: numberOr(this.dcSweepStep?.value, 0.1),
+            dcSweepOutput: this.dcSweepOutput?.value || 'all'
         };
     }
 
+    /**
+     * Sync the settings inputs with the settings saved on the circuit
+     * (call after a circuit is loaded)
+     */
+    applyCircuitSettings() {
+        const settings = this.circuit.simulationSettings || {};
+        if (this.integrationMethod && settings.integrationMethod) {
+            this.integrationMethod.value = settings.integrationMethod;
+        }
+    }
+
+    /**
+     * Fill the analysis inputs from a settings object (same keys as getSettings()).
+     * Missing keys leave the corresponding input unchanged.
+     * @param {Object} settings
+     */
+    applyAnalysisSettings(settings) {
+        const fields = [
+            [this.analysisType, settings.analysisType],
+            [this.frequencyInput, settings.frequency],
+            [this.simTime, settings.simulationTime],
+            [this.timeStep, settings.timeStep],
+            [this.integrationMethod, settings.integrationMethod],
+            [this.sweepStart, settings.sweepStart],
+            [this.sweepStop, settings.sweepStop],
+            [this.sweepPoints, settings.sweepPoints],
+            [this.sweepScale, settings.sweepScale],
+            [this.dcSweepStart, settings.dcSweepStart],
+            [this.dcSweepStop, settings.dcSweepStop],
+            [this.dcSweepStep, settings.dcSweepStep]
+        ];
+
+        for (const [input, value] of fields) {
+            if (input && value !== undefined && value !== null && !Number.isNaN(value)) {
+                input.value = value;
+            }
+        }
+
+        if (settings.integrationMethod) {
+            this.circuit.simulationSettings.integrationMethod = settings.integrationMethod;
+        }
+
+        this.updateAnalysisFields();
+    }
+
+    /**
+     * Show only the setting fields relevant to the selected analysis type
+     */
+    updateAnalysisFields() {
+        const type = this.analysisType?.value || 'dc';
+        if (this.sweepGroup) {
+            this.sweepGroup.style.display = type === 'ac_sweep' ? '' : 'none';
+        }
+        if (this.dcSweepGroup) {
+            this.dcSweepGroup.style.display = type === 'dc_sweep' ? '' : 'none';
+            if (type === 'dc_sweep') this.refreshDCSweepOptions();
+        }
+    }
+
     /**
      * Update button states
      */
@@ -1036,6 +2055,12 @@ export class SimulationControls {
         if (this.btnStop) {
             this.btnStop.disabled = !this.running;
         }
+        if (this.btnSweep) {
+            this.btnSweep.disabled = this.running;
+        }
+        if (this.btnTolerance) {
+            this.btnTolerance.disabled = this.running;
+        }
 
         // Update status bar
         const statusMode = document.getElementById('status-mode');
@@ -1148,7 +2173,30 @@ export class SimulationControls {
             html += '</div>';
         }
 
+        // Transistor operating points
+        if (results.transistors && Object.keys(results.transistors).length > 0) {
+            html += '<div class="result-section"><h4>Transistor Operating Points</h4>';
+            for (const [id, op] of Object.entries(results.transistors)) {
+                const comp = this.circuit.components.get(id);
+                const rows = comp.type === 'bjt'
+                    ? [['I_C', `${(op.ic * 1000).toFixed(4)} mA`], ['I_B', `${(op.ib * 1e6).toFixed(3)} µA`],
+                        ['V_BE', `${op.vbe.toFixed(4)} V`], ['V_CE', `${op.vce.toFixed(4)} V`]]
+                    : [['I_D', `${(op.id * 1000).toFixed(4)} mA`],
+                        ['V_GS', `${op.vgs.toFixed(4)} V`], ['V_DS', `${op.vds.toFixed(4)} V`]];
 
+                html += `<div class="output-result">
+                    <span class="result-label">${this.formatComponentName(id)} (${id.replace('comp_', '')})</span>
+                    <span class="result-value">${op.region}</span>
+                </div>`;
+                for (const [label, value] of rows) {
+                    html += `<div class="output-result" style="padding-left: 16px; opacity: 0.8;">
+                    <span class="result-label">${label}</span>
+                    <span class="result-value">${value}</span>
+                </div>`;
+                }
+            }
+            html += '</div>';
+        }
 
         html += '</div>';
 
@@ -1259,7 +2307,7 @@ export class SimulationControls {
             let hasAC = false;
             let acFreq = 50;
             for (const comp of this.circuit.components.values()) {
-                if (comp.constructor.name === 'VoltageSource' && comp.properties.type === 'ac') {
+                if ((comp.type === 'voltage_source' || comp.type === 'current_source') && comp.properties.type === 'ac') {
                     hasAC = true;
                     acFreq = comp.properties.frequency || 50;
                     break;
@@ -1372,11 +2420,11 @@ export class SimulationControls {
      */
     _updateInstrumentReadings(solver, result) {
         for (const comp of this.circuit.components.values()) {
-            if (comp.constructor.name === 'Ammeter') {
+            if (comp.type === 'ammeter') {
                 const current = result.branchCurrents.get(comp.id);
                 if (current !== undefined) comp.setCurrent(Math.abs(current));
             }
-            if (comp.constructor.name === 'Voltmeter') {
+            if (comp.type === 'voltmeter') {
                 const n1Id = solver.getNodeId(comp.terminals[0]);
                 const n2Id = solver.getNodeId(comp.terminals[1]);
                 let v1 = 0, v2 = 0;
@@ -1551,6 +2599,23 @@ export class SimulationControls {
         }, 50);
     }
 
+    /**
+     * Download the data of a chart (SimpleChart, BodeChart, SweepChart or OscilloscopeChart)
+     * @param {Object|null} chart
+     * @param {'csv'|'json'} format
+     */
+    exportChartData(chart, format) {
+        const data = chart ? chart.getExportData() : null;
+        const baseName = chart === this.scopeChart ? 'oscilloscope'
+            : chart instanceof BodeChart ? 'ac_sweep'
+                : chart instanceof SweepChart ? 'parametric_sweep'
+                    : chart instanceof HistogramChart ? 'monte_carlo_histogram'
+                        : chart?.data?.xAxis ? 'dc_sweep' : 'transient';
+        if (!downloadWaveform(data, format, baseName)) {
+            this.showOutput('No waveform data to export — run a simulation first.', 'info');
+        }
+    }
+
     /**
      * Download observations as CSV.
      */
@@ -1576,6 +2641,40 @@ export class SimulationControls {
     }
 }
 
+/**
+ * Warning lines for the failed runs of a sweep or Monte Carlo: one line per
+ * distinct error with the (1-based) runs that hit it, e.g. a transient point
+ * that reached the adaptive step cap
+ * @param {Array<{success: boolean, error?: string}>} runs
+ * @param {string} noun - 'run' or 'trial'
+ * @returns {string} HTML ('' when every run succeeded)
+ */
+function failureSummary(runs, noun) {
+    const byError = new Map();
+    runs.forEach((run, i) => {
+        if (run.success) return;
+        if (!byError.has(run.error)) byError.set(run.error, []);
+        byError.get(run.error).push(i + 1);
+    });
+    if (byError.size === 0) return '';
+
+    const count = [...byError.values()].reduce((n, list) => n + list.length, 0);
+    let html = `<div class="output-error">⚠ ${count} ${noun}(s) failed:`;
+    for (const [error, list] of byError) {
+        const shown = list.length > 10 ? `${list.slice(0, 10).join(', ')}, …` : list.join(', ');
+        html += `<br>${noun}${list.length > 1 ? 's' : ''} ${shown}: ${error}`;
+    }
+    return html + '</div>';
+}
+
+/**
+ * Parse a number input, keeping 0 (unlike `parseFloat(x) || fallback`)
+ */
+function numberOr(text, fallback) {
+    const value = parseFloat(text);
+    return Number.isFinite(value) ? value : fallback;
+}
+
 /**
  * Helper: synchronous access to MNASolver (already imported at top of file).
  */
@@ -0,0 +1,256 @@
+/**
+ * SweepChart.js - Canvas-based plot of a parametric sweep
+ *
+ * Plots one output quantity against the swept property value, on a
+ * linear or logarithmic X axis, with a marker at every simulated point.
+ */
+
+import { formatValue } from '../core/Component.js';
+
+export class SweepChart {
+    constructor(container) {
+        this.container = container;
+        this.canvas = null;
+        this.ctx = null;
+        this.data = null;
+
+        // Same palette as SimpleChart
+        this.colors = [
+            '#22d3ee', // cyan
+            '#a78bfa', // purple
+            '#4ade80', // green
+            '#fb923c', // orange
+            '#f472b6', // pink
+            '#facc15'  // yellow
+        ];
+
+        this.padding = { top: 30, right: 20, bottom: 40, left: 70 };
+
+        this._onResize = () => this.resize();
+        this.init();
+    }
+
+    init() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'chart-canvas';
+        this.container.innerHTML = '';
+        this.container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.resize();
+        window.addEventListener('resize', this._onResize);
+    }
+
+    resize() {
+        const rect = this.container.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = rect.height * dpr;
+        this.canvas.style.width = rect.width + 'px';
+        this.canvas.style.height = rect.height + 'px';
+
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.width = rect.width;
+        this.height = rect.height;
+
+        if (this.data) {
+            this.render();
+        }
+    }
+
+    /**
+     * Set data and render
+     * @param {{title: string, x: {name: string, unit: string, values: number[]},
+     *          traces: {name: string, unit: string, values: number[]}[]}} data
+     * @param {'log'|'linear'} scale - X axis scale
+     */
+    setData(data, scale = 'linear') {
+        this.data = { ...data, scale };
+        this.render();
+    }
+
+    render() {
+        if (!this.data || !this.ctx) return;
+
+        const { x, traces, scale } = this.data;
+        const { width, height, padding, ctx } = this;
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(0, 0, width, height);
+
+        if (x.values.length === 0 || traces.length === 0) return;
+
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        // X mapping (log only when every value is positive)
+        let xMin = Math.min(...x.values);
+        let xMax = Math.max(...x.values);
+        const isLog = scale === 'log' && xMin > 0;
+        if (xMin === xMax) {
+            xMin = isLog ? xMin / 2 : xMin - 1;
+            xMax = isLog ? xMax * 2 : xMax + 1;
+        }
+        const toX = isLog
+            ? (v) => padding.left + (Math.log10(v / xMin) / Math.log10(xMax / xMin)) * chartWidth
+            : (v) => padding.left + ((v - xMin) / (xMax - xMin)) * chartWidth;
+
+        // Y range with 10 % headroom
+        const finite = traces.flatMap(t => t.values).filter(v => isFinite(v));
+        let yMin = finite.length ? Math.min(...finite) : -1;
+        let yMax = finite.length ? Math.max(...finite) : 1;
+        const yPad = (yMax - yMin) * 0.1 || Math.abs(yMax) * 0.1 || 1;
+        yMin -= yPad;
+        yMax += yPad;
+        const toY = (v) => padding.top + chartHeight - ((v - yMin) / (yMax - yMin)) * chartHeight;
+
+        this.drawGrid(chartWidth, chartHeight);
+        this.drawLabels(xMin, xMax, yMin, yMax, isLog, chartWidth, chartHeight);
+
+        const legend = [];
+        traces.forEach((trace, index) => {
+            const color = this.colors[index % this.colors.length];
+            legend.push({ name: trace.unit ? `${trace.name} (${trace.unit})` : trace.name, color });
+            this.drawTrace(x.values, trace.values, toX, toY, color);
+        });
+
+        this.drawLegend(legend);
+    }
+
+    drawGrid(chartWidth, chartHeight) {
+        const { ctx, padding } = this;
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+
+        for (let i = 0; i <= 5; i++) {
+            const x = padding.left + (i / 5) * chartWidth;
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, padding.top + chartHeight);
+            ctx.stroke();
+        }
+
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (i / 4) * chartHeight;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(padding.left + chartWidth, y);
+            ctx.stroke();
+        }
+
+        // Axes
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, padding.top + chartHeight);
+        ctx.lineTo(padding.left + chartWidth, padding.top + chartHeight);
+        ctx.stroke();
+    }
+
+    drawLabels(xMin, xMax, yMin, yMax, isLog, chartWidth, chartHeight) {
+        const { ctx, padding, height } = this;
+        const { x, traces } = this.data;
+        const short = (v, unit) => formatValue(parseFloat(v.toPrecision(3)), unit);
+
+        ctx.fillStyle = '#888';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        for (let i = 0; i <= 5; i++) {
+            const value = isLog
+                ? xMin * Math.pow(xMax / xMin, i / 5)
+                : xMin + (i / 5) * (xMax - xMin);
+            ctx.fillText(short(value, x.unit), padding.left + (i / 5) * chartWidth, height - padding.bottom + 16);
+        }
+
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const value = yMax - (i / 4) * (yMax - yMin);
+            ctx.fillText(short(value, traces[0].unit), padding.left - 5, padding.top + (i / 4) * chartHeight + 4);
+        }
+
+        // Axis titles
+        ctx.fillStyle = '#aaa';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(x.unit ? `${x.name} (${x.unit})` : x.name, padding.left + chartWidth / 2, height - 2);
+
+        ctx.save();
+        ctx.translate(12, padding.top + chartHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(traces[0].name, 0, 0);
+        ctx.restore();
+    }
+
+    drawTrace(xValues, values, toX, toY, color) {
+        const { ctx } = this;
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+
+        // Line through the points (broken at failed runs)
+        let penDown = false;
+        for (let i = 0; i < xValues.length; i++) {
+            if (!isFinite(values[i])) {
+                penDown = false;
+                continue;
+            }
+            const px = toX(xValues[i]);
+            const py = toY(values[i]);
+            if (!penDown) {
+                ctx.moveTo(px, py);
+                penDown = true;
+            } else {
+                ctx.lineTo(px, py);
+            }
+        }
+        ctx.stroke();
+
+        // Point markers
+        for (let i = 0; i < xValues.length; i++) {
+            if (!isFinite(values[i])) continue;
+            ctx.beginPath();
+            ctx.arc(toX(xValues[i]), toY(values[i]), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    drawLegend(legend) {
+        const { ctx, padding } = this;
+
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        let x = padding.left + 10;
+        const y = 15;
+
+        for (const { name, color } of legend) {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 8, 12, 12);
+
+            ctx.fillStyle = '#ccc';
+            ctx.fillText(name, x + 16, y + 2);
+
+            x += ctx.measureText(name).width + 30;
+        }
+    }
+
+    /**
+     * Swept values and outputs, for CSV/JSON export (see WaveformExport.js)
+     */
+    getExportData() {
+        if (!this.data) return null;
+        const { title, x, traces } = this.data;
+        return { title, x, traces };
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this._onResize);
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * SweepDialog.js - Set up a parametric sweep
+ *
+ * Lets the user pick a component and one of its numeric properties
+ * (from getPropertyDefinitions()), the values to step through
+ * (list, linear or logarithmic range), the analysis to rerun and the
+ * output to plot. The sweep itself is run by SimulationControls.
+ */
+
+import { parseValue } from '../core/Component.js';
+import {
+    sweepValues, getSweepableProperties, getSweepOutputs, componentName, SWEEP_STATISTICS
+} from '../simulation/ParametricSweep.js';
+
+export class SweepDialog {
+    /**
+     * @param {CircuitGraph} circuitGraph
+     * @param {Function} onRun - Called with the sweep configuration when the user starts the sweep
+     */
+    constructor(circuitGraph, onRun) {
+        this.circuit = circuitGraph;
+        this.onRun = onRun;
+
+        const $ = (id) => document.getElementById(id);
+        this.overlay = $('sweep-dialog-overlay');
+        this.componentSelect = $('sweep-component');
+        this.propertySelect = $('sweep-property');
+        this.modeSelect = $('sweep-mode');
+        this.startInput = $('sweep-range-start');
+        this.stopInput = $('sweep-range-stop');
+        this.pointsInput = $('sweep-range-points');
+        this.listInput = $('sweep-list');
+        this.rangeGroup = $('sweep-range-group');
+        this.listGroup = $('sweep-list-group');
+        this.analysisSelect = $('sweep-analysis');
+        this.outputSelect = $('sweep-output');
+        this.divideSelect = $('sweep-divide');
+        this.transientGroup = $('sweep-transient-group');
+        this.statisticSelect = $('sweep-statistic');
+        this.fromTimeInput = $('sweep-from-time');
+        this.errorText = $('sweep-dialog-error');
+
+        this.outputs = [];
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        if (!this.overlay) return;
+
+        this.componentSelect.addEventListener('change', () => this.populateProperties());
+        this.propertySelect.addEventListener('change', () => this.prefillRange());
+        this.modeSelect.addEventListener('change', () => this.updateFields());
+        this.analysisSelect.addEventListener('change', () => this.updateFields());
+
+        document.getElementById('sweep-run').addEventListener('click', () => this.submit());
+        document.getElementById('sweep-cancel').addEventListener('click', () => this.close());
+
+        // Click outside the dialog closes it
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        for (const [value, label] of Object.entries(SWEEP_STATISTICS)) {
+            this.statisticSelect.add(new Option(label, value));
+        }
+    }
+
+    /**
+     * Show the dialog for the current circuit
+     * @param {string} analysisType - Selected analysis in the simulation panel (preselected)
+     */
+    open(analysisType = 'dc') {
+        if (!this.overlay) return;
+
+        this.components = this.circuit.getAllComponents()
+            .filter(comp => getSweepableProperties(comp).length > 0);
+        this.outputs = getSweepOutputs(this.circuit);
+
+        const previous = this.componentSelect.value;
+        this.componentSelect.innerHTML = '';
+        for (const comp of this.components) {
+            this.componentSelect.add(new Option(`${componentName(comp)} — ${comp.constructor.displayName || comp.type}`, comp.id));
+        }
+        if (this.components.some(comp => comp.id === previous)) {
+            this.componentSelect.value = previous;
+        }
+
+        const previousOutput = this.outputSelect.value;
+        const previousDivide = this.divideSelect.value;
+        this.outputSelect.innerHTML = '';
+        this.divideSelect.innerHTML = '';
+        this.divideSelect.add(new Option('— (plot output)', ''));
+        for (const output of this.outputs) {
+            this.outputSelect.add(new Option(`${output.label} (${output.unit})`, output.id));
+            this.divideSelect.add(new Option(`${output.label} (${output.unit})`, output.id));
+        }
+        if (this.outputs.some(o => o.id === previousOutput)) this.outputSelect.value = previousOutput;
+        if (this.outputs.some(o => o.id === previousDivide)) this.divideSelect.value = previousDivide;
+
+        this.analysisSelect.value = analysisType === 'ac_sweep' ? 'ac' : analysisType;
+        if (!this.analysisSelect.value) this.analysisSelect.value = 'dc';
+
+        this.populateProperties(previous === this.componentSelect.value);
+        this.showError('');
+        this.overlay.style.display = 'flex';
+    }
+
+    close() {
+        if (this.overlay) this.overlay.style.display = 'none';
+    }
+
+    getSelectedComponent() {
+        return this.circuit.components.get(this.componentSelect.value) || null;
+    }
+
+    /**
+     * Fill the property list of the selected component
+     * @param {boolean} keepSelection - Keep the selected property and range (same component as last time)
+     */
+    populateProperties(keepSelection = false) {
+        const comp = this.getSelectedComponent();
+        const previous = this.propertySelect.value;
+        this.propertySelect.innerHTML = '';
+        if (!comp) return;
+
+        const properties = getSweepableProperties(comp);
+        for (const prop of properties) {
+            this.propertySelect.add(new Option(prop.unit ? `${prop.label} (${prop.unit})` : prop.label, prop.name));
+        }
+
+        if (keepSelection && properties.some(p => p.name === previous)) {
+            this.propertySelect.value = previous;
+        } else {
+            this.prefillRange();
+        }
+        this.updateFields();
+    }
+
+    /**
+     * Start the range at the current value (up to twice it) and list the current value
+     */
+    prefillRange() {
+        const comp = this.getSelectedComponent();
+        if (!comp) return;
+        const value = Number(comp.properties[this.propertySelect.value]);
+        const current = isFinite(value) ? value : 0;
+
+        this.startInput.value = current;
+        this.stopInput.value = current === 0 ? 1 : 2 * current;
+        this.pointsInput.value = this.pointsInput.value || 10;
+        this.listInput.value = String(current);
+    }
+
+    /**
+     * Show range or list inputs, and the transient options
+     */
+    updateFields() {
+        const isList = this.modeSelect.value === 'list';
+        this.rangeGroup.style.display = isList ? 'none' : '';
+        this.listGroup.style.display = isList ? '' : 'none';
+        this.transientGroup.style.display = this.analysisSelect.value === 'transient' ? '' : 'none';
+    }
+
+    showError(message) {
+        if (!this.errorText) return;
+        this.errorText.textContent = message;
+        this.errorText.style.display = message ? '' : 'none';
+    }
+
+    /**
+     * Validate the form and hand the configuration to onRun
+     */
+    submit() {
+        const component = this.getSelectedComponent();
+        if (!component) {
+            this.showError('The circuit has no component with a numeric property to sweep.');
+            return;
+        }
+
+        const property = getSweepableProperties(component).find(p => p.name === this.propertySelect.value);
+        const output = this.outputs.find(o => o.id === this.outputSelect.value);
+        if (!property || !output) {
+            this.showError('Choose a property and an output.');
+            return;
+        }
+
+        const mode = this.modeSelect.value;
+        const values = sweepValues({
+            mode,
+            list: this.listInput.value.split(/[,;\s]+/).filter(Boolean).map(parseValue),
+            start: parseValue(this.startInput.value),
+            stop: parseValue(this.stopInput.value),
+            points: parseInt(this.pointsInput.value, 10)
+        });
+        if (values.length === 0) {
+            this.showError(mode === 'log'
+                ? 'A logarithmic sweep needs positive start and stop values.'
+                : 'Enter the values to sweep.');
+            return;
+        }
+
+        this.showError('');
+        this.close();
+        this.onRun({
+            component,
+            property: property.name,
+            propertyLabel: property.label,
+            unit: property.unit,
+            values,
+            scale: mode === 'log' ? 'log' : 'linear',
+            analysis: this.analysisSelect.value,
+            output,
+            divideBy: this.outputs.find(o => o.id === this.divideSelect.value) || null,
+            statistic: this.statisticSelect.value,
+            fromTime: parseValue(this.fromTimeInput.value) || 0
+        });
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * ToleranceDialog.js - Set up a Monte Carlo or worst-case tolerance run
+ *
+ * Lists the components that have a tolerance, and lets the user pick the
+ * mode (Monte Carlo with N trials, or worst-case corners), the analysis
+ * (DC, or AC at the panel frequency) and the output to study. The run
+ * itself is done by SimulationControls.
+ */
+
+import { formatValue } from '../core/Component.js';
+import { getSweepOutputs, componentName } from '../simulation/ParametricSweep.js';
+import { getToleranceComponents, MAX_CORNER_COMPONENTS } from '../simulation/ToleranceAnalysis.js';
+
+export class ToleranceDialog {
+    /**
+     * @param {CircuitGraph} circuitGraph
+     * @param {Function} onRun - Called with the run configuration when the user starts the analysis
+     */
+    constructor(circuitGraph, onRun) {
+        this.circuit = circuitGraph;
+        this.onRun = onRun;
+
+        const $ = (id) => document.getElementById(id);
+        this.overlay = $('tolerance-dialog-overlay');
+        this.componentList = $('tolerance-components');
+        this.modeSelect = $('tolerance-mode');
+        this.trialsGroup = $('tolerance-trials-group');
+        this.trialsInput = $('tolerance-trials');
+        this.analysisSelect = $('tolerance-analysis');
+        this.outputSelect = $('tolerance-output');
+        this.errorText = $('tolerance-dialog-error');
+
+        this.items = [];
+        this.outputs = [];
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        if (!this.overlay) return;
+
+        this.modeSelect.addEventListener('change', () => this.updateFields());
+        document.getElementById('tolerance-run').addEventListener('click', () => this.submit());
+        document.getElementById('tolerance-cancel').addEventListener('click', () => this.close());
+
+        // Click outside the dialog closes it
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+    }
+
+    /**
+     * Show the dialog for the current circuit
+     * @param {string} analysisType - Selected analysis in the simulation panel (preselected)
+     */
+    open(analysisType = 'dc') {
+        if (!this.overlay) return;
+
+        this.items = getToleranceComponents(this.circuit);
+        this.outputs = getSweepOutputs(this.circuit);
+
+        this.componentList.innerHTML = this.items.length === 0
+            ? '<p class="placeholder-text">No component has a tolerance yet. Set one on a resistor, capacitor or inductor in the property panel.</p>'
+            : this.items.map(item => `<div class="output-result">
+                    <span class="result-label">${componentName(item.component)}</span>
+                    <span class="result-value">${formatValue(item.nominal, item.unit)} ±${item.tolerance} % (${item.distribution})</span>
+                </div>`).join('');
+
+        const previousOutput = this.outputSelect.value;
+        this.outputSelect.innerHTML = '';
+        for (const output of this.outputs) {
+            this.outputSelect.add(new Option(`${output.label} (${output.unit})`, output.id));
+        }
+        if (this.outputs.some(o => o.id === previousOutput)) this.outputSelect.value = previousOutput;
+
+        this.analysisSelect.value = analysisType === 'ac' || analysisType === 'ac_sweep' ? 'ac' : 'dc';
+
+        this.updateFields();
+        this.showError('');
+        this.overlay.style.display = 'flex';
+    }
+
+    close() {
+        if (this.overlay) this.overlay.style.display = 'none';
+    }
+
+    updateFields() {
+        this.trialsGroup.style.display = this.modeSelect.value === 'montecarlo' ? '' : 'none';
+    }
+
+    showError(message) {
+        if (!this.errorText) return;
+        this.errorText.textContent = message;
+        this.errorText.style.display = message ? '' : 'none';
+    }
+
+    /**
+     * Validate the form and hand the configuration to onRun
+     */
+    submit() {
+        if (this.items.length === 0) {
+            this.showError('Give at least one resistor, capacitor or inductor a tolerance first.');
+            return;
+        }
+
+        const output = this.outputs.find(o => o.id === this.outputSelect.value);
+        if (!output) {
+            this.showError('Choose an output.');
+            return;
+        }
+
+        const mode = this.modeSelect.value;
+        const trials = parseInt(this.trialsInput.value, 10);
+        if (mode === 'montecarlo' && !(trials >= 2 && trials <= 10000)) {
+            this.showError('Use between 2 and 10000 trials.');
+            return;
+        }
+
+        this.showError('');
+        this.close();
+        this.onRun({
+            mode,
+            trials,
+            analysis: this.analysisSelect.value,
+            output,
+            items: this.items,
+            useCorners: this.items.length <= MAX_CORNER_COMPONENTS
+        });
+    }
+}
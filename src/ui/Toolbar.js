@@ -5,46 +5,10 @@
  * Supports search filtering and collapsible category sections.
  */
 
-import { getAllComponents } from '../components/index.js';
+import { getAllComponents, getCategories, getComponentDefinitions } from '../components/index.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
-/**
- * Component category definitions.
- */
-const CATEGORIES = [
-    {
-        id: 'sources',
-        label: 'Sources',
-        icon: '⚡',
-        types: ['voltage_source', 'three_phase_source', 'ground']
-    },
-    {
-        id: 'passive',
-        label: 'Passive',
-        icon: '🔧',
-        types: ['resistor', 'capacitor', 'inductor', 'junction']
-    },
-    {
-        id: 'active',
-        label: 'Active',
-        icon: '🔌',
-        types: ['diode', 'opamp', 'transformer', 'load']
-    },
-    {
-        id: 'instruments',
-        label: 'Instruments',
-        icon: '📊',
-        types: ['ammeter', 'voltmeter', 'wattmeter', 'oscilloscope']
-    },
-    {
-        id: 'sensors',
-        label: 'Sensors',
-        icon: '🌡️',
-        types: ['rtd', 'thermistor', 'lvdt', 'strain_gauge', 'load_cell']
-    }
-];
-
 export class Toolbar {
     /**
      * @param {HTMLElement} containerElement - The toolbar container
@@ -66,19 +30,12 @@ export class Toolbar {
     render() {
         this.componentList.innerHTML = '';
 
-        const components = getAllComponents();
-
-        // Build a map from component type to ComponentClass
-        const typeMap = new Map();
-        for (const C of components) {
-            const instance = new C();
-            typeMap.set(instance.type, C);
-        }
+        const definitions = getComponentDefinitions();
 
-        for (const category of CATEGORIES) {
-            const categoryComponents = category.types
-                .map(t => typeMap.get(t))
-                .filter(Boolean);
+        for (const category of getCategories()) {
+            const categoryComponents = definitions
+                .filter(d => d.category === category.id)
+                .map(d => d.componentClass);
 
             if (categoryComponents.length === 0) continue;
 
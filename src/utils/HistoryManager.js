@@ -0,0 +1,142 @@
+/**
+ * HistoryManager.js - Undo/redo history for circuit edits
+ *
+ * Keeps serialized snapshots of the circuit (same format as save/load,
+ * so they include the circuit's simulation settings such as the integration
+ * method). Every CircuitGraph change notification schedules a snapshot; all
+ * notifications raised by one user action (e.g. deleting a component
+ * and its wires) are coalesced into a single history entry.
+ */
+
+export class HistoryManager {
+    /**
+     * @param {CircuitGraph} circuitGraph - Circuit to track
+     * @param {number} limit - Maximum number of undo steps kept
+     */
+    constructor(circuitGraph, limit = 100) {
+        this.circuit = circuitGraph;
+        this.limit = limit;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = this.takeSnapshot();
+
+        this.restoring = false;
+        this.recordPending = false;
+
+        // Called whenever canUndo()/canRedo() may have changed
+        this.onHistoryChange = null;
+    }
+
+    /**
+     * Serialize the circuit for comparison/restore.
+     * Transient component state (meter readings) is not part of the history.
+     */
+    takeSnapshot() {
+        const data = this.circuit.serialize();
+        for (const comp of data.components) {
+            delete comp.state;
+        }
+        return JSON.stringify(data);
+    }
+
+    /**
+     * Handle a CircuitGraph change notification
+     * @param {string} type - Change type from CircuitGraph.notifyChange
+     */
+    handleChange(type) {
+        if (this.restoring || this.recordPending) return;
+
+        // Defer so every notification from the same action lands in one entry
+        this.recordPending = true;
+        queueMicrotask(() => {
+            this.recordPending = false;
+            this.record();
+        });
+    }
+
+    /**
+     * Push the current circuit state if it differs from the last entry
+     */
+    record() {
+        if (this.restoring) return;
+
+        const snapshot = this.takeSnapshot();
+        if (snapshot === this.current) return;
+
+        this.undoStack.push(this.current);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.current = snapshot;
+        this.notifyHistoryChange();
+    }
+
+    /**
+     * Discard all history and use the current circuit as the baseline
+     */
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = this.takeSnapshot();
+        this.notifyHistoryChange();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the last edit
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+        // Capture anything not yet recorded (e.g. a pending notification)
+        this.record();
+        if (!this.canUndo()) return false;
+
+        this.redoStack.push(this.current);
+        this.current = this.undoStack.pop();
+        this.restore(this.current);
+        return true;
+    }
+
+    /**
+     * Re-apply the last undone edit
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+        this.record();
+        if (!this.canRedo()) return false;
+
+        this.undoStack.push(this.current);
+        this.current = this.redoStack.pop();
+        this.restore(this.current);
+        return true;
+    }
+
+    /**
+     * Rebuild the circuit from a snapshot without recording it
+     * @param {string} snapshot
+     */
+    restore(snapshot) {
+        this.restoring = true;
+        try {
+            this.circuit.deserialize(JSON.parse(snapshot));
+        } finally {
+            this.restoring = false;
+        }
+        this.notifyHistoryChange();
+    }
+
+    notifyHistoryChange() {
+        if (this.onHistoryChange) {
+            this.onHistoryChange(this.canUndo(), this.canRedo());
+        }
+    }
+}
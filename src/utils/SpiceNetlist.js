@@ -0,0 +1,855 @@
+/**
+ * SpiceNetlist.js - SPICE (.cir) deck export and import
+ *
+ * Export writes an ngspice-compatible deck for the current circuit:
+ *   R, C, L, V (DC / SIN / PULSE / PWL), I, D, Q, M (+ .model),
+ *   op-amp as a single-pole .subckt, ammeters and wattmeter current
+ *   coils as 0 V sources, Load as R + L, transformers as their R/L
+ *   equivalent around an E/F ideal transformer, and an .op / .ac / .tran
+ *   card for the selected analysis. Parts with no SPICE equivalent make
+ *   the export fail instead of leaving a hole in the deck.
+ *
+ * Import reads the basic subset back (plus plain DC/AC sources,
+ * 3-pin op-amp subcircuits and .options method=) and auto-places
+ * the parts on a grid, wiring every net and grounding node 0.
+ * Unsupported lines are reported as warnings rather than failing.
+ */
+
+import { createComponent } from '../components/index.js';
+
+// SPICE scale factors (case-insensitive; note M = milli, MEG = mega)
+const SPICE_SCALE = {
+    t: 1e12, g: 1e9, meg: 1e6, k: 1e3, mil: 25.4e-6,
+    m: 1e-3, u: 1e-6, 'µ': 1e-6, n: 1e-9, p: 1e-12, f: 1e-15
+};
+
+// Subcircuit names imported as op-amps without checking their pins
+const OPAMP_SUBCKT_NAME = /^(opamp\w*|op_amp\w*|u?a?741\w*|lm(358|324|741)\w*|tl0[78]\d\w*)$/i;
+
+// Auto-placement grid for imported decks
+const GRID_COLUMNS = 5;
+const GRID_DX = 160;
+const GRID_DY = 140;
+const GRID_ORIGIN = { x: 120, y: 120 };
+
+/**
+ * Parse a SPICE number such as 4.7k, 10u, 2MEG, 1e-3, 100nF
+ * @param {string} text
+ * @returns {number} Value, or NaN if not a number
+ */
+export function parseSpiceValue(text) {
+    const match = String(text).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(meg|mil|[tgkmunpfµ])?/i);
+    if (!match) return NaN;
+
+    const [, number, suffix] = match;
+    const scale = suffix ? SPICE_SCALE[suffix.toLowerCase()] : 1;
+    return parseFloat(number) * scale;
+}
+
+/**
+ * Format a number with a SPICE scale suffix (1000 → 1k, 2e6 → 2Meg)
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatSpiceValue(value) {
+    if (!isFinite(value)) return '0';
+    if (value === 0) return '0';
+
+    const suffixes = [
+        { scale: 1e12, suffix: 'T' },
+        { scale: 1e9, suffix: 'G' },
+        { scale: 1e6, suffix: 'Meg' },
+        { scale: 1e3, suffix: 'k' },
+        { scale: 1, suffix: '' },
+        { scale: 1e-3, suffix: 'm' },
+        { scale: 1e-6, suffix: 'u' },
+        { scale: 1e-9, suffix: 'n' },
+        { scale: 1e-12, suffix: 'p' },
+        { scale: 1e-15, suffix: 'f' }
+    ];
+
+    for (const { scale, suffix } of suffixes) {
+        if (Math.abs(value) >= scale * 0.9999999) {
+            return `${parseFloat((value / scale).toPrecision(6))}${suffix}`;
+        }
+    }
+    return value.toExponential(5);
+}
+
+// =========================================================
+// Export
+// =========================================================
+
+/**
+ * Build a SPICE deck for the circuit
+ * @param {CircuitGraph} circuit
+ * @param {Object} settings - SimulationControls.getSettings() (analysis card)
+ * @param {string} title - First (title) line of the deck
+ * @returns {string}
+ */
+export function exportSpiceNetlist(circuit, settings = {}, title = 'Circuit') {
+    circuit.buildNodes();
+
+    // Net names: ground → 0, everything else N1, N2, ... in order of appearance
+    const netNames = new Map([['gnd', '0']]);
+    const net = (terminal) => {
+        if (!netNames.has(terminal.nodeId)) {
+            netNames.set(terminal.nodeId, `N${netNames.size}`);
+        }
+        return netNames.get(terminal.nodeId);
+    };
+
+    const lines = [`* ${title}`, `* Exported from Circuit Simulator on ${new Date().toISOString()}`, ''];
+    const models = new Map();     // .model text -> model name
+    const subcircuits = new Map(); // .subckt signature -> { name, text }
+    const notes = [];
+    const unsupported = [];
+
+    for (const component of circuit.getAllComponents()) {
+        const p = component.properties;
+        const t = component.terminals;
+        const n = component.id.replace(/^comp_/, '');
+
+        switch (component.type) {
+            case 'ground':
+            case 'junction':
+                break;
+            case 'resistor':
+                lines.push(`R${n} ${net(t[0])} ${net(t[1])} ${formatSpiceValue(p.resistance)}`);
+                break;
+            case 'capacitor':
+                lines.push(`C${n} ${net(t[0])} ${net(t[1])} ${formatSpiceValue(p.capacitance)}`);
+                break;
+            case 'inductor':
+                lines.push(`L${n} ${net(t[0])} ${net(t[1])} ${formatSpiceValue(p.inductance)}`);
+                break;
+            case 'voltage_source':
+                lines.push(`V${n} ${net(t[0])} ${net(t[1])} ${formatVoltageSourceSpec(component)}`);
+                break;
+            case 'current_source': {
+                // SPICE current flows n+ → through the source → n-, so n- is our `out`
+                const value = formatSpiceValue(p.current);
+                const spec = p.type === 'ac'
+                    ? `SIN(0 ${value} ${formatSpiceValue(p.frequency)} 0 0 ${p.phase || 0}) AC ${value} ${p.phase || 0}`
+                    : `DC ${value}`;
+                lines.push(`I${n} ${net(t[1])} ${net(t[0])} ${spec}`);
+                break;
+            }
+            case 'ammeter':
+                lines.push(`VAM${n} ${net(t[0])} ${net(t[1])} DC 0`);
+                break;
+            case 'diode': {
+                // An LED exports the saturation current its colour implies
+                const breakdown = p.variant === 'zener'
+                    ? ` BV=${formatSpiceValue(p.breakdownVoltage)} IBV=${formatSpiceValue(p.breakdownCurrent)}`
+                    : '';
+                const charge = (p.junctionCapacitance > 0
+                    ? ` CJO=${formatSpiceValue(p.junctionCapacitance)} VJ=${p.junctionPotential} M=${p.gradingCoefficient}`
+                    : '') + (p.transitTime > 0 ? ` TT=${formatSpiceValue(p.transitTime)}` : '');
+                const model = `.model %NAME% D(IS=${formatSpiceValue(component.getSaturationCurrent())} N=${p.emissionCoefficient}${breakdown}${charge})`;
+                if (!models.has(model)) models.set(model, `DMOD${models.size + 1}`);
+                lines.push(`D${n} ${net(t[0])} ${net(t[1])} ${models.get(model)}`);
+                break;
+            }
+            case 'bjt': {
+                // VAF = 0 in our model means no Early effect, which SPICE spells by omitting it
+                const early = p.earlyVoltage > 0 ? ` VAF=${formatSpiceValue(p.earlyVoltage)}` : '';
+                const model = `.model %NAME% ${p.polarity === 'pnp' ? 'PNP' : 'NPN'}(IS=${formatSpiceValue(p.saturationCurrent)} ` +
+                    `BF=${formatSpiceValue(p.betaF)} BR=${formatSpiceValue(p.betaR)}${early})`;
+                if (!models.has(model)) models.set(model, `QMOD${models.size + 1}`);
+                lines.push(`Q${n} ${net(t[0])} ${net(t[1])} ${net(t[2])} ${models.get(model)}`);
+                break;
+            }
+            case 'mosfet': {
+                // Level 1 with W = L = 1 gives I_D = KP/2·V_ov²·(1 + λV_DS), so KP = K;
+                // the body is tied to the source and a p-channel VTO is negative
+                const pmos = p.polarity === 'pmos';
+                const model = `.model %NAME% ${pmos ? 'PMOS' : 'NMOS'}(LEVEL=1 VTO=${formatSpiceValue(pmos ? -p.thresholdVoltage : p.thresholdVoltage)} ` +
+                    `KP=${formatSpiceValue(p.transconductance)} LAMBDA=${formatSpiceValue(p.lambda)})`;
+                if (!models.has(model)) models.set(model, `MMOD${models.size + 1}`);
+                lines.push(`M${n} ${net(t[0])} ${net(t[1])} ${net(t[2])} ${net(t[2])} ${models.get(model)}`);
+                break;
+            }
+            case 'opamp': {
+                const sub = buildOpAmpSubcircuit(p, subcircuits.size + 1);
+                if (!subcircuits.has(sub.signature)) subcircuits.set(sub.signature, sub);
+                const { name } = subcircuits.get(sub.signature);
+                lines.push(`XU${n} ${net(t[0])} ${net(t[1])} ${net(t[2])} ${name}`);
+                break;
+            }
+            case 'voltmeter':
+                notes.push(`* Voltmeter ${component.getLabel()} (${component.id}): v(${net(t[0])},${net(t[1])})`);
+                break;
+            case 'wattmeter':
+                // Current coil M → L is a 0 V source, voltage coil C–V its 100 MΩ resistance
+                lines.push(`VWM${n} ${net(t[0])} ${net(t[1])} DC 0`);
+                lines.push(`RWM${n} ${net(t[2])} ${net(t[3])} 100Meg`);
+                notes.push(`* Wattmeter ${component.getLabel()} (${component.id}): P = v(${net(t[2])},${net(t[3])}) * i(VWM${n})`);
+                break;
+            case 'load': {
+                // R + L in series (XL at 50 Hz, as in the transient model); 0 % is open
+                const imp = component.getLoadImpedance();
+                if (imp) {
+                    lines.push(`RLD${n} ${net(t[0])} LD${n}_x ${formatSpiceValue(imp.R)}`);
+                    lines.push(`LLD${n} LD${n}_x ${net(t[1])} ${formatSpiceValue(imp.XL / (2 * Math.PI * 50))}`);
+                } else {
+                    lines.push(`RLD${n} ${net(t[0])} ${net(t[1])} 1G`);
+                }
+                break;
+            }
+            case 'transformer':
+                lines.push(...buildTransformerElements(p, n, t.map(net)));
+                break;
+            case 'three_phase_source': {
+                // Star-connected: one SIN source per phase to neutral (peak amplitude, RMS AC magnitude)
+                const vPhase = p.voltage / Math.sqrt(3);
+                const f = formatSpiceValue(p.frequency || 50);
+                ['R', 'Y', 'B'].forEach((phaseName, k) => {
+                    const phase = (p.phaseShift || 0) + [0, -120, 120][k];
+                    lines.push(`V${n}${phaseName} ${net(t[k])} ${net(t[3])} SIN(0 ${formatSpiceValue(Math.SQRT2 * vPhase)} ${f} 0 0 ${phase}) AC ${formatSpiceValue(vPhase)} ${phase}`);
+                });
+                break;
+            }
+            case 'oscilloscope':
+                // Current-mode channels are 0 V sources in series; voltage channels only probe
+                for (const ch of component.getChannelConfig()) {
+                    const pos = ch.posTerminal;
+                    const neg = ch.negTerminal;
+                    if (!pos.isConnected() || !neg.isConnected()) continue;
+                    if (ch.mode === 'Current') {
+                        lines.push(`VSC${n}_${ch.id} ${net(pos)} ${net(neg)} DC 0`);
+                        notes.push(`* Scope ${ch.label} (${component.id}): i(VSC${n}_${ch.id})`);
+                    } else {
+                        notes.push(`* Scope ${ch.label} (${component.id}): v(${net(pos)},${net(neg)})`);
+                    }
+                }
+                break;
+            default:
+                unsupported.push(`${component.constructor.displayName} (${component.id})`);
+        }
+    }
+
+    // Leaving a part out would open-circuit the deck, so refuse instead
+    if (unsupported.length > 0) {
+        throw new Error(`These components have no SPICE equivalent, so the netlist was not exported:\n${unsupported.join('\n')}`);
+    }
+
+    if (models.size > 0) {
+        lines.push('');
+        for (const [text, name] of models) lines.push(text.replace('%NAME%', name));
+    }
+
+    for (const { text } of subcircuits.values()) {
+        lines.push('', text);
+    }
+
+    if (notes.length > 0) {
+        lines.push('', ...notes);
+    }
+
+    lines.push('', ...buildAnalysisCards(settings), '.end', '');
+    return lines.join('\n');
+}
+
+/**
+ * Source specification for a VoltageSource (DC / SIN / PULSE / PWL)
+ */
+function formatVoltageSourceSpec(component) {
+    const p = component.properties;
+    const V = formatSpiceValue(p.voltage);
+    const f = p.frequency || 50;
+    const T = 1 / f;
+    const phase = p.phase || 0;
+
+    // Delay that lines a PULSE up with the cycle position of our waveforms
+    const delayFor = (fraction) => {
+        const x = fraction - phase / 360;
+        return formatSpiceValue((x - Math.floor(x)) * T);
+    };
+
+    switch (p.type) {
+        case 'ac':
+            return `SIN(0 ${V} ${formatSpiceValue(f)} 0 0 ${phase}) AC ${V} ${phase}`;
+        case 'pulse':
+            return `PULSE(${formatSpiceValue(p.v1 ?? 0)} ${formatSpiceValue(p.v2 ?? 5)} ${formatSpiceValue(p.delay ?? 0)} ` +
+                `${formatSpiceValue(p.riseTime ?? 1e-6)} ${formatSpiceValue(p.fallTime ?? 1e-6)} ` +
+                `${formatSpiceValue(p.pulseWidth ?? 5e-4)} ${formatSpiceValue(p.period ?? 1e-3)})`;
+        case 'square': {
+            const edge = formatSpiceValue(T * 1e-4);
+            return `PULSE(-${V} ${V} ${delayFor(0)} ${edge} ${edge} ${formatSpiceValue(T / 2)} ${formatSpiceValue(T)})`;
+        }
+        case 'triangle':
+            return `PULSE(-${V} ${V} ${delayFor(0.75)} ${formatSpiceValue(T / 2)} ${formatSpiceValue(T / 2)} 0 ${formatSpiceValue(T)})`;
+        case 'sawtooth': {
+            const edge = formatSpiceValue(T * 1e-4);
+            return `PULSE(-${V} ${V} ${delayFor(0.5)} ${formatSpiceValue(T * (1 - 1e-4))} ${edge} 0 ${formatSpiceValue(T)})`;
+        }
+        case 'pwl': {
+            const points = component.getPWLPoints();
+            return `PWL(${points.map(pt => `${formatSpiceValue(pt.t)} ${formatSpiceValue(pt.v)}`).join(' ')})`;
+        }
+        default:
+            return `DC ${V}`;
+    }
+}
+
+/**
+ * Single-pole op-amp macro-model matching OpAmp.js:
+ * Rin across the inputs, gain stage A0 with a pole at GBP/A0,
+ * output clamped to ±Vsat behind Rout.
+ */
+function buildOpAmpSubcircuit(p, index) {
+    const a0 = p.openLoopGain;
+    const rPole = 1e3;
+    const fPole = p.gbp / a0;
+    const cPole = 1 / (2 * Math.PI * rPole * fPole);
+    const vsat = p.saturationVoltage;
+
+    const params = `a0=${formatSpiceValue(a0)} gbp=${formatSpiceValue(p.gbp)} rin=${formatSpiceValue(p.rin)} ` +
+        `rout=${formatSpiceValue(p.rout)} vos=${formatSpiceValue(p.offsetVoltage)} vsat=${formatSpiceValue(vsat)}`;
+    const name = `OPAMP${index}`;
+
+    const text = [
+        `.subckt ${name} inp inn out params: ${params}`,
+        `Vos inp inp_os DC ${formatSpiceValue(p.offsetVoltage)}`,
+        `Rin inp_os inn ${formatSpiceValue(p.rin)}`,
+        `Egain g 0 inp_os inn ${formatSpiceValue(a0)}`,
+        `Rpole g pole ${formatSpiceValue(rPole)}`,
+        `Cpole pole 0 ${formatSpiceValue(cPole)}`,
+        `Blim lim 0 V=max(-${formatSpiceValue(vsat)}, min(${formatSpiceValue(vsat)}, V(pole)))`,
+        `Rout lim out ${formatSpiceValue(p.rout)}`,
+        `.ends ${name}`
+    ].join('\n');
+
+    return { name, text, signature: params };
+}
+
+/**
+ * Transformer equivalent circuit matching the solver's model:
+ * Req + Leq from P+ to an internal mid node, Rc ∥ Lm from mid to P-,
+ * and an ideal a:1 transformer as an E/F pair (E sets the primary
+ * voltage from the secondary, F returns a·Ip into the secondary).
+ * Reactances are converted to inductances at 50 Hz, and the isolated
+ * secondary gets the same 1 GΩ leakage to ground the solver uses.
+ * @param {Object} p - Transformer properties
+ * @param {string} n - Element number
+ * @param {string[]} nets - [P+, P-, S+, S-]
+ * @returns {string[]}
+ */
+function buildTransformerElements(p, n, nets) {
+    const [pp, pn, sp, sn] = nets;
+    const omega = 2 * Math.PI * 50;
+    const a = formatSpiceValue(p.turnsRatio);
+    const mid = `XF${n}_mid`;
+
+    return [
+        `RXF${n}eq ${pp} XF${n}_eq ${formatSpiceValue(p.Req)}`,
+        `LXF${n}eq XF${n}_eq ${mid} ${formatSpiceValue(p.Xeq / omega)}`,
+        `RXF${n}c ${mid} ${pn} ${formatSpiceValue(p.Rc)}`,
+        `LXF${n}m ${mid} ${pn} ${formatSpiceValue(p.Xm / omega)}`,
+        `VXF${n}p ${mid} XF${n}_p DC 0`,
+        `EXF${n} XF${n}_p ${pn} ${sp} ${sn} ${a}`,
+        `FXF${n} ${sn} ${sp} VXF${n}p ${a}`,
+        `RXF${n}s1 ${sp} 0 1G`,
+        `RXF${n}s2 ${sn} 0 1G`
+    ];
+}
+
+/**
+ * Analysis cards for the selected analysis type
+ */
+function buildAnalysisCards(settings) {
+    const cards = [];
+
+    switch (settings.analysisType) {
+        case 'ac':
+            cards.push(`.ac lin 1 ${formatSpiceValue(settings.frequency)} ${formatSpiceValue(settings.frequency)}`);
+            break;
+        case 'ac_sweep': {
+            const start = settings.sweepStart;
+            const stop = settings.sweepStop;
+            if (settings.sweepScale === 'linear') {
+                cards.push(`.ac lin ${settings.sweepPoints} ${formatSpiceValue(start)} ${formatSpiceValue(stop)}`);
+            } else {
+                const decades = Math.max(Math.log10(stop / start), 1e-9);
+                const perDecade = Math.max(1, Math.round((settings.sweepPoints - 1) / decades));
+                cards.push(`.ac dec ${perDecade} ${formatSpiceValue(start)} ${formatSpiceValue(stop)}`);
+            }
+            break;
+        }
+        case 'transient': {
+            const method = { trap: 'trap', gear2: 'gear maxord=2' }[settings.integrationMethod];
+            if (method) cards.push(`.options method=${method}`);
+            cards.push(`.tran ${formatSpiceValue(settings.timeStep)} ${formatSpiceValue(settings.simulationTime)}`);
+            break;
+        }
+        default:
+            cards.push('.op');
+    }
+
+    return cards;
+}
+
+// =========================================================
+// Import
+// =========================================================
+
+/**
+ * Parse a SPICE deck into circuit data for CircuitGraph.deserialize()
+ * @param {string} text - Deck contents
+ * @returns {{ title: string, circuit: Object, settings: Object, warnings: string[] }}
+ */
+export function importSpiceNetlist(text) {
+    const warnings = [];
+    const rawLines = text.replace(/\r\n?/g, '\n').split('\n');
+    const title = (rawLines.shift() || '').replace(/^\*\s*/, '').trim();
+
+    // Strip comments and join "+" continuation lines
+    const lines = [];
+    for (const raw of rawLines) {
+        const line = raw.replace(/[;$].*$/, '').trim();
+        if (!line || line.startsWith('*')) continue;
+        if (line.startsWith('+') && lines.length > 0) {
+            lines[lines.length - 1] += ' ' + line.slice(1).trim();
+        } else {
+            lines.push(line);
+        }
+    }
+
+    const elements = [];
+    const models = new Map();      // name -> { type, params }
+    const subcircuits = new Map(); // name -> { pins, params }
+    const settings = {};
+    let inSubckt = null;
+
+    for (const line of lines) {
+        const tokens = line.split(/\s+/);
+        const head = tokens[0].toLowerCase();
+
+        if (inSubckt) {
+            if (head === '.ends') inSubckt = null;
+            continue;
+        }
+
+        if (head === '.end') break;
+
+        if (head.startsWith('.')) {
+            parseControlCard(line, tokens, { models, subcircuits, settings, warnings }, (name) => { inSubckt = name; });
+            continue;
+        }
+
+        elements.push({ line, tokens });
+    }
+
+    // Build components in deck order
+    const placed = [];
+    for (const { line, tokens } of elements) {
+        const item = buildComponentFromElement(tokens, models, subcircuits, warnings);
+        if (item) {
+            placed.push(item);
+        } else if (item === null) {
+            warnings.push(`Unsupported element skipped: ${line}`);
+        }
+    }
+
+    return { title, circuit: layoutCircuit(placed), settings, warnings };
+}
+
+/**
+ * Handle a dot-card (.model, .subckt, .tran, .ac, .op, .options, ...)
+ */
+function parseControlCard(line, tokens, { models, subcircuits, settings, warnings }, enterSubckt) {
+    const head = tokens[0].toLowerCase();
+
+    switch (head) {
+        case '.model': {
+            // .model NAME TYPE(param=value ...)
+            const match = line.match(/^\.model\s+(\S+)\s+(\w+)\s*\(?([^)]*)\)?/i);
+            if (match) {
+                models.set(match[1].toLowerCase(), { type: match[2].toLowerCase(), params: parseParams(match[3]) });
+            }
+            break;
+        }
+        case '.subckt': {
+            // .subckt NAME pin1 pin2 ... [params: a=1 b=2]
+            const [decl, paramText = ''] = line.split(/\sparams:/i);
+            const parts = decl.split(/\s+/);
+            const pins = parts.slice(2).filter(pin => !pin.includes('='));
+            subcircuits.set(parts[1].toLowerCase(), { pins, params: parseParams(paramText + ' ' + parts.slice(2).filter(pin => pin.includes('=')).join(' ')) });
+            enterSubckt(parts[1]);
+            break;
+        }
+        case '.tran':
+            settings.analysisType = 'transient';
+            settings.timeStep = parseSpiceValue(tokens[1]);
+            settings.simulationTime = parseSpiceValue(tokens[2]);
+            break;
+        case '.ac': {
+            const variation = (tokens[1] || '').toLowerCase();
+            const count = parseInt(tokens[2], 10);
+            const start = parseSpiceValue(tokens[3]);
+            const stop = parseSpiceValue(tokens[4]);
+            if (start === stop) {
+                settings.analysisType = 'ac';
+                settings.frequency = start;
+            } else {
+                settings.analysisType = 'ac_sweep';
+                settings.sweepStart = start;
+                settings.sweepStop = stop;
+                settings.sweepScale = variation === 'lin' ? 'linear' : 'log';
+                const decades = Math.log10(stop / start);
+                settings.sweepPoints = variation === 'lin' ? count
+                    : variation === 'oct' ? Math.round(count * decades / Math.log10(2)) + 1
+                        : Math.round(count * decades) + 1;
+            }
+            break;
+        }
+        case '.op':
+            settings.analysisType = settings.analysisType || 'dc';
+            break;
+        case '.options':
+        case '.option': {
+            const method = (parseParams(tokens.slice(1).join(' ')).method || '').toLowerCase();
+            if (method === 'trap' || method === 'trapezoidal') settings.integrationMethod = 'trap';
+            if (method === 'gear') settings.integrationMethod = 'gear2';
+            break;
+        }
+        case '.title':
+        case '.control':
+        case '.endc':
+        case '.save':
+        case '.print':
+        case '.plot':
+        case '.probe':
+            break;
+        default:
+            warnings.push(`Ignored control card: ${line}`);
+    }
+}
+
+/**
+ * Parse "a=1 b=2k" (also "a = 1") into { a: '1', b: '2k' }
+ */
+function parseParams(text) {
+    const params = {};
+    const re = /(\w+)\s*=\s*([^\s=]+)/g;
+    let match;
+    while ((match = re.exec(text || '')) !== null) {
+        params[match[1].toLowerCase()] = match[2];
+    }
+    return params;
+}
+
+/**
+ * Parse the value/specification part of an independent source line
+ * @returns {{ dc: number, ac: {mag: number, phase: number}|null, fn: {name: string, args: number[]}|null }}
+ */
+function parseSourceSpec(tokens) {
+    const spec = tokens.join(' ');
+    const result = { dc: 0, ac: null, fn: null };
+
+    const fnMatch = spec.match(/\b(sin|pulse|pwl)\s*\(([^)]*)\)/i);
+    if (fnMatch) {
+        result.fn = {
+            name: fnMatch[1].toLowerCase(),
+            args: fnMatch[2].split(/[\s,]+/).filter(Boolean).map(parseSpiceValue)
+        };
+    }
+
+    const rest = spec.replace(/\b(sin|pulse|pwl)\s*\([^)]*\)/i, ' ').split(/\s+/).filter(Boolean);
+    for (let i = 0; i < rest.length; i++) {
+        const word = rest[i].toLowerCase();
+        if (word === 'dc') {
+            result.dc = parseSpiceValue(rest[++i]);
+        } else if (word === 'ac') {
+            const mag = parseSpiceValue(rest[i + 1]);
+            const phase = parseSpiceValue(rest[i + 2]);
+            result.ac = { mag: isNaN(mag) ? 1 : mag, phase: isNaN(phase) ? 0 : phase };
+            i += isNaN(phase) ? 1 : 2;
+        } else if (!isNaN(parseSpiceValue(word))) {
+            result.dc = parseSpiceValue(word);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Convert one element line into { type, pins: [net per terminal], properties, rotation }.
+ * Returns null for unsupported elements.
+ */
+function buildComponentFromElement(tokens, models, subcircuits, warnings) {
+    const name = tokens[0];
+    const letter = name[0].toUpperCase();
+
+    switch (letter) {
+        case 'R':
+            return { name, type: 'resistor', pins: [tokens[1], tokens[2]], properties: { resistance: parseSpiceValue(tokens[3]) } };
+        case 'C':
+            return { name, type: 'capacitor', pins: [tokens[1], tokens[2]], properties: { capacitance: parseSpiceValue(tokens[3]) } };
+        case 'L':
+            return { name, type: 'inductor', pins: [tokens[1], tokens[2]], properties: { inductance: parseSpiceValue(tokens[3]) } };
+
+        case 'V': {
+            const spec = parseSourceSpec(tokens.slice(3));
+            // A plain 0 V source is how SPICE measures current: make it an ammeter
+            if (!spec.fn && !spec.ac && spec.dc === 0) {
+                return { name, type: 'ammeter', pins: [tokens[1], tokens[2]], properties: {} };
+            }
+            return { name, type: 'voltage_source', pins: [tokens[1], tokens[2]], properties: sourceProperties(spec, 'voltage', name, warnings) };
+        }
+
+        case 'I': {
+            const spec = parseSourceSpec(tokens.slice(3));
+            if (spec.fn && spec.fn.name !== 'sin') {
+                warnings.push(`${name}: ${spec.fn.name.toUpperCase()} current sources are not supported, using DC value`);
+                spec.fn = null;
+            }
+            // SPICE I n+ n-: current leaves the source at n-, our `out` terminal
+            return { name, type: 'current_source', pins: [tokens[2], tokens[1]], properties: sourceProperties(spec, 'current', name, warnings) };
+        }
+
+        case 'D': {
+            const model = models.get((tokens[3] || '').toLowerCase());
+            const properties = {};
+            if (model) {
+                if (model.params.is) properties.saturationCurrent = parseSpiceValue(model.params.is);
+                if (model.params.n) properties.emissionCoefficient = parseSpiceValue(model.params.n);
+                if (model.params.bv) {
+                    properties.variant = 'zener';
+                    properties.breakdownVoltage = parseSpiceValue(model.params.bv);
+                    if (model.params.ibv) properties.breakdownCurrent = parseSpiceValue(model.params.ibv);
+                }
+                const cjo = model.params.cjo || model.params.cj0 || model.params.cj;
+                if (cjo) properties.junctionCapacitance = parseSpiceValue(cjo);
+                if (model.params.vj) properties.junctionPotential = parseSpiceValue(model.params.vj);
+                const m = model.params.m || model.params.mj;
+                if (m) properties.gradingCoefficient = parseSpiceValue(m);
+                if (model.params.tt) properties.transitTime = parseSpiceValue(model.params.tt);
+            } else {
+                warnings.push(`${name}: model ${tokens[3]} not found, using default diode`);
+            }
+            return { name, type: 'diode', pins: [tokens[1], tokens[2]], properties };
+        }
+
+        case 'Q': {
+            // Q name c b e [substrate] model [area]
+            const { nodes, model } = splitModelCall(tokens, models);
+            const properties = {};
+            if (model && (model.type === 'npn' || model.type === 'pnp')) {
+                properties.polarity = model.type;
+                const numeric = (key, prop) => {
+                    const v = parseSpiceValue(model.params[key]);
+                    if (isFinite(v)) properties[prop] = v;
+                };
+                numeric('is', 'saturationCurrent');
+                numeric('bf', 'betaF');
+                numeric('br', 'betaR');
+                numeric('vaf', 'earlyVoltage');
+                if (!model.params.vaf) properties.earlyVoltage = 0;
+            } else {
+                warnings.push(`${name}: NPN/PNP model not found, using default NPN`);
+            }
+            return { name, type: 'bjt', pins: nodes.slice(0, 3), properties };
+        }
+
+        case 'M': {
+            // M name d g s b model [L=.. W=..]
+            const { nodes, model } = splitModelCall(tokens, models);
+            const properties = {};
+            if (model && (model.type === 'nmos' || model.type === 'pmos')) {
+                properties.polarity = model.type;
+                const vto = parseSpiceValue(model.params.vto);
+                if (isFinite(vto)) {
+                    // Enhancement devices only: NMOS VTO > 0, PMOS VTO < 0
+                    if ((model.type === 'nmos' ? vto : -vto) <= 0) {
+                        warnings.push(`${name}: depletion-mode VTO=${model.params.vto} is not supported, using |VTO|`);
+                    }
+                    properties.thresholdVoltage = Math.abs(vto);
+                }
+                const kp = parseSpiceValue(model.params.kp);
+                if (isFinite(kp)) {
+                    // K = KP·W/L (SPICE defaults W = L = 1 here as in our export)
+                    const params = parseParams(tokens.slice(1).join(' '));
+                    const w = parseSpiceValue(params.w);
+                    const l = parseSpiceValue(params.l);
+                    properties.transconductance = kp * (isFinite(w) && isFinite(l) && l > 0 ? w / l : 1);
+                }
+                const lambda = parseSpiceValue(model.params.lambda);
+                if (isFinite(lambda)) properties.lambda = lambda;
+            } else {
+                warnings.push(`${name}: NMOS/PMOS model not found, using default NMOS`);
+            }
+            if (nodes[3] !== undefined && nodes[3] !== nodes[2]) {
+                warnings.push(`${name}: bulk is tied to the source (bulk node ${nodes[3]} ignored)`);
+            }
+            return { name, type: 'mosfet', pins: nodes.slice(0, 3), properties };
+        }
+
+        case 'X': {
+            // Subcircuit call: X name n1 n2 ... subcktName [params]
+            const args = tokens.slice(1).filter(tok => !tok.includes('='));
+            const subName = args[args.length - 1];
+            const nodes = args.slice(0, -1);
+            const sub = subcircuits.get(subName.toLowerCase());
+
+            if (nodes.length !== 3 && !(sub && sub.pins.length === 3)) {
+                warnings.push(`${name}: only 3-pin (in+, in-, out) op-amp subcircuits can be imported`);
+                return undefined;
+            }
+
+            if (!isOpAmpSubcircuit(subName, sub)) {
+                warnings.push(`${name}: subcircuit ${subName} is not a recognised op-amp (name or in+/in-/out pins), skipped`);
+                return undefined;
+            }
+
+            const params = sub ? sub.params : {};
+            const properties = {};
+            const numeric = (key, prop) => {
+                const v = parseSpiceValue(params[key]);
+                if (isFinite(v)) properties[prop] = v;
+            };
+            numeric('a0', 'openLoopGain');
+            numeric('gbp', 'gbp');
+            numeric('rin', 'rin');
+            numeric('rout', 'rout');
+            numeric('vos', 'offsetVoltage');
+            numeric('vsat', 'saturationVoltage');
+
+            return { name, type: 'opamp', pins: nodes.slice(0, 3), properties };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Split a Q/M element line into its nodes and .model (the first token
+ * after the name that names a known model, else the token after the nodes)
+ * @param {string[]} tokens
+ * @param {Map} models
+ * @returns {{ nodes: string[], model: Object|undefined }}
+ */
+function splitModelCall(tokens, models) {
+    const args = tokens.slice(1).filter(tok => !tok.includes('='));
+    let index = args.findIndex((tok, i) => i >= 3 && models.has(tok.toLowerCase()));
+    if (index < 0) index = Math.min(3, args.length - 1);
+    return { nodes: args.slice(0, index), model: models.get((args[index] || '').toLowerCase()) };
+}
+
+/**
+ * Whether a 3-pin subcircuit call can stand for an op-amp: either a
+ * well-known op-amp name (OPAMPn from our own export, uA741, LM358, TL072, ...)
+ * or a .subckt whose pins read as non-inverting input, inverting input, output.
+ * @param {string} subName
+ * @param {{ pins: string[] }|undefined} sub
+ */
+function isOpAmpSubcircuit(subName, sub) {
+    if (OPAMP_SUBCKT_NAME.test(subName)) return true;
+    if (!sub) return false;
+
+    const [inp, inn, out] = sub.pins.map(pin => pin.toLowerCase());
+    return /^(inp|in\+|non_?inv|plus|p)$/.test(inp) &&
+        /^(inn|in-|inv|minus|n)$/.test(inn) &&
+        /^(out|output|o)$/.test(out);
+}
+
+/**
+ * Map a parsed source spec onto VoltageSource / CurrentSource properties
+ * @param {string} key - 'voltage' or 'current'
+ */
+function sourceProperties(spec, key, name, warnings) {
+    const { dc, ac, fn } = spec;
+
+    if (fn && fn.name === 'sin') {
+        const [offset = 0, amplitude = 0, freq = 50, delay = 0, damping = 0, phase = 0] = fn.args;
+        if (offset !== 0 || delay !== 0 || damping !== 0) {
+            warnings.push(`${name}: SIN offset/delay/damping are not supported and were dropped`);
+        }
+        return { [key]: amplitude, type: 'ac', frequency: freq, phase };
+    }
+
+    if (fn && fn.name === 'pulse') {
+        const [v1 = 0, v2 = 0, delay = 0, riseTime = 0, fallTime = 0, pulseWidth = Infinity, period = 0] = fn.args;
+        return {
+            [key]: v2, type: 'pulse', v1, v2, delay, riseTime, fallTime,
+            pulseWidth: isFinite(pulseWidth) ? pulseWidth : 1e9, period
+        };
+    }
+
+    if (fn && fn.name === 'pwl') {
+        const pairs = [];
+        for (let i = 0; i + 1 < fn.args.length; i += 2) {
+            pairs.push(`${formatSpiceValue(fn.args[i])} ${formatSpiceValue(fn.args[i + 1])}`);
+        }
+        return { [key]: fn.args[1] || 0, type: 'pwl', pwl: pairs.join('\n') };
+    }
+
+    if (ac) {
+        return { [key]: ac.mag, type: 'ac', frequency: 50, phase: ac.phase };
+    }
+
+    return { [key]: dc, type: 'dc' };
+}
+
+/**
+ * Place components on a grid and wire every net.
+ * Node 0 gets a ground symbol under each terminal that touches it.
+ * @param {Object[]} items - From buildComponentFromElement()
+ * @returns {{ components: Object[], wires: Object[] }}
+ */
+function layoutCircuit(items) {
+    const components = [];
+    const wires = [];
+    const nets = new Map(); // net name -> [{ terminalId, x, y }]
+    let compCount = 0;
+
+    const addComponent = (type, x, y, properties, rotation = 0) => {
+        const instance = createComponent(type, x, y);
+        const id = `comp_${++compCount}`;
+        instance.rotation = rotation;
+        components.push({
+            id, type, x, y, rotation,
+            properties: { ...instance.properties, ...properties },
+            state: {}
+        });
+        return { id, instance };
+    };
+
+    items.forEach((item, index) => {
+        const x = GRID_ORIGIN.x + (index % GRID_COLUMNS) * GRID_DX;
+        const y = GRID_ORIGIN.y + Math.floor(index / GRID_COLUMNS) * GRID_DY;
+        const { id, instance } = addComponent(item.type, x, y, item.properties);
+
+        item.pins.forEach((pin, i) => {
+            const terminal = instance.terminals[i];
+            if (!terminal || pin === undefined) return;
+            const netName = /^(0|gnd)$/i.test(pin) ? '0' : pin;
+            const pos = terminal.getPosition();
+            if (!nets.has(netName)) nets.set(netName, []);
+            nets.get(netName).push({ terminalId: `${id}_${terminal.name}`, x: pos.x, y: pos.y });
+        });
+    });
+
+    // Ground symbol just below every node-0 terminal
+    for (const terminal of nets.get('0') || []) {
+        const { id } = addComponent('ground', terminal.x, terminal.y + 40, {});
+        wires.push({ id: `wire_${wires.length + 1}`, startTerminal: terminal.terminalId, endTerminal: `${id}_ref` });
+    }
+    nets.delete('0');
+
+    // Chain the terminals of each remaining net left-to-right
+    for (const terminals of nets.values()) {
+        terminals.sort((a, b) => a.x - b.x || a.y - b.y);
+        for (let i = 1; i < terminals.length; i++) {
+            wires.push({
+                id: `wire_${wires.length + 1}`,
+                startTerminal: terminals[i - 1].terminalId,
+                endTerminal: terminals[i].terminalId
+            });
+        }
+    }
+
+    return { components, wires };
+}
@@ -0,0 +1,83 @@
+/**
+ * WaveformExport.js - Save chart and oscilloscope data as CSV or JSON
+ *
+ * Charts describe their data with getExportData():
+ *   { title, x: { name, unit, values }, traces: [{ name, unit, values }] }
+ * where every trace is sampled at the x values. CSV has one column for x
+ * and one per trace, with the unit in the header, e.g. "time (s),V(node_1) (V)".
+ */
+
+/**
+ * Quote a CSV field if it contains a separator, quote or newline
+ */
+function csvField(text) {
+    const s = String(text);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Column header with its unit, e.g. "time (s)"
+ */
+function columnName({ name, unit }) {
+    return unit ? `${name} (${unit})` : name;
+}
+
+/**
+ * @param {{x: Object, traces: Object[]}} data - From a chart's getExportData()
+ * @returns {string} CSV text
+ */
+export function waveformToCSV(data) {
+    const columns = [data.x, ...data.traces];
+    const lines = [columns.map(col => csvField(columnName(col))).join(',')];
+
+    for (let i = 0; i < data.x.values.length; i++) {
+        lines.push(columns.map(col => {
+            const v = col.values[i];
+            return typeof v === 'number' && isFinite(v) ? v : '';
+        }).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {{title: string, x: Object, traces: Object[]}} data - From a chart's getExportData()
+ * @returns {string} JSON text
+ */
+export function waveformToJSON(data) {
+    const column = ({ name, unit, values }) => ({
+        name,
+        unit,
+        values: values.map(v => (isFinite(v) ? v : null))
+    });
+
+    return JSON.stringify({
+        title: data.title,
+        exportedAt: new Date().toISOString(),
+        x: column(data.x),
+        traces: data.traces.map(column)
+    }, null, 2);
+}
+
+/**
+ * Download chart data as a file
+ * @param {Object|null} data - From a chart's getExportData()
+ * @param {'csv'|'json'} format
+ * @param {string} baseName - File name without extension
+ * @returns {boolean} False if there is nothing to export
+ */
+export function downloadWaveform(data, format, baseName) {
+    if (!data || data.traces.length === 0 || data.x.values.length === 0) return false;
+
+    const isJSON = format === 'json';
+    const text = isJSON ? waveformToJSON(data) : waveformToCSV(data);
+    const blob = new Blob([text], { type: isJSON ? 'application/json' : 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${baseName}_${new Date().toISOString().slice(0, 10)}.${isJSON ? 'json' : 'csv'}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return true;
+}
@@ -0,0 +1,194 @@
+/**
+ * WaveformMath.js - Oscilloscope math channels
+ *
+ * Derives a trace from measured channels (A+B, A−B, A×B, ∫A dt, dA/dt)
+ * and computes the single-sided magnitude spectrum of a channel (FFT).
+ * Works on raw sampled data, so adaptive (non-uniform) time steps are
+ * handled: B is interpolated onto A's time points, the integral is
+ * trapezoidal and the FFT input is resampled onto a uniform grid.
+ */
+
+/**
+ * Linear interpolation of a sampled waveform at time t (clamped at the ends)
+ */
+function interpolate(timePoints, values, t) {
+    const n = Math.min(timePoints.length, values.length);
+    if (n === 0) return NaN;
+    if (t <= timePoints[0]) return values[0];
+    if (t >= timePoints[n - 1]) return values[n - 1];
+
+    let lo = 0, hi = n - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (timePoints[mid] <= t) lo = mid;
+        else hi = mid;
+    }
+    const t0 = timePoints[lo], t1 = timePoints[hi];
+    if (t1 === t0) return values[lo];
+    return values[lo] + (values[hi] - values[lo]) * (t - t0) / (t1 - t0);
+}
+
+/**
+ * Unit of a derived trace from the source units ('V' or 'mA')
+ */
+function mathUnit(operation, unitA = 'V', unitB = 'V') {
+    switch (operation) {
+        case 'multiply':
+            if (unitA === unitB) return `${unitA}²`;
+            return [unitA, unitB].includes('mA') ? 'mW' : `${unitA}·${unitB}`;
+        case 'integrate': return `${unitA}·s`;
+        case 'differentiate': return `${unitA}/s`;
+        default: return unitA;
+    }
+}
+
+/**
+ * Math operations that take two sources
+ */
+export const BINARY_MATH_OPERATIONS = ['add', 'subtract', 'multiply'];
+
+/**
+ * Compute a time-domain math trace.
+ * @param {string} operation - 'add' | 'subtract' | 'multiply' | 'integrate' | 'differentiate'
+ * @param {{timePoints: number[], values: number[], unit?: string}} a - Source A
+ * @param {{timePoints: number[], values: number[], unit?: string}} [b] - Source B (binary operations)
+ * @returns {{timePoints: number[], values: number[], unit: string}|null} Null for an unknown operation
+ */
+export function computeMathTrace(operation, a, b = null) {
+    const timePoints = a.timePoints.slice(0, a.values.length);
+    const n = timePoints.length;
+    const values = new Array(n);
+
+    if (BINARY_MATH_OPERATIONS.includes(operation)) {
+        if (!b) return null;
+        const sameTimebase = b.timePoints.length === n && b.timePoints[0] === timePoints[0] &&
+            b.timePoints[n - 1] === timePoints[n - 1];
+        for (let i = 0; i < n; i++) {
+            const va = a.values[i];
+            const vb = sameTimebase ? b.values[i] : interpolate(b.timePoints, b.values, timePoints[i]);
+            values[i] = operation === 'add' ? va + vb
+                : operation === 'subtract' ? va - vb
+                    : va * vb;
+        }
+    } else if (operation === 'integrate') {
+        // Running trapezoidal integral from the start of the record
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            if (i > 0) {
+                const area = 0.5 * (a.values[i] + a.values[i - 1]) * (timePoints[i] - timePoints[i - 1]);
+                if (isFinite(area)) sum += area;
+            }
+            values[i] = sum;
+        }
+    } else if (operation === 'differentiate') {
+        // Central differences (one-sided at the ends), valid for uneven steps
+        for (let i = 0; i < n; i++) {
+            const i0 = Math.max(0, i - 1);
+            const i1 = Math.min(n - 1, i + 1);
+            const dt = timePoints[i1] - timePoints[i0];
+            values[i] = dt > 0 ? (a.values[i1] - a.values[i0]) / dt : 0;
+        }
+    } else {
+        return null;
+    }
+
+    return { timePoints, values, unit: mathUnit(operation, a.unit, b?.unit) };
+}
+
+// Window functions: coefficients of a0 - a1 cos(x) + a2 cos(2x) - ...
+const WINDOWS = {
+    rectangular: [1],
+    hann: [0.5, 0.5],
+    flattop: [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]
+};
+
+/**
+ * In-place radix-2 FFT (re/im arrays, length a power of two)
+ */
+function fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle), wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let uRe = 1, uIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const p = start + k;
+                const q = p + size / 2;
+                const tRe = re[q] * uRe - im[q] * uIm;
+                const tIm = re[q] * uIm + im[q] * uRe;
+                re[q] = re[p] - tRe;
+                im[q] = im[p] - tIm;
+                re[p] += tRe;
+                im[p] += tIm;
+                const next = uRe * wRe - uIm * wIm;
+                uIm = uRe * wIm + uIm * wRe;
+                uRe = next;
+            }
+        }
+    }
+}
+
+/**
+ * Single-sided magnitude spectrum of a waveform over [tMin, tMax].
+ * The window is resampled onto 2^k uniform points and weighted by the
+ * window function; magnitudes are amplitude-corrected RMS values, so a
+ * sine of peak A reads A/√2 (20·log10 gives dBV for voltage channels).
+ * @param {number[]} timePoints
+ * @param {number[]} values
+ * @param {number} tMin
+ * @param {number} tMax
+ * @param {string} [windowName] - 'rectangular' | 'hann' | 'flattop'
+ * @returns {{frequencies: number[], magnitudes: number[], df: number}|null} Null if the window has too few samples
+ */
+export function computeSpectrum(timePoints, values, tMin, tMax, windowName = 'hann') {
+    let count = 0;
+    for (const t of timePoints) {
+        if (t >= tMin && t <= tMax) count++;
+    }
+    const duration = tMax - tMin;
+    if (count < 8 || !(duration > 0)) return null;
+
+    // Power of two not below the sample count, capped to keep the UI responsive
+    let n = 8;
+    while (n < count && n < 16384) n <<= 1;
+
+    const coeffs = WINDOWS[windowName] || WINDOWS.hann;
+    const re = new Array(n);
+    const im = new Array(n).fill(0);
+    const dt = duration / n;
+    for (let i = 0; i < n; i++) {
+        const x = 2 * Math.PI * i / n;
+        let w = 0;
+        coeffs.forEach((c, k) => { w += (k % 2 === 0 ? c : -c) * Math.cos(k * x); });
+        const v = interpolate(timePoints, values, tMin + i * dt);
+        re[i] = (isFinite(v) ? v : 0) * w;
+    }
+
+    fft(re, im);
+
+    // Coherent gain of the window is its first coefficient
+    const gain = coeffs[0] * n;
+    const df = 1 / duration;
+    const frequencies = [];
+    const magnitudes = [];
+    for (let k = 0; k <= n / 2; k++) {
+        const mag = Math.hypot(re[k], im[k]) / gain;
+        frequencies.push(k * df);
+        magnitudes.push(k === 0 || k === n / 2 ? mag : mag * Math.SQRT2);
+    }
+
+    return { frequencies, magnitudes, df };
+}
@@ -0,0 +1,235 @@
+/**
+ * WaveformMeasurements.js - Automatic oscilloscope measurements
+ *
+ * Computes bench-scope style measurements (Vpp, Vmax/Vmin, Vavg, true RMS,
+ * frequency/period, rise/fall time, duty cycle, phase) over a time window
+ * of a sampled waveform. Averages are time-weighted (trapezoidal), so the
+ * non-uniform steps of adaptive transient analysis are handled correctly.
+ */
+
+/**
+ * Samples of a waveform that fall inside [tMin, tMax]
+ */
+function windowSamples(timePoints, values, tMin, tMax) {
+    const t = [];
+    const v = [];
+    const n = Math.min(timePoints.length, values.length);
+    for (let i = 0; i < n; i++) {
+        if (timePoints[i] < tMin || timePoints[i] > tMax || !isFinite(values[i])) continue;
+        t.push(timePoints[i]);
+        v.push(values[i]);
+    }
+    return { t, v };
+}
+
+/**
+ * Linear interpolation of the time where the segment crosses `level`
+ */
+function crossingTime(t0, v0, t1, v1, level) {
+    if (v1 === v0) return t1;
+    return t0 + (level - v0) / (v1 - v0) * (t1 - t0);
+}
+
+/**
+ * Rising and falling crossings of `level`, with hysteresis so that
+ * ripple or numerical noise near the level is not counted as an edge.
+ * The first sample's side of the level sets the initial state, so an edge
+ * just after the window start is counted.
+ * @returns {{rising: number[], falling: number[]}}
+ */
+function findCrossings(t, v, level, hysteresis) {
+    const rising = [];
+    const falling = [];
+    let state = v[0] < level ? 'low' : 'high';
+
+    for (let i = 0; i < v.length; i++) {
+        if (v[i] < level - hysteresis) {
+            if (state === 'high') {
+                falling.push(lastCrossing(t, v, i, level));
+            }
+            state = 'low';
+        } else if (v[i] > level + hysteresis) {
+            if (state === 'low') {
+                rising.push(lastCrossing(t, v, i, level));
+            }
+            state = 'high';
+        }
+    }
+
+    return { rising, falling };
+}
+
+/**
+ * Time of the most recent crossing of `level` at or before sample i
+ */
+function lastCrossing(t, v, i, level) {
+    for (let k = i; k > 0; k--) {
+        if ((v[k - 1] - level) * (v[k] - level) <= 0) {
+            return crossingTime(t[k - 1], v[k - 1], t[k], v[k], level);
+        }
+    }
+    return t[i];
+}
+
+/**
+ * Mean spacing of consecutive rising and of consecutive falling edges.
+ * A window of whole cycles that starts and ends on the level (the scope's
+ * auto timebase) misses the edges at both ends, so one edge type alone
+ * can leave a single edge.
+ * @returns {number|null}
+ */
+function edgePeriod(rising, falling) {
+    let span = 0;
+    let count = 0;
+    for (const edges of [rising, falling]) {
+        if (edges.length < 2) continue;
+        span += edges[edges.length - 1] - edges[0];
+        count += edges.length - 1;
+    }
+    return count > 0 ? span / count : null;
+}
+
+/**
+ * Average 10 %→90 % (rising) or 90 %→10 % (falling) transition time
+ */
+function transitionTime(t, v, low, high, rising) {
+    const times = [];
+    let start = null;
+
+    for (let i = 1; i < v.length; i++) {
+        const a = v[i - 1];
+        const b = v[i];
+        if (rising) {
+            if (a < low && b >= low) start = crossingTime(t[i - 1], a, t[i], b, low);
+            if (start !== null && a < high && b >= high) {
+                times.push(crossingTime(t[i - 1], a, t[i], b, high) - start);
+                start = null;
+            }
+            if (b < low) start = null;
+        } else {
+            if (a > high && b <= high) start = crossingTime(t[i - 1], a, t[i], b, high);
+            if (start !== null && a > low && b <= low) {
+                times.push(crossingTime(t[i - 1], a, t[i], b, low) - start);
+                start = null;
+            }
+            if (b > high) start = null;
+        }
+    }
+
+    if (times.length === 0) return null;
+    return times.reduce((sum, x) => sum + x, 0) / times.length;
+}
+
+/**
+ * Measure one waveform over a time window.
+ * Timing values are null when the signal has no repeating edges in the window.
+ * @param {number[]} timePoints
+ * @param {number[]} values
+ * @param {number} [tMin]
+ * @param {number} [tMax]
+ * @returns {{vpp: number, vmax: number, vmin: number, vavg: number, vrms: number,
+ *           frequency: number|null, period: number|null, riseTime: number|null,
+ *           fallTime: number|null, dutyCycle: number|null}|null} Null if no samples in the window
+ */
+export function measureWaveform(timePoints, values, tMin = -Infinity, tMax = Infinity) {
+    const { t, v } = windowSamples(timePoints, values, tMin, tMax);
+    if (v.length === 0) return null;
+
+    let vmax = -Infinity;
+    let vmin = Infinity;
+    for (const x of v) {
+        if (x > vmax) vmax = x;
+        if (x < vmin) vmin = x;
+    }
+    const vpp = vmax - vmin;
+
+    // Time-weighted mean and RMS
+    let vavg = v[0];
+    let vrms = Math.abs(v[0]);
+    const duration = t[t.length - 1] - t[0];
+    if (duration > 0) {
+        let area = 0;
+        let areaSq = 0;
+        for (let i = 1; i < v.length; i++) {
+            const dt = t[i] - t[i - 1];
+            area += 0.5 * (v[i] + v[i - 1]) * dt;
+            areaSq += 0.5 * (v[i] * v[i] + v[i - 1] * v[i - 1]) * dt;
+        }
+        vavg = area / duration;
+        vrms = Math.sqrt(Math.max(0, areaSq / duration));
+    }
+
+    const result = {
+        vpp, vmax, vmin, vavg, vrms,
+        frequency: null, period: null, riseTime: null, fallTime: null, dutyCycle: null
+    };
+
+    if (!(vpp > 1e-9 * Math.max(1, Math.abs(vmax), Math.abs(vmin)))) return result;
+
+    // Timing from mid-level crossings
+    const mid = (vmax + vmin) / 2;
+    const { rising, falling } = findCrossings(t, v, mid, 0.1 * vpp);
+
+    const period = edgePeriod(rising, falling);
+    if (period !== null) {
+        result.period = period;
+        result.frequency = 1 / period;
+
+        // Time above mid-level over whole periods, rising edge to rising edge
+        // (or time below it, falling edge to falling edge)
+        const [starts, ends, above] = rising.length >= 2 ? [rising, falling, true] : [falling, rising, false];
+        let inState = 0;
+        for (let i = 0; i < starts.length - 1; i++) {
+            const end = ends.find(e => e > starts[i] && e < starts[i + 1]);
+            inState += (end !== undefined ? end : starts[i + 1]) - starts[i];
+        }
+        const fraction = inState / (starts[starts.length - 1] - starts[0]);
+        result.dutyCycle = 100 * (above ? fraction : 1 - fraction);
+    }
+
+    result.riseTime = transitionTime(t, v, vmin + 0.1 * vpp, vmin + 0.9 * vpp, true);
+    result.fallTime = transitionTime(t, v, vmin + 0.1 * vpp, vmin + 0.9 * vpp, false);
+
+    return result;
+}
+
+/**
+ * Phase of waveform B relative to waveform A from their mid-level crossings
+ * (rising edges paired with rising edges, falling with falling)
+ * @returns {number|null} Degrees in (-180, 180], positive when B leads A
+ */
+export function measurePhase(timeA, valuesA, timeB, valuesB, tMin = -Infinity, tMax = Infinity) {
+    const a = windowSamples(timeA, valuesA, tMin, tMax);
+    const b = windowSamples(timeB, valuesB, tMin, tMax);
+    if (a.v.length < 3 || b.v.length < 3) return null;
+
+    const edges = ({ t, v }) => {
+        const vmax = Math.max(...v);
+        const vmin = Math.min(...v);
+        const vpp = vmax - vmin;
+        if (!(vpp > 0)) return { rising: [], falling: [] };
+        return findCrossings(t, v, (vmax + vmin) / 2, 0.1 * vpp);
+    };
+
+    const edgesA = edges(a);
+    const edgesB = edges(b);
+    const period = edgePeriod(edgesA.rising, edgesA.falling);
+    if (period === null) return null;
+
+    // Offset from each A edge to the nearest B edge of the same kind, wrapped to one period
+    const phases = [];
+    for (const kind of ['rising', 'falling']) {
+        const fromB = edgesB[kind];
+        if (fromB.length === 0) continue;
+        for (const tA of edgesA[kind]) {
+            const tB = fromB.reduce((best, x) => Math.abs(x - tA) < Math.abs(best - tA) ? x : best, fromB[0]);
+            let phase = 360 * (tA - tB) / period;
+            phase = ((phase + 180) % 360 + 360) % 360 - 180;
+            phases.push(phase === -180 ? 180 : phase);
+        }
+    }
+    if (phases.length === 0) return null;
+    phases.sort((x, y) => x - y);
+
+    return phases[Math.floor(phases.length / 2)];
+}